@@ -40,6 +40,34 @@ module.exports = new EntitySchema({
       type: 'varchar', 
       default: null 
     },
+    two_factor_secret: {
+      type: 'varchar',
+      nullable: true, // TOTP secret เข้ารหัสแล้ว (มีค่าแต่ยังไม่มี enabled_at = กำลังตั้งค่า)
+    },
+    two_factor_enabled_at: {
+      type: 'datetime',
+      nullable: true,
+    },
+    two_factor_recovery_codes: {
+      type: 'text',
+      nullable: true, // JSON array ของ hash รหัสกู้คืนที่ยังไม่ถูกใช้
+    },
+    two_factor_last_step: {
+      type: 'int',
+      nullable: true, // ช่วงเวลา TOTP ล่าสุดที่ใช้แล้ว กันใช้รหัสเดิมซ้ำ
+    },
+    failed_login_count: {
+      type: 'int',
+      default: 0, // เข้าสู่ระบบผิดติดกัน (ล้างเมื่อสำเร็จหรือ admin ปลดล็อก)
+    },
+    last_failed_login_at: {
+      type: 'datetime',
+      nullable: true,
+    },
+    locked_until: {
+      type: 'datetime',
+      nullable: true,
+    },
     
     // External Integrations
     lineUserId: { 
@@ -47,6 +75,31 @@ module.exports = new EntitySchema({
       nullable: true, 
       unique: true 
     },
+    sso_issuer: {
+      type: 'varchar',
+      length: 255,
+      nullable: true, // issuer + subject ของ OIDC ระบุตัวตนจาก IdP (อีเมลเปลี่ยนได้ subject ไม่เปลี่ยน)
+    },
+    sso_subject: {
+      type: 'varchar',
+      length: 255,
+      nullable: true,
+    },
+
+    // Notification Preferences (Socket.io ในแอปส่งเสมอ)
+    notify_email: {
+      type: 'boolean',
+      default: true,
+    },
+    notify_line: {
+      type: 'boolean',
+      default: true,
+    },
+    notification_language: {
+      type: 'varchar',
+      length: 2,
+      default: 'th', // ภาษาของอีเมลแจ้งเตือน: th | en
+    },
     
     // Profile & Media
     avatar_url: { 
@@ -84,6 +137,11 @@ module.exports = new EntitySchema({
     end_work: {
       type: 'date',
       nullable: true,
+    },
+    manager_id: {
+      type: 'varchar',
+      length: 36,
+      nullable: true, // หัวหน้างานโดยตรง (null = ใช้หัวหน้าแผนก)
     }
   },
 });
\ No newline at end of file
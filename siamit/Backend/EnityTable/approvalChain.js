@@ -0,0 +1,21 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ApprovalChain',
+  tableName: 'approval_chain',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    name: { type: 'varchar' },
+    departmentId: { type: 'varchar', length: 36, nullable: true }, // null = ใช้กับทุกแผนก
+    leaveTypeId: { type: 'varchar', length: 36, nullable: true }, // null = ใช้กับทุกประเภทการลา
+    steps: { type: 'longtext' }, // json string ของ array ขั้นตอนการอนุมัติ (เรียงตามลำดับ)
+    is_active: { type: 'boolean', default: true, nullable: false },
+    createdBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
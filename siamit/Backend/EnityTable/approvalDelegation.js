@@ -0,0 +1,21 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ApprovalDelegation',
+  tableName: 'approval_delegation',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    delegatorId: { type: 'varchar', length: 36 }, // ผู้อนุมัติตัวจริงที่มอบหมาย
+    delegateId: { type: 'varchar', length: 36 }, // ผู้ที่อนุมัติแทนในช่วงวันที่กำหนด
+    startDate: { type: 'date' },
+    endDate: { type: 'date' },
+    reason: { type: 'varchar', nullable: true },
+    createdBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
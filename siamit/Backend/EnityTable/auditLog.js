@@ -0,0 +1,28 @@
+const { EntitySchema } = require('typeorm');
+
+// บันทึกแบบเพิ่มอย่างเดียว: ไม่มี endpoint แก้ไข/ลบ และ migration ใส่ trigger กัน UPDATE/DELETE ไว้ด้วย
+module.exports = new EntitySchema({
+  name: 'AuditLog',
+  tableName: 'audit_log',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    actor_id: { type: 'varchar', length: 36, nullable: true }, // null = ระบบ (เช่น scheduler)
+    actor_name: { type: 'varchar', length: 255, nullable: true }, // เก็บชื่อ ณ ตอนนั้น เผื่อผู้ใช้ถูกลบภายหลัง
+    actor_role: { type: 'varchar', length: 50, nullable: true },
+    action: { type: 'varchar', length: 60 }, // ดู AUDIT_ACTIONS ใน utils/auditLogService.js
+    target_type: { type: 'varchar', length: 40 }, // leave_request | position | leave_type | user | leave_quota | role
+    target_id: { type: 'varchar', length: 100, nullable: true },
+    target_label: { type: 'varchar', length: 255, nullable: true },
+    before_data: { type: 'text', nullable: true }, // JSON เฉพาะฟิลด์ที่เปลี่ยน
+    after_data: { type: 'text', nullable: true },
+    metadata: { type: 'text', nullable: true }, // JSON ข้อมูลประกอบ เช่น ผลการรีเซ็ต
+    ip_address: { type: 'varchar', length: 45, nullable: true },
+    user_agent: { type: 'varchar', length: 255, nullable: true },
+    created_at: { type: 'timestamp', createDate: true },
+  },
+});
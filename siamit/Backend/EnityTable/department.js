@@ -12,5 +12,7 @@ module.exports = new EntitySchema({
         },
         department_name_en: { type: 'varchar' },
         department_name_th: { type: 'varchar' },
+        min_staffing: { type: 'int', nullable: true }, // จำนวนคนขั้นต่ำที่ต้องอยู่ทำงานต่อวัน (null = ไม่ตรวจ)
+        head_id: { type: 'varchar', length: 36, nullable: true }, // หัวหน้าแผนก อนุมัติใบลาของคนที่ไม่ได้ระบุหัวหน้างาน
     },
 });
\ No newline at end of file
@@ -0,0 +1,26 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'EmailOutbox',
+  tableName: 'email_outbox',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    userId: { type: 'varchar', length: 36, nullable: true }, // ผู้รับ (null = ส่งถึงที่อยู่ที่ไม่ใช่ผู้ใช้ในระบบ)
+    toAddress: { type: 'varchar', length: 255 },
+    template: { type: 'varchar', length: 50 }, // leave_submitted | leave_status | leave_cancel_requested | announcement
+    subject: { type: 'varchar', length: 255 },
+    html: { type: 'mediumtext' },
+    text: { type: 'mediumtext' },
+    status: { type: 'varchar', length: 20, default: 'pending' }, // pending | sending | sent | failed
+    attempts: { type: 'int', default: 0 },
+    nextAttemptAt: { type: 'timestamp', nullable: true },
+    lastError: { type: 'varchar', length: 500, nullable: true },
+    sentAt: { type: 'timestamp', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
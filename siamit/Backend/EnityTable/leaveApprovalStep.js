@@ -0,0 +1,27 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LeaveApprovalStep',
+  tableName: 'leave_approval_step',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    leaveRequestId: { type: 'varchar', length: 36 }, // เชื่อมกับ id ของ leave_request
+    stepOrder: { type: 'int' },
+    stepName: { type: 'varchar', nullable: true },
+    approverType: { type: 'varchar', length: 20 }, // 'user' | 'role'
+    approverRole: { type: 'varchar', nullable: true },
+    approverId: { type: 'varchar', length: 36, nullable: true },
+    sameDepartment: { type: 'boolean', default: false, nullable: false },
+    status: { type: 'varchar', length: 20, default: 'waiting' }, // waiting | pending | approved | rejected | skipped
+    actedBy: { type: 'varchar', length: 36, nullable: true }, // id ของผู้อนุมัติขั้นนี้จริง
+    onBehalfOf: { type: 'varchar', length: 36, nullable: true }, // อนุมัติแทนใคร (กรณีผู้อนุมัติมอบหมายให้คนอื่น)
+    actedAt: { type: 'timestamp', nullable: true },
+    comment: { type: 'text', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
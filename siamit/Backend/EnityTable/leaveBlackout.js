@@ -0,0 +1,22 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LeaveBlackout',
+  tableName: 'leave_blackout',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    title: { type: 'varchar' },
+    description: { type: 'varchar', nullable: true },
+    startDate: { type: 'date' },
+    endDate: { type: 'date' },
+    departmentId: { type: 'varchar', length: 36, nullable: true }, // null = ใช้กับทุกแผนก
+    mode: { type: 'varchar', length: 10, default: 'block' }, // block = ห้ามยื่นลา | warn = ยื่นได้แต่แจ้งเตือนผู้อนุมัติ
+    createdBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
@@ -0,0 +1,20 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LeaveEntitlementRule',
+  tableName: 'leave_entitlement_rule',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    leaveTypeId: { type: 'varchar', length: 36 },
+    positionId: { type: 'varchar', length: 36, nullable: true }, // null = ใช้กับทุกตำแหน่ง
+    min_years: { type: 'int', default: 0 }, // อายุงานขั้นต่ำ (ปีเต็ม นับ ณ 1 ม.ค. ของปีลา)
+    extra_days: { type: 'float', default: 0 }, // วันลาที่เพิ่มจากโควต้าตำแหน่งเมื่อถึงขั้นนี้
+    createdBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
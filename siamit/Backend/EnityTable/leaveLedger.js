@@ -0,0 +1,26 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LeaveLedger',
+  tableName: 'leave_ledger',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    user_id: { type: 'varchar', length: 36 },
+    leave_type_id: { type: 'varchar', length: 36 },
+    leave_year: { type: 'int' }, // ปีของวันลาที่รายการนี้มีผล (ใช้คำนวณยอดย้อนหลังรายปี)
+    entry_type: { type: 'varchar', length: 30 }, // approval | cancellation | adjustment | reset | carry_over | carried_balance | accrual
+    days: { type: 'float', default: 0 }, // บวก = ใช้สิทธิ์ (debit), ลบ = คืนสิทธิ์ (credit)
+    hours: { type: 'float', default: 0 },
+    entry_date: { type: 'date' }, // วันที่มีผล เช่น วันเริ่มลา หรือวันที่ปรับยอด
+    expires_on: { type: 'date', nullable: true }, // วันหมดอายุของยอดยกมา (carried_balance) null = ใช้ได้ทั้งปี
+    leave_request_id: { type: 'varchar', length: 36, nullable: true },
+    note: { type: 'text', nullable: true },
+    created_by: { type: 'varchar', length: 36, nullable: true }, // id ของผู้ทำรายการ (null = ระบบ)
+    created_at: { type: 'timestamp', createDate: true },
+  },
+});
@@ -22,5 +22,35 @@ module.exports = new EntitySchema({
       nullable: false,
       default: 0,
     },
+    carry_over_max_days: {
+      type: 'float',
+      nullable: false,
+      default: 0, // จำนวนวันสูงสุดที่ยกไปปีถัดไปได้ (0 = ไม่ยกยอด)
+    },
+    carry_over_expiry: {
+      type: 'varchar',
+      length: 5,
+      nullable: true, // MM-DD ที่วันยกมาหมดอายุ เช่น 03-31 (null = ใช้ได้ทั้งปี)
+    },
+    prorate_first_year: {
+      type: 'boolean',
+      nullable: false,
+      default: false, // คิดสิทธิ์ตามสัดส่วนเดือนที่ทำงานจริงในปีที่เริ่มงาน (start_work)
+    },
+    accrual_mode: {
+      type: 'varchar',
+      length: 20,
+      nullable: false,
+      default: 'annual', // annual = ได้เต็มโควต้าต้นปี, monthly = สะสมทีละเดือน
+    },
+    accrual_rate: {
+      type: 'float',
+      nullable: true, // วันที่ได้ต่อเดือนสำหรับแบบ monthly (null = โควต้า / 12)
+    },
+    max_negative_days: {
+      type: 'float',
+      nullable: false,
+      default: 0, // จำนวนวันที่ยอมให้ลาเกินสิทธิ์ได้ (ยอดติดลบ)
+    },
   },
 });
@@ -17,6 +17,7 @@ module.exports = new EntitySchema({
     endDate: { type: 'date' },
     startTime: { type: 'varchar', nullable: true },
     endTime: { type: 'varchar', nullable: true },
+    halfDayPeriod: { type: 'varchar', length: 20, nullable: true }, // ลาครึ่งวัน: 'morning' | 'afternoon' (null = ไม่ใช่ครึ่งวัน)
     reason: { type: 'text' },
     rejectedReason: { type: 'text', nullable: true},
     contact: { type: 'varchar', nullable: true },
@@ -24,10 +25,19 @@ module.exports = new EntitySchema({
     statusChangeTime: { type: 'timestamp', nullable: true},
     status: { type: 'varchar', nullable: true},
     statusBy: { type: 'varchar', nullable: true}, // status เชื่อมกับ id ของ admin
+    statusOnBehalfOf: { type: 'varchar', length: 36, nullable: true }, // statusBy ตัดสินแทนผู้อนุมัติคนนี้ (การมอบหมาย)
     approvedTime: { type: 'timestamp', nullable: true }, // เวลาที่อนุมัติ
     rejectedTime: {type: 'timestamp', nullable: true},
     attachments: { type: 'longtext', nullable: true }, // json string ของ array ชื่อไฟล์แนบ รองรับไฟล์หลายไฟล์
     isRead: { type: 'boolean', default: false, nullable: false },
     backdated: { type: 'boolean', default: false, nullable: false }, // Indicates if the leave request is backdated
+    approvalChainId: { type: 'varchar', length: 36, nullable: true }, // สายการอนุมัติที่ใช้กับใบลานี้ (null = อนุมัติขั้นเดียว)
+    currentApprovalStep: { type: 'int', nullable: true }, // ลำดับขั้นที่รอการอนุมัติอยู่
+    withdrawnTime: { type: 'timestamp', nullable: true }, // เวลาที่พนักงานถอนใบลา (ตอนยังรออนุมัติ)
+    cancelReason: { type: 'text', nullable: true }, // เหตุผลที่ขอยกเลิกใบลาที่อนุมัติแล้ว
+    cancelRequestedTime: { type: 'timestamp', nullable: true },
+    cancelledBy: { type: 'varchar', nullable: true }, // id ของผู้ยืนยัน/ปฏิเสธการยกเลิก
+    cancelledTime: { type: 'timestamp', nullable: true }, // เวลาที่ยืนยันการยกเลิก (คืนโควต้าแล้ว)
+    cancelRejectedReason: { type: 'text', nullable: true }, // เหตุผลที่ไม่อนุมัติการยกเลิก
   },
 });
\ No newline at end of file
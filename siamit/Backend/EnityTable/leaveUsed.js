@@ -21,7 +21,7 @@ module.exports = new EntitySchema({
             nullable: false,
         },
         days: {
-            type: 'int',
+            type: 'float', // รองรับลาครึ่งวัน (0.5)
             default: 0,
             nullable: true,
         },
@@ -0,0 +1,15 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LineConversation',
+  tableName: 'line_conversation',
+  columns: {
+    lineUserId: { primary: true, type: 'varchar', length: 50 }, // หนึ่งบทสนทนาที่ค้างอยู่ต่อผู้ใช้ LINE
+    userId: { type: 'varchar', length: 36 },
+    flow: { type: 'varchar', length: 30 }, // เช่น leave_request
+    step: { type: 'varchar', length: 30 }, // ขั้นที่รอคำตอบอยู่
+    data: { type: 'text', nullable: true }, // JSON คำตอบที่เก็บไว้แล้ว
+    expiresAt: { type: 'datetime' },
+    updatedAt: { type: 'timestamp', updateDate: true },
+  },
+});
@@ -0,0 +1,27 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LineRichMenu',
+  tableName: 'line_rich_menu',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    name: { type: 'varchar', length: 100 },
+    audience: { type: 'varchar', length: 20, nullable: true }, // employee | approver | null = ยังไม่ผูกกับกลุ่มผู้ใช้
+    size: { type: 'varchar', length: 10, default: 'full' }, // full = 2500x1686 | compact = 2500x843
+    chatBarText: { type: 'varchar', length: 14 },
+    areas: { type: 'text' }, // JSON: [{ bounds: { x, y, width, height }, action: { type, label, text | data | uri } }]
+    imageFile: { type: 'varchar', length: 255, nullable: true },
+    lineRichMenuId: { type: 'varchar', length: 100, nullable: true }, // id ฝั่ง LINE หลังเผยแพร่
+    isDefault: { type: 'boolean', default: false },
+    hasUnpublishedChanges: { type: 'boolean', default: true },
+    publishedAt: { type: 'timestamp', nullable: true },
+    createdBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+    updatedAt: { type: 'timestamp', updateDate: true },
+  },
+});
@@ -0,0 +1,12 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LineWebhookEvent',
+  tableName: 'line_webhook_event',
+  columns: {
+    webhookEventId: { primary: true, type: 'varchar', length: 64 }, // id ของ event จาก LINE (ซ้ำเมื่อ LINE ส่งซ้ำ)
+    eventType: { type: 'varchar', length: 30, nullable: true },
+    isRedelivery: { type: 'boolean', default: false },
+    receivedAt: { type: 'timestamp', createDate: true },
+  },
+});
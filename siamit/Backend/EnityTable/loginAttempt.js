@@ -0,0 +1,21 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'LoginAttempt',
+  tableName: 'login_attempt',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    email: { type: 'varchar', nullable: true }, // อีเมลที่กรอก (อาจไม่มีในระบบ)
+    userId: { type: 'varchar', length: 36, nullable: true },
+    ipAddress: { type: 'varchar', length: 45, nullable: true },
+    userAgent: { type: 'varchar', length: 255, nullable: true },
+    endpoint: { type: 'varchar', length: 50 }, // login | login_2fa | register | line_callback
+    reason: { type: 'varchar', length: 30 }, // ดู LOGIN_FAILURE_REASONS ใน utils/loginGuardService.js
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
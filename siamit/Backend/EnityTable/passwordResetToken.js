@@ -0,0 +1,20 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'PasswordResetToken',
+  tableName: 'password_reset_token',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    userId: { type: 'varchar', length: 36 },
+    tokenHash: { type: 'varchar', length: 64, unique: true }, // SHA-256 ของ token ในลิงก์ (ไม่เก็บตัวจริง)
+    expiresAt: { type: 'datetime' },
+    usedAt: { type: 'datetime', nullable: true }, // ใช้ได้ครั้งเดียว
+    requestedIp: { type: 'varchar', length: 45, nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
@@ -0,0 +1,13 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'RolePermission',
+  tableName: 'role_permission',
+  columns: {
+    role: { primary: true, type: 'varchar', length: 50 }, // user | admin | superadmin หรือ role ที่สร้างเอง
+    label: { type: 'varchar', nullable: true },
+    permissions: { type: 'text' }, // JSON array ของ permission key (ดู utils/permissionService.js)
+    updatedBy: { type: 'varchar', nullable: true },
+    updatedAt: { type: 'timestamp', updateDate: true },
+  },
+});
@@ -0,0 +1,12 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'SystemSetting',
+  tableName: 'system_setting',
+  columns: {
+    name: { primary: true, type: 'varchar', length: 100 }, // ดู SETTING_KEYS ใน utils/systemSettingService.js
+    value: { type: 'text', nullable: true }, // JSON
+    updatedBy: { type: 'varchar', nullable: true },
+    updatedAt: { type: 'timestamp', updateDate: true },
+  },
+});
@@ -0,0 +1,26 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'UserSession',
+  tableName: 'user_session',
+  columns: {
+    id: {
+      primary: true,
+      type: 'varchar',
+      length: 36,
+      generated: 'uuid',
+    },
+    userId: { type: 'varchar', length: 36 },
+    impersonatorId: { type: 'varchar', length: 36, nullable: true }, // superadmin ที่ "ดูในมุมมองของ" userId (session แบบอ่านอย่างเดียว)
+    refreshTokenHash: { type: 'varchar', length: 64, unique: true }, // เก็บเฉพาะ SHA-256 ของ refresh token
+    previousTokenHash: { type: 'varchar', length: 64, nullable: true }, // token ก่อนหมุนล่าสุด ใช้จับการนำ token เก่ากลับมาใช้ซ้ำ
+    device: { type: 'varchar', length: 100, nullable: true },
+    userAgent: { type: 'varchar', length: 255, nullable: true },
+    ipAddress: { type: 'varchar', length: 45, nullable: true },
+    expiresAt: { type: 'datetime' },
+    lastSeenAt: { type: 'datetime', nullable: true },
+    revokedAt: { type: 'datetime', nullable: true },
+    revokedReason: { type: 'varchar', length: 50, nullable: true },
+    createdAt: { type: 'timestamp', createDate: true },
+  },
+});
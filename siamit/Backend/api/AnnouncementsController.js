@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const { announcementImageUpload, handleUploadError } = require('../middleware/fileUploadMiddleware');
+const { emailAnnouncement } = require('../utils/notificationService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -172,6 +173,8 @@ module.exports = (AppDataSource) => {
         createdBy: savedAnnouncement.createdBy,
         Image: savedAnnouncement.Image
       });
+      // ผู้รับอาจมีทั้งบริษัท ไม่ต้องรอเข้าคิวอีเมลครบก่อนตอบกลับ
+      emailAnnouncement(AppDataSource, savedAnnouncement);
 
       res.json({ status: 'success', data: savedAnnouncement, message: 'Announcement created successfully' });
     } catch (err) {
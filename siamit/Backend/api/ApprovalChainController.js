@@ -0,0 +1,89 @@
+const express = require('express');
+const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
+const { parseChainSteps, validateChainSteps, validateStepApprovers, normalizeChainSteps } = require('../utils/approvalChainService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const approvalChainController = new BaseController('ApprovalChain');
+
+  // --- Helpers ---
+
+  /**
+   * Helper: Async Error Handler Wrapper
+   */
+  const safeHandler = (handler) => async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (err) {
+      if (err.message === 'Record not found') {
+        return sendNotFound(res, 'Approval chain not found');
+      }
+      return sendError(res, err.message, err.statusCode || 500);
+    }
+  };
+
+  /**
+   * Helper: return chain with parsed steps
+   */
+  const formatChain = (chain) => ({
+    ...chain,
+    steps: parseChainSteps(chain.steps)
+  });
+
+  /**
+   * Helper: build chain data from request body (only provided fields)
+   */
+  const buildChainData = (body) => {
+    const data = {};
+    if (body.name !== undefined) data.name = body.name;
+    if (body.departmentId !== undefined) data.departmentId = body.departmentId || null;
+    if (body.leaveTypeId !== undefined) data.leaveTypeId = body.leaveTypeId || null;
+    if (body.is_active !== undefined) data.is_active = !!body.is_active;
+    if (body.steps !== undefined) data.steps = JSON.stringify(normalizeChainSteps(body.steps));
+    return data;
+  };
+
+  // --- Routes ---
+
+  router.get('/', safeHandler(async (req, res) => {
+    const chains = await approvalChainController.findAll(AppDataSource, { order: { createdAt: 'DESC' } });
+    sendSuccess(res, chains.map(formatChain), 'Fetched approval chains successfully');
+  }));
+
+  router.get('/:id', safeHandler(async (req, res) => {
+    const chain = await approvalChainController.findOne(AppDataSource, req.params.id);
+    if (!chain) return sendNotFound(res, 'Approval chain not found');
+    sendSuccess(res, formatChain(chain), 'Fetched approval chain successfully');
+  }));
+
+  router.post('/', safeHandler(async (req, res) => {
+    const { name, steps } = req.body;
+    if (!name) return sendValidationError(res, 'name is required');
+    const stepsError = validateChainSteps(steps) || await validateStepApprovers(AppDataSource, steps);
+    if (stepsError) return sendValidationError(res, stepsError);
+
+    const saved = await approvalChainController.create(AppDataSource, {
+      ...buildChainData(req.body),
+      createdBy: req.user.userId
+    });
+    sendSuccess(res, formatChain(saved), 'Approval chain created successfully', 201);
+  }));
+
+  router.put('/:id', safeHandler(async (req, res) => {
+    if (req.body.steps !== undefined) {
+      const stepsError = validateChainSteps(req.body.steps) || await validateStepApprovers(AppDataSource, req.body.steps);
+      if (stepsError) return sendValidationError(res, stepsError);
+    }
+
+    // ใบลาที่สร้างไปแล้วจะใช้ขั้นตอนที่บันทึกไว้ตอนสร้าง ไม่ได้รับผลจากการแก้ไขนี้
+    const updated = await approvalChainController.update(AppDataSource, req.params.id, buildChainData(req.body));
+    sendSuccess(res, formatChain(updated), 'Approval chain updated successfully');
+  }));
+
+  router.delete('/:id', safeHandler(async (req, res) => {
+    await approvalChainController.delete(AppDataSource, req.params.id);
+    sendSuccess(res, null, 'Approval chain deleted successfully');
+  }));
+
+  return router;
+};
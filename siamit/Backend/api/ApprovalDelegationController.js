@@ -0,0 +1,157 @@
+const express = require('express');
+const { In } = require('typeorm');
+const { sendSuccess, sendError, sendNotFound, sendValidationError, sendForbidden, sendConflict } = require('../utils');
+const { PERMISSIONS, hasPermission } = require('../utils/permissionService');
+const { canDelegateTo, resolveDelegate, getDelegatorsFor } = require('../utils/delegationService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const delegationRepo = AppDataSource.getRepository('ApprovalDelegation');
+  const userRepo = AppDataSource.getRepository('User');
+
+  const USER_FIELDS = ['id', 'name', 'role', 'department'];
+
+  // --- Helpers ---
+
+  /**
+   * Helper: Async Error Handler Wrapper
+   */
+  const safeHandler = (handler) => async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (err) {
+      console.error('Approval delegation error:', err);
+      return sendError(res, err.message, err.statusCode || 500);
+    }
+  };
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+  /**
+   * Helper: attach delegator/delegate names to delegation rows
+   */
+  const withNames = async (rows) => {
+    const ids = [...new Set(rows.flatMap(r => [r.delegatorId, r.delegateId]))];
+    const users = ids.length ? await userRepo.find({ where: { id: In(ids) }, select: ['id', 'name'] }) : [];
+    const names = users.reduce((acc, u) => ({ ...acc, [u.id]: u.name }), {});
+    return rows.map(r => ({
+      ...r,
+      delegatorName: names[r.delegatorId] || null,
+      delegateName: names[r.delegateId] || null
+    }));
+  };
+
+  // --- Routes ---
+
+  // GET /api/approval-delegations (delegations I gave or received; ?scope=all for leave managers)
+  router.get('/', safeHandler(async (req, res) => {
+    const { userId, role } = req.user;
+    let where = [{ delegatorId: userId }, { delegateId: userId }];
+    if (req.query.scope === 'all') {
+      if (!(await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_MANAGE_ALL))) {
+        return sendForbidden(res, `Missing permission: ${PERMISSIONS.LEAVE_MANAGE_ALL}`);
+      }
+      where = {};
+    }
+    const rows = await delegationRepo.find({ where, order: { startDate: 'DESC' } });
+    sendSuccess(res, await withNames(rows), 'Approval delegations fetched successfully');
+  }));
+
+  // GET /api/approval-delegations/current (who I stand in for today, and who stands in for me)
+  router.get('/current', safeHandler(async (req, res) => {
+    const me = await userRepo.findOne({ where: { id: req.user.userId }, select: USER_FIELDS });
+    if (!me) return sendNotFound(res, 'User not found');
+
+    const [actingFor, myDelegate] = await Promise.all([
+      getDelegatorsFor(AppDataSource.manager, me),
+      resolveDelegate(AppDataSource.manager, me)
+    ]);
+    sendSuccess(res, {
+      actingFor: actingFor.map(({ delegator, source }) => ({ id: delegator.id, name: delegator.name, source })),
+      myDelegate: myDelegate
+        ? { id: myDelegate.delegate.id, name: myDelegate.delegate.name, source: myDelegate.source }
+        : null
+    }, 'Current delegations fetched successfully');
+  }));
+
+  // GET /api/approval-delegations/candidates (users who can approve and open the approval list)
+  router.get('/candidates', safeHandler(async (req, res) => {
+    const users = await userRepo.find({ select: USER_FIELDS, order: { name: 'ASC' } });
+    const candidates = [];
+    for (const user of users) {
+      if (user.id !== req.user.userId && await canDelegateTo(AppDataSource, user)) {
+        candidates.push({ id: user.id, name: user.name, department: user.department });
+      }
+    }
+    sendSuccess(res, candidates, 'Delegation candidates fetched successfully');
+  }));
+
+  // POST /api/approval-delegations
+  router.post('/', safeHandler(async (req, res) => {
+    const { userId, role } = req.user;
+    const { delegateId, startDate, endDate, reason } = req.body || {};
+    const delegatorId = req.body?.delegatorId || userId;
+
+    // มอบหมายแทนคนอื่นได้เฉพาะผู้จัดการบัญชีผู้ใช้: ผู้รับมอบได้สิทธิ์อนุมัติเท่าผู้มอบ (รวมถึง superadmin)
+    // ผู้ดูแลใบลาทั่วไปจึงตั้งตัวเองเป็นผู้รับมอบของคนที่มีสิทธิ์กว้างกว่าไม่ได้
+    if (delegatorId !== userId && !(await hasPermission(AppDataSource, role, PERMISSIONS.USERS_MANAGE))) {
+      return sendForbidden(res, 'You can only delegate your own approvals');
+    }
+    if (!delegateId) return sendValidationError(res, 'delegateId is required');
+    if (delegateId === delegatorId) return sendValidationError(res, 'An approver cannot delegate to themselves');
+    if (!isDate(startDate) || !isDate(endDate)) return sendValidationError(res, 'startDate and endDate must be YYYY-MM-DD');
+    if (startDate > endDate) return sendValidationError(res, 'startDate must be on or before endDate');
+
+    const [delegator, delegate] = await Promise.all([
+      userRepo.findOne({ where: { id: delegatorId }, select: USER_FIELDS }),
+      userRepo.findOne({ where: { id: delegateId }, select: USER_FIELDS })
+    ]);
+    if (!delegator) return sendNotFound(res, 'Delegating approver not found');
+    if (!delegate) return sendNotFound(res, 'Delegate not found');
+    // เกณฑ์เดียวกับการเลือกผู้รับมอบอัตโนมัติ: อนุมัติได้และเปิดหน้ารายการรออนุมัติได้
+    if (!(await canDelegateTo(AppDataSource, delegate))) {
+      return sendValidationError(res, 'The delegate cannot approve leave or open the approval list');
+    }
+
+    const overlap = await delegationRepo.createQueryBuilder('delegation')
+      .where('delegation.delegatorId = :delegatorId', { delegatorId })
+      .andWhere('delegation.startDate <= :endDate AND delegation.endDate >= :startDate', { startDate, endDate })
+      .getOne();
+    if (overlap) return sendConflict(res, 'This approver already has a delegation in that period');
+
+    const saved = await delegationRepo.save({
+      delegatorId,
+      delegateId,
+      startDate,
+      endDate,
+      reason: reason ? String(reason).trim() || null : null,
+      createdBy: userId
+    });
+
+    if (global.io) {
+      global.io.to(`user_${delegateId}`).emit('approvalDelegationAssigned', {
+        id: saved.id, delegatorId, delegatorName: delegator.name, startDate, endDate
+      });
+    }
+
+    const [result] = await withNames([saved]);
+    sendSuccess(res, result, 'Approval delegation created successfully', 201);
+  }));
+
+  // DELETE /api/approval-delegations/:id
+  router.delete('/:id', safeHandler(async (req, res) => {
+    const { userId, role } = req.user;
+    const delegation = await delegationRepo.findOneBy({ id: req.params.id });
+    if (!delegation) return sendNotFound(res, 'Approval delegation not found');
+
+    const isOwner = delegation.delegatorId === userId || delegation.createdBy === userId;
+    if (!isOwner && !(await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_MANAGE_ALL))) {
+      return sendForbidden(res, 'You cannot remove this delegation');
+    }
+
+    await delegationRepo.delete({ id: delegation.id });
+    sendSuccess(res, null, 'Approval delegation removed successfully');
+  }));
+
+  return router;
+};
@@ -0,0 +1,110 @@
+const express = require('express');
+const config = require('../config');
+const { sendSuccess, sendError } = require('../utils');
+const { AUDIT_ACTIONS, formatAuditEntry } = require('../utils/auditLogService');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const auditRepo = AppDataSource.getRepository('AuditLog');
+
+  // --- Helpers ---
+
+  /**
+   * Helper: query builder with the viewer's filters applied (action, actor, target, date range, free text)
+   */
+  const buildFilteredQuery = (query) => {
+    const { action, actorId, targetType, targetId, from, to, q } = query;
+    const qb = auditRepo.createQueryBuilder('log').orderBy('log.created_at', 'DESC');
+
+    if (action) qb.andWhere('log.action = :action', { action: String(action) });
+    if (actorId) qb.andWhere('log.actor_id = :actorId', { actorId: String(actorId) });
+    if (targetType) qb.andWhere('log.target_type = :targetType', { targetType: String(targetType) });
+    if (targetId) qb.andWhere('log.target_id = :targetId', { targetId: String(targetId) });
+    if (from) {
+      const fromDate = new Date(`${from}T00:00:00`);
+      if (!isNaN(fromDate)) qb.andWhere('log.created_at >= :from', { from: fromDate });
+    }
+    if (to) {
+      const toDate = new Date(`${to}T23:59:59.999`);
+      if (!isNaN(toDate)) qb.andWhere('log.created_at <= :to', { to: toDate });
+    }
+    if (q) {
+      qb.andWhere('(log.actor_name LIKE :q OR log.target_label LIKE :q OR log.target_id = :exact)', {
+        q: `%${String(q).trim()}%`,
+        exact: String(q).trim()
+      });
+    }
+    return qb;
+  };
+
+  // ค่าที่ขึ้นต้นด้วย = + - @ ถูก Excel ตีความเป็นสูตร จึงเติม ' นำหน้า
+  const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  // --- Routes ---
+
+  // GET /api/audit-logs/actions (values for the action filter)
+  router.get('/audit-logs/actions', (req, res) => {
+    sendSuccess(res, Object.values(AUDIT_ACTIONS), 'Audit actions fetched successfully');
+  });
+
+  // GET /api/audit-logs?action=&actorId=&targetType=&targetId=&from=&to=&q=&page=&limit=
+  router.get('/audit-logs', async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || config.pagination.defaultLimit, 1), MAX_PAGE_SIZE);
+
+      const [rows, total] = await buildFilteredQuery(req.query)
+        .skip((page - 1) * limit)
+        .take(limit)
+        .getManyAndCount();
+
+      sendSuccess(res, {
+        items: rows.map(formatAuditEntry),
+        total,
+        page,
+        totalPages: Math.ceil(total / limit)
+      }, 'Audit log fetched successfully');
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // GET /api/audit-logs/export?format=csv|json (same filters, newest MAX_EXPORT_ROWS rows)
+  router.get('/audit-logs/export', async (req, res) => {
+    try {
+      const format = req.query.format === 'json' ? 'json' : 'csv';
+      const rows = await buildFilteredQuery(req.query).take(MAX_EXPORT_ROWS).getMany();
+      const entries = rows.map(formatAuditEntry);
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'json') {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        return res.send(JSON.stringify(entries, null, 2));
+      }
+
+      const columns = ['createdAt', 'actorName', 'actorRole', 'actorId', 'action', 'targetType', 'targetId', 'targetLabel', 'before', 'after', 'metadata', 'ipAddress', 'userAgent'];
+      const lines = [columns.join(',')].concat(entries.map(entry => columns.map(col => csvCell(
+        col === 'createdAt' && entry.createdAt ? new Date(entry.createdAt).toISOString() : entry[col]
+      )).join(',')));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM ให้ Excel อ่านภาษาไทยได้ถูกต้อง
+      res.send(`\uFEFF${lines.join('\r\n')}`);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -5,7 +5,8 @@ const { Between, In } = require('typeorm');
 const config = require('../config');
 const { 
   convertToMinutes, 
-  calculateDaysBetween 
+  countLeaveDays,
+  loadHolidaySetForLeaves
 } = require('../utils');
 
 module.exports = (AppDataSource) => {
@@ -36,16 +37,14 @@ module.exports = (AppDataSource) => {
   };
 
   /**
-   * Helper: Calculate Duration in Days and Hours
+   * Helper: Calculate Duration in Days and Hours (working days only)
    */
-  const calculateLeaveDuration = (request) => {
+  const calculateLeaveDuration = (request, holidaySet) => {
     let days = 0;
     let hours = 0;
 
     if (request.startDate && request.endDate) {
-      const startDate = new Date(request.startDate);
-      const endDate = new Date(request.endDate);
-      const daysDiff = Math.ceil((endDate.getTime() - startDate.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+      const daysDiff = countLeaveDays(request, holidaySet);
 
       if (request.startTime && request.endTime) {
         // Hour-based calculation
@@ -121,10 +120,11 @@ module.exports = (AppDataSource) => {
       const leaveTypeStats = {};
 
       const approvedRequests = leaveHistory.filter(lr => lr.status === 'approved');
+      const holidaySet = await loadHolidaySetForLeaves(AppDataSource, approvedRequests);
 
       for (const request of approvedRequests) {
         // Calculate usage
-        const { days, hours } = calculateLeaveDuration(request);
+        const { days, hours } = calculateLeaveDuration(request, holidaySet);
         totalDaysUsed += days;
         totalHoursUsed += hours;
 
@@ -192,12 +192,13 @@ module.exports = (AppDataSource) => {
       if (dateFilter) where.startDate = dateFilter;
 
       const approvedRequests = await leaveRepo.find({ where });
+      const holidaySet = await loadHolidaySetForLeaves(AppDataSource, approvedRequests);
 
       let totalDays = 0;
       let totalHours = 0;
 
       for (const request of approvedRequests) {
-        const { days, hours } = calculateLeaveDuration(request);
+        const { days, hours } = calculateLeaveDuration(request, holidaySet);
         totalDays += days;
         totalHours += hours;
       }
@@ -230,7 +231,10 @@ module.exports = (AppDataSource) => {
         take: 3 
       });
       
-      const leaveTypeMap = await getLeaveTypeMap();
+      const [leaveTypeMap, holidaySet] = await Promise.all([
+        getLeaveTypeMap(),
+        loadHolidaySetForLeaves(AppDataSource, leaveRequests)
+      ]);
 
       const result = leaveRequests.map(lr => {
         const typeData = leaveTypeMap[lr.leaveType];
@@ -239,7 +243,7 @@ module.exports = (AppDataSource) => {
 
         // Formatted Duration String
         let duration = '';
-        const { days, hours } = calculateLeaveDuration(lr);
+        const { days, hours } = calculateLeaveDuration(lr, holidaySet);
         
         if (hours > 0) {
           duration = `${Math.floor(hours)} hour`;
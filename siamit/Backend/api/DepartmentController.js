@@ -12,13 +12,32 @@ module.exports = (AppDataSource) => {
    * Helper to validate department payload
    */
   const validateDepartmentBody = (body) => {
-    const { department_name_en, department_name_th } = body;
+    const { department_name_en, department_name_th, min_staffing } = body;
     if (!department_name_en || !department_name_th) {
       return 'Both department_name_en and department_name_th are required';
     }
+    if (min_staffing !== undefined && min_staffing !== null && min_staffing !== '') {
+      const value = Number(min_staffing);
+      if (!Number.isInteger(value) || value < 0) return 'min_staffing must be a whole number >= 0';
+    }
     return null;
   };
 
+  /**
+   * Helper to normalize min_staffing (empty/0 = no staffing check)
+   */
+  const parseMinStaffing = (value) => (value === undefined ? undefined : (Number(value) || null));
+
+  /**
+   * Helper to resolve head_id (empty = no head); returns an error message when the user does not exist
+   */
+  const resolveHeadId = async (value) => {
+    if (value === undefined) return { headId: undefined };
+    if (!value) return { headId: null };
+    const head = await AppDataSource.getRepository('User').findOne({ where: { id: value }, select: ['id'] });
+    return head ? { headId: head.id } : { error: 'head_id must be an existing user' };
+  };
+
   // --- Routes ---
 
  
@@ -37,10 +56,15 @@ module.exports = (AppDataSource) => {
       const error = validateDepartmentBody(req.body);
       if (error) return sendValidationError(res, error);
 
-      const { department_name_en, department_name_th } = req.body;
+      const { department_name_en, department_name_th, min_staffing, head_id } = req.body;
+      const { headId, error: headError } = await resolveHeadId(head_id);
+      if (headError) return sendValidationError(res, headError);
+
       const saved = await departmentController.create(AppDataSource, { 
         department_name_en, 
-        department_name_th 
+        department_name_th,
+        min_staffing: parseMinStaffing(min_staffing) ?? null,
+        head_id: headId ?? null
       });
       
       sendSuccess(res, saved, 'Department created successfully', 201);
@@ -55,11 +79,14 @@ module.exports = (AppDataSource) => {
       const error = validateDepartmentBody(req.body);
       if (error) return sendValidationError(res, error);
 
-      const { department_name_en, department_name_th } = req.body;
-      const updated = await departmentController.update(AppDataSource, req.params.id, { 
-        department_name_en, 
-        department_name_th 
-      });
+      const { department_name_en, department_name_th, min_staffing, head_id } = req.body;
+      const { headId, error: headError } = await resolveHeadId(head_id);
+      if (headError) return sendValidationError(res, headError);
+
+      const updateData = { department_name_en, department_name_th };
+      if (min_staffing !== undefined) updateData.min_staffing = parseMinStaffing(min_staffing);
+      if (headId !== undefined) updateData.head_id = headId;
+      const updated = await departmentController.update(AppDataSource, req.params.id, updateData);
 
       sendSuccess(res, updated, 'Department updated successfully');
     } catch (err) {
@@ -3,9 +3,11 @@ const bcrypt = require('bcrypt');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
-const { calculateDaysBetween, sendSuccess, sendError, sendNotFound } = require('../utils');
+const { countLeaveDays, loadHolidaySetForLeaves, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
 const { avatarUpload, handleUploadError } = require('../middleware/fileUploadMiddleware');
 const { getLeaveUsageSummary } = require('../utils/leaveUtils');
+const { REVOKE_REASONS, revokeUserSessions } = require('../utils/sessionService');
+const { getLockRemainingMs } = require('../utils/loginGuardService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -43,9 +45,9 @@ module.exports = (AppDataSource) => {
   };
 
   /**
-   * Helper: Calculate leave duration details
+   * Helper: Calculate leave duration details (working days only)
    */
-  const calculateDurationDetails = (leave) => {
+  const calculateDurationDetails = (leave, holidaySet) => {
     let duration = 0;
     let durationType = 'day';
     let durationHours = 0;
@@ -62,21 +64,35 @@ module.exports = (AppDataSource) => {
       durationType = 'hour';
       durationHours = Math.floor(diff);
     } else if (leave.startDate && leave.endDate) {
-      // Daily calculation
-      const start = new Date(leave.startDate);
-      const end = new Date(leave.endDate);
-      let days = calculateDaysBetween(start, end);
-      
-      if (days < 0 || isNaN(days)) days = 0;
-      if (days === 0 && leave.startDate === leave.endDate) days = 1;
-
-      durationType = 'day';
-      duration = days;
+      // Daily calculation (ไม่นับวันหยุด, ครึ่งวัน = 0.5)
+      durationType = leave.halfDayPeriod ? 'half_day' : 'day';
+      duration = countLeaveDays(leave, holidaySet);
     }
 
     return { duration, durationType, durationHours };
   };
 
+  /**
+   * Helper: Validate a new manager for an employee (must exist and must not create a reporting loop)
+   * @returns {Promise<string|null>} Error message or null when valid
+   */
+  const validateManager = async (employeeId, managerId) => {
+    if (!managerId) return null;
+    if (managerId === employeeId) return 'An employee cannot be their own manager';
+
+    // ไล่ขึ้นตามสายบังคับบัญชา ถ้าเจอตัวเองแปลว่าวนลูป
+    const seen = new Set([employeeId]);
+    let currentId = managerId;
+    while (currentId) {
+      if (seen.has(currentId)) return 'This manager would create a reporting loop';
+      seen.add(currentId);
+      const current = await userRepo.findOne({ where: { id: currentId }, select: ['id', 'manager_id'] });
+      if (!current) return currentId === managerId ? 'manager_id must be an existing user' : null;
+      currentId = current.manager_id;
+    }
+    return null;
+  };
+
   /**
    * Helper: Fetch Map for quick lookup (ID -> Entity)
    */
@@ -129,11 +145,15 @@ module.exports = (AppDataSource) => {
           department: user.department || '',
           department_name_th: dept?.department_name_th || '',
           department_name_en: dept?.department_name_en || '',
+          manager_id: user.manager_id || null,
           status: user.Role,
           role: user.Role,
           usedLeaveDays,
           totalLeaveDays,
-          avatar: user.avatar_url || null
+          avatar: user.avatar_url || null,
+          // ล็อกที่หมดเวลาแล้วไม่ต้องแสดง
+          lockedUntil: getLockRemainingMs(user) > 0 ? user.locked_until : null,
+          failedLoginCount: user.failed_login_count || 0
         };
       }));
 
@@ -188,11 +208,13 @@ module.exports = (AppDataSource) => {
           phone_number: profile.phone_number || null,
           start_work: profile.start_work || null,
           end_work: profile.end_work || null,
+          manager_id: profile.manager_id || null,
           internStartDate: profile.start_work || profile.internStartDate || null,
           internEndDate: profile.end_work || profile.internEndDate || null,
           usedLeaveDays,
           totalLeaveDays,
-          avatar: profile.avatar_url || null
+          avatar: profile.avatar_url || null,
+          twoFactorEnabled: !!profile.two_factor_enabled_at
         }
       });
     } catch (err) {
@@ -222,12 +244,24 @@ module.exports = (AppDataSource) => {
       profile.end_work = body.endWorkDate ?? body.internEndDate ?? profile.end_work;
       profile.Email = body.email ?? profile.Email;
 
+      // หัวหน้างานโดยตรง ('' = ไม่ระบุ ใช้หัวหน้าแผนกแทน)
+      if (body.manager_id !== undefined) {
+        const managerError = await validateManager(id, body.manager_id || null);
+        if (managerError) return sendValidationError(res, managerError);
+        profile.manager_id = body.manager_id || null;
+      }
+
       if (body.password) {
-        profile.Password = await bcrypt.hash(body.password, 10);
+        profile.password = await bcrypt.hash(body.password, 10);
       }
 
       await userRepo.save(profile);
 
+      // รหัสผ่านถูกตั้งใหม่โดยผู้ดูแล: ทุกอุปกรณ์ของพนักงานต้องเข้าสู่ระบบใหม่
+      if (body.password) {
+        await revokeUserSessions(AppDataSource, id, REVOKE_REASONS.PASSWORD_CHANGED);
+      }
+
       // Fetch names for response
       const [dept, pos] = await Promise.all([
         profile.department ? departmentRepo.findOneBy({ id: profile.department }) : null,
@@ -296,6 +330,7 @@ module.exports = (AppDataSource) => {
         acc[type.id] = type;
         return acc;
       }, {});
+      const holidaySet = await loadHolidaySetForLeaves(AppDataSource, leaves);
 
       // 3. Map and Enrich Data (Resolve Names and Durations)
       let enrichedLeaves = leaves.map(l => {
@@ -310,7 +345,7 @@ module.exports = (AppDataSource) => {
             typeName_en = prefix_en + (typeObj.leave_type_en || l.leaveType);
         }
 
-        const { duration, durationType, durationHours } = calculateDurationDetails(l);
+        const { duration, durationType, durationHours } = calculateDurationDetails(l, holidaySet);
 
         return {
           ...l,
@@ -0,0 +1,74 @@
+const express = require('express');
+const { sendSuccess, sendError, sendValidationError, sendNotFound, sendForbidden } = require('../utils');
+const { startImpersonation, stopImpersonation } = require('../utils/impersonationService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const userRepo = AppDataSource.getRepository('User');
+
+  // --- Routes ---
+
+  // POST /api/impersonation/start { userId } (superadmin: read-only session as that user)
+  router.post('/impersonation/start', async (req, res) => {
+    try {
+      const { userId } = req.body || {};
+      if (!userId) return sendValidationError(res, 'userId is required');
+      if (req.user.imp) return sendForbidden(res, 'Already viewing as another user');
+      if (userId === req.user.userId) return sendValidationError(res, 'You cannot view as yourself');
+
+      const target = await userRepo.findOneBy({ id: userId });
+      if (!target || target.role === 'deleted') return sendNotFound(res, 'User');
+      // มุมมองของ superadmin คนอื่นมีสิทธิ์เท่ากัน ไม่มีอะไรต้องตรวจ และเสี่ยงเกินไป
+      if (target.role === 'superadmin') return sendForbidden(res, 'Superadmin accounts cannot be viewed as');
+
+      const impersonator = await userRepo.findOne({ where: { id: req.user.userId }, select: ['id', 'name'] });
+      const { token, session } = await startImpersonation(AppDataSource, impersonator, target, req);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.IMPERSONATION_START,
+        targetType: 'user',
+        targetId: target.id,
+        targetLabel: `${target.name} <${target.email}>`,
+        metadata: { sessionId: session.id, expiresAt: session.expiresAt }
+      });
+
+      sendSuccess(res, {
+        token,
+        sessionId: session.id,
+        userId: target.id,
+        role: target.role,
+        email: target.email,
+        name: target.name,
+        expiresAt: session.expiresAt,
+        impersonator: { id: impersonator.id, name: impersonator.name }
+      }, 'Impersonation started');
+    } catch (err) {
+      console.error('Error starting impersonation:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/impersonation/stop (called with the impersonation token itself)
+  router.post('/impersonation/stop', async (req, res) => {
+    try {
+      if (!req.user.imp) return sendValidationError(res, 'Not viewing as another user');
+
+      await stopImpersonation(AppDataSource, req.user.sid);
+      await recordAudit(AppDataSource, {
+        req,
+        actorId: req.user.imp,
+        action: AUDIT_ACTIONS.IMPERSONATION_STOP,
+        targetType: 'user',
+        targetId: req.user.userId,
+        metadata: { sessionId: req.user.sid }
+      });
+      sendSuccess(res, null, 'Impersonation ended');
+    } catch (err) {
+      console.error('Error ending impersonation:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
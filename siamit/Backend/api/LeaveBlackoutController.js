@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
+const { BLACKOUT_MODES } = require('../utils/leaveConflictService');
+
+module.exports = (AppDataSource) => {
+  const blackoutController = new BaseController('LeaveBlackout');
+  const blackoutRepo = AppDataSource.getRepository('LeaveBlackout');
+
+  // --- Helper Functions ---
+
+  /**
+   * Helper: validate and build blackout data from request body (only provided fields)
+   * @param {Object} body - Request body
+   * @param {Object} current - Existing blackout when updating (used to validate the date range)
+   * @returns {{ data: Object, error: string|null }}
+   */
+  const buildBlackoutData = (body, current = {}) => {
+    const data = {};
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+    if (body.title !== undefined) {
+      if (!String(body.title).trim()) return { data, error: 'title is required' };
+      data.title = String(body.title).trim();
+    }
+    if (body.description !== undefined) data.description = body.description || null;
+    if (body.startDate !== undefined) {
+      if (!isDate(body.startDate)) return { data, error: 'startDate must be YYYY-MM-DD' };
+      data.startDate = body.startDate;
+    }
+    if (body.endDate !== undefined) {
+      if (!isDate(body.endDate)) return { data, error: 'endDate must be YYYY-MM-DD' };
+      data.endDate = body.endDate;
+    }
+    if (body.departmentId !== undefined) data.departmentId = body.departmentId || null;
+    if (body.mode !== undefined) {
+      if (!Object.values(BLACKOUT_MODES).includes(body.mode)) {
+        return { data, error: `mode must be one of: ${Object.values(BLACKOUT_MODES).join(', ')}` };
+      }
+      data.mode = body.mode;
+    }
+
+    const startDate = String(data.startDate || current.startDate || '').slice(0, 10);
+    const endDate = String(data.endDate || current.endDate || '').slice(0, 10);
+    if (startDate && endDate && startDate > endDate) return { data, error: 'startDate must be on or before endDate' };
+
+    return { data, error: null };
+  };
+
+  /**
+   * Helper: Emit socket event so open calendars refresh
+   */
+  const emitSocketEvent = (eventName, blackout) => {
+    if (global.io) {
+      global.io.emit(eventName, { id: blackout.id, title: blackout.title, startDate: blackout.startDate, endDate: blackout.endDate });
+    }
+  };
+
+  /**
+   * Helper: Query blackouts touching [startDate, endDate], optionally for one department (company-wide ones always included)
+   */
+  const findInRange = (startDate, endDate, departmentId) => {
+    const qb = blackoutRepo.createQueryBuilder('blackout')
+      .where('blackout.startDate <= :endDate', { endDate })
+      .andWhere('blackout.endDate >= :startDate', { startDate });
+    if (departmentId) {
+      qb.andWhere('(blackout.departmentId IS NULL OR blackout.departmentId = :departmentId)', { departmentId });
+    }
+    return qb.orderBy('blackout.startDate', 'ASC').getMany();
+  };
+
+  // --- Routes ---
+
+  // GET all blackout periods
+  router.get('/leave-blackouts', async (req, res) => {
+    try {
+      const where = {};
+      if (req.query.departmentId) where.departmentId = req.query.departmentId;
+      const blackouts = await blackoutController.findAll(AppDataSource, { where, order: { startDate: 'ASC' } });
+      sendSuccess(res, blackouts, 'Blackout periods fetched successfully');
+    } catch (error) {
+      console.error('Error fetching blackout periods:', error);
+      sendError(res, 'Failed to fetch blackout periods', 500);
+    }
+  });
+
+  // GET blackout periods touching a year (?departmentId= limits to that department plus company-wide)
+  router.get('/leave-blackouts/year/:year', async (req, res) => {
+    try {
+      const { year } = req.params;
+      if (!year || isNaN(year)) {
+        return sendValidationError(res, 'Valid year is required');
+      }
+
+      const blackouts = await findInRange(`${year}-01-01`, `${year}-12-31`, req.query.departmentId);
+      sendSuccess(res, blackouts, 'Blackout periods fetched successfully');
+    } catch (error) {
+      console.error('Error fetching blackout periods by year:', error);
+      sendError(res, 'Failed to fetch blackout periods by year', 500);
+    }
+  });
+
+  // GET blackout period by ID
+  router.get('/leave-blackouts/:id', async (req, res) => {
+    try {
+      const blackout = await blackoutController.findOne(AppDataSource, req.params.id);
+      if (!blackout) {
+        return sendNotFound(res, 'Blackout period not found');
+      }
+      sendSuccess(res, blackout, 'Blackout period fetched successfully');
+    } catch (error) {
+      console.error('Error fetching blackout period:', error);
+      sendError(res, 'Failed to fetch blackout period', 500);
+    }
+  });
+
+  // Create new blackout period
+  router.post('/leave-blackouts', async (req, res) => {
+    try {
+      if (!req.body.title || !req.body.startDate || !req.body.endDate) {
+        return sendValidationError(res, 'title, startDate and endDate are required');
+      }
+      const { data, error } = buildBlackoutData(req.body);
+      if (error) return sendValidationError(res, error);
+
+      const saved = await blackoutController.create(AppDataSource, {
+        mode: BLACKOUT_MODES.BLOCK,
+        ...data,
+        createdBy: req.user?.userId || null
+      });
+
+      emitSocketEvent('leaveBlackoutCreated', saved);
+
+      sendSuccess(res, saved, 'Blackout period created successfully', 201);
+    } catch (err) {
+      console.error('Error creating blackout period:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // Update blackout period
+  router.put('/leave-blackouts/:id', async (req, res) => {
+    try {
+      const current = await blackoutController.findOne(AppDataSource, req.params.id);
+      if (!current) {
+        return sendNotFound(res, 'Blackout period not found');
+      }
+
+      const { data, error } = buildBlackoutData(req.body, current);
+      if (error) return sendValidationError(res, error);
+
+      const updated = await blackoutController.update(AppDataSource, req.params.id, data);
+
+      emitSocketEvent('leaveBlackoutUpdated', updated);
+
+      sendSuccess(res, updated, 'Blackout period updated successfully');
+    } catch (err) {
+      console.error('Error updating blackout period:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // Delete blackout period
+  router.delete('/leave-blackouts/:id', async (req, res) => {
+    try {
+      const blackout = await blackoutController.findOne(AppDataSource, req.params.id);
+      if (!blackout) {
+        return sendNotFound(res, 'Blackout period not found');
+      }
+
+      await blackoutController.delete(AppDataSource, req.params.id);
+
+      emitSocketEvent('leaveBlackoutDeleted', blackout);
+
+      sendSuccess(res, null, 'Blackout period deleted successfully');
+    } catch (err) {
+      console.error('Error deleting blackout period:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,80 @@
+const express = require('express');
+const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const ruleController = new BaseController('LeaveEntitlementRule');
+
+  // --- Helpers ---
+
+  /**
+   * Helper: Async Error Handler Wrapper
+   */
+  const safeHandler = (handler) => async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (err) {
+      if (err.message === 'Record not found') {
+        return sendNotFound(res, 'Entitlement rule not found');
+      }
+      return sendError(res, err.message, err.statusCode || 500);
+    }
+  };
+
+  /**
+   * Helper: validate and build rule data from request body (only provided fields)
+   * @returns {{ data: Object, error: string|null }}
+   */
+  const buildRuleData = (body) => {
+    const data = {};
+    if (body.leaveTypeId !== undefined) data.leaveTypeId = body.leaveTypeId;
+    if (body.positionId !== undefined) data.positionId = body.positionId || null;
+    if (body.minYears !== undefined) {
+      const minYears = Number(body.minYears);
+      if (!Number.isInteger(minYears) || minYears < 0) return { data, error: 'minYears must be a whole number >= 0' };
+      data.min_years = minYears;
+    }
+    if (body.extraDays !== undefined) {
+      const extraDays = Number(body.extraDays);
+      if (!Number.isFinite(extraDays) || extraDays < 0) return { data, error: 'extraDays must be a number >= 0' };
+      data.extra_days = extraDays;
+    }
+    return { data, error: null };
+  };
+
+  // --- Routes ---
+
+  router.get('/', safeHandler(async (req, res) => {
+    const where = {};
+    if (req.query.leaveTypeId) where.leaveTypeId = req.query.leaveTypeId;
+    if (req.query.positionId) where.positionId = req.query.positionId;
+    const rules = await ruleController.findAll(AppDataSource, { where, order: { leaveTypeId: 'ASC', min_years: 'ASC' } });
+    sendSuccess(res, rules, 'Fetched entitlement rules successfully');
+  }));
+
+  router.post('/', safeHandler(async (req, res) => {
+    if (!req.body.leaveTypeId || req.body.minYears === undefined || req.body.extraDays === undefined) {
+      return sendValidationError(res, 'leaveTypeId, minYears and extraDays are required');
+    }
+    const { data, error } = buildRuleData(req.body);
+    if (error) return sendValidationError(res, error);
+
+    const saved = await ruleController.create(AppDataSource, { ...data, createdBy: req.user.userId });
+    sendSuccess(res, saved, 'Entitlement rule created successfully', 201);
+  }));
+
+  router.put('/:id', safeHandler(async (req, res) => {
+    const { data, error } = buildRuleData(req.body);
+    if (error) return sendValidationError(res, error);
+
+    const updated = await ruleController.update(AppDataSource, req.params.id, data);
+    sendSuccess(res, updated, 'Entitlement rule updated successfully');
+  }));
+
+  router.delete('/:id', safeHandler(async (req, res) => {
+    await ruleController.delete(AppDataSource, req.params.id);
+    sendSuccess(res, null, 'Entitlement rule deleted successfully');
+  }));
+
+  return router;
+};
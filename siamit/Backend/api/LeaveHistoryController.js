@@ -2,7 +2,7 @@ const express = require('express');
 const authMiddleware = require('../middleware/authMiddleware');
 const { Between, In } = require('typeorm');
 const config = require('../config');
-const { calculateDaysBetween, parseAttachments } = require('../utils');
+const { countLeaveDays, loadHolidaySetForLeaves, parseAttachments } = require('../utils');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -70,9 +70,9 @@ module.exports = (AppDataSource) => {
   };
 
   /**
-   * Helper: Calculate Leave Duration details
+   * Helper: Calculate Leave Duration details (working days only)
    */
-  const calculateDuration = (leave) => {
+  const calculateDuration = (leave, holidaySet) => {
     let days = 0, hours = 0, durationType = 'day';
 
     if (leave.startTime && leave.endTime) {
@@ -86,12 +86,8 @@ module.exports = (AppDataSource) => {
       hours = Math.floor(diff);
       durationType = 'hour';
     } else if (leave.startDate && leave.endDate) {
-      const start = new Date(leave.startDate);
-      const end = new Date(leave.endDate);
-      days = calculateDaysBetween(start, end);
-      if (days < 0 || isNaN(days)) days = 0;
-      // Force 1 day min for same-day
-      if (days === 0 && leave.startDate === leave.endDate) days = 1;
+      days = countLeaveDays(leave, holidaySet);
+      if (leave.halfDayPeriod) durationType = 'half_day';
     }
 
     // Convert hours to days for summary
@@ -129,11 +125,12 @@ module.exports = (AppDataSource) => {
 
       // 3. Batch Fetch Related Entities (Optimization)
       const leaveTypeIds = leaves.map(l => l.leaveType).filter(Boolean);
-      const statusByIds = leaves.map(l => l.statusBy).filter(Boolean);
+      const statusByIds = [...leaves.map(l => l.statusBy), ...leaves.map(l => l.statusOnBehalfOf)].filter(Boolean);
       
-      const [leaveTypeMap, userMap] = await Promise.all([
+      const [leaveTypeMap, userMap, holidaySet] = await Promise.all([
         getEntityMap(leaveTypeRepo, leaveTypeIds),
-        getEntityMap(userRepo, statusByIds)
+        getEntityMap(userRepo, statusByIds),
+        loadHolidaySetForLeaves(AppDataSource, allLeavesForSummary)
       ]);
 
       // 4. Process Display Data
@@ -153,7 +150,7 @@ module.exports = (AppDataSource) => {
         const statusUser = userMap[leave.statusBy];
         const statusByName = statusUser ? statusUser.name : leave.statusBy;
 
-        const duration = calculateDuration(leave);
+        const duration = calculateDuration(leave, holidaySet);
 
         return {
           id: leave.id,
@@ -165,16 +162,23 @@ module.exports = (AppDataSource) => {
           endDate: leave.endDate,
           startTime: leave.startTime,
           endTime: leave.endTime,
+          halfDayPeriod: leave.halfDayPeriod || null,
           ...duration,
           reason: leave.reason,
           status: leave.status,
           approvedBy: leave.status === 'approved' ? statusByName : null,
           rejectedBy: leave.status === 'rejected' ? statusByName : null,
+          onBehalfOf: userMap[leave.statusOnBehalfOf] ? userMap[leave.statusOnBehalfOf].name : null,
           rejectionReason: leave.rejectedReason,
           submittedDate: leave.createdAt,
           backdated: Boolean(leave.backdated),
           attachments: parseAttachments(leave.attachments),
-          contact: leave.contact || null
+          contact: leave.contact || null,
+          withdrawnTime: leave.withdrawnTime || null,
+          cancelReason: leave.cancelReason || null,
+          cancelRequestedTime: leave.cancelRequestedTime || null,
+          cancelledTime: leave.cancelledTime || null,
+          cancelRejectedReason: leave.cancelRejectedReason || null
         };
       });
 
@@ -189,7 +193,7 @@ module.exports = (AppDataSource) => {
         
         if (l.status === 'approved') {
           approvedCount++;
-          const d = calculateDuration(l);
+          const d = calculateDuration(l, holidaySet);
           if (d.durationType === 'hour') rawHours += d.hours;
           else rawDays += d.days;
         }
@@ -1,6 +1,8 @@
 const express = require('express');
 const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
 const { In } = require('typeorm');
+const { ACCRUAL_MODES, resetLedgerBalances } = require('../utils/leaveLedgerService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -18,6 +20,47 @@ module.exports = (AppDataSource) => {
     }
   };
 
+  // --- Helper: Carry-over, pro-rating and accrual settings ---
+  const CARRY_OVER_EXPIRY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/; // MM-DD
+
+  /**
+   * Validate carry-over / pro-rating / accrual fields from the request body and copy them onto data
+   * @returns {string|null} Error message, or null when valid
+   */
+  const applyQuotaSettings = (body, data) => {
+    const { carryOverMaxDays, carryOverExpiry, prorateFirstYear, accrualMode, accrualRate, maxNegativeDays } = body;
+
+    if (carryOverMaxDays !== undefined) {
+      const maxDays = Number(carryOverMaxDays);
+      if (!Number.isFinite(maxDays) || maxDays < 0) return 'carryOverMaxDays must be a number >= 0';
+      data.carry_over_max_days = maxDays;
+    }
+    if (carryOverExpiry !== undefined) {
+      if (carryOverExpiry && !CARRY_OVER_EXPIRY_PATTERN.test(carryOverExpiry)) return 'carryOverExpiry must be in MM-DD format';
+      data.carry_over_expiry = carryOverExpiry || null;
+    }
+    if (prorateFirstYear !== undefined) data.prorate_first_year = !!prorateFirstYear;
+    if (accrualMode !== undefined) {
+      if (!Object.values(ACCRUAL_MODES).includes(accrualMode)) return `accrualMode must be one of: ${Object.values(ACCRUAL_MODES).join(', ')}`;
+      data.accrual_mode = accrualMode;
+    }
+    if (accrualRate !== undefined) {
+      if (accrualRate === null || accrualRate === '') {
+        data.accrual_rate = null;
+      } else {
+        const rate = Number(accrualRate);
+        if (!Number.isFinite(rate) || rate <= 0) return 'accrualRate must be a number > 0';
+        data.accrual_rate = rate;
+      }
+    }
+    if (maxNegativeDays !== undefined) {
+      const negativeDays = Number(maxNegativeDays);
+      if (!Number.isFinite(negativeDays) || negativeDays < 0) return 'maxNegativeDays must be a number >= 0';
+      data.max_negative_days = negativeDays;
+    }
+    return null;
+  };
+
   // --- Routes ---
 
 
@@ -29,7 +72,11 @@ module.exports = (AppDataSource) => {
       return sendValidationError(res, 'positionId, leaveTypeId, and quota are required');
     }
 
-    const newQuota = await leaveQuotaController.create(AppDataSource, { positionId, leaveTypeId, quota });
+    const createData = { positionId, leaveTypeId, quota };
+    const settingsError = applyQuotaSettings(req.body, createData);
+    if (settingsError) return sendValidationError(res, settingsError);
+
+    const newQuota = await leaveQuotaController.create(AppDataSource, createData);
     sendSuccess(res, newQuota, 'Created leave quota successfully');
   }));
 
@@ -54,8 +101,20 @@ module.exports = (AppDataSource) => {
     if (positionId !== undefined) updateData.positionId = positionId;
     if (leaveTypeId !== undefined) updateData.leaveTypeId = leaveTypeId;
     if (quota !== undefined) updateData.quota = quota;
+
+    const settingsError = applyQuotaSettings(req.body, updateData);
+    if (settingsError) return sendValidationError(res, settingsError);
     
+    const before = await AppDataSource.getRepository('LeaveQuota').findOneBy({ id: req.params.id });
     const quotaObj = await leaveQuotaController.update(AppDataSource, req.params.id, updateData);
+    await recordAudit(AppDataSource, {
+      req,
+      action: AUDIT_ACTIONS.POSITION_QUOTAS_UPDATE,
+      targetType: 'leave_quota',
+      targetId: req.params.id,
+      before,
+      after: quotaObj
+    });
     sendSuccess(res, quotaObj, 'Updated leave quota successfully');
   }));
 
@@ -78,6 +137,8 @@ module.exports = (AppDataSource) => {
         return sendValidationError(res, 'userIds (array) is required');
       }
 
+      await resetLedgerBalances(queryRunner.manager, userIds, { createdBy: req.user?.userId });
+
       const leaveUsedRepo = queryRunner.manager.getRepository('LeaveUsed');
       let affected = 0;
 
@@ -95,6 +156,13 @@ module.exports = (AppDataSource) => {
       }
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.QUOTA_RESET_USERS,
+        targetType: 'leave_quota',
+        targetLabel: `${userIds.length} users`,
+        metadata: { userIds, affected, strategy }
+      });
       return sendSuccess(res, { users: userIds.length, affected, strategy }, 'Leave quota reset successfully');
     } catch (err) {
       await queryRunner.rollbackTransaction();
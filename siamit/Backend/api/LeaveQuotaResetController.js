@@ -1,21 +1,49 @@
 const express = require('express');
 const { sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
 const { In } = require('typeorm');
+const { getLeaveYear, resetLedgerBalances, carryOverUnusedBalance } = require('../utils/leaveLedgerService');
+const { executeMonthlyAccrual } = require('../utils/leaveAccrualService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
 
   // --- Helper Function: Core Reset Logic ---
+  /**
+   * Days/hours used per user, the before/after picture written to the audit log for a reset
+   * @param {EntityManager} manager - Transactional entity manager
+   * @param {Array} userIds - Users being reset
+   * @returns {Promise<Object>} { [userId]: { days, hours } }
+   */
+  const snapshotLeaveUsed = async (manager, userIds) => {
+    const rows = await manager.getRepository('LeaveUsed').find({ where: { user_id: In(userIds) }, select: ['user_id', 'days', 'hour'] });
+    return rows.reduce((acc, row) => {
+      const current = acc[row.user_id] || { days: 0, hours: 0 };
+      acc[row.user_id] = { days: current.days + (Number(row.days) || 0), hours: current.hours + (Number(row.hour) || 0) };
+      return acc;
+    }, {});
+  };
+
   /**
    * Executes the reset logic within a transaction manager
    * @param {EntityManager} manager - Transactional entity manager
    * @param {Array} userIds - List of user IDs to reset
-   * @param {string} strategy - 'zero' or 'delete'
+   * @param {string} strategy - 'zero', 'delete' or 'carry_over' (zero + bring last year's unused days forward)
+   * @param {string} createdBy - Admin who triggered the reset (recorded in the ledger)
    * @returns {Promise<number>} - Number of affected rows
    */
-  const executeResetStrategy = async (manager, userIds, strategy) => {
+  const executeResetStrategy = async (manager, userIds, strategy, createdBy = null) => {
     if (!userIds || userIds.length === 0) return 0;
 
+    // บันทึกรายการ reset ของปีปัจจุบันลง ledger (ยอดปีก่อนๆ ยังอยู่ครบ)
+    await resetLedgerBalances(manager, userIds, { createdBy });
+
+    if (strategy === 'carry_over') {
+      const year = getLeaveYear();
+      const users = await manager.getRepository('User').find({ where: { id: In(userIds) }, select: ['id', 'position', 'start_work'] });
+      await carryOverUnusedBalance(manager, users, year - 1, year);
+    }
+
     if (strategy === 'delete') {
       const result = await manager.getRepository('LeaveUsed').delete({ user_id: In(userIds) });
       return result.affected || 0;
@@ -87,9 +115,21 @@ module.exports = (AppDataSource) => {
       }
 
       // 4. Execute Reset Logic using Helper
-      const affected = await executeResetStrategy(queryRunner.manager, userIds, strategy);
+      const before = await snapshotLeaveUsed(queryRunner.manager, userIds);
+      const affected = await executeResetStrategy(queryRunner.manager, userIds, strategy, req.user?.userId);
+      const after = await snapshotLeaveUsed(queryRunner.manager, userIds);
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.QUOTA_RESET,
+        targetType: 'leave_quota',
+        targetId: positionId || null,
+        targetLabel: positionId ? null : 'All auto-reset positions',
+        before,
+        after,
+        metadata: { positionIds, users: userIds.length, affected, strategy, force: !!force }
+      });
       
       return sendSuccess(res, {
         positions: positionIds.length,
@@ -122,9 +162,20 @@ module.exports = (AppDataSource) => {
       }
 
       // Execute Reset Logic using Helper
-      const affected = await executeResetStrategy(queryRunner.manager, userIds, strategy);
+      const before = await snapshotLeaveUsed(queryRunner.manager, userIds);
+      const affected = await executeResetStrategy(queryRunner.manager, userIds, strategy, req.user?.userId);
+      const after = await snapshotLeaveUsed(queryRunner.manager, userIds);
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.QUOTA_RESET_USERS,
+        targetType: 'leave_quota',
+        targetLabel: `${userIds.length} users`,
+        before,
+        after,
+        metadata: { userIds, affected, strategy }
+      });
 
       return sendSuccess(res, { 
         users: userIds.length, 
@@ -140,5 +191,24 @@ module.exports = (AppDataSource) => {
     }
   });
 
+  // Credit a month of accrual by hand (e.g. backfill after switching a quota to monthly mid-year)
+  router.post('/accrue', async (req, res) => {
+    try {
+      const { year, month } = req.body || {};
+      const result = await executeMonthlyAccrual(AppDataSource, { year, month });
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.QUOTA_ACCRUE,
+        targetType: 'leave_quota',
+        targetLabel: result.year && result.month ? `${result.year}-${String(result.month).padStart(2, '0')}` : null,
+        metadata: { requested: { year: year || null, month: month || null }, result }
+      });
+      return sendSuccess(res, result, result.message);
+    } catch (err) {
+      if (err.message.startsWith('month must be')) return sendValidationError(res, err.message);
+      return sendError(res, err.message, 500);
+    }
+  });
+
   return router;
 };
\ No newline at end of file
@@ -12,12 +12,44 @@ const {
   sendError,
   sendUnauthorized,
   convertToMinutes,
-  calculateDaysBetween,
+  countLeaveDays,
+  toDateKey,
+  calculateWorkingDays,
+  loadHolidaySet,
+  loadHolidaySetForLeaves,
   isWithinWorkingHours,
   sendValidationError,
   sendNotFound,
   parseAttachments
 } = require('../utils');
+const {
+  STEP_STATUS,
+  resolveApprovalChain,
+  createApprovalSteps,
+  getApprovalSteps,
+  canUserActOnStep,
+  findActionableLeaveIds,
+  recordStepDecision,
+  skipOpenSteps
+} = require('../utils/approvalChainService');
+const {
+  LEDGER_ENTRY_TYPES,
+  getLeaveYear,
+  recordLedgerEntry
+} = require('../utils/leaveLedgerService');
+const {
+  findOverlappingLeaves,
+  formatOverlaps,
+  getStaffingShortfalls,
+  findBlackouts,
+  formatBlackouts
+} = require('../utils/leaveConflictService');
+const { wantsLine, emailLeaveOwner, emailCancellationRequest } = require('../utils/notificationService');
+const { PERMISSIONS, hasPermission } = require('../utils/permissionService');
+const { getReportIds, isInReportingLine, emitToApprovers } = require('../utils/reportingLineService');
+const { getDelegatorsFor } = require('../utils/delegationService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+const { validateHalfDay, buildOverlapError, checkBlackouts, submitLeaveRequest, updateLeaveRequest } = require('../utils/leaveSubmissionService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -27,10 +59,86 @@ module.exports = (AppDataSource) => {
   const userRepo = AppDataSource.getRepository('User');
   const leaveTypeRepo = AppDataSource.getRepository('LeaveType');
   const leaveQuotaRepo = AppDataSource.getRepository('LeaveQuota');
-  const leaveUsedRepo = AppDataSource.getRepository('LeaveUsed');
 
   // --- Helper Functions ---
 
+  /**
+   * Helper: restrict a list query to the caller's reporting line.
+   * Returns the where clause(s) to use, or null when the caller sees none of the matching requests.
+   * @param {Object} where - Base where clause
+   * @param {Object} options - { includeActionable } also lists requests whose current chain step the caller may act on,
+   *   for the caller and for every approver the caller currently stands in for
+   * @returns {Promise<{ scope: 'all'|'reports', where: Object|Array|null }>}
+   */
+  const scopeToReports = async (req, where, { includeActionable = false } = {}) => {
+    const approver = await userRepo.findOne({ where: { id: req.user.userId }, select: ['id', 'role', 'department'] });
+    const actors = [approver];
+    if (includeActionable) {
+      const delegations = await getDelegatorsFor(AppDataSource.manager, approver);
+      actors.push(...delegations.map(d => d.delegator));
+    }
+
+    const reportIds = new Set();
+    const leaveIds = new Set();
+    for (const actor of actors) {
+      const ids = await getReportIds(AppDataSource, actor);
+      if (ids === null) return { scope: 'all', where };
+      ids.forEach(id => reportIds.add(id));
+      if (includeActionable) {
+        (await findActionableLeaveIds(AppDataSource.manager, actor)).forEach(id => leaveIds.add(id));
+      }
+    }
+    reportIds.delete(approver.id); // ใบลาของตัวเองไม่ต้องขึ้นในรายการรออนุมัติ แม้จะรับมอบหมายจากหัวหน้าตัวเอง
+
+    const clauses = [];
+    if (where.Repid) {
+      // กรองรายคน: ต้องเป็นลูกทีมเท่านั้น
+      if (reportIds.has(where.Repid)) clauses.push(where);
+    } else if (reportIds.size) {
+      clauses.push({ ...where, Repid: In([...reportIds]) });
+    }
+    if (leaveIds.size) clauses.push({ ...where, id: In([...leaveIds]) });
+    return { scope: 'reports', where: clauses.length ? clauses : null };
+  };
+
+  /**
+   * Helper: find an approver the caller stands in for today who passes the given check
+   * @param {Object} approver - Caller
+   * @param {Function} canAct - async (delegator) => boolean
+   * @param {string} ownerId - Owner of the leave (never acted for: nobody approves their own leave by proxy)
+   * @returns {Promise<Object|null>} Delegating User
+   */
+  const findDelegatorWhoCanAct = async (approver, canAct, ownerId) => {
+    const delegations = await getDelegatorsFor(AppDataSource.manager, approver);
+    for (const { delegator } of delegations) {
+      if (delegator.id !== ownerId && await canAct(delegator)) return delegator;
+    }
+    return null;
+  };
+
+  /**
+   * Helper: may the caller see the approval details of a leave?
+   * The owner, an approver whose reporting line covers the employee (leave.view_all), or whoever can
+   * act on the current chain step, directly or for an approver they stand in for today.
+   */
+  const canViewLeaveDetails = async (req, leave) => {
+    if (leave.Repid === req.user.userId) return true;
+    const viewer = await userRepo.findOne({ where: { id: req.user.userId }, select: ['id', 'role', 'department'] });
+    if (!viewer) return false;
+
+    const requester = await userRepo.findOneBy({ id: leave.Repid });
+    const steps = await getApprovalSteps(AppDataSource.manager, leave.id);
+    const currentStep = steps.find(s => s.status === STEP_STATUS.PENDING) || null;
+    const actors = [viewer, ...(await getDelegatorsFor(AppDataSource.manager, viewer)).map(d => d.delegator)];
+    for (const actor of actors) {
+      if (currentStep && await canUserActOnStep(AppDataSource, currentStep, actor, requester)) return true;
+      if (await hasPermission(AppDataSource, actor.role, PERMISSIONS.LEAVE_VIEW_ALL) && await isInReportingLine(AppDataSource, actor, requester)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
   /**
    * Helper: Batch fetch Leave Types to avoid N+1 queries
    */
@@ -119,8 +227,9 @@ module.exports = (AppDataSource) => {
 
   /**
    * Helper: Calculate duration (Days/Hours)
+   * Day-based leave counts working days only (holidaySet from loadHolidaySet)
    */
-  const calculateDurationDetails = (leave) => {
+  const calculateDurationDetails = (leave, holidaySet = new Set()) => {
     let duration = 0;
     let durationType = 'day';
     let durationHours = 0;
@@ -138,12 +247,10 @@ module.exports = (AppDataSource) => {
       duration = 0;
       durationHours = diff; // Float
     } else if (leave.startDate && leave.endDate) {
-      // Day based
-      const start = new Date(leave.startDate);
-      const end = new Date(leave.endDate);
-      const days = calculateDaysBetween(start, end);
+      // Day based (ไม่นับเสาร์-อาทิตย์และวันหยุด, ลาครึ่งวันนับ 0.5)
+      const days = countLeaveDays(leave, holidaySet);
       
-      durationType = 'day';
+      durationType = leave.halfDayPeriod ? 'half_day' : 'day';
       duration = (days < 0 || isNaN(days)) ? 0 : days;
       durationHours = 0;
     }
@@ -161,40 +268,115 @@ module.exports = (AppDataSource) => {
   };
 
   /**
-   * Helper: Update LeaveUsed table
+   * Helper: Days/hours of a leave per leave year (a leave across 31 Dec is charged to both years)
+   * @returns {Promise<Array<{ leaveYear: number, entryDate: string, days: number, hours: number }>>}
    */
-  const updateLeaveUsed = async (leave) => {
-    try {
-      const leaveTypeEntity = await resolveLeaveType(leave.leaveType);
-      if (!leaveTypeEntity) {
-        console.error('Leave type not found for updating quota:', leave.id);
-        return;
+  const splitLeaveByYear = async (leave, manager) => {
+    const startKey = toDateKey(leave.startDate);
+    const endKey = toDateKey(leave.endDate) || startKey;
+    const startYear = getLeaveYear(startKey);
+    const endYear = getLeaveYear(endKey);
+    const parts = [];
+    for (let year = startYear; year <= endYear; year++) {
+      const part = {
+        ...leave,
+        startDate: year === startYear ? startKey : `${year}-01-01`,
+        endDate: year === endYear ? endKey : `${year}-12-31`
+      };
+      const holidaySet = await loadHolidaySet(manager, part.startDate, part.endDate);
+      const { calculatedDays, calculatedHours } = calculateDurationDetails(part, holidaySet);
+      if (calculatedDays || calculatedHours) {
+        parts.push({ leaveYear: year, entryDate: part.startDate, days: calculatedDays, hours: calculatedHours });
       }
+    }
+    return parts;
+  };
 
-      const { calculatedDays, calculatedHours } = calculateDurationDetails(leave);
-
-      if (calculatedDays === 0 && calculatedHours === 0) return;
+  /**
+   * Helper: Add to (or take from) the running LeaveUsed total of a user and leave type
+   */
+  const adjustLeaveUsed = async (manager, userId, leaveTypeId, days, hours) => {
+    const repo = manager.getRepository('LeaveUsed');
+    const record = await repo.findOne({ where: { user_id: userId, leave_type_id: leaveTypeId } });
+    if (record) {
+      record.days = Math.max(0, (record.days || 0) + days);
+      record.hour = Math.max(0, (record.hour || 0) + hours);
+      record.updated_at = new Date();
+      await repo.save(record);
+    } else if (days > 0 || hours > 0) {
+      await repo.save(repo.create({ user_id: userId, leave_type_id: leaveTypeId, days, hour: hours }));
+    }
+  };
 
-      const existingRecord = await leaveUsedRepo.findOne({
-        where: { user_id: leave.Repid, leave_type_id: leaveTypeEntity.id }
+  /**
+   * Helper: Charge an approved leave to the ledger (and the running LeaveUsed total).
+   * Errors are thrown: call inside the transaction that approves the leave.
+   */
+  const updateLeaveUsed = async (leave, actedBy = null, manager = AppDataSource.manager) => {
+    const leaveTypeEntity = await resolveLeaveType(leave.leaveType);
+    if (!leaveTypeEntity) throw new Error(`Leave type not found for leave request ${leave.id}`);
+
+    const parts = await splitLeaveByYear(leave, manager);
+    for (const part of parts) {
+      await recordLedgerEntry(manager, {
+        userId: leave.Repid,
+        leaveTypeId: leaveTypeEntity.id,
+        leaveYear: part.leaveYear,
+        entryType: LEDGER_ENTRY_TYPES.APPROVAL,
+        days: part.days,
+        hours: part.hours,
+        entryDate: part.entryDate,
+        leaveRequestId: leave.id,
+        createdBy: actedBy
       });
+    }
+    const total = parts.reduce((acc, p) => ({ days: acc.days + p.days, hours: acc.hours + p.hours }), { days: 0, hours: 0 });
+    if (total.days || total.hours) await adjustLeaveUsed(manager, leave.Repid, leaveTypeEntity.id, total.days, total.hours);
+  };
 
-      if (existingRecord) {
-        existingRecord.days = (existingRecord.days || 0) + calculatedDays;
-        existingRecord.hour = (existingRecord.hour || 0) + calculatedHours;
-        existingRecord.updated_at = new Date();
-        await leaveUsedRepo.save(existingRecord);
-      } else {
-        const newRecord = leaveUsedRepo.create({
-          user_id: leave.Repid,
-          leave_type_id: leaveTypeEntity.id,
-          days: calculatedDays,
-          hour: calculatedHours
-        });
-        await leaveUsedRepo.save(newRecord);
-      }
-    } catch (error) {
-      console.error('Error updating LeaveUsed table:', error);
+  /**
+   * Helper: Refund an approved leave through the ledger (cancellation or deletion).
+   * Refunds what the ledger holds for the leave, per type and year, so later edits to the
+   * leave cannot change the amount. Leaves charged before the ledger fall back to their dates.
+   * Errors are thrown: call inside the same transaction as the status change.
+   */
+  const revertLeaveUsed = async (leave, actedBy = null, manager = AppDataSource.manager) => {
+    let charges = await manager.getRepository('LeaveLedger')
+      .createQueryBuilder('ledger')
+      .select('ledger.leave_type_id', 'leaveTypeId')
+      .addSelect('ledger.leave_year', 'leaveYear')
+      .addSelect('MIN(ledger.entry_date)', 'entryDate')
+      .addSelect('COALESCE(SUM(ledger.days), 0)', 'days')
+      .addSelect('COALESCE(SUM(ledger.hours), 0)', 'hours')
+      .where('ledger.leave_request_id = :leaveId', { leaveId: leave.id })
+      .groupBy('ledger.leave_type_id')
+      .addGroupBy('ledger.leave_year')
+      .getRawMany();
+    charges = charges
+      .map(c => ({ leaveTypeId: c.leaveTypeId, leaveYear: Number(c.leaveYear), entryDate: c.entryDate, days: Number(c.days) || 0, hours: Number(c.hours) || 0 }))
+      .filter(c => c.days > 0 || c.hours > 0);
+
+    if (!charges.length) {
+      const hasEntries = await manager.getRepository('LeaveLedger').count({ where: { leave_request_id: leave.id } });
+      if (hasEntries) return; // คืนไปแล้ว
+      const leaveTypeEntity = await resolveLeaveType(leave.leaveType);
+      if (!leaveTypeEntity) return;
+      charges = (await splitLeaveByYear(leave, manager)).map(p => ({ ...p, leaveTypeId: leaveTypeEntity.id }));
+    }
+
+    for (const charge of charges) {
+      await recordLedgerEntry(manager, {
+        userId: leave.Repid,
+        leaveTypeId: charge.leaveTypeId,
+        leaveYear: charge.leaveYear,
+        entryType: LEDGER_ENTRY_TYPES.CANCELLATION,
+        days: -charge.days,
+        hours: -charge.hours,
+        entryDate: charge.entryDate,
+        leaveRequestId: leave.id,
+        createdBy: actedBy
+      });
+      await adjustLeaveUsed(manager, leave.Repid, charge.leaveTypeId, -charge.days, -charge.hours);
     }
   };
 
@@ -229,12 +411,14 @@ module.exports = (AppDataSource) => {
   };
 
   /**
-   * Helper: Send LINE Notification
+   * Helper: Tell the owner of a leave about a decision (LINE and/or email, per their preferences)
    */
-  const sendLineNotification = async (leave, status, approverName, rejectedReason) => {
+  const notifyLeaveOwner = async (leave, status, approverName, rejectedReason) => {
     try {
       const user = await userRepo.findOneBy({ id: leave.Repid });
-      if (!user || !user.lineUserId) return;
+      if (!user) return;
+      await emailLeaveOwner(AppDataSource, leave, user, status, approverName, rejectedReason);
+      if (!wantsLine(user)) return;
 
       const leaveTypeEntity = await resolveLeaveType(leave.leaveType);
       const { th, en } = formatLeaveTypeNames(leaveTypeEntity, leave.leaveType);
@@ -250,11 +434,17 @@ module.exports = (AppDataSource) => {
       } else if (status === 'rejected') {
         message = `❌ คำขอการลาถูกปฏิเสธ\n📋 ${leaveTypeNameDisplay}\n📅 ${startDate} - ${endDate}\n👤 โดย: ${approverName}\n⏰ ${currentTime}`;
         if (rejectedReason) message += `\n📝 เหตุผล: ${rejectedReason}`;
+      } else if (status === 'cancelled') {
+        message = `🔄 การยกเลิกใบลาได้รับการยืนยันแล้ว (คืนโควต้าเรียบร้อย)\n📋 ${leaveTypeNameDisplay}\n📅 ${startDate} - ${endDate}\n👤 โดย: ${approverName}\n⏰ ${currentTime}`;
+      } else if (status === 'cancel_rejected') {
+        message = `⚠️ คำขอยกเลิกใบลาไม่ได้รับการอนุมัติ (ใบลายังมีผลตามเดิม)\n📋 ${leaveTypeNameDisplay}\n📅 ${startDate} - ${endDate}\n👤 โดย: ${approverName}\n⏰ ${currentTime}`;
+        if (rejectedReason) message += `\n📝 เหตุผล: ${rejectedReason}`;
       }
+      if (!message) return;
 
       await LineController.sendNotification(user.lineUserId, message);
     } catch (error) {
-      console.error('Error sending LINE notification:', error);
+      console.error('Error notifying leave owner:', error);
     }
   };
 
@@ -269,172 +459,65 @@ module.exports = (AppDataSource) => {
       });
     },
     async (req, res) => {
-      // ใช้ QueryRunner เพื่อทำ Transaction (สำคัญมากสำหรับการตัดโควต้า)
-      const queryRunner = AppDataSource.createQueryRunner();
-      await queryRunner.connect();
-      await queryRunner.startTransaction();
-
       const uploadedFiles = req.files || [];
 
       try {
-        // --- 1. Auth & Data Prep (Strict Check) ---
-        let userId = null;
+        // --- 1. Auth ---
         const authHeader = req.headers.authorization;
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
            return sendUnauthorized(res, 'Authorization token is required');
         }
 
+        let userId = null;
         try {
            userId = verifyToken(authHeader.split(' ')[1]).userId;
         } catch (err) { 
            return sendUnauthorized(res, 'Invalid token'); 
         }
 
-        // ดึงข้อมูล User ผ่าน Transaction Manager
-        const user = await queryRunner.manager.findOne('User', { where: { id: userId } });
-        if (!user) throw new Error('User not found');
-        
-        const employeeType = user.position;
-        const { leaveType, startDate, endDate, startTime, endTime, reason, supervisor, contact, durationType } = req.body;
-
-        // --- 2. Calculate Duration (คำนวณวัน/ชั่วโมงที่ขอก่อน เพื่อไปเช็คโควต้า) ---
-        let reqDays = 0;
-        let reqHours = 0;
-
-        if (durationType === 'hour' && startTime && endTime) {
-           // คำนวณชั่วโมง
-           const [sh, sm] = startTime.split(':').map(Number);
-           const [eh, em] = endTime.split(':').map(Number);
-           let diff = (eh * 60 + em) - (sh * 60 + sm);
-           if (diff < 0) diff += 24 * 60; // กรณีข้ามเที่ยงคืน (ถ้ามี)
-           reqHours = diff / 60;
-        } else {
-           // คำนวณวัน
-           const start = new Date(startDate);
-           const end = new Date(endDate);
-           reqDays = calculateDaysBetween(start, end); // สมมติว่ามี function นี้ใน utils
-           if (reqDays <= 0) reqDays = 1; // ลาอย่างน้อย 1 วัน
-        }
-
-        // --- 3. Resolve Leave Type & Quota Validation (Critical) ---
-        const leaveTypeEntity = await resolveLeaveType(leaveType);
+        const leaveTypeEntity = await resolveLeaveType(req.body.leaveType);
         if (!leaveTypeEntity) throw new Error('Invalid Leave Type');
 
-        // ข้ามการเช็คโควต้าถ้าเป็น "Emergency" (หรือตาม Business Logic)
-        if (leaveTypeEntity.leave_type_en !== 'Emergency') {
-          // 3.1 ดึง Quota (Lock row เพื่อป้องกันการแย่งกันอ่านค่า)
-          const quotaRow = await queryRunner.manager.getRepository('LeaveQuota')
-            .createQueryBuilder('quota')
-            .setLock('pessimistic_write') // Lock จนกว่าจะจบ Transaction
-            .where('quota.positionId = :pid', { pid: employeeType })
-            .andWhere('quota.leaveTypeId = :ltid', { ltid: leaveTypeEntity.id })
-            .getOne();
-
-          if (!quotaRow) return sendValidationError(res, 'Leave quota not found for this position.');
-
-          // 3.2 ดึงข้อมูลที่ใช้ไปแล้ว (LeaveUsed)
-          const usedRow = await queryRunner.manager.findOne('LeaveUsed', { 
-            where: { user_id: userId, leave_type_id: leaveTypeEntity.id } 
-          });
-
-          const currentUsedDays = usedRow ? usedRow.days : 0;
-          const currentUsedHours = usedRow ? usedRow.hour : 0;
-
-          // 3.3 ตรวจสอบว่าพอหรือไม่ (Logic อย่างง่าย: แปลงทุกอย่างเป็นชั่วโมงหรือวันแล้วเทียบ)
-          // สมมติ 1 วัน = 8 ชั่วโมง (ดึงจาก config จะดีที่สุด)
-          const WORK_HOURS = config.business.workingHoursPerDay || 8;
-          
-          const totalQuotaUnits = (quotaRow.quota || 0) * WORK_HOURS; // แปลงเป็นหน่วยย่อยสุด (ชั่วโมง)
-          const totalUsedUnits = (currentUsedDays * WORK_HOURS) + currentUsedHours;
-          const totalRequestUnits = (reqDays * WORK_HOURS) + reqHours;
-
-          if (totalUsedUnits + totalRequestUnits > totalQuotaUnits) {
-             throw new Error(`Quota exceeded. Remaining: ${((totalQuotaUnits - totalUsedUnits)/WORK_HOURS).toFixed(2)} days.`);
-          }
-        }
-
-        // --- 4. Time & Backdated Validation ---
-        if (startTime && endTime) {
-           if (startTime === endTime) return sendValidationError(res, 'Start and end time cannot be same');
-           const toMins = (t) => { const [h,m] = t.split(':').map(Number); return h*60+m; };
-           const startM = toMins(startTime), endM = toMins(endTime);
-           const workStart = config.business.workingStartHour * 60;
-           const workEnd = config.business.workingEndHour * 60;
-           if (startM < workStart || endM > workEnd) return sendValidationError(res, 'Outside working hours');
-        }
-
-        let backdated = 0;
-        if (startDate) {
-          const today = new Date(); today.setHours(0,0,0,0);
-          const start = parseLocalDate(startDate);
-          if (start && start < today) backdated = 1;
-        }
+        // --- 2. Validate & Save (โควต้า เวลาทำงาน ลาย้อนหลัง ใบลาซ้อน ช่วงห้ามลา ใน Transaction เดียว) ---
+        const { user, leave: savedLeave, approvalSteps, warnings } = await submitLeaveRequest(AppDataSource, {
+          userId,
+          leaveTypeEntity,
+          input: req.body,
+          attachments: uploadedFiles.map(f => f.filename)
+        });
 
-        // FIX: ตัดการรับค่า allowBackdated จาก req.body เพื่อความปลอดภัย
-        // ควรเช็คจาก Config หรือ Role ของ User เท่านั้น
-        const isBackdatedAllowed = false; // หรือ config.allowBackdated
-        if (!isBackdatedAllowed && backdated === 1) {
-           // ยกเว้นกรณีฉุกเฉิน หรือเงื่อนไขพิเศษ
-           if (leaveTypeEntity.leave_type_en !== 'Emergency') {
-              return sendValidationError(res, 'Backdated leave is not allowed');
-           }
-        }
+        // --- 3. Socket Notification (ทำหลังจาก Commit สำเร็จ) ---
+        await emitToApprovers(AppDataSource, user, 'newLeaveRequest', {
+          requestId: savedLeave.id,
+          userName: user.name,
+          leaveType: leaveTypeEntity.leave_type_th || leaveTypeEntity.leave_type_en,
+          startDate: savedLeave.startDate,
+          endDate: savedLeave.endDate,
+          reason: savedLeave.reason,
+          employeeId: savedLeave.Repid
+        });
 
-        // --- 5. Save ---
-        const attachmentsArr = uploadedFiles.map(f => f.filename);
-        const leaveData = {
-          Repid: userId,
-          employeeType,
-          leaveType: leaveTypeEntity.id, // Save ID strictly
-          startDate, endDate,
-          startTime: durationType === 'hour' ? startTime : null,
-          endTime: durationType === 'hour' ? endTime : null,
-          reason, supervisor, contact,
-          attachments: attachmentsArr.length ? JSON.stringify(attachmentsArr) : null,
-          status: 'pending',
-          backdated
-        };
-
-        const savedLeave = await queryRunner.manager.save('LeaveRequest', leaveData);
-
-        // Commit Transaction (บันทึกจริง)
-        await queryRunner.commitTransaction();
-
-        // --- 6. Socket Notification (ทำหลังจาก Commit สำเร็จ) ---
-        if (global.io) {
-          const ltName = leaveTypeEntity.leave_type_th || leaveTypeEntity.leave_type_en;
-          global.io.to('admin_room').emit('newLeaveRequest', {
-            requestId: savedLeave.id,
-            userName: user.name,
-            leaveType: ltName,
-            startDate: savedLeave.startDate,
-            endDate: savedLeave.endDate,
-            reason: savedLeave.reason,
-            employeeId: savedLeave.Repid
-          });
-        }
+        // การ์ดอนุมัติใน LINE: ผู้อนุมัติขั้นแรกของสายอนุมัติ หรือหัวหน้าตามสายบังคับบัญชาถ้าไม่มีสาย
+        await LineController.notifyLeaveApprovers(savedLeave, user, approvalSteps[0] || null);
 
-        res.status(201).json({ status: 'success', data: savedLeave, message: 'Leave request created' });
+        res.status(201).json({
+          status: 'success',
+          data: savedLeave,
+          message: 'Leave request created',
+          ...(warnings ? { warnings } : {})
+        });
 
       } catch (err) {
-        // Rollback Transaction (ยกเลิก Database)
-        await queryRunner.rollbackTransaction();
-
         // Cleanup: ลบไฟล์ที่อัปโหลดไปแล้วทิ้ง เพราะ Save ไม่สำเร็จ
-        if (uploadedFiles.length > 0) {
-           uploadedFiles.forEach(f => {
-              const fs = require('fs');
-              const path = require('path');
-              try { fs.unlinkSync(f.path); } catch(e) {}
-           });
-        }
+        uploadedFiles.forEach(f => {
+          try { fs.unlinkSync(f.path); } catch (e) {}
+        });
 
+        if (err.isValidation) return sendValidationError(res, err.message);
         console.error('Create Leave Error:', err);
         // Security: ส่ง Generic Error หรือ Error ที่ Safe
-        const statusCode = err.message.includes('Quota') ? 400 : 500;
-        res.status(statusCode).json({ status: 'error', message: err.message });
-      } finally {
-        await queryRunner.release();
+        const statusCode = err.statusCode || 500;
+        res.status(statusCode).json({ status: 'error', message: err.message, ...(err.data ? { data: err.data } : {}) });
       }
     }
   );
@@ -443,12 +526,13 @@ module.exports = (AppDataSource) => {
   const processLeaveList = async (leaves) => {
     // 1. Collect IDs
     const leaveTypeIds = leaves.map(l => l.leaveType);
-    const userIds = [...leaves.map(l => l.Repid), ...leaves.map(l => l.statusBy)];
+    const userIds = [...leaves.map(l => l.Repid), ...leaves.map(l => l.statusBy), ...leaves.map(l => l.statusOnBehalfOf), ...leaves.map(l => l.cancelledBy)];
 
     // 2. Batch Fetch
-    const [leaveTypeMap, userMap] = await Promise.all([
+    const [leaveTypeMap, userMap, holidaySet] = await Promise.all([
       getLeaveTypeMap(leaveTypeIds),
-      getUserMap(userIds)
+      getUserMap(userIds),
+      loadHolidaySetForLeaves(AppDataSource, leaves)
     ]);
 
     // 3. Map Results
@@ -457,11 +541,11 @@ module.exports = (AppDataSource) => {
       const names = formatLeaveTypeNames(lt, l.leaveType);
       const user = userMap[l.Repid] || null;
       const approver = userMap[l.statusBy] || null;
-      const { duration, durationType } = calculateDurationDetails(l);
+      const { duration, durationType, durationHours } = calculateDurationDetails(l, holidaySet);
 
       // Construct formatted duration string
       const durationDisplay = durationType === 'hour' 
-        ? calculateDurationDetails(l).durationHours.toFixed(2) 
+        ? durationHours.toFixed(2) 
         : duration.toString();
 
       return {
@@ -473,18 +557,27 @@ module.exports = (AppDataSource) => {
         endDate: l.endDate,
         startTime: l.startTime,
         endTime: l.endTime,
+        halfDayPeriod: l.halfDayPeriod || null,
         duration: durationDisplay,
         durationType,
         reason: l.reason,
         status: l.status,
+        currentApprovalStep: l.currentApprovalStep ?? null,
         submittedDate: l.createdAt,
         user: user ? { name: user.name, department: user.department, position: user.position } : null,
         approvedBy: l.status === 'approved' && approver ? approver.name : null,
         rejectedBy: l.status === 'rejected' && approver ? approver.name : null,
+        onBehalfOf: userMap[l.statusOnBehalfOf] ? userMap[l.statusOnBehalfOf].name : null,
         rejectionReason: l.rejectedReason,
         attachments: parseAttachments(l.attachments),
         backdated: Number(l.backdated),
-        contact: l.contact
+        contact: l.contact,
+        withdrawnTime: l.withdrawnTime || null,
+        cancelReason: l.cancelReason || null,
+        cancelRequestedTime: l.cancelRequestedTime || null,
+        cancelledBy: userMap[l.cancelledBy] ? userMap[l.cancelledBy].name : null,
+        cancelledTime: l.cancelledTime || null,
+        cancelRejectedReason: l.cancelRejectedReason || null
       };
     });
   };
@@ -512,13 +605,18 @@ module.exports = (AppDataSource) => {
 
       if (req.query.backdated) where.backdated = req.query.backdated === '1' ? 1 : 0;
 
+      const scoped = await scopeToReports(req, where, { includeActionable: true });
+      if (!scoped.where) {
+        return res.json({ status: 'success', data: [], total: 0, page, totalPages: 0, scope: scoped.scope });
+      }
+
       const [leaves, total] = await Promise.all([
-        leaveRepo.find({ where, order: { createdAt: 'DESC' }, skip, take: limit }),
-        leaveRepo.count({ where })
+        leaveRepo.find({ where: scoped.where, order: { createdAt: 'DESC' }, skip, take: limit }),
+        leaveRepo.count({ where: scoped.where })
       ]);
 
       const data = await processLeaveList(leaves);
-      res.json({ status: 'success', data, total, page, totalPages: Math.ceil(total / limit) });
+      res.json({ status: 'success', data, total, page, totalPages: Math.ceil(total / limit), scope: scoped.scope });
     } catch (err) {
       res.status(500).json({ status: 'error', message: err.message });
     }
@@ -538,7 +636,7 @@ module.exports = (AppDataSource) => {
       if (status) {
         where.status = status.includes(',') ? In(status.split(',')) : status;
       } else {
-        where.status = In(['approved', 'rejected', 'pending']);
+        where.status = In(['approved', 'rejected', 'pending', 'withdrawn', 'cancel_requested', 'cancelled']);
       }
 
       // Date Filter
@@ -553,15 +651,23 @@ module.exports = (AppDataSource) => {
       if (leaveType) where.leaveType = leaveType;
       if (backdated) where.backdated = backdated === '1' ? 1 : 0;
 
+      const scoped = await scopeToReports(req, where);
+      if (!scoped.where) {
+        return res.json({ status: 'success', data: [], total: 0, page, totalPages: 0, approvedCount: 0, rejectedCount: 0, scope: scoped.scope });
+      }
+      const withStatus = (statusValue) => (Array.isArray(scoped.where)
+        ? scoped.where.map(w => ({ ...w, status: statusValue }))
+        : { ...scoped.where, status: statusValue });
+
       const [leaves, total] = await Promise.all([
-        leaveRepo.find({ where, order: { createdAt: 'DESC' }, skip: (page - 1) * limit, take: limit }),
-        leaveRepo.count({ where })
+        leaveRepo.find({ where: scoped.where, order: { createdAt: 'DESC' }, skip: (page - 1) * limit, take: limit }),
+        leaveRepo.count({ where: scoped.where })
       ]);
 
       // Count stats efficiently
       const [approvedCount, rejectedCount] = await Promise.all([
-        leaveRepo.count({ where: { ...where, status: 'approved' } }),
-        leaveRepo.count({ where: { ...where, status: 'rejected' } })
+        leaveRepo.count({ where: withStatus('approved') }),
+        leaveRepo.count({ where: withStatus('rejected') })
       ]);
 
       const data = await processLeaveList(leaves);
@@ -569,7 +675,7 @@ module.exports = (AppDataSource) => {
       res.json({ 
         status: 'success', data, total, 
         page, totalPages: Math.ceil(total / limit),
-        approvedCount, rejectedCount 
+        approvedCount, rejectedCount, scope: scoped.scope
       });
     } catch (err) {
       res.status(500).json({ status: 'error', message: err.message });
@@ -593,44 +699,233 @@ module.exports = (AppDataSource) => {
 
   // PUT /api/leave-request/:id (Update)
   router.put('/:id', leaveAttachmentsUpload.array('attachments', 10), async (req, res) => {
+    const uploadedFiles = req.files || [];
     try {
-      const { id } = req.params;
-      const leave = await leaveRepo.findOneBy({ id });
-      if (!leave) return res.status(404).json({ success: false, message: 'Not found' });
-
-      // Validation: Cannot edit past leave
-      const now = new Date(); now.setHours(0,0,0,0);
-      const start = leave.startDate ? new Date(leave.startDate) : null;
-      if (start && start <= now) return res.status(400).json({ success: false, message: 'Cannot edit started leave' });
-
-      // Update fields
-      const fields = ['leaveType', 'personalLeaveType', 'startDate', 'endDate', 'startTime', 'endTime', 'reason', 'supervisor', 'contact'];
-      fields.forEach(f => { if (req.body[f] !== undefined) leave[f] = req.body[f]; });
-
-      // Recalculate backdated
-      if (req.body.startDate) {
-        const s = parseLocalDate(req.body.startDate);
-        leave.backdated = (s && s < now) ? 1 : 0;
+      let leaveTypeEntity = null;
+      if (req.body.leaveType !== undefined) {
+        leaveTypeEntity = await resolveLeaveType(req.body.leaveType);
+        if (!leaveTypeEntity) return sendValidationError(res, 'Invalid Leave Type');
       }
 
-      // Attachments
-      if (req.files && req.files.length) {
-        leave.attachments = JSON.stringify(req.files.map(f => f.filename));
+      // ตรวจแบบเดียวกับการยื่นใหม่ (โควต้า เวลาทำงาน ลาย้อนหลัง ใบลาซ้อน ช่วงห้ามลา) ใน transaction ที่ lock ใบลา
+      const { user, leave, approvalSteps, warnings } = await updateLeaveRequest(AppDataSource, {
+        leaveId: req.params.id,
+        userId: req.user?.userId,
+        leaveTypeEntity,
+        input: req.body,
+        attachments: uploadedFiles.length ? uploadedFiles.map(f => f.filename) : null
+      });
+
+      // สายอนุมัติเปลี่ยนตามประเภทการลาใหม่: แจ้งผู้อนุมัติขั้นแรกของสายใหม่
+      if (approvalSteps && approvalSteps.length) {
+        await LineController.notifyLeaveApprovers(leave, user, approvalSteps[0]);
       }
 
-      await leaveRepo.save(leave);
-      res.json({ success: true, data: leave, message: 'Updated' });
+      res.json({ success: true, data: leave, message: 'Updated', ...(warnings ? { warnings } : {}) });
     } catch (err) {
+      uploadedFiles.forEach(f => {
+        try { fs.unlinkSync(f.path); } catch (e) {}
+      });
+      if (err.isValidation) return sendValidationError(res, err.message);
+      if (err.statusCode) return sendError(res, err.message, err.statusCode, err.data);
       res.status(500).json({ success: false, message: err.message });
     }
   });
 
+  // ป้ายกำกับใบลาใน audit log: ชื่อพนักงาน + ช่วงวันลา
+  const describeLeave = (leave, requester) => `${requester ? requester.name : leave.Repid} ${leave.startDate} - ${leave.endDate}`;
+
+  const decisionError = (statusCode, message) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  };
+
+  /**
+   * Helper: Approve or reject a pending leave (the current chain step, or the whole request).
+   * Shared by PUT /:id/status and the Approve/Reject buttons of the LINE approval message.
+   * @param {Object} params
+   * @param {string} params.leaveId - Leave request
+   * @param {string} params.approverId - Acting user
+   * @param {string} params.status - 'approved' | 'rejected'
+   * @param {string} params.rejectedReason - Reason shown to the employee (rejections)
+   * @param {string} params.comment - Step comment (approvals)
+   * @param {Object} params.req - Express request, for the audit log (null from LINE)
+   * @param {string} params.channel - Where the decision was made when not on the web (e.g. 'line')
+   * @param {boolean} params.checkOnly - Only check that the approver may act (nothing is saved)
+   * @returns {Promise<{ leave: Object, requester: Object, nextStep: Object|null }>}
+   * @throws {Error} with statusCode 400/403/404 when the decision is not allowed
+   */
+  const decideLeaveStatus = async ({ leaveId, approverId, status, rejectedReason = null, comment = null, req = null, channel = null, checkOnly = false }) => {
+    // FIX 2: Validate ค่า status ป้องกันการส่งค่ามั่วๆ
+    if (!['approved', 'rejected'].includes(status)) {
+      throw decisionError(400, 'Invalid status. Must be approved or rejected.');
+    }
+
+    // โหลดใบลาและตรวจสิทธิ์ ใช้ทั้งตอน checkOnly และภายใน transaction (lock แถวใบลาไว้)
+    const loadDecision = async (manager, lock) => {
+      const leave = await manager.getRepository('LeaveRequest').findOne({
+        where: { id: leaveId },
+        ...(lock ? { lock: { mode: 'pessimistic_write' } } : {})
+      });
+      if (!leave) throw decisionError(404, 'Leave request not found');
+
+      // FIX 3: ป้องกันการอนุมัติให้ตัวเอง (Self-Approval Prevention)
+      if (leave.Repid === approverId) {
+        throw decisionError(403, 'You cannot approve/reject your own leave request.');
+      }
+
+      // ตัดสินได้เฉพาะใบลาที่ยังรออนุมัติ (ปุ่มใน LINE อาจถูกกดหลังใบลาถูกถอนหรือตัดสินไปแล้ว)
+      if (leave.status !== 'pending') {
+        throw decisionError(400, 'This request has already been processed.');
+      }
+
+      const approver = await userRepo.findOneBy({ id: approverId });
+
+      // --- Multi-level approval: ตรวจสอบสิทธิ์ของขั้นปัจจุบัน ---
+      // ใบลาที่มีสายอนุมัติ: ผู้อนุมัติของขั้นนั้นๆ มีสิทธิ์เสมอ
+      // ไม่มีสายอนุมัติ: ต้องมีสิทธิ์ leave.approve และเจ้าของใบลาต้องอยู่ในสายบังคับบัญชา
+      // ผู้ที่ไม่มีสิทธิ์เองแต่ได้รับมอบหมายจากผู้อนุมัติที่มีสิทธิ์ ตัดสินแทนได้ (บันทึกไว้ใน onBehalfOf)
+      const steps = await getApprovalSteps(manager, leave.id);
+      const requester = await userRepo.findOneBy({ id: leave.Repid });
+      const currentStep = steps.find(s => s.status === STEP_STATUS.PENDING) || null;
+      let onBehalfOf = null;
+      if (!steps.length) {
+        const canApproveLeave = async (user) => (await hasPermission(AppDataSource, user?.role, PERMISSIONS.LEAVE_APPROVE))
+          && isInReportingLine(AppDataSource, user, requester);
+        if (!(await canApproveLeave(approver))) {
+          onBehalfOf = await findDelegatorWhoCanAct(approver, canApproveLeave, leave.Repid);
+          if (!onBehalfOf) throw decisionError(403, 'You are not an approver of this employee and are not standing in for one.');
+        }
+      } else if (currentStep && !(await canUserActOnStep(AppDataSource, currentStep, approver, requester))) {
+        onBehalfOf = await findDelegatorWhoCanAct(approver, (delegator) => canUserActOnStep(AppDataSource, currentStep, delegator, requester), leave.Repid);
+        if (!onBehalfOf) throw decisionError(403, 'You are not the approver of the current approval step.');
+      }
+      return { leave, approver, requester, steps, currentStep, onBehalfOf };
+    };
+
+    if (checkOnly) {
+      const { leave, requester } = await loadDecision(AppDataSource.manager, false);
+      return { leave, requester, nextStep: null };
+    }
+
+    // ตัดสินภายใน transaction ที่ lock แถวใบลา: กดอนุมัติซ้ำ (LINE ส่งเป็นคนละ event) หรือผู้อนุมัติสองคนกดพร้อมกัน
+    // คำขอที่สองจะรอจนคำขอแรก commit แล้วเห็นว่าใบลา/ขั้นถูกตัดสินไปแล้ว จึงไม่ตัดโควต้าซ้ำ
+    const decision = await AppDataSource.transaction(async (manager) => {
+      const context = await loadDecision(manager, true);
+      const { leave, steps, currentStep, onBehalfOf } = context;
+      const leaveBefore = { ...leave };
+      const txLeaveRepo = manager.getRepository('LeaveRequest');
+
+      if (currentStep) {
+        const nextStep = await recordStepDecision(manager, steps, currentStep, {
+          status,
+          actedBy: approverId,
+          onBehalfOf: onBehalfOf ? onBehalfOf.id : null,
+          comment: status === 'rejected' ? rejectedReason : comment
+        });
+
+        // ยังมีขั้นถัดไป: เลื่อนขั้น ยังไม่ตัดโควต้า
+        if (nextStep) {
+          leave.currentApprovalStep = nextStep.stepOrder;
+          await txLeaveRepo.save(leave);
+          return { ...context, leaveBefore, nextStep };
+        }
+      }
+
+      // --- Logic การบันทึก (เหมือนเดิม) ---
+      leave.status = status;
+      leave.statusBy = approverId;
+      leave.statusOnBehalfOf = onBehalfOf ? onBehalfOf.id : null;
+      leave.statusChangeTime = new Date();
+
+      if (status === 'approved') {
+        leave.approvedTime = new Date();
+        await updateLeaveUsed(leave, approverId, manager); // ฟังก์ชันคำนวณโควต้า
+      } else if (status === 'rejected') {
+        leave.rejectedTime = new Date();
+        leave.rejectedReason = rejectedReason;
+      }
+
+      await txLeaveRepo.save(leave);
+      return { ...context, leaveBefore, nextStep: null };
+    });
+    const { leave, leaveBefore, approver, requester, currentStep, nextStep, onBehalfOf } = decision;
+
+    const auditMetadata = (extra) => ({ ...extra, onBehalfOf: onBehalfOf ? onBehalfOf.id : null, ...(channel ? { channel } : {}) });
+
+    // ยังมีขั้นถัดไป: แจ้งผู้อนุมัติขั้นถัดไป
+    if (nextStep) {
+      if (global.io) {
+        global.io.to(`user_${leave.Repid}`).emit('leaveRequestStepApproved', {
+          requestId: leave.id,
+          stepOrder: currentStep.stepOrder,
+          nextStepOrder: nextStep.stepOrder,
+          approvedBy: approverId,
+          onBehalfOf: onBehalfOf ? onBehalfOf.id : null,
+          employeeId: leave.Repid
+        });
+      }
+      await emitToApprovers(AppDataSource, requester, 'leaveRequestStatusChanged', {
+        requestId: leave.id, status: 'pending', employeeId: leave.Repid, statusBy: approverId, currentApprovalStep: nextStep.stepOrder
+      });
+
+      await LineController.notifyLeaveApprovers(leave, requester, nextStep);
+      await recordAudit(AppDataSource, {
+        req,
+        actorId: approverId,
+        action: AUDIT_ACTIONS.LEAVE_APPROVE_STEP,
+        targetType: 'leave_request',
+        targetId: leave.id,
+        targetLabel: describeLeave(leave, requester),
+        before: leaveBefore,
+        after: leave,
+        metadata: auditMetadata({ stepOrder: currentStep.stepOrder, nextStepOrder: nextStep.stepOrder })
+      });
+      return { leave, requester, nextStep };
+    }
+
+    await recordAudit(AppDataSource, {
+      req,
+      actorId: approverId,
+      action: status === 'approved' ? AUDIT_ACTIONS.LEAVE_APPROVE : AUDIT_ACTIONS.LEAVE_REJECT,
+      targetType: 'leave_request',
+      targetId: leave.id,
+      targetLabel: describeLeave(leave, requester),
+      before: leaveBefore,
+      after: leave,
+      metadata: auditMetadata({ reason: status === 'rejected' ? rejectedReason || null : null })
+    });
+
+    // --- Notifications (เหมือนเดิม) ---
+    if (global.io) {
+      const msg = status === 'approved' ? 'Your leave request has been approved' : 'Your leave request has been rejected';
+      // แจ้งเตือน User เจ้าของใบลา
+      global.io.to(`user_${leave.Repid}`).emit('leaveRequestUpdated', {
+        requestId: leave.id, status, statusBy: approverId, onBehalfOf: leave.statusOnBehalfOf, employeeId: leave.Repid, message: msg
+      });
+    }
+    // แจ้งเตือนผู้อนุมัติตามสายบังคับบัญชา
+    await emitToApprovers(AppDataSource, requester, 'leaveRequestStatusChanged', {
+      requestId: leave.id, status, employeeId: leave.Repid, statusBy: approverId
+    });
+
+    // LINE Notification
+    // ส่งการแจ้งเตือนกลับหา User ว่าได้รับการอนุมัติ/ปฏิเสธแล้ว
+    const approverName = approver ? approver.name : 'System';
+    await notifyLeaveOwner(leave, status, onBehalfOf ? `${approverName} (แทน ${onBehalfOf.name})` : approverName, rejectedReason);
+
+    return { leave, requester, nextStep: null };
+  };
+
+  // ปุ่มอนุมัติ/ไม่อนุมัติในข้อความ LINE ใช้ logic เดียวกับหน้าเว็บ
+  LineController.setLeaveDecisionHandler(decideLeaveStatus);
+
   // PUT /api/leave-request/:id/status (Approve/Reject)
   router.put('/:id/status', async (req, res) => {
     try {
-      const { id } = req.params;
       // FIX 1: ตัด statusby ออกจาก body ไม่ให้ส่งมาหลอกระบบ
-      const { status, rejectedReason } = req.body; 
+      const { status, rejectedReason, comment } = req.body; 
       
       let approverId;
 
@@ -640,7 +935,6 @@ module.exports = (AppDataSource) => {
         try {
           const decoded = verifyToken(authHeader.split(' ')[1]);
           approverId = decoded.userId;
-          // (Optional) ตรงนี้คุณควรเช็ค Role ด้วยว่า approverId เป็น Admin หรือ Supervisor หรือไม่
         } catch (e) { 
           return sendUnauthorized(res, 'Invalid Token'); 
         }
@@ -648,93 +942,298 @@ module.exports = (AppDataSource) => {
         return sendUnauthorized(res, 'Authorization token is required');
       }
 
-      // FIX 2: Validate ค่า status ป้องกันการส่งค่ามั่วๆ
+      const { leave } = await decideLeaveStatus({ leaveId: req.params.id, approverId, status, rejectedReason, comment, req });
+      res.json({ success: true, data: leave });
+
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ success: false, message: err.message });
+      // FIX 4: Log Error จริงไว้ดูเอง แต่ส่งข้อความทั่วไปให้ User เพื่อความปลอดภัย
+      console.error('Error in update status:', err); 
+      res.status(500).json({ success: false, message: 'Internal Server Error' });
+    }
+  });
+
+  // GET /api/leave-request/cancel-requests (คำขอยกเลิกใบลาที่รอการยืนยัน)
+  router.get('/cancel-requests', async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || config.pagination.defaultLimit;
+      const scoped = await scopeToReports(req, { status: 'cancel_requested' });
+      if (!scoped.where) {
+        return res.json({ status: 'success', data: [], total: 0, page, totalPages: 0, scope: scoped.scope });
+      }
+
+      const [leaves, total] = await Promise.all([
+        leaveRepo.find({ where: scoped.where, order: { cancelRequestedTime: 'DESC' }, skip: (page - 1) * limit, take: limit }),
+        leaveRepo.count({ where: scoped.where })
+      ]);
+
+      const data = await processLeaveList(leaves);
+      res.json({ status: 'success', data, total, page, totalPages: Math.ceil(total / limit), scope: scoped.scope });
+    } catch (err) {
+      res.status(500).json({ status: 'error', message: err.message });
+    }
+  });
+
+  // POST /api/leave-request/:id/withdraw (ถอนใบลาที่ยังรออนุมัติ)
+  router.post('/:id/withdraw', async (req, res) => {
+    try {
+      const { userId } = req.user;
+      // lock แถวใบลาเหมือนตอนอนุมัติ: ถอนพร้อมกับที่มีคนอนุมัติ จะเกิดได้อย่างใดอย่างหนึ่ง
+      const result = await AppDataSource.transaction(async (manager) => {
+        const txLeaveRepo = manager.getRepository('LeaveRequest');
+        const leave = await txLeaveRepo.findOne({ where: { id: req.params.id }, lock: { mode: 'pessimistic_write' } });
+        if (!leave) return { status: 404, message: 'Leave request not found' };
+
+        if (leave.Repid !== userId) {
+          return { status: 403, message: 'You can only withdraw your own leave request.' };
+        }
+        if (leave.status !== 'pending') {
+          return { status: 400, message: 'Only pending leave requests can be withdrawn.' };
+        }
+
+        // ยังไม่ได้ตัดโควต้า จึงไม่ต้องคืน เก็บประวัติไว้แทนการลบ
+        leave.status = 'withdrawn';
+        leave.withdrawnTime = new Date();
+        leave.statusChangeTime = new Date();
+        leave.currentApprovalStep = null;
+        await txLeaveRepo.save(leave);
+        await skipOpenSteps(manager, leave.id);
+        return { leave };
+      });
+      if (!result.leave) return res.status(result.status).json({ success: false, message: result.message });
+      const { leave } = result;
+
+      await emitToApprovers(AppDataSource, leave.Repid, 'leaveRequestStatusChanged', {
+        requestId: leave.id, status: leave.status, employeeId: leave.Repid, statusBy: userId
+      });
+
+      res.json({ success: true, data: leave, message: 'Leave request withdrawn' });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
+  // POST /api/leave-request/:id/cancel-request (ขอยกเลิกใบลาที่อนุมัติแล้ว ต้องให้ผู้อนุมัติยืนยัน)
+  router.post('/:id/cancel-request', async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { reason } = req.body;
+      const leave = await leaveRepo.findOneBy({ id: req.params.id });
+      if (!leave) return res.status(404).json({ success: false, message: 'Leave request not found' });
+
+      if (leave.Repid !== userId) {
+        return res.status(403).json({ success: false, message: 'You can only cancel your own leave request.' });
+      }
+      if (leave.status !== 'approved') {
+        return res.status(400).json({ success: false, message: 'Only approved leave requests can be cancelled.' });
+      }
+      if (!reason || !String(reason).trim()) {
+        return sendValidationError(res, 'Cancellation reason is required');
+      }
+
+      leave.status = 'cancel_requested';
+      leave.cancelReason = String(reason).trim();
+      leave.cancelRequestedTime = new Date();
+      leave.cancelRejectedReason = null;
+      leave.statusChangeTime = new Date();
+      await leaveRepo.save(leave);
+
+      const requester = await userRepo.findOneBy({ id: userId });
+      await emitToApprovers(AppDataSource, requester, 'leaveCancellationRequested', {
+        requestId: leave.id,
+        userName: requester ? requester.name : null,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        reason: leave.cancelReason,
+        employeeId: leave.Repid
+      });
+      await emailCancellationRequest(AppDataSource, leave, requester, await LineController.getLeaveApprovers(requester, null));
+
+      res.json({ success: true, data: leave, message: 'Cancellation requested' });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
+  // PUT /api/leave-request/:id/cancel-status (ยืนยัน/ปฏิเสธคำขอยกเลิก)
+  router.put('/:id/cancel-status', async (req, res) => {
+    try {
+      const { userId: approverId, role } = req.user;
+      const { status, rejectedReason } = req.body;
+
       if (!['approved', 'rejected'].includes(status)) {
         return res.status(400).json({ success: false, message: 'Invalid status. Must be approved or rejected.' });
       }
+      if (!(await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_APPROVE))) {
+        return res.status(403).json({ success: false, message: 'Only approvers can confirm a cancellation.' });
+      }
 
-      const leave = await leaveRepo.findOneBy({ id });
+      const leave = await leaveRepo.findOneBy({ id: req.params.id });
       if (!leave) return res.status(404).json({ success: false, message: 'Leave request not found' });
 
-      // FIX 3: ป้องกันการอนุมัติให้ตัวเอง (Self-Approval Prevention)
       if (leave.Repid === approverId) {
-        return res.status(403).json({ success: false, message: 'You cannot approve/reject your own leave request.' });
+        return res.status(403).json({ success: false, message: 'You cannot confirm cancellation of your own leave request.' });
+      }
+      if (leave.status !== 'cancel_requested') {
+        return res.status(400).json({ success: false, message: 'This leave request has no pending cancellation.' });
       }
 
-      // ตรวจสอบว่าใบลาถูกดำเนินการไปแล้วหรือยัง (Optional but recommended)
-      if (leave.status === 'approved' || leave.status === 'rejected') {
-         return res.status(400).json({ success: false, message: 'This request has already been processed.' });
+      const [approver, requester] = await Promise.all([
+        userRepo.findOneBy({ id: approverId }),
+        userRepo.findOneBy({ id: leave.Repid })
+      ]);
+      if (!(await isInReportingLine(AppDataSource, approver, requester))) {
+        return res.status(403).json({ success: false, message: 'This employee is not in your reporting line.' });
       }
 
-      // --- Logic การบันทึก (เหมือนเดิม) ---
-      leave.status = status;
-      leave.statusBy = approverId;
+      const leaveBefore = { ...leave };
+      leave.cancelledBy = approverId;
       leave.statusChangeTime = new Date();
-      
+      leave.isRead = false; // ให้กระดิ่งแจ้งเตือนแสดงผลการยกเลิก
+
       if (status === 'approved') {
-        leave.approvedTime = new Date();
-        await updateLeaveUsed(leave); // ฟังก์ชันคำนวณโควต้า
-      } else if (status === 'rejected') {
-        leave.rejectedTime = new Date();
-        leave.rejectedReason = rejectedReason;
+        leave.status = 'cancelled';
+        leave.cancelledTime = new Date();
+      } else {
+        leave.status = 'approved';
+        leave.cancelRejectedReason = rejectedReason || null;
       }
 
-      await leaveRepo.save(leave);
+      const decided = await AppDataSource.transaction(async (manager) => {
+        // lock แถวใบลา: ยืนยันซ้ำพร้อมกันได้ผลครั้งเดียว ไม่คืนโควต้าซ้ำ
+        const current = await manager.getRepository('LeaveRequest').findOne({ where: { id: leave.id }, lock: { mode: 'pessimistic_write' } });
+        if (!current || current.status !== 'cancel_requested') return false;
+        if (status === 'approved') await revertLeaveUsed(leave, approverId, manager); // คืนโควต้าเมื่อยืนยันการยกเลิกเท่านั้น
+        await manager.getRepository('LeaveRequest').save(leave);
+        return true;
+      });
+      if (!decided) {
+        return res.status(400).json({ success: false, message: 'This leave request has no pending cancellation.' });
+      }
+      await recordAudit(AppDataSource, {
+        req,
+        action: status === 'approved' ? AUDIT_ACTIONS.LEAVE_CANCEL_APPROVE : AUDIT_ACTIONS.LEAVE_CANCEL_REJECT,
+        targetType: 'leave_request',
+        targetId: leave.id,
+        targetLabel: describeLeave(leave, requester),
+        before: leaveBefore,
+        after: leave,
+        metadata: status === 'rejected' ? { reason: rejectedReason || null } : null
+      });
 
-      // --- Notifications (เหมือนเดิม) ---
+      const outcome = status === 'approved' ? 'cancelled' : 'cancel_rejected';
       if (global.io) {
-        const msg = status === 'approved' ? 'Your leave request has been approved' : 'Your leave request has been rejected';
-        // แจ้งเตือน User เจ้าของใบลา
+        const msg = status === 'approved' ? 'Your leave cancellation has been confirmed' : 'Your leave cancellation has been rejected';
         global.io.to(`user_${leave.Repid}`).emit('leaveRequestUpdated', {
-          requestId: leave.id, status, statusBy: approverId, employeeId: leave.Repid, message: msg
-        });
-        // แจ้งเตือน Admin Room
-        global.io.to('admin_room').emit('leaveRequestStatusChanged', {
-          requestId: leave.id, status, employeeId: leave.Repid, statusBy: approverId
+          requestId: leave.id, status: leave.status, cancellation: outcome, statusBy: approverId, employeeId: leave.Repid, message: msg
         });
       }
+      await emitToApprovers(AppDataSource, requester, 'leaveRequestStatusChanged', {
+        requestId: leave.id, status: leave.status, employeeId: leave.Repid, statusBy: approverId
+      });
 
-      // LINE Notification
-      const approver = await userRepo.findOneBy({ id: approverId });
-      // ส่งการแจ้งเตือนกลับหา User ว่าได้รับการอนุมัติ/ปฏิเสธแล้ว
-      await sendLineNotification(leave, status, approver ? approver.name : 'System', rejectedReason);
+      await notifyLeaveOwner(leave, outcome, approver ? approver.name : 'System', rejectedReason);
 
       res.json({ success: true, data: leave });
-
     } catch (err) {
-      // FIX 4: Log Error จริงไว้ดูเอง แต่ส่งข้อความทั่วไปให้ User เพื่อความปลอดภัย
-      console.error('Error in update status:', err); 
+      console.error('Error in update cancel status:', err);
       res.status(500).json({ success: false, message: 'Internal Server Error' });
     }
   });
 
+  // GET /api/leave-request/:id/approval-steps
+  router.get('/:id/approval-steps', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const leave = await leaveRepo.findOneBy({ id });
+      if (!leave) return res.status(404).json({ success: false, message: 'Leave request not found' });
+      if (!(await canViewLeaveDetails(req, leave))) {
+        return res.status(403).json({ success: false, message: 'You cannot view this leave request.' });
+      }
+
+      const steps = await getApprovalSteps(AppDataSource.manager, id);
+      const userMap = await getUserMap([...steps.map(s => s.approverId), ...steps.map(s => s.actedBy), ...steps.map(s => s.onBehalfOf)].filter(Boolean));
+
+      const data = steps.map(s => ({
+        id: s.id,
+        stepOrder: s.stepOrder,
+        stepName: s.stepName,
+        approverType: s.approverType,
+        approverRole: s.approverRole,
+        approverId: s.approverId,
+        approverName: userMap[s.approverId] ? userMap[s.approverId].name : null,
+        sameDepartment: !!s.sameDepartment,
+        status: s.status,
+        actedBy: s.actedBy,
+        actedByName: userMap[s.actedBy] ? userMap[s.actedBy].name : null,
+        onBehalfOf: s.onBehalfOf || null,
+        onBehalfOfName: userMap[s.onBehalfOf] ? userMap[s.onBehalfOf].name : null,
+        actedAt: s.actedAt,
+        comment: s.comment
+      }));
+
+      res.json({ success: true, data });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  });
+
+  // GET /api/leave-request/:id/conflicts (ใช้เตือนผู้อนุมัติก่อนกดอนุมัติ)
+  router.get('/:id/conflicts', async (req, res) => {
+    try {
+      const leave = await leaveRepo.findOneBy({ id: req.params.id });
+      if (!leave) return sendNotFound(res, 'Leave request not found');
+      if (!(await canViewLeaveDetails(req, leave))) return sendError(res, 'You cannot view this leave request.', 403);
+
+      const employee = await userRepo.findOne({ where: { id: leave.Repid }, select: ['id', 'department'] });
+      const [overlaps, staffing, blackouts] = await Promise.all([
+        findOverlappingLeaves(AppDataSource.manager, leave.Repid, leave, { excludeId: leave.id }),
+        getStaffingShortfalls(AppDataSource.manager, leave, employee?.department),
+        findBlackouts(AppDataSource.manager, leave, employee?.department)
+      ]);
+
+      sendSuccess(res, {
+        overlaps: formatOverlaps(overlaps),
+        staffing,
+        blackouts: formatBlackouts(blackouts)
+      }, 'Fetched leave conflicts');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
   // DELETE /api/leave-request/:id
   router.delete('/:id', async (req, res) => {
     try {
       const { id } = req.params;
-      const leave = await leaveRepo.findOneBy({ id });
+      // อ่านสถานะใหม่ใต้ lock: ใบลาที่เพิ่งถูกอนุมัติพร้อมกันก็ได้คืนโควต้า
+      const leave = await AppDataSource.transaction(async (manager) => {
+        const current = await manager.getRepository('LeaveRequest').findOne({ where: { id }, lock: { mode: 'pessimistic_write' } });
+        if (!current) return null;
+
+        // Revert quota if the leave is still in effect
+        if (current.status === 'approved' || current.status === 'cancel_requested') {
+          await revertLeaveUsed(current, req.user?.userId, manager);
+        }
+        // ไม่มี FK cascade: ลบขั้นอนุมัติของใบลาไปด้วย
+        await manager.getRepository('LeaveApprovalStep').delete({ leaveRequestId: id });
+        await manager.getRepository('LeaveRequest').delete({ id });
+        return current;
+      });
       if (!leave) return res.status(404).json({ success: false, message: 'Not found' });
 
-      // Revert quota if approved
-      if (leave.status === 'approved') {
-        try {
-          const leaveTypeEntity = await resolveLeaveType(leave.leaveType);
-          if (leaveTypeEntity) {
-             const { calculatedDays, calculatedHours } = calculateDurationDetails(leave);
-             const used = await leaveUsedRepo.findOne({ where: { user_id: leave.Repid, leave_type_id: leaveTypeEntity.id } });
-             if (used) {
-               used.days = Math.max(0, (used.days || 0) - calculatedDays);
-               used.hour = Math.max(0, (used.hour || 0) - calculatedHours);
-               await leaveUsedRepo.save(used);
-             }
-          }
-        } catch (e) { console.error('Error reverting quota:', e); }
-      }
-
       // Delete files
       deleteAttachments(leave.attachments);
-
-      await leaveRepo.delete({ id });
+      const requester = await userRepo.findOne({ where: { id: leave.Repid }, select: ['id', 'name'] });
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.LEAVE_DELETE,
+        targetType: 'leave_request',
+        targetId: leave.id,
+        targetLabel: describeLeave(leave, requester),
+        before: leave
+      });
       res.json({ success: true, message: 'Deleted' });
     } catch (err) {
       res.status(500).json({ success: false, message: err.message });
@@ -756,12 +1255,13 @@ module.exports = (AppDataSource) => {
         end = new Date(parseInt(year), 11, 31, 23, 59, 59);
       }
 
-      const where = { status: 'approved', startDate: Between(start, end) };
+      // ใบลาที่รอยืนยันการยกเลิกยังมีผลอยู่จนกว่าจะยืนยัน
+      const where = { status: In(['approved', 'cancel_requested']), startDate: Between(start, end) };
       
       // User role check
       if (req.headers.authorization) {
         const { userId, role } = verifyToken(req.headers.authorization.split(' ')[1]);
-        if (role === 'user') where.Repid = userId;
+        if (!(await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_VIEW_ALL))) where.Repid = userId;
       }
 
       const leaves = await leaveRepo.find({ where, order: { startDate: 'ASC' } });
@@ -792,7 +1292,7 @@ module.exports = (AppDataSource) => {
         leaveRepo.count({ where: { status: 'pending', ...dateFilter } }),
         leaveRepo.count({ where: { status: 'approved', ...dateFilter } }),
         leaveRepo.count({ where: { status: 'rejected', ...dateFilter } }),
-        leaveRepo.find({ where: dateFilter, select: ['Repid', 'status', 'startDate', 'endDate'] })
+        leaveRepo.find({ where: dateFilter, select: ['Repid', 'status', 'startDate', 'endDate', 'halfDayPeriod'] })
       ]);
 
       const userCount = new Set(allLeaves.map(l => l.Repid)).size;
@@ -801,10 +1301,8 @@ module.exports = (AppDataSource) => {
       const approved = allLeaves.filter(l => l.status === 'approved');
       let avgDays = 0;
       if (approved.length) {
-        const totalDays = approved.reduce((sum, l) => {
-          const days = calculateDaysBetween(new Date(l.startDate), new Date(l.endDate));
-          return sum + (days > 0 ? days : 0);
-        }, 0);
+        const holidaySet = await loadHolidaySetForLeaves(AppDataSource, approved);
+        const totalDays = approved.reduce((sum, l) => sum + countLeaveDays(l, holidaySet), 0);
         avgDays = parseFloat((totalDays / approved.length).toFixed(1));
       }
 
@@ -853,16 +1351,44 @@ module.exports = (AppDataSource) => {
   router.post('/admin', leaveAttachmentsUpload.array('attachments', 10), async (req, res) => {
     try {
       // Admin check logic...
-      const { repid, leaveType, durationType, startDate, endDate, startTime, endTime, reason, contact, approvalStatus, approverId } = req.body;
+      const { repid, leaveType, durationType, startDate, startTime, endTime, reason, contact, approvalStatus, approverId, halfDayPeriod } = req.body;
       
       if (!repid || !leaveType) return sendValidationError(res, 'Missing fields');
 
+      const isHalfDay = durationType === 'half_day';
+      const endDate = isHalfDay ? startDate : req.body.endDate;
+      if (isHalfDay) {
+        const halfDayError = validateHalfDay(startDate, req.body.endDate, halfDayPeriod);
+        if (halfDayError) return sendValidationError(res, halfDayError);
+        if (await calculateWorkingDays(AppDataSource, startDate, startDate) <= 0) {
+          return sendValidationError(res, 'Leave period contains no working days');
+        }
+      }
+
       const targetUser = await userRepo.findOneBy({ id: repid });
       if (!targetUser) return sendNotFound(res, 'User not found');
 
       const leaveTypeEntity = await resolveLeaveType(leaveType);
       if (!leaveTypeEntity) return sendNotFound(res, 'Leave type not found');
 
+      // กันแอดมินสร้างใบลาซ้ำซ้อนกับใบที่พนักงานมีอยู่แล้ว
+      const overlaps = await findOverlappingLeaves(AppDataSource.manager, repid, {
+        startDate, endDate,
+        startTime: isHalfDay ? null : startTime,
+        endTime: isHalfDay ? null : endTime,
+        halfDayPeriod: isHalfDay ? halfDayPeriod : null
+      });
+      if (overlaps.length) {
+        const err = buildOverlapError(overlaps);
+        return sendError(res, err.message, err.statusCode, err.data);
+      }
+
+      // ช่วงงดลาใช้กับใบลาที่แอดมินยื่นแทนด้วย ('block' ปฏิเสธ, 'warn' ส่งคำเตือนกลับ)
+      const blackoutCheck = checkBlackouts(await findBlackouts(AppDataSource.manager, { startDate, endDate }, targetUser.department));
+      if (blackoutCheck.error) {
+        return sendError(res, blackoutCheck.error.message, blackoutCheck.error.statusCode, blackoutCheck.error.data);
+      }
+
       const attachmentsArr = req.files ? req.files.map(f => f.filename) : [];
       
       // Basic Backdate check
@@ -876,20 +1402,42 @@ module.exports = (AppDataSource) => {
         Repid: repid,
         employeeType: targetUser.position,
         leaveType: leaveTypeEntity.id,
-        startDate, endDate, startTime, endTime, reason, contact,
+        startDate, endDate,
+        startTime: isHalfDay ? null : startTime,
+        endTime: isHalfDay ? null : endTime,
+        halfDayPeriod: isHalfDay ? halfDayPeriod : null,
+        reason, contact,
         status: approvalStatus,
         approverId,
         backdated,
         attachments: attachmentsArr.length ? JSON.stringify(attachmentsArr) : null
       };
 
-      const saved = await leaveRepo.save(leaveRepo.create(leaveData));
-      
-      if (approvalStatus === 'approved') {
-        await updateLeaveUsed(saved);
+      // ใบลาที่อนุมัติทันทีต้องตัดโควต้าพร้อมกัน: ตัดไม่สำเร็จก็ไม่สร้างใบลา
+      const saved = await AppDataSource.transaction(async (manager) => {
+        const repo = manager.getRepository('LeaveRequest');
+        const created = await repo.save(repo.create(leaveData));
+        if (approvalStatus === 'approved') await updateLeaveUsed(created, approverId || req.user?.userId, manager);
+        return created;
+      });
+
+      if (approvalStatus === 'pending') {
+        const chain = await resolveApprovalChain(AppDataSource.manager, {
+          departmentId: targetUser.department,
+          leaveTypeId: leaveTypeEntity.id
+        });
+        if (chain) {
+          const steps = await createApprovalSteps(AppDataSource.manager, saved, chain);
+          if (steps.length) await LineController.notifyLeaveApprovers(saved, targetUser, steps[0]);
+        }
       }
 
-      res.json({ success: true, message: 'Created', data: saved });
+      res.json({
+        success: true,
+        message: 'Created',
+        data: saved,
+        ...(blackoutCheck.warnings.length ? { warnings: { blackouts: blackoutCheck.warnings } } : {})
+      });
     } catch (err) {
       res.status(500).json({ success: false, message: err.message });
     }
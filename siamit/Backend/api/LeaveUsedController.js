@@ -1,11 +1,19 @@
 const express = require('express');
 const { Between, In } = require('typeorm'); // Import TypeORM operators
-const { sendSuccess, sendError } = require('../utils');
+const { sendSuccess, sendError, sendValidationError, sendForbidden } = require('../utils');
+const {
+  LEDGER_ENTRY_TYPES,
+  getLeaveYear,
+  recordLedgerEntry,
+  getLedgerBalances
+} = require('../utils/leaveLedgerService');
+const { PERMISSIONS, hasPermission } = require('../utils/permissionService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
   const leaveUsedRepo = AppDataSource.getRepository('LeaveUsed');
   const leaveTypeRepo = AppDataSource.getRepository('LeaveType');
+  const leaveLedgerRepo = AppDataSource.getRepository('LeaveLedger');
 
   // --- Helper Functions ---
 
@@ -161,43 +169,41 @@ module.exports = (AppDataSource) => {
   });
 
   // GET /api/leave-used/summary
+  // ยอดรวมต่อประเภทการลา คำนวณจาก ledger ของปีที่ระบุ (ค่าเริ่มต้น = ปีปัจจุบัน)
   router.get('/summary', async (req, res) => {
     try {
-      const { year, month } = req.query;
-      let whereClause = {};
-      const dateFilter = getDateFilter(year, month);
-      if (dateFilter) whereClause.created_at = dateFilter;
+      const year = req.query.year ? parseInt(req.query.year) : getLeaveYear();
+      const month = req.query.month ? parseInt(req.query.month) : null;
 
       // Parallel Fetch for Performance
-      const [leaveUsedRecords, leaveTypeMap] = await Promise.all([
-        leaveUsedRepo.find({ where: whereClause }),
+      const [balances, leaveTypeMap] = await Promise.all([
+        getLedgerBalances(AppDataSource.manager, { year, month }),
         getLeaveTypeMap()
       ]);
 
       // Calculate Summary in Memory
       const summaryMap = {};
 
-      for (const record of leaveUsedRecords) {
-        const leaveType = leaveTypeMap[record.leave_type_id];
-        
-        // Key by ID to ensure uniqueness, fallback to name if needed but ID is safer
-        const typeId = record.leave_type_id;
-        
+      for (const balance of balances) {
+        if (!balance.days && !balance.hours) continue; // ยอดสุทธิเป็นศูนย์ (เช่น ยกเลิกครบแล้ว)
+
+        const typeId = balance.leave_type_id;
         if (!summaryMap[typeId]) {
-          const names = formatLeaveTypeName(leaveType);
+          const names = formatLeaveTypeName(leaveTypeMap[typeId]);
           summaryMap[typeId] = {
             leave_type_id: typeId,
             leave_type_name: names.th || names.en, // Prefer TH for display key
             leave_type_name_en: names.en,
+            year,
             total_days: 0,
             total_hours: 0,
             user_count_set: new Set()
           };
         }
 
-        summaryMap[typeId].total_days += record.days || 0;
-        summaryMap[typeId].total_hours += record.hour || 0;
-        summaryMap[typeId].user_count_set.add(record.user_id);
+        summaryMap[typeId].total_days += balance.days;
+        summaryMap[typeId].total_hours += balance.hours;
+        summaryMap[typeId].user_count_set.add(balance.user_id);
       }
 
       // Convert Set to count
@@ -213,5 +219,88 @@ module.exports = (AppDataSource) => {
     }
   });
 
+  // GET /api/leave-used/ledger?userId=&year=&leaveTypeId=
+  // รายการ ledger สำหรับตรวจสอบย้อนหลัง (ผู้ใช้ทั่วไปดูได้เฉพาะของตัวเอง)
+  router.get('/ledger', async (req, res) => {
+    try {
+      const userId = req.query.userId || req.user?.userId;
+      if (userId !== req.user?.userId && !(await hasPermission(AppDataSource, req.user?.role, PERMISSIONS.LEAVE_VIEW_ALL))) {
+        return sendForbidden(res, 'You can only view your own leave ledger');
+      }
+
+      const where = { user_id: userId };
+      if (req.query.year) where.leave_year = parseInt(req.query.year);
+      if (req.query.leaveTypeId) where.leave_type_id = req.query.leaveTypeId;
+
+      const [entries, leaveTypeMap] = await Promise.all([
+        leaveLedgerRepo.find({ where, order: { created_at: 'ASC' } }),
+        getLeaveTypeMap()
+      ]);
+
+      const result = entries.map(entry => {
+        const names = formatLeaveTypeName(leaveTypeMap[entry.leave_type_id]);
+        return {
+          ...entry,
+          leave_type_name_th: names.th,
+          leave_type_name_en: names.en
+        };
+      });
+
+      return sendSuccess(res, result);
+    } catch (err) {
+      console.error('Error fetching leave ledger:', err);
+      return sendError(res, 'Failed to fetch leave ledger');
+    }
+  });
+
+  // POST /api/leave-used/adjustments
+  // ปรับยอดวันลาด้วยมือ (บวก = หักเพิ่ม, ลบ = คืนให้) ต้องระบุเหตุผลทุกครั้ง
+  router.post('/adjustments', async (req, res) => {
+    try {
+      const { userId, leaveTypeId, days = 0, hours = 0, note } = req.body || {};
+      const year = req.body?.year ? parseInt(req.body.year) : getLeaveYear();
+
+      if (!userId || !leaveTypeId) return sendValidationError(res, 'userId and leaveTypeId are required');
+      if (!note || !String(note).trim()) return sendValidationError(res, 'note is required');
+      if (isNaN(Number(days)) || isNaN(Number(hours)) || (!Number(days) && !Number(hours))) {
+        return sendValidationError(res, 'days or hours must be a non-zero number');
+      }
+
+      const entry = await recordLedgerEntry(AppDataSource.manager, {
+        userId,
+        leaveTypeId,
+        leaveYear: year,
+        entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+        days,
+        hours,
+        entryDate: year === getLeaveYear() ? new Date() : `${year}-12-31`,
+        note: String(note).trim(),
+        createdBy: req.user.userId
+      });
+
+      // ยอดสะสมใน LeaveUsed ใช้กับปีปัจจุบันเท่านั้น
+      if (year === getLeaveYear()) {
+        const used = await leaveUsedRepo.findOne({ where: { user_id: userId, leave_type_id: leaveTypeId } });
+        if (used) {
+          used.days = Math.max(0, (used.days || 0) + Number(days));
+          used.hour = Math.max(0, (used.hour || 0) + Number(hours));
+          await leaveUsedRepo.save(used);
+        } else {
+          await leaveUsedRepo.save(leaveUsedRepo.create({
+            user_id: userId,
+            leave_type_id: leaveTypeId,
+            days: Math.max(0, Number(days)),
+            hour: Math.max(0, Number(hours))
+          }));
+        }
+      }
+
+      return sendSuccess(res, entry, 'Leave balance adjusted', 201);
+    } catch (err) {
+      console.error('Error adjusting leave balance:', err);
+      return sendError(res, 'Failed to adjust leave balance');
+    }
+  });
+
   return router;
 };
\ No newline at end of file
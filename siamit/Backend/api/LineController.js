@@ -1,13 +1,23 @@
 const line = require('@line/bot-sdk');
-const { Between, In } = require('typeorm');
+const { Between, In, IsNull } = require('typeorm');
 require('dotenv').config();
 
+const appConfig = require('../config');
 const { 
   toDayHour, 
-  calculateDaysBetween, 
+  calculateWorkingDays, 
   convertToMinutes,
-  getLeaveUsageSummary
+  getLeaveUsageSummary,
+  toDateKey,
+  HALF_DAY_PERIODS
 } = require('../utils');
+const { submitLeaveRequest } = require('../utils/leaveSubmissionService');
+const { resolveStepApprovers } = require('../utils/approvalChainService');
+const { emitToApprovers, getLineApproverIds } = require('../utils/reportingLineService');
+const { PERMISSIONS, hasPermission } = require('../utils/permissionService');
+const { CONVERSATION_FLOWS, getConversation, saveConversation, clearConversation } = require('../utils/lineConversationService');
+const { claimWebhookEvent, releaseWebhookEvent } = require('../utils/lineWebhookService');
+const { NOTIFICATION_USER_COLUMNS, wantsLine, emailLeaveApprovers } = require('../utils/notificationService');
 
 // --- Configuration ---
 const config = {
@@ -64,13 +74,153 @@ const resolveLeaveTypeName = async (identifier) => {
   return identifier; // Return original string if not UUID or not found
 };
 
+// --- Leave Request Conversation ---
+
+// ขั้นตอนการส่งคำขอลาผ่านแชท (เก็บใน line_conversation.step)
+const LEAVE_STEPS = {
+  TYPE: 'type',
+  DURATION: 'duration',
+  START_DATE: 'start_date',
+  END_DATE: 'end_date',
+  START_TIME: 'start_time',
+  END_TIME: 'end_time',
+  REASON: 'reason',
+  CONFIRM: 'confirm'
+};
+
+const CANCEL_WORDS = ['cancel', 'ยกเลิก'];
+const QUICK_REPLY_LIMIT = 13; // LINE รับ quick reply ได้สูงสุด 13 ปุ่ม
+const MAX_REASON_LENGTH = 1000;
+
+const hourToTime = (hour) => `${String(hour).padStart(2, '0')}:00`;
+const truncateLabel = (label) => (label.length > 20 ? `${label.slice(0, 19)}…` : label); // label ยาวได้ไม่เกิน 20 ตัวอักษร
+
+/**
+ * Postback data of a leave-request step (checked against the saved step, so old buttons do nothing)
+ */
+const leavePostbackData = (step, value) => new URLSearchParams({ action: 'leave', step, ...(value ? { value } : {}) }).toString();
+
+/**
+ * Dates (and half day / hours) of a leave or of a leave being filed
+ */
+const describeLeavePeriod = ({ startDate, endDate, startTime, endTime, halfDayPeriod }) => {
+  if (halfDayPeriod) return `${formatThaiDate(startDate)} (ครึ่งวัน${halfDayPeriod === 'morning' ? 'เช้า' : 'บ่าย'})`;
+  if (startTime && endTime) return `${formatThaiDate(startDate)} ${startTime.slice(0, 5)} - ${endTime.slice(0, 5)} น.`;
+  if (toDateKey(startDate) === toDateKey(endDate)) return formatThaiDate(startDate);
+  return `${formatThaiDate(startDate)} - ${formatThaiDate(endDate)}`;
+};
+
+/**
+ * Describe the leave being filed (type, dates/times, reason)
+ */
+const describeLeaveDraft = (data) => `📋 ประเภท: ${data.leaveTypeName}\n📅 วันที่: ${describeLeavePeriod(data)}\n📝 เหตุผล: ${data.reason}`;
+
+/**
+ * Thai message for a rejected submission (same rules as the web form)
+ */
+const describeSubmissionError = (err) => {
+  if (err.data && err.data.overlaps) return 'ช่วงเวลานี้ซ้อนกับใบลาที่รออนุมัติหรืออนุมัติแล้ว';
+  if (err.data && err.data.blackouts) return `ช่วงนี้งดลา (${err.data.blackouts.map(b => b.title).join(', ')})`;
+  if (err.message.startsWith('Quota exceeded')) {
+    const remaining = err.message.match(/Remaining: ([\d.]+)/);
+    return `วันลาคงเหลือไม่พอ${remaining ? ` (คงเหลือ ${Number(remaining[1])} วัน)` : ''}`;
+  }
+  const messages = {
+    'Leave period contains no working days': 'ช่วงที่เลือกไม่มีวันทำงาน',
+    'Backdated leave is not allowed': 'ไม่สามารถลาย้อนหลังได้',
+    'Outside working hours': `เวลาที่เลือกอยู่นอกเวลาทำงาน (${hourToTime(appConfig.business.workingStartHour)} - ${hourToTime(appConfig.business.workingEndHour)} น.)`,
+    'Start and end time cannot be same': 'เวลาเริ่มและเวลาสิ้นสุดต้องไม่ตรงกัน',
+    'Leave quota not found for this position.': 'ไม่พบโควต้าการลาของตำแหน่งคุณ กรุณาติดต่อฝ่ายบุคคล'
+  };
+  return messages[err.message] || err.message;
+};
+
+// --- Leave Approval from LINE ---
+
+// ตั้งโดย LeaveRequestController: logic เดียวกับ PUT /api/leave-request/:id/status
+let leaveDecisionHandler = null;
+
+const decisionPostbackData = (leaveId, status) => new URLSearchParams({ action: 'decide', leave: leaveId, status }).toString();
+
+/**
+ * Flex message sent to an approver for a pending leave, with Approve/Reject buttons
+ */
+const buildApprovalCard = (leave, requester, leaveTypeName, step) => {
+  const row = (label, value) => ({
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: label, size: 'sm', color: '#888888', flex: 2 },
+      { type: 'text', text: String(value || '-'), size: 'sm', wrap: true, flex: 5 }
+    ]
+  });
+  const header = [{ type: 'text', text: '📝 คำขอลารออนุมัติ', weight: 'bold', size: 'md' }];
+  if (step) {
+    const stepLabel = step.stepName ? `${step.stepOrder} (${step.stepName})` : `${step.stepOrder}`;
+    header.push({ type: 'text', text: `ขั้นที่ ${stepLabel}`, size: 'xs', color: '#888888' });
+  }
+  const name = requester ? requester.name : '-';
+
+  return {
+    type: 'flex',
+    altText: `📝 คำขอลารออนุมัติ: ${name} (${leaveTypeName})`,
+    contents: {
+      type: 'bubble',
+      header: { type: 'box', layout: 'vertical', contents: header },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          row('พนักงาน', name),
+          row('ประเภท', leaveTypeName),
+          row('วันที่', describeLeavePeriod(leave)),
+          row('เหตุผล', leave.reason)
+        ]
+      },
+      footer: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: [
+          {
+            type: 'box',
+            layout: 'horizontal',
+            spacing: 'sm',
+            contents: [
+              { type: 'button', style: 'primary', color: '#16a34a', height: 'sm', action: { type: 'postback', label: 'อนุมัติ', data: decisionPostbackData(leave.id, 'approved'), displayText: 'อนุมัติ' } },
+              { type: 'button', style: 'primary', color: '#dc2626', height: 'sm', action: { type: 'postback', label: 'ไม่อนุมัติ', data: decisionPostbackData(leave.id, 'rejected'), displayText: 'ไม่อนุมัติ' } }
+            ]
+          },
+          { type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'ดูบนเว็บไซต์', uri: `${appConfig.server.frontendUrl}/admin` } }
+        ]
+      }
+    }
+  };
+};
+
+/**
+ * Thai message for a decision the approval logic refused
+ */
+const describeDecisionError = (err) => {
+  if (err.statusCode === 404) return 'ไม่พบใบลานี้ (อาจถูกลบไปแล้ว)';
+  const messages = {
+    'This request has already been processed.': 'ใบลานี้ไม่ได้รออนุมัติแล้ว (ถูกตัดสินหรือถอนไปแล้ว)',
+    'You cannot approve/reject your own leave request.': 'ไม่สามารถอนุมัติใบลาของตัวเองได้'
+  };
+  if (messages[err.message]) return messages[err.message];
+  if (err.statusCode === 403) return 'คุณไม่มีสิทธิ์อนุมัติใบลานี้';
+  return err.message;
+};
+
 class LineController {
   
-  // Webhook endpoint
+  // Webhook endpoint (signature already checked by verifyLineSignature)
   static async webhook(req, res) {
     try {
-      const events = req.body.events;
-      await Promise.all(events.map(event => this.handleEvent(event)));
+      const events = Array.isArray(req.body.events) ? req.body.events : [];
+      await Promise.all(events.map(event => this.handleWebhookEvent(event)));
       res.json({ success: true });
     } catch (err) {
       console.error('LINE webhook error:', err);
@@ -78,6 +228,19 @@ class LineController {
     }
   }
 
+  // Handle each webhookEventId once: LINE redelivers events it thinks were not received
+  static async handleWebhookEvent(event) {
+    const eventId = event.webhookEventId;
+    if (eventId && !(await claimWebhookEvent(global.AppDataSource, event))) return null;
+    try {
+      return await this.handleEvent(event);
+    } catch (error) {
+      // ล้มเหลว: คืน id ให้ LINE ส่งซ้ำมาทำใหม่ได้
+      if (eventId) await releaseWebhookEvent(global.AppDataSource, eventId);
+      throw error;
+    }
+  }
+
   // Event Router
   static async handleEvent(event) {
     switch (event.type) {
@@ -88,6 +251,8 @@ class LineController {
         break;
       case 'follow':
         return await this.handleFollow(event);
+      case 'postback':
+        return await this.handlePostback(event);
       default:
         return Promise.resolve(null);
     }
@@ -125,13 +290,44 @@ class LineController {
     }
   }
 
+  // Postback Event Handler (ปุ่ม quick reply และ datetime picker)
+  static async handlePostback(event) {
+    const lineUserId = event.source.userId;
+    const replyToken = event.replyToken;
+    const params = new URLSearchParams(event.postback.data || '');
+
+    try {
+      let response = null;
+      if (params.get('action') === 'leave') {
+        response = await this.handleLeaveRequestPostback(lineUserId, params, event.postback.params || {});
+      } else if (params.get('action') === 'decide') {
+        response = await this.handleLeaveDecisionPostback(lineUserId, params);
+      }
+      if (response) {
+        await client.replyMessage(replyToken, response);
+      }
+    } catch (error) {
+      console.error('Error processing LINE postback:', error);
+      await client.replyMessage(replyToken, { type: 'text', text: '❌ ขออภัย เกิดข้อผิดพลาด กรุณาลองใหม่อีกครั้ง' });
+    }
+  }
+
   // Command Processor
   static async processUserMessage(message, lineUserId) {
     const command = message.toLowerCase();
+
+    // มีบทสนทนาค้างอยู่ (เช่น กำลังส่งคำขอลา): ข้อความถือเป็นคำตอบของขั้นนั้น
+    const conversation = await getConversation(global.AppDataSource, lineUserId);
+    if (conversation && conversation.flow === CONVERSATION_FLOWS.LEAVE_REQUEST) {
+      return await this.handleLeaveRequestText(conversation, message);
+    }
+    if (conversation && conversation.flow === CONVERSATION_FLOWS.LEAVE_REJECTION) {
+      return await this.handleRejectionReasonText(conversation, message);
+    }
     
     // Commands available without linking account
     const publicCommands = [
-      'help', 'announcements', 'request', 'recent announcements', 
+      'help', 'announcements', 'request', 'ขอลา', 'recent announcements', 
       'leave management web site', 'company holidays', 'annual holidays'
     ];
 
@@ -168,7 +364,8 @@ class LineController {
       case 'recent announcements':
         return await this.getAnnouncements();
       case 'request':
-        return this.getRequestInstructions();
+      case 'ขอลา':
+        return await this.startLeaveRequest(lineUserId);
       case 'leave management web site':
         return this.getLeaveWebsiteMessage();
       case 'company holidays':
@@ -211,16 +408,21 @@ class LineController {
           const endM = convertToMinutes(...lr.endTime.split(':').map(Number));
           const hours = Math.max(0, (endM - startM) / 60);
           duration = `${Math.floor(hours)} ชั่วโมง`;
+        } else if (lr.halfDayPeriod) {
+          duration = `ครึ่งวัน (${lr.halfDayPeriod === 'morning' ? 'เช้า' : 'บ่าย'})`;
         } else if (lr.startDate && lr.endDate) {
-          const days = calculateDaysBetween(new Date(lr.startDate), new Date(lr.endDate));
-          duration = `${days} วัน`;
+          const days = await calculateWorkingDays(global.AppDataSource, lr.startDate, lr.endDate);
+          duration = `${days} วันทำงาน`;
         }
 
         // Status Display
         const statusMap = {
           approved: { icon: '✅', text: 'อนุมัติ' },
           pending: { icon: '⏳', text: 'รออนุมัติ' },
-          rejected: { icon: '❌', text: 'ไม่อนุมัติ' }
+          rejected: { icon: '❌', text: 'ไม่อนุมัติ' },
+          withdrawn: { icon: '↩️', text: 'ถอนคำขอแล้ว' },
+          cancel_requested: { icon: '🔄', text: 'รอยืนยันการยกเลิก' },
+          cancelled: { icon: '🚫', text: 'ยกเลิกแล้ว' }
         };
         const st = statusMap[lr.status] || { icon: '❓', text: lr.status };
 
@@ -409,6 +611,332 @@ class LineController {
     }
   }
 
+  // --- Leave Request Conversation ---
+
+  // ประเภทการลาที่ส่งผ่าน LINE ได้ (ประเภทที่ต้องแนบเอกสารต้องส่งผ่านเว็บ)
+  static async getLineLeaveTypes() {
+    return global.AppDataSource.getRepository('LeaveType').find({
+      where: { is_active: true, deleted_at: IsNull(), require_attachment: false },
+      order: { leave_type_th: 'ASC' }
+    });
+  }
+
+  // Start filing leave in chat; users who have not linked their account get the web instructions
+  static async startLeaveRequest(lineUserId) {
+    const user = await global.AppDataSource.getRepository('User').findOneBy({ lineUserId });
+    if (!user) return this.getRequestInstructions();
+
+    const leaveTypes = await this.getLineLeaveTypes();
+    if (!leaveTypes.length) {
+      return { type: 'text', text: '❌ ไม่มีประเภทการลาที่ส่งผ่าน LINE ได้ กรุณาส่งคำขอลาผ่านเว็บไซต์' };
+    }
+
+    const conversation = await saveConversation(global.AppDataSource, {
+      lineUserId,
+      userId: user.id,
+      flow: CONVERSATION_FLOWS.LEAVE_REQUEST,
+      step: LEAVE_STEPS.TYPE
+    });
+    return await this.buildLeaveStepPrompt(conversation, leaveTypes);
+  }
+
+  // Save the answer and move to the next step
+  static async advanceLeaveRequest(conversation, step, changes = {}) {
+    const next = await saveConversation(global.AppDataSource, {
+      ...conversation,
+      step,
+      data: { ...conversation.data, ...changes }
+    });
+    return await this.buildLeaveStepPrompt(next);
+  }
+
+  // Question (with quick reply buttons) for the step the conversation is waiting on
+  static async buildLeaveStepPrompt(conversation, leaveTypes = null) {
+    const { step, data } = conversation;
+    const workStart = hourToTime(appConfig.business.workingStartHour);
+    const workEnd = hourToTime(appConfig.business.workingEndHour);
+
+    const postbackItem = (label, value) => ({
+      type: 'action',
+      action: { type: 'postback', label: truncateLabel(label), data: leavePostbackData(step, value), displayText: label }
+    });
+    const pickerItem = (label, mode, options) => ({
+      type: 'action',
+      action: { type: 'datetimepicker', label, data: leavePostbackData(step), mode, ...options }
+    });
+    const cancelItem = { type: 'action', action: { type: 'message', label: 'ยกเลิก', text: 'ยกเลิก' } };
+    const ask = (text, items = []) => ({ type: 'text', text, quickReply: { items: [...items, cancelItem] } });
+
+    switch (step) {
+      case LEAVE_STEPS.TYPE: {
+        const types = leaveTypes || await this.getLineLeaveTypes();
+        return ask(
+          '📝 ส่งคำขอลา\nเลือกประเภทการลา (พิมพ์ "ยกเลิก" เพื่อออกได้ทุกเมื่อ)',
+          types.slice(0, QUICK_REPLY_LIMIT - 1).map(t => postbackItem(t.leave_type_th || t.leave_type_en, t.id))
+        );
+      }
+      case LEAVE_STEPS.DURATION:
+        return ask(`📋 ${data.leaveTypeName}\nลาแบบไหน?`, [
+          postbackItem('เต็มวัน', 'day'),
+          postbackItem('ครึ่งวันเช้า', 'morning'),
+          postbackItem('ครึ่งวันบ่าย', 'afternoon'),
+          postbackItem('รายชั่วโมง', 'hour')
+        ]);
+      case LEAVE_STEPS.START_DATE:
+        return ask(data.durationType === 'day' ? '📅 เลือกวันเริ่มลา' : '📅 เลือกวันที่ลา', [
+          pickerItem('เลือกวันที่', 'date', { initial: toDateKey(new Date()) })
+        ]);
+      case LEAVE_STEPS.END_DATE:
+        return ask(`📅 เลือกวันสุดท้ายที่ลา (เริ่ม ${formatThaiDate(data.startDate)})`, [
+          postbackItem('ลาวันเดียว', 'same'),
+          pickerItem('เลือกวันที่', 'date', { initial: data.startDate, min: data.startDate })
+        ]);
+      case LEAVE_STEPS.START_TIME:
+        return ask(`⏰ เลือกเวลาเริ่มลา (เวลาทำงาน ${workStart} - ${workEnd} น.)`, [
+          pickerItem('เลือกเวลา', 'time', { initial: workStart, min: workStart, max: workEnd })
+        ]);
+      case LEAVE_STEPS.END_TIME:
+        return ask(`⏰ เลือกเวลาสิ้นสุด (เริ่ม ${data.startTime} น.)`, [
+          pickerItem('เลือกเวลา', 'time', { initial: data.startTime, min: data.startTime, max: workEnd })
+        ]);
+      case LEAVE_STEPS.REASON:
+        return ask('✏️ พิมพ์เหตุผลการลา');
+      case LEAVE_STEPS.CONFIRM:
+        return ask(`📝 สรุปคำขอลา\n\n${describeLeaveDraft(data)}\n\nยืนยันส่งคำขอลา?`, [postbackItem('ยืนยัน', 'yes')]);
+      default:
+        return null;
+    }
+  }
+
+  // Answer given with a button or the date/time picker
+  static async handleLeaveRequestPostback(lineUserId, params, pickerParams) {
+    const conversation = await getConversation(global.AppDataSource, lineUserId);
+    if (!conversation || conversation.flow !== CONVERSATION_FLOWS.LEAVE_REQUEST) {
+      return { type: 'text', text: '⌛ รายการนี้หมดอายุแล้ว พิมพ์ "request" เพื่อเริ่มส่งคำขอลาใหม่' };
+    }
+    // ปุ่มของขั้นก่อนหน้า: ถามขั้นปัจจุบันซ้ำ
+    if (params.get('step') !== conversation.step) return await this.buildLeaveStepPrompt(conversation);
+
+    const { data } = conversation;
+    const value = params.get('value');
+    const askAgain = () => this.buildLeaveStepPrompt(conversation);
+    const next = (step, changes) => this.advanceLeaveRequest(conversation, step, changes);
+
+    switch (conversation.step) {
+      case LEAVE_STEPS.TYPE: {
+        const leaveType = (await this.getLineLeaveTypes()).find(t => t.id === value);
+        if (!leaveType) return await askAgain();
+        return await next(LEAVE_STEPS.DURATION, {
+          leaveTypeId: leaveType.id,
+          leaveTypeName: leaveType.leave_type_th || leaveType.leave_type_en
+        });
+      }
+      case LEAVE_STEPS.DURATION:
+        if (value === 'day' || value === 'hour') return await next(LEAVE_STEPS.START_DATE, { durationType: value, halfDayPeriod: null });
+        if (HALF_DAY_PERIODS.includes(value)) return await next(LEAVE_STEPS.START_DATE, { durationType: 'half_day', halfDayPeriod: value });
+        return await askAgain();
+      case LEAVE_STEPS.START_DATE: {
+        const startDate = pickerParams.date;
+        if (!startDate) return await askAgain();
+        if (data.durationType === 'day') return await next(LEAVE_STEPS.END_DATE, { startDate });
+        const nextStep = data.durationType === 'hour' ? LEAVE_STEPS.START_TIME : LEAVE_STEPS.REASON;
+        return await next(nextStep, { startDate, endDate: startDate });
+      }
+      case LEAVE_STEPS.END_DATE: {
+        const endDate = value === 'same' ? data.startDate : pickerParams.date;
+        if (!endDate || endDate < data.startDate) return await askAgain();
+        return await next(LEAVE_STEPS.REASON, { endDate });
+      }
+      case LEAVE_STEPS.START_TIME:
+        if (!pickerParams.time) return await askAgain();
+        return await next(LEAVE_STEPS.END_TIME, { startTime: pickerParams.time });
+      case LEAVE_STEPS.END_TIME:
+        if (!pickerParams.time || pickerParams.time <= data.startTime) return await askAgain();
+        return await next(LEAVE_STEPS.REASON, { endTime: pickerParams.time });
+      case LEAVE_STEPS.CONFIRM:
+        if (value !== 'yes') return await askAgain();
+        return await this.submitConversationLeaveRequest(conversation);
+      default:
+        return await askAgain();
+    }
+  }
+
+  // Typed text while a leave request is in progress: the reason, or "cancel"
+  static async handleLeaveRequestText(conversation, message) {
+    const text = message.trim();
+    if (CANCEL_WORDS.includes(text.toLowerCase())) {
+      await clearConversation(global.AppDataSource, conversation.lineUserId);
+      return { type: 'text', text: '🚫 ยกเลิกการส่งคำขอลาแล้ว' };
+    }
+    if (conversation.step !== LEAVE_STEPS.REASON || !text) {
+      return await this.buildLeaveStepPrompt(conversation);
+    }
+    return await this.advanceLeaveRequest(conversation, LEAVE_STEPS.CONFIRM, { reason: text.slice(0, MAX_REASON_LENGTH) });
+  }
+
+  // Create the LeaveRequest with the same checks as the web form (quota, working hours, overlaps, blackouts)
+  static async submitConversationLeaveRequest(conversation) {
+    const { lineUserId, userId, data } = conversation;
+    // ปิดบทสนทนาก่อนบันทึก กดยืนยันซ้ำจะไม่ได้ใบลาสองใบ
+    await clearConversation(global.AppDataSource, lineUserId);
+
+    const user = await global.AppDataSource.getRepository('User').findOneBy({ id: userId });
+    if (!user || user.lineUserId !== lineUserId) {
+      return { type: 'text', text: '🔗 บัญชี LINE นี้ไม่ได้เชื่อมต่อกับผู้ใช้งานแล้ว กรุณาเชื่อมต่อบัญชีใหม่ผ่านเว็บไซต์' };
+    }
+    const leaveTypeEntity = (await this.getLineLeaveTypes()).find(t => t.id === data.leaveTypeId);
+    if (!leaveTypeEntity) {
+      return { type: 'text', text: '❌ ประเภทการลานี้ไม่เปิดให้ใช้งานแล้ว พิมพ์ "request" เพื่อเริ่มใหม่' };
+    }
+
+    try {
+      const { leave, approvalSteps, warnings } = await submitLeaveRequest(global.AppDataSource, {
+        userId,
+        leaveTypeEntity,
+        input: {
+          durationType: data.durationType,
+          startDate: data.startDate,
+          endDate: data.endDate,
+          startTime: data.startTime,
+          endTime: data.endTime,
+          halfDayPeriod: data.halfDayPeriod,
+          reason: data.reason
+        }
+      });
+      await emitToApprovers(global.AppDataSource, user, 'newLeaveRequest', {
+        requestId: leave.id,
+        userName: user.name,
+        leaveType: leaveTypeEntity.leave_type_th || leaveTypeEntity.leave_type_en,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        reason: leave.reason,
+        employeeId: leave.Repid
+      });
+      await this.notifyLeaveApprovers(leave, user, approvalSteps[0] || null);
+
+      let text = `✅ ส่งคำขอลาเรียบร้อย รอการอนุมัติ\n\n${describeLeaveDraft(data)}`;
+      if (warnings) text += `\n\n⚠️ อยู่ในช่วงที่ควรหลีกเลี่ยงการลา: ${warnings.blackouts.map(b => b.title).join(', ')}`;
+      return { type: 'text', text };
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return { type: 'text', text: `❌ ส่งคำขอลาไม่สำเร็จ: ${describeSubmissionError(error)}\n\nพิมพ์ "request" เพื่อเริ่มใหม่` };
+    }
+  }
+
+  // --- Leave Approval from LINE ---
+
+  static setLeaveDecisionHandler(handler) {
+    leaveDecisionHandler = handler;
+  }
+
+  // Approvers of a pending leave: the users of its current chain step, or without a chain
+  // the employee's reporting-line approvers who may approve leave
+  static async getLeaveApprovers(requester, step) {
+    const ds = global.AppDataSource;
+    if (step) return resolveStepApprovers(ds.manager, step, requester);
+
+    const ids = await getLineApproverIds(ds, requester);
+    if (!ids.length) return [];
+    const users = await ds.getRepository('User').find({ where: { id: In(ids) }, select: NOTIFICATION_USER_COLUMNS });
+    const approvers = [];
+    for (const user of users) {
+      if (await hasPermission(ds, user.role, PERMISSIONS.LEAVE_APPROVE)) approvers.push(user);
+    }
+    return approvers;
+  }
+
+  // Tell the approvers that a leave is waiting for them (socket for chain steps, LINE approval card, email)
+  static async notifyLeaveApprovers(leave, requester, step = null) {
+    try {
+      const approvers = await this.getLeaveApprovers(requester, step);
+      if (!approvers.length) return;
+
+      await emailLeaveApprovers(global.AppDataSource, leave, requester, approvers, step);
+
+      const card = buildApprovalCard(leave, requester, await resolveLeaveTypeName(leave.leaveType), step);
+      for (const approver of approvers) {
+        if (step && global.io) {
+          global.io.to(`user_${approver.id}`).emit('approvalStepPending', {
+            requestId: leave.id,
+            stepOrder: step.stepOrder,
+            stepName: step.stepName,
+            employeeId: leave.Repid,
+            userName: requester ? requester.name : null
+          });
+        }
+        if (wantsLine(approver)) await this.pushMessage(approver.lineUserId, card);
+      }
+    } catch (error) {
+      console.error('Error notifying leave approvers:', error);
+    }
+  }
+
+  // Approve/Reject button of an approval card: approve at once, ask for a reason before rejecting
+  static async handleLeaveDecisionPostback(lineUserId, params) {
+    const approver = await global.AppDataSource.getRepository('User').findOneBy({ lineUserId });
+    if (!approver) {
+      return { type: 'text', text: '🔗 กรุณาเชื่อมต่อบัญชี LINE ของคุณผ่านเว็บไซต์ก่อนอนุมัติใบลา' };
+    }
+    if (!leaveDecisionHandler) throw new Error('Leave decision handler is not registered');
+
+    const leaveId = params.get('leave');
+    const status = params.get('status');
+    try {
+      if (status === 'rejected') {
+        // ตรวจสิทธิ์ก่อนถามเหตุผล แล้วจึงตัดสินเมื่อได้เหตุผล
+        const { leave, requester } = await leaveDecisionHandler({ leaveId, approverId: approver.id, status, checkOnly: true });
+        await saveConversation(global.AppDataSource, {
+          lineUserId,
+          userId: approver.id,
+          flow: CONVERSATION_FLOWS.LEAVE_REJECTION,
+          step: 'reason',
+          data: { leaveId }
+        });
+        return {
+          type: 'text',
+          text: `✏️ พิมพ์เหตุผลที่ไม่อนุมัติใบลาของ ${requester ? requester.name : '-'}\n📅 ${describeLeavePeriod(leave)}`,
+          quickReply: { items: [{ type: 'action', action: { type: 'message', label: 'ยกเลิก', text: 'ยกเลิก' } }] }
+        };
+      }
+
+      const { requester, nextStep } = await leaveDecisionHandler({ leaveId, approverId: approver.id, status, channel: 'line' });
+      const name = requester ? requester.name : '-';
+      return {
+        type: 'text',
+        text: nextStep
+          ? `✅ อนุมัติใบลาของ ${name} ในขั้นของคุณแล้ว ส่งต่อให้ผู้อนุมัติขั้นที่ ${nextStep.stepOrder}`
+          : `✅ อนุมัติใบลาของ ${name} เรียบร้อย`
+      };
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return { type: 'text', text: `❌ ${describeDecisionError(error)}` };
+    }
+  }
+
+  // Typed rejection reason (or "cancel") after tapping Reject
+  static async handleRejectionReasonText(conversation, message) {
+    const text = message.trim();
+    await clearConversation(global.AppDataSource, conversation.lineUserId);
+    if (CANCEL_WORDS.includes(text.toLowerCase())) {
+      return { type: 'text', text: '↩️ ยกเลิกแล้ว ใบลายังรออนุมัติอยู่' };
+    }
+    if (!leaveDecisionHandler) throw new Error('Leave decision handler is not registered');
+
+    try {
+      const { requester } = await leaveDecisionHandler({
+        leaveId: conversation.data.leaveId,
+        approverId: conversation.userId,
+        status: 'rejected',
+        rejectedReason: text.slice(0, MAX_REASON_LENGTH),
+        channel: 'line'
+      });
+      return { type: 'text', text: `❌ ไม่อนุมัติใบลาของ ${requester ? requester.name : '-'} แล้ว\n📝 เหตุผล: ${text}` };
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return { type: 'text', text: `❌ ${describeDecisionError(error)}` };
+    }
+  }
+
   // --- Static Messages & Utility ---
 
   static getHelpMessage() {
@@ -418,7 +946,7 @@ class LineController {
 
 คำสั่งที่ใช้งานได้:
 📢 announcements - ดูประกาศล่าสุด
-📝 request - วิธีการส่งคำขอลา
+📝 request - ส่งคำขอลาผ่าน LINE (ต้องเชื่อมต่อบัญชี)
 🏢 company holidays - วันหยุดบริษัท
 ❓ help - แสดงข้อความช่วยเหลือนี้
 
@@ -440,6 +968,7 @@ class LineController {
 3. ✏️ กรอกรายละเอียดที่จำเป็นให้ครบถ้วน
 4. 📤 กดส่งคำขอ
 
+หรือเชื่อมต่อบัญชี LINE ผ่านเว็บไซต์ แล้วพิมพ์ "request" เพื่อส่งคำขอลาในแชทนี้ได้เลย
 คุณจะได้รับการแจ้งเตือนผ่าน LINE เมื่อคำขอของคุณได้รับการอนุมัติ!`
     };
   }
@@ -499,9 +1028,14 @@ class LineController {
 
   // Send Push Notification (Called by other controllers)
   static async sendNotification(lineUserId, message) {
+    return this.pushMessage(lineUserId, { type: 'text', text: message });
+  }
+
+  // Push any message object (text, flex, ...)
+  static async pushMessage(lineUserId, message) {
     if (!lineUserId) return { success: false, error: 'No Line User ID provided' };
     try {
-      await client.pushMessage(lineUserId, { type: 'text', text: message });
+      await client.pushMessage(lineUserId, message);
       return { success: true };
     } catch (error) {
       console.error(`LINE Push Error (${lineUserId}):`, error.originalError?.response?.data || error.message);
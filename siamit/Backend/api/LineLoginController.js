@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
+const { LOGIN_FAILURE_REASONS, recordLoginAttempt } = require('../utils/loginGuardService');
+const { syncUserRichMenu } = require('../utils/lineRichMenuService');
 
 // Configuration Check (Fail fast if missing)
 if (!process.env.LINE_CHANNEL_ID || !process.env.LINE_BOT_REDIRECT_URI) {
@@ -80,6 +82,19 @@ class LineLoginController {
     }
   }
 
+  /**
+   * Helper: log a failed LINE link for review (state may be forged, so userId is only what the caller claimed)
+   */
+  static recordCallbackFailure(req, userId = null) {
+    if (!global.AppDataSource) return;
+    recordLoginAttempt(global.AppDataSource, {
+      req,
+      endpoint: 'line_callback',
+      reason: LOGIN_FAILURE_REASONS.LINE_LINK_FAILED,
+      userId: typeof userId === 'string' ? userId.slice(0, 36) : null
+    });
+  }
+
   // Handle LINE Login callback
   static async handleCallback(req, res) {
     try {
@@ -95,6 +110,7 @@ class LineLoginController {
         const stateData = JSON.parse(Buffer.from(state, 'base64').toString('utf-8'));
         userId = stateData.userId;
       } catch (e) {
+        LineLoginController.recordCallbackFailure(req);
         return LineLoginController.renderHtmlResponse(res, 'ERROR', { error: 'Invalid state parameter' });
       }
 
@@ -124,6 +140,7 @@ class LineLoginController {
           pictureUrl: profileResponse.pictureUrl
         });
       } else {
+        LineLoginController.recordCallbackFailure(req, userId);
         return LineLoginController.renderHtmlResponse(res, 'ERROR', { error: linkResult.error });
       }
 
@@ -200,6 +217,7 @@ class LineLoginController {
 
       user.lineUserId = lineUserId;
       await userRepo.save(user);
+      await syncUserRichMenu(AppDataSource, user);
 
       return {
         success: true,
@@ -242,8 +260,10 @@ class LineLoginController {
       if (!user) return res.status(404).json({ success: false, error: 'User not found' });
       if (!user.lineUserId) return res.status(400).json({ success: false, error: 'No LINE account linked' });
 
+      const lineUserId = user.lineUserId;
       user.lineUserId = null;
       await userRepo.save(user);
+      await syncUserRichMenu(global.AppDataSource, { lineUserId }, { unlink: true });
 
       res.json({ success: true, message: 'LINE account unlinked successfully' });
     } catch (error) {
@@ -1 +1,239 @@
- 
\ No newline at end of file
+const express = require('express');
+const { sendSuccess, sendError, sendNotFound, sendValidationError, sendConflict } = require('../utils');
+const { lineRichMenuImageUpload, handleUploadError, LINE_RICH_MENU_IMAGE_MAX_BYTES } = require('../middleware/fileUploadMiddleware');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+const {
+  validateRichMenu,
+  sanitizeAreas,
+  getRichMenuTemplates,
+  saveRichMenuImage,
+  toRichMenuResponse,
+  getLineStatus,
+  syncAllUserRichMenus,
+  publishRichMenu,
+  setDefaultRichMenu,
+  deleteRichMenu
+} = require('../utils/lineRichMenuService');
+
+// Mounted at /api/line/rich-menus (routes/line.js requires line.manage)
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const menuRepo = AppDataSource.getRepository('LineRichMenu');
+
+  // --- Helper Functions ---
+
+  /**
+   * Helper: answer with the status attached by lineRichMenuService (LINE errors, missing token), 500 otherwise
+   */
+  const handleError = (res, err, context) => {
+    if (err.statusCode) {
+      console.error(`Error ${context}:`, err.message);
+      return sendError(res, err.message, err.statusCode, err.data || null);
+    }
+    console.error(`Error ${context}:`, err);
+    sendError(res, err.message, 500);
+  };
+
+  /**
+   * Helper: another menu already serving this audience (one menu per audience)
+   */
+  const findAudienceConflict = async (audience, exceptId = null) => {
+    if (!audience) return null;
+    const existing = await menuRepo.findOneBy({ audience });
+    return existing && existing.id !== exceptId ? existing : null;
+  };
+
+  const loadMenu = async (req, res) => {
+    const menu = await menuRepo.findOneBy({ id: req.params.id });
+    if (!menu) sendNotFound(res, 'Rich menu');
+    return menu;
+  };
+
+  const auditTarget = (menu) => ({
+    targetType: 'line_rich_menu',
+    targetId: menu.id,
+    targetLabel: menu.name
+  });
+
+  // --- Routes ---
+
+  // GET /status: is the bot's access token working, and which menu is LINE's default
+  router.get('/status', async (req, res) => {
+    try {
+      sendSuccess(res, await getLineStatus(), 'LINE status fetched successfully');
+    } catch (err) {
+      handleError(res, err, 'fetching LINE status');
+    }
+  });
+
+  // GET /templates: ready-made employee (leave) and approver (approvals) menus
+  router.get('/templates', (req, res) => {
+    sendSuccess(res, getRichMenuTemplates(), 'Rich menu templates fetched successfully');
+  });
+
+  // GET /: all menus (drafts and published)
+  router.get('/', async (req, res) => {
+    try {
+      const menus = await menuRepo.find({ order: { createdAt: 'ASC' } });
+      sendSuccess(res, menus.map(toRichMenuResponse), 'Rich menus fetched successfully');
+    } catch (err) {
+      handleError(res, err, 'fetching rich menus');
+    }
+  });
+
+  // POST /: create a draft { name, audience, size, chatBarText, areas }
+  router.post('/', async (req, res) => {
+    try {
+      const input = { size: 'full', ...req.body, audience: req.body.audience || null };
+      const error = validateRichMenu(input);
+      if (error) return sendValidationError(res, error);
+      if (await findAudienceConflict(input.audience)) {
+        return sendConflict(res, `Another rich menu is already assigned to ${input.audience}`);
+      }
+
+      const saved = await menuRepo.save({
+        name: String(input.name).trim(),
+        audience: input.audience,
+        size: input.size,
+        chatBarText: String(input.chatBarText).trim(),
+        areas: JSON.stringify(sanitizeAreas(input.areas)),
+        createdBy: req.user?.userId || null
+      });
+      sendSuccess(res, toRichMenuResponse(saved), 'Rich menu created successfully', 201);
+    } catch (err) {
+      handleError(res, err, 'creating rich menu');
+    }
+  });
+
+  // POST /sync-links: relink every linked LINE account to its audience's menu (e.g. after role changes)
+  router.post('/sync-links', async (req, res) => {
+    try {
+      sendSuccess(res, await syncAllUserRichMenus(AppDataSource), 'Rich menu links updated');
+    } catch (err) {
+      handleError(res, err, 'syncing rich menu links');
+    }
+  });
+
+  // PUT /:id: edit a draft; a published menu keeps showing the old version until it is published again
+  router.put('/:id', async (req, res) => {
+    try {
+      const menu = await loadMenu(req, res);
+      if (!menu) return;
+
+      const input = {
+        name: menu.name,
+        audience: menu.audience,
+        size: menu.size,
+        chatBarText: menu.chatBarText,
+        areas: toRichMenuResponse(menu).areas
+      };
+      ['name', 'audience', 'size', 'chatBarText', 'areas'].forEach(key => {
+        if (req.body[key] !== undefined) input[key] = req.body[key];
+      });
+      input.audience = input.audience || null;
+
+      const error = validateRichMenu(input);
+      if (error) return sendValidationError(res, error);
+      if (await findAudienceConflict(input.audience, menu.id)) {
+        return sendConflict(res, `Another rich menu is already assigned to ${input.audience}`);
+      }
+
+      Object.assign(menu, {
+        name: String(input.name).trim(),
+        audience: input.audience,
+        size: input.size,
+        chatBarText: String(input.chatBarText).trim(),
+        areas: JSON.stringify(sanitizeAreas(input.areas)),
+        hasUnpublishedChanges: true
+      });
+      const saved = await menuRepo.save(menu);
+      sendSuccess(res, toRichMenuResponse(saved), 'Rich menu updated successfully');
+    } catch (err) {
+      handleError(res, err, 'updating rich menu');
+    }
+  });
+
+  // POST /:id/image (multipart "image"): JPEG/PNG up to 1MB, sized like the menu (2500x1686 or 2500x843)
+  router.post('/:id/image', (req, res) => {
+    lineRichMenuImageUpload.single('image')(req, res, async (uploadErr) => {
+      if (uploadErr) {
+        if (uploadErr.code === 'LIMIT_FILE_SIZE') {
+          return sendValidationError(res, `Rich menu image must be at most ${LINE_RICH_MENU_IMAGE_MAX_BYTES / 1024 / 1024}MB`);
+        }
+        return handleUploadError(uploadErr, req, res, () => {});
+      }
+      try {
+        if (!req.file) return sendValidationError(res, 'image is required');
+        const menu = await loadMenu(req, res);
+        if (!menu) return;
+
+        menu.imageFile = saveRichMenuImage(menu, req.file);
+        menu.hasUnpublishedChanges = true;
+        const saved = await menuRepo.save(menu);
+        sendSuccess(res, toRichMenuResponse(saved), 'Rich menu image uploaded successfully');
+      } catch (err) {
+        handleError(res, err, 'uploading rich menu image');
+      }
+    });
+  });
+
+  // POST /:id/publish: push the draft to LINE and relink users of its audience
+  router.post('/:id/publish', async (req, res) => {
+    try {
+      const menu = await loadMenu(req, res);
+      if (!menu) return;
+
+      const previousRichMenuId = menu.lineRichMenuId;
+      const { menu: published, links } = await publishRichMenu(AppDataSource, menu);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.LINE_RICH_MENU_PUBLISH,
+        ...auditTarget(published),
+        metadata: { lineRichMenuId: published.lineRichMenuId, previousRichMenuId, audience: published.audience, links }
+      });
+      sendSuccess(res, { ...toRichMenuResponse(published), links }, 'Rich menu published successfully');
+    } catch (err) {
+      handleError(res, err, 'publishing rich menu');
+    }
+  });
+
+  // POST /:id/default: show this menu to LINE users who have no menu of their own
+  router.post('/:id/default', async (req, res) => {
+    try {
+      const menu = await loadMenu(req, res);
+      if (!menu) return;
+
+      const saved = await setDefaultRichMenu(AppDataSource, menu);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.LINE_RICH_MENU_SET_DEFAULT,
+        ...auditTarget(saved),
+        metadata: { lineRichMenuId: saved.lineRichMenuId }
+      });
+      sendSuccess(res, toRichMenuResponse(saved), 'Default rich menu set successfully');
+    } catch (err) {
+      handleError(res, err, 'setting default rich menu');
+    }
+  });
+
+  // DELETE /:id: remove here and on LINE
+  router.delete('/:id', async (req, res) => {
+    try {
+      const menu = await loadMenu(req, res);
+      if (!menu) return;
+
+      await deleteRichMenu(AppDataSource, menu);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.LINE_RICH_MENU_DELETE,
+        ...auditTarget(menu),
+        before: toRichMenuResponse(menu)
+      });
+      sendSuccess(res, null, 'Rich menu deleted successfully');
+    } catch (err) {
+      handleError(res, err, 'deleting rich menu');
+    }
+  });
+
+  return router;
+};
@@ -1,28 +1,187 @@
 const express = require('express');
-const bcrypt = require('bcryptjs'); 
-const jwt = require('jsonwebtoken');
-const config = require('../config');
+const bcrypt = require('bcryptjs');
+const { createSession } = require('../utils/sessionService');
+const {
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  issueChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  completeEnrollment,
+  verifyUserCode
+} = require('../utils/twoFactorService');
+const {
+  LOGIN_FAILURE_REASONS,
+  getLockRemainingMs,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedMessage
+} = require('../utils/loginGuardService');
+const { canUsePasswordLogin } = require('../utils/oidcService');
 
 module.exports = (AppDataSource) => {
   const router = require('express').Router();
+  const userRepo = AppDataSource.getRepository('User');
+
+  // เปิด session ใหม่ต่ออุปกรณ์: access token อายุสั้น + refresh token สำหรับต่ออายุ
+  // ล้างตัวนับการเข้าสู่ระบบผิดตรงนี้เท่านั้น: ผ่านแค่รหัสผ่านแต่ยังไม่ผ่าน 2FA ต้องไม่ล้าง
+  const respondWithSession = async (req, res, user, extra = {}) => {
+    await clearFailedLogins(AppDataSource, user);
+    const { accessToken, refreshToken, session } = await createSession(AppDataSource, user, req);
+    res.json({
+      success: true,
+      data: { token: accessToken, refreshToken, sessionId: session.id, role: user.role, userId: user.id, ...extra },
+      message: 'Login successful'
+    });
+  };
+
+  // ผู้ใช้ของ challenge token (ผ่านขั้นรหัสผ่านมาแล้ว)
+  const loadChallengeUser = async (challengeToken) => {
+    const { userId, setup } = verifyChallengeToken(challengeToken);
+    const user = await userRepo.findOneBy({ id: userId });
+    if (!user || user.role === 'deleted') {
+      throw Object.assign(new Error('Sign-in step has expired, please sign in again'), { statusCode: 401 });
+    }
+    return { user, setup };
+  };
+
+  // บัญชีถูกล็อกอยู่: ตอบ 423 โดยไม่ตรวจรหัสผ่าน/รหัสยืนยันเลย
+  const respondLocked = (res, remainingMs) => res.status(423).json({ success: false, data: null, message: lockedMessage(remainingMs) });
+
+  // นับความผิดพลาด ถ้าครั้งนี้ทำให้ล็อกก็แจ้งเวลาที่ต้องรอแทนข้อความปกติ
+  const respondFailed = async (req, res, user, { endpoint, reason, status, message }) => {
+    const lockedUntil = await registerFailedLogin(AppDataSource, user, { req, endpoint, reason });
+    if (lockedUntil) return respondLocked(res, lockedUntil.getTime() - Date.now());
+    res.status(status).json({ success: false, data: null, message });
+  };
+
+  const handleStepError = (res, err, label) => {
+    if (err.statusCode === 401) {
+      return res.status(401).json({ success: false, data: null, message: err.message });
+    }
+    console.error(`Error in ${label}:`, err);
+    res.status(500).json({ success: false, data: null, message: 'Login failed' });
+  };
 
   router.post('/login', async (req, res) => {
-    const { email, password } = req.body;
-    const userRepo = AppDataSource.getRepository('User');
-    const user = await userRepo.findOneBy({ email: email });
-    if (!user) {
-      return res.status(401).json({ success: false, data: null, message: 'Email หรือ Password ไม่ถูกต้อง' });
+    try {
+      const { email, password } = req.body;
+      const user = await userRepo.findOneBy({ email: email });
+      if (!user) {
+        await recordLoginAttempt(AppDataSource, { req, endpoint: 'login', reason: LOGIN_FAILURE_REASONS.UNKNOWN_USER, email });
+        return res.status(401).json({ success: false, data: null, message: 'Email หรือ Password ไม่ถูกต้อง' });
+      }
+      // ปิดรหัสผ่านไว้: ตอบก่อนตรวจรหัสผ่าน จะได้ไม่นับเป็นการเดารหัส
+      // ตอบเหมือนอีเมลที่ไม่มีในระบบ ไม่ให้ใช้ /login ตรวจว่าอีเมลมีบัญชีหรือไม่ (หน้า login แจ้งให้ใช้ SSO อยู่แล้ว)
+      if (!(await canUsePasswordLogin(AppDataSource, user.role))) {
+        await recordLoginAttempt(AppDataSource, { req, endpoint: 'login', reason: LOGIN_FAILURE_REASONS.PASSWORD_LOGIN_DISABLED, email, userId: user.id });
+        return res.status(401).json({ success: false, data: null, message: 'Email หรือ Password ไม่ถูกต้อง' });
+      }
+      const lockRemainingMs = getLockRemainingMs(user);
+      if (lockRemainingMs > 0) {
+        await recordLoginAttempt(AppDataSource, { req, endpoint: 'login', reason: LOGIN_FAILURE_REASONS.LOCKED, email, userId: user.id });
+        return respondLocked(res, lockRemainingMs);
+      }
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return respondFailed(req, res, user, {
+          endpoint: 'login',
+          reason: LOGIN_FAILURE_REASONS.BAD_PASSWORD,
+          status: 401,
+          message: 'Email หรือ Password ไม่ถูกต้อง'
+        });
+      }
+      // รหัสผ่านถูกแล้ว แต่ยังไม่ออก session จนกว่าจะผ่านขั้นที่สอง (หรือตั้งค่า 2FA ให้เสร็จถ้า role บังคับ)
+      if (isTwoFactorEnabled(user)) {
+        return res.json({
+          success: true,
+          data: { twoFactorRequired: true, challengeToken: issueChallengeToken(user) },
+          message: 'Two-factor code required'
+        });
+      }
+      if (await isTwoFactorRequired(AppDataSource, user.role)) {
+        return res.json({
+          success: true,
+          data: { twoFactorSetupRequired: true, challengeToken: issueChallengeToken(user, true) },
+          message: 'Two-factor authentication must be set up before signing in'
+        });
+      }
+
+      await respondWithSession(req, res, user);
+    } catch (err) {
+      console.error('Error logging in:', err);
+      res.status(500).json({ success: false, data: null, message: 'Login failed' });
     }
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ success: false, data: null, message: 'Email หรือ Password ไม่ถูกต้อง' });
+  });
+
+  // POST /api/login/2fa (second step: authenticator code or recovery code)
+  router.post('/login/2fa', async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body || {};
+      const { user } = await loadChallengeUser(challengeToken);
+      if (!isTwoFactorEnabled(user)) {
+        return res.status(401).json({ success: false, data: null, message: 'Sign-in step has expired, please sign in again' });
+      }
+      const lockRemainingMs = getLockRemainingMs(user);
+      if (lockRemainingMs > 0) return respondLocked(res, lockRemainingMs);
+
+      const result = await verifyUserCode(AppDataSource, user, code);
+      if (!result) {
+        return respondFailed(req, res, user, {
+          endpoint: 'login_2fa',
+          reason: LOGIN_FAILURE_REASONS.BAD_TWO_FACTOR,
+          status: 401,
+          message: 'รหัสยืนยันไม่ถูกต้อง'
+        });
+      }
+      await respondWithSession(req, res, user, result.method === 'recovery' ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {});
+    } catch (err) {
+      handleStepError(res, err, 'two-factor login');
     }
-    // Use the same secret as ProfileController
-    const token = jwt.sign({ userId: user.id, role: user.role }, config.server.jwtSecret, { expiresIn: config.server.jwtExpiresIn });
-    // Save token to unified users table
-    user.token = token;
-    await userRepo.save(user);
-    res.json({ success: true, data: { token, role: user.role, userId: user.id }, message: 'Login successful' });
   });
+
+  // POST /api/login/2fa/setup (role requires 2FA but the user has not enrolled yet: issue a secret + QR)
+  router.post('/login/2fa/setup', async (req, res) => {
+    try {
+      const { user, setup } = await loadChallengeUser(req.body?.challengeToken);
+      if (!setup || isTwoFactorEnabled(user)) {
+        return res.status(401).json({ success: false, data: null, message: 'Sign-in step has expired, please sign in again' });
+      }
+
+      const enrollment = await startEnrollment(AppDataSource, user);
+      res.json({ success: true, data: enrollment, message: 'Scan the QR code with your authenticator app' });
+    } catch (err) {
+      handleStepError(res, err, 'two-factor setup');
+    }
+  });
+
+  // POST /api/login/2fa/setup/confirm (first code from the app: enables 2FA, returns recovery codes and signs in)
+  router.post('/login/2fa/setup/confirm', async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body || {};
+      const { user, setup } = await loadChallengeUser(challengeToken);
+      if (!setup) {
+        return res.status(401).json({ success: false, data: null, message: 'Sign-in step has expired, please sign in again' });
+      }
+      const lockRemainingMs = getLockRemainingMs(user);
+      if (lockRemainingMs > 0) return respondLocked(res, lockRemainingMs);
+
+      const recoveryCodes = await completeEnrollment(AppDataSource, user, code);
+      if (!recoveryCodes) {
+        return respondFailed(req, res, user, {
+          endpoint: 'login_2fa',
+          reason: LOGIN_FAILURE_REASONS.BAD_TWO_FACTOR,
+          status: 400,
+          message: 'รหัสยืนยันไม่ถูกต้อง'
+        });
+      }
+
+      await respondWithSession(req, res, user, { recoveryCodes });
+    } catch (err) {
+      handleStepError(res, err, 'two-factor setup confirm');
+    }
+  });
+
   return router;
 };
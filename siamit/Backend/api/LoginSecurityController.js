@@ -0,0 +1,57 @@
+const express = require('express');
+const { sendSuccess, sendError, sendNotFound } = require('../utils');
+const { getLockRemainingMs, unlockUser } = require('../utils/loginGuardService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+
+const MAX_ATTEMPTS_LIMIT = 200;
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const userRepo = AppDataSource.getRepository('User');
+  const attemptRepo = AppDataSource.getRepository('LoginAttempt');
+
+  // --- Routes ---
+
+  // GET /api/login-attempts?userId=&email=&limit= (failed sign-ins, newest first)
+  router.get('/login-attempts', async (req, res) => {
+    try {
+      const { userId, email } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_ATTEMPTS_LIMIT);
+
+      const where = {};
+      if (userId) where.userId = String(userId);
+      if (email) where.email = String(email).trim();
+
+      const attempts = await attemptRepo.find({ where, order: { createdAt: 'DESC' }, take: limit });
+      sendSuccess(res, attempts, 'Login attempts fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/employee/:id/unlock (clear a lockout before it expires)
+  router.post('/employee/:id/unlock', async (req, res) => {
+    try {
+      const user = await userRepo.findOneBy({ id: req.params.id });
+      if (!user) return sendNotFound(res, 'User');
+
+      const wasLocked = getLockRemainingMs(user) > 0;
+      await unlockUser(AppDataSource, user.id);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.USER_UNLOCK,
+        targetType: 'user',
+        targetId: user.id,
+        targetLabel: `${user.name} <${user.email}>`,
+        before: { failed_login_count: user.failed_login_count, locked_until: user.locked_until },
+        after: { failed_login_count: 0, locked_until: null }
+      });
+      sendSuccess(res, { wasLocked }, 'Account unlocked successfully');
+    } catch (err) {
+      console.error('Error unlocking account:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
 const { deleteUserComprehensive } = require('../utils/userDeletionUtils');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
 
 
 
@@ -33,6 +34,24 @@ module.exports = (AppDataSource) => {
     return null;
   };
 
+  /**
+   * Helper: delete (anonymize) a user and write the audit entry with the details captured before they are wiped
+   */
+  const deleteUserWithAudit = async (req, id, role) => {
+    const target = await userRepo.findOne({ where: { id }, select: ['id', 'name', 'email', 'role', 'department', 'position'] });
+    const result = await deleteUserComprehensive(AppDataSource, id, role, userRepo);
+    await recordAudit(AppDataSource, {
+      req,
+      action: AUDIT_ACTIONS.USER_DELETE,
+      targetType: 'user',
+      targetId: id,
+      targetLabel: target ? `${target.name} <${target.email}>` : null,
+      before: target,
+      metadata: result.deletionSummary
+    });
+    return result;
+  };
+
   // --- User Routes ---
 
 
@@ -63,7 +82,7 @@ module.exports = (AppDataSource) => {
   router.delete('/users/:id', async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await deleteUserComprehensive(AppDataSource, id, 'user', userRepo);
+      const result = await deleteUserWithAudit(req, id, 'user');
       sendSuccess(res, result.deletionSummary, result.message);
     } catch (err) {
       if (err.message === 'user not found') {
@@ -138,7 +157,7 @@ module.exports = (AppDataSource) => {
   router.delete('/admins/:id', async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await deleteUserComprehensive(AppDataSource, id, 'admin', userRepo);
+      const result = await deleteUserWithAudit(req, id, 'admin');
       sendSuccess(res, result.deletionSummary, result.message);
     } catch (err) {
       if (err.message === 'admin not found') {
@@ -8,7 +8,8 @@ module.exports = (AppDataSource) => {
   const leaveTypeRepo = AppDataSource.getRepository('LeaveType');
 
   // Constants to avoid magic strings
-  const TARGET_STATUSES = ['approved', 'rejected', 'deleted'];
+  // 'cancelled' = ยืนยันการยกเลิกแล้ว, การปฏิเสธคำขอยกเลิกจะกลับเป็น 'approved' พร้อม cancelRejectedReason
+  const TARGET_STATUSES = ['approved', 'rejected', 'deleted', 'cancelled'];
 
   // GET: Unread notifications for current user
   router.get('/notifications', authMiddleware, async (req, res) => {
@@ -22,7 +23,7 @@ module.exports = (AppDataSource) => {
           isRead: false,
           status: In(TARGET_STATUSES)
         },
-        select: ['id', 'startDate', 'endDate', 'status', 'leaveType'],
+        select: ['id', 'startDate', 'endDate', 'status', 'leaveType', 'cancelRequestedTime', 'cancelRejectedReason'],
         order: { createdAt: 'DESC' } // Added sorting usually needed for notifications
       });
 
@@ -55,6 +56,11 @@ module.exports = (AppDataSource) => {
         startDate: n.startDate,
         endDate: n.endDate,
         status: n.status,
+        // ผลของคำขอยกเลิก (ถ้ามี): confirmed | rejected
+        cancellation: n.status === 'cancelled'
+          ? 'confirmed'
+          : (n.status === 'approved' && n.cancelRequestedTime ? 'rejected' : null),
+        cancelRejectedReason: n.cancelRejectedReason || null,
         leaveType: leaveTypeMap[n.leaveType] || { name_th: 'Unknown', name_en: 'Unknown' }
       }));
 
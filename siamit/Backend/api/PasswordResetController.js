@@ -0,0 +1,134 @@
+const express = require('express');
+const crypto = require('crypto');
+const { MoreThan, IsNull } = require('typeorm');
+const config = require('../config');
+const { sendSuccess, sendError, sendValidationError } = require('../utils');
+const { hashPassword } = require('../utils/authUtils');
+const { sendMail } = require('../utils/mailService');
+const { REVOKE_REASONS, hashToken, getClientIp, revokeUserSessions } = require('../utils/sessionService');
+
+const MIN_PASSWORD_LENGTH = 8;
+// ตอบข้อความเดียวกันเสมอ ไม่ให้ใช้ endpoint นี้ตรวจว่าอีเมลมีอยู่ในระบบหรือไม่
+const GENERIC_REQUEST_MESSAGE = 'If the email is registered, a password reset link has been sent';
+
+const buildResetEmail = (user, link) => {
+  const minutes = config.passwordReset.tokenTtlMinutes;
+  return {
+    subject: 'รีเซ็ตรหัสผ่าน / Reset your password',
+    text: [
+      `สวัสดี ${user.name || ''}`.trim(),
+      '',
+      `มีการขอรีเซ็ตรหัสผ่านสำหรับบัญชีของคุณ คลิกลิงก์ด้านล่างภายใน ${minutes} นาทีเพื่อตั้งรหัสผ่านใหม่ (ใช้ได้ครั้งเดียว)`,
+      link,
+      'หากคุณไม่ได้ขอรีเซ็ตรหัสผ่าน ไม่ต้องดำเนินการใดๆ',
+      '',
+      '---',
+      '',
+      `A password reset was requested for your account. Open the link below within ${minutes} minutes to choose a new password (it can be used once).`,
+      link,
+      'If you did not request this, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const tokenRepo = AppDataSource.getRepository('PasswordResetToken');
+  const userRepo = AppDataSource.getRepository('User');
+
+  /**
+   * Find a token that can still be used
+   * @param {string} token - Raw token from the reset link
+   * @returns {Promise<Object|null>} password_reset_token row
+   */
+  const findUsableToken = async (token) => {
+    if (!token) return null;
+    return tokenRepo.findOneBy({ tokenHash: hashToken(token), usedAt: IsNull(), expiresAt: MoreThan(new Date()) });
+  };
+
+  // POST /api/password-reset/request
+  router.post('/password-reset/request', async (req, res) => {
+    try {
+      const email = String(req.body?.email || '').trim();
+      if (!email) return sendValidationError(res, 'Email is required');
+
+      const user = await userRepo.findOne({ where: { email }, select: ['id', 'name', 'email', 'role'] });
+      if (!user || user.role === 'deleted') return sendSuccess(res, null, GENERIC_REQUEST_MESSAGE);
+
+      // กันการกดส่งซ้ำถี่ๆ จนอีเมลท่วมกล่องผู้ใช้
+      const cooldownStart = new Date(Date.now() - config.passwordReset.resendCooldownSeconds * 1000);
+      const recent = await tokenRepo.findOneBy({ userId: user.id, createdAt: MoreThan(cooldownStart) });
+      if (recent) return sendSuccess(res, null, GENERIC_REQUEST_MESSAGE);
+
+      // ลิงก์เก่าที่ยังไม่ได้ใช้ถูกยกเลิก เหลือลิงก์ล่าสุดใช้ได้ลิงก์เดียว
+      await tokenRepo.update({ userId: user.id, usedAt: IsNull() }, { usedAt: new Date() });
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      const resetToken = await tokenRepo.save({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + config.passwordReset.tokenTtlMinutes * 60 * 1000),
+        requestedIp: getClientIp(req)
+      });
+
+      const link = `${config.server.frontendUrl.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(token)}`;
+      // ส่งเมลเบื้องหลัง ไม่รอ SMTP: อีเมลที่มีบัญชีต้องตอบเร็วเท่าอีเมลที่ไม่มี (ไม่ใช้ email_outbox เพราะจะเก็บลิงก์ไว้ใน DB)
+      // ส่งไม่สำเร็จก็ลบลิงก์ที่ไม่ได้ส่ง เพื่อให้ขอใหม่ได้ทันที
+      sendMail({ to: user.email, ...buildResetEmail(user, link) }).catch(async (mailErr) => {
+        console.error('Error sending password reset email:', mailErr);
+        await tokenRepo.delete({ id: resetToken.id }).catch(err => console.error('Error removing unsent reset token:', err));
+      });
+
+      sendSuccess(res, null, GENERIC_REQUEST_MESSAGE);
+    } catch (err) {
+      console.error('Error requesting password reset:', err);
+      sendError(res, 'Failed to request password reset', 500);
+    }
+  });
+
+  // GET /api/password-reset/verify?token=... (lets the page show "link expired" before the user types)
+  router.get('/password-reset/verify', async (req, res) => {
+    try {
+      const resetToken = await findUsableToken(req.query.token);
+      sendSuccess(res, { valid: !!resetToken }, resetToken ? 'Reset link is valid' : 'Reset link is invalid or has expired');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/password-reset/confirm
+  router.post('/password-reset/confirm', async (req, res) => {
+    try {
+      const { token, password } = req.body || {};
+      if (!token) return sendValidationError(res, 'Token is required');
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return sendValidationError(res, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+
+      const resetToken = await findUsableToken(token);
+      if (!resetToken) return sendValidationError(res, 'Reset link is invalid or has expired');
+
+      const user = await userRepo.findOneBy({ id: resetToken.userId });
+      if (!user || user.role === 'deleted') return sendValidationError(res, 'Reset link is invalid or has expired');
+
+      await AppDataSource.transaction(async (manager) => {
+        // อัปเดตแบบมีเงื่อนไข usedAt IS NULL: ถ้าสองคำขอใช้ลิงก์เดียวกันพร้อมกัน จะสำเร็จแค่คำขอเดียว
+        const claimed = await manager.getRepository('PasswordResetToken').update({ id: resetToken.id, usedAt: IsNull() }, { usedAt: new Date() });
+        if (!claimed.affected) throw Object.assign(new Error('Reset link is invalid or has expired'), { statusCode: 400 });
+
+        await manager.getRepository('User').update({ id: user.id }, { password: await hashPassword(password) });
+        await manager.getRepository('PasswordResetToken').update({ userId: user.id, usedAt: IsNull() }, { usedAt: new Date() });
+        // ใครที่ล็อกอินค้างไว้ด้วยรหัสเดิมต้องล็อกอินใหม่
+        await revokeUserSessions(manager, user.id, REVOKE_REASONS.PASSWORD_CHANGED);
+      });
+
+      sendSuccess(res, null, 'Password has been reset successfully');
+    } catch (err) {
+      if (err.statusCode === 400) return sendValidationError(res, err.message);
+      console.error('Error confirming password reset:', err);
+      sendError(res, 'Failed to reset password', 500);
+    }
+  });
+
+  return router;
+};
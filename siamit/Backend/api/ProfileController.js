@@ -8,9 +8,13 @@ const {
   hashPassword, 
   sendSuccess, 
   sendError, 
-  calculateDaysBetween,
+  sendValidationError,
   convertToMinutes
 } = require('../utils');
+const { getLeaveYear, getLedgerBalances, getCarriedBalances, getYearEntitlement, resolveYearQuota, normalizeUsage } = require('../utils/leaveLedgerService');
+const { loadEntitlementRules } = require('../utils/entitlementService');
+const { REVOKE_REASONS, isSessionActive, revokeUserSessions } = require('../utils/sessionService');
+const { getNotificationPreferences, applyNotificationPreferences } = require('../utils/notificationService');
 
 module.exports = (AppDataSource) => {
   const router = express.Router();
@@ -21,8 +25,6 @@ module.exports = (AppDataSource) => {
   const positionRepo = AppDataSource.getRepository('Position');
   const leaveQuotaRepo = AppDataSource.getRepository('LeaveQuota');
   const leaveTypeRepo = AppDataSource.getRepository('LeaveType');
-  const leaveRequestRepo = AppDataSource.getRepository('LeaveRequest');
-  const leaveUsedRepo = AppDataSource.getRepository('LeaveUsed');
 
   // --- Helper Functions ---
 
@@ -34,15 +36,20 @@ module.exports = (AppDataSource) => {
     const token = authHeader && authHeader.split(' ')[1];
     if (!token) throw { status: 401, message: 'Access token required' };
 
+    let decoded;
     try {
-      jwt.verify(token, config.server.jwtSecret);
+      decoded = jwt.verify(token, config.server.jwtSecret);
     } catch (err) {
-      throw { status: 403, message: 'Invalid token' };
+      throw { status: 401, message: 'Invalid token' };
+    }
+    if (!(await isSessionActive(AppDataSource, decoded.sid))) {
+      throw { status: 401, message: 'Session has been signed out' };
     }
 
-    const user = await userRepo.findOne({ where: { token: token } });
+    const user = await userRepo.findOne({ where: { id: decoded.userId } });
     if (!user) throw { status: 404, message: 'User not found' };
     
+    req.sessionId = decoded.sid;
     return user;
   };
 
@@ -136,10 +143,15 @@ module.exports = (AppDataSource) => {
       if (end_work !== undefined) user.end_work = end_work;
       
       if (password) {
-        user.Password = await hashPassword(password);
+        user.password = await hashPassword(password);
       }
 
       const updatedUser = await userRepo.save(user);
+
+      // เปลี่ยนรหัสผ่านแล้ว: ออกจากระบบทุกอุปกรณ์ ยกเว้นเครื่องที่กำลังใช้อยู่
+      if (password) {
+        await revokeUserSessions(AppDataSource, user.id, REVOKE_REASONS.PASSWORD_CHANGED, { exceptSessionId: req.sessionId });
+      }
       const profile = await getFullUserProfile(updatedUser);
       
       return res.json({ success: true, data: profile });
@@ -203,6 +215,33 @@ module.exports = (AppDataSource) => {
   });
 
  
+  // ช่องทางแจ้งเตือนนอกแอป (อีเมล, LINE) และภาษาของข้อความ
+  router.get('/notification-preferences', async (req, res) => {
+    try {
+      const user = await getUserFromToken(req);
+      return sendSuccess(res, getNotificationPreferences(user));
+    } catch (err) {
+      return res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+  });
+
+  router.put('/notification-preferences', async (req, res) => {
+    try {
+      const user = await getUserFromToken(req);
+      const error = applyNotificationPreferences(user, req.body || {});
+      if (error) return sendValidationError(res, error);
+
+      await userRepo.update({ id: user.id }, {
+        notify_email: user.notify_email,
+        notify_line: user.notify_line,
+        notification_language: user.notification_language
+      });
+      return sendSuccess(res, getNotificationPreferences(user), 'Notification preferences updated');
+    } catch (err) {
+      return res.status(err.status || 500).json({ success: false, message: err.message });
+    }
+  });
+
   router.get('/leave-quota/me', async (req, res) => {
     try {
       const user = await getUserFromToken(req);
@@ -213,51 +252,47 @@ module.exports = (AppDataSource) => {
         return res.status(404).json({ success: false, message: 'User position not found' });
       }
 
+      // ยอดที่ใช้ไปอ่านจาก ledger ของปีที่ขอ (ค่าเริ่มต้น = ปีปัจจุบัน)
+      const year = req.query.year ? parseInt(req.query.year) : getLeaveYear();
+
       // Optimization: Fetch all related data in parallel (Batch Fetching)
-      const [quotas, leaveTypes, leaveUsedRecords, approvedLeaves] = await Promise.all([
+      const [quotas, leaveTypes, balances, carried, rules] = await Promise.all([
         leaveQuotaRepo.find({ where: { positionId: userPosition } }),
         leaveTypeRepo.find(),
-        leaveUsedRepo.find({ where: { user_id: userId } }),
-        leaveRequestRepo.find({ where: { Repid: userId, status: 'approved' } })
+        getLedgerBalances(AppDataSource.manager, { year, userIds: [userId] }),
+        getCarriedBalances(AppDataSource.manager, { year, userIds: [userId] }),
+        loadEntitlementRules(AppDataSource.manager)
       ]);
 
-      // Process Data in Memory
-      const result = leaveTypes
+      // Process Data
+      const result = await Promise.all(leaveTypes
         .filter(lt => {
           const en = (lt.leave_type_en || '').toLowerCase();
           const th = (lt.leave_type_th || '').toLowerCase();
           return !en.includes('emergency') && !th.includes('ฉุกเฉิน');
         })
-        .map(leaveType => {
-          // 1. Quota
+        .map(async leaveType => {
+          // 1. Quota (ปรับตามอายุงาน และคิดตามสัดส่วนในปีที่เริ่มงาน / แบบรายเดือนใช้ยอดที่สะสมถึงปัจจุบัน)
           const quotaRow = quotas.find(q => q.leaveTypeId === leaveType.id);
-          const quotaDays = quotaRow ? quotaRow.quota : 0;
-
-          // 2. Usage Calculation
-          let usedDays = 0, usedHours = 0;
-          const usedRecord = leaveUsedRecords.find(r => r.leave_type_id === leaveType.id);
-
-          if (usedRecord) {
-            // Use cached calculation if available
-            usedDays = usedRecord.days || 0;
-            usedHours = usedRecord.hour || 0;
-          } else {
-            // Fallback: Calculate from raw requests if cache missing
-            const typeLeaves = approvedLeaves.filter(l => l.leaveType === leaveType.id);
-            for (const l of typeLeaves) {
-              if (l.startTime && l.endTime) {
-                const [sh, sm] = l.startTime.split(':').map(Number);
-                const [eh, em] = l.endTime.split(':').map(Number);
-            const diff = ((eh*60+em) - (sh*60+sm)) / 60;
-// FIX: ลบ Math.floor ออก เพื่อเก็บค่าทศนิยมที่แท้จริง
-usedHours += Math.max(0, diff); 
-// หากต้องการจำกัดทศนิยมในการคำนวณ ให้ใช้
-// usedHours += parseFloat(Math.max(0, diff).toFixed(2));
-              } else if (l.startDate && l.endDate) {
-                usedDays += Math.max(0, calculateDaysBetween(new Date(l.startDate), new Date(l.endDate)));
-              }
-            }
+          const effective = await resolveYearQuota(AppDataSource.manager, user, quotaRow, year, rules);
+          const quotaDays = effective.quota;
+
+          // 2. Usage from ledger (วันยกมาจากปีก่อนถูกใช้ก่อน ส่วนที่เหลือจึงหักจากโควต้าปีนี้)
+          let usage = normalizeUsage(balances.find(b => b.leave_type_id === leaveType.id));
+          let carriedInfo = { carried_day: 0, carried_used_day: 0, carried_remaining_day: 0, carried_expires_on: null, carried_expired: false };
+          if (carried.some(c => c.leave_type_id === leaveType.id)) {
+            const entitlement = await getYearEntitlement(AppDataSource.manager, userId, leaveType.id, quotaDays, { year });
+            usage = normalizeUsage({ days: entitlement.freshUsedDays });
+            carriedInfo = {
+              carried_day: entitlement.carriedDays,
+              carried_used_day: entitlement.carriedUsedDays,
+              carried_remaining_day: entitlement.carriedRemainingDays,
+              carried_expires_on: entitlement.carriedExpiresOn,
+              carried_expired: entitlement.carriedExpired
+            };
           }
+          const usedDays = Math.max(0, usage.days);
+          const usedHours = Math.max(0, usage.hours);
 
           // 3. Normalize & Calculate Remaining
           const additionalDays = Math.floor(usedHours / config.business.workingHoursPerDay);
@@ -270,12 +305,20 @@ usedHours += Math.max(0, diff);
             leave_type_en: leaveType.leave_type_en,
             leave_type_th: leaveType.leave_type_th,
             quota: quotaDays,
+            base_quota: effective.baseQuota,
+            service_years: effective.serviceYears,
+            tenure_bonus_day: effective.tenureBonusDays,
+            proration_factor: effective.prorationFactor,
+            accrual_mode: effective.accrualMode,
+            annual_quota: effective.annualQuota,
+            negative_allowance_day: quotaRow ? Number(quotaRow.max_negative_days) || 0 : 0,
             used_day: totalUsedDays,
             used_hour: remainingHours,
             remaining_day: remainingDays,
-            remaining_hour: 0
+            remaining_hour: 0,
+            ...carriedInfo
           };
-        });
+        }));
 
       return sendSuccess(res, result);
     } catch (err) {
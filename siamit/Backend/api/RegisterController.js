@@ -2,7 +2,8 @@ const { v4: uuidv4 } = require('uuid');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
-const { BaseController, sendSuccess, sendError, sendValidationError } = require('../utils');
+const { BaseController, sendSuccess, sendError, sendValidationError, sendForbidden } = require('../utils');
+const { isPasswordLoginEnabled } = require('../utils/oidcService');
 
 module.exports = (AppDataSource) => {
   const router = require('express').Router();
@@ -50,6 +51,10 @@ module.exports = (AppDataSource) => {
 
   router.post('/register', async (req, res) => {
     try {
+      // บัญชีใหม่มาจาก SSO (JIT) เท่านั้นเมื่อปิดการเข้าด้วยรหัสผ่าน
+      if (!(await isPasswordLoginEnabled(AppDataSource))) {
+        return sendForbidden(res, 'Registration is disabled, please sign in with single sign-on');
+      }
       const { name, department, position, email, password, gender, dob, phone_number, start_work, end_work } = req.body;
 
       // 1. Basic Validation
@@ -0,0 +1,145 @@
+const express = require('express');
+const { sendSuccess, sendError, sendValidationError, sendConflict, sendNotFound } = require('../utils');
+const {
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES,
+  loadRoleMatrix,
+  invalidatePermissionCache,
+  getRolePermissions
+} = require('../utils/permissionService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const rolePermissionRepo = AppDataSource.getRepository('RolePermission');
+  const userRepo = AppDataSource.getRepository('User');
+
+  const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+  // --- Helpers ---
+
+  /**
+   * Helper: count users per role so the UI can show who a change affects
+   */
+  const getUserCounts = async () => {
+    const rows = await userRepo.createQueryBuilder('user')
+      .select('user.role', 'role')
+      .addSelect('COUNT(*)', 'count')
+      .groupBy('user.role')
+      .getRawMany();
+    return rows.reduce((acc, row) => {
+      acc[row.role] = Number(row.count) || 0;
+      return acc;
+    }, {});
+  };
+
+  // --- Routes ---
+
+  // GET /api/role-permissions (permission catalog + role matrix)
+  router.get('/role-permissions', async (req, res) => {
+    try {
+      const [roles, userCounts] = await Promise.all([loadRoleMatrix(AppDataSource), getUserCounts()]);
+      const data = Object.values(roles).map(r => ({ ...r, userCount: userCounts[r.role] || 0 }));
+      sendSuccess(res, { permissions: ALL_PERMISSIONS, roles: data }, 'Role permissions fetched successfully');
+    } catch (err) {
+      console.error('Error fetching role permissions:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // GET /api/role-permissions/me (permissions of the caller's role)
+  router.get('/role-permissions/me', async (req, res) => {
+    try {
+      const permissions = await getRolePermissions(AppDataSource, req.user?.role);
+      sendSuccess(res, { role: req.user?.role, permissions }, 'Permissions fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // PUT /api/role-permissions/:role (save a role's permissions; creates the role if it is new)
+  router.put('/role-permissions/:role', async (req, res) => {
+    try {
+      const role = String(req.params.role || '').trim().toLowerCase();
+      const { permissions, label } = req.body || {};
+
+      if (!ROLE_NAME_PATTERN.test(role)) {
+        return sendValidationError(res, 'Role name must be 2-50 characters: lowercase letters, digits, "-" or "_"');
+      }
+      if (role === 'superadmin') {
+        return sendValidationError(res, 'superadmin always holds every permission');
+      }
+      if (!Array.isArray(permissions)) {
+        return sendValidationError(res, 'permissions must be an array');
+      }
+      const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+      if (unknown.length) {
+        return sendValidationError(res, `Unknown permissions: ${unknown.join(', ')}`);
+      }
+
+      const before = (await loadRoleMatrix(AppDataSource))[role] || null;
+      const saved = await rolePermissionRepo.save({
+        role,
+        label: label !== undefined ? (label || null) : undefined,
+        permissions: JSON.stringify([...new Set(permissions)]),
+        updatedBy: req.user?.userId || null
+      });
+      invalidatePermissionCache();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.ROLE_PERMISSIONS_UPDATE,
+        targetType: 'role',
+        targetId: role,
+        targetLabel: saved.label || role,
+        before: before ? { label: before.label, permissions: before.permissions } : null,
+        after: { label: saved.label || null, permissions: JSON.parse(saved.permissions) }
+      });
+
+      sendSuccess(res, { ...saved, permissions: JSON.parse(saved.permissions) }, 'Role permissions saved successfully');
+    } catch (err) {
+      console.error('Error saving role permissions:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // DELETE /api/role-permissions/:role (built-in roles go back to defaults; custom roles are removed)
+  router.delete('/role-permissions/:role', async (req, res) => {
+    try {
+      const { role } = req.params;
+      const existing = await rolePermissionRepo.findOneBy({ role });
+      const auditDelete = () => recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.ROLE_PERMISSIONS_DELETE,
+        targetType: 'role',
+        targetId: role,
+        targetLabel: existing?.label || role,
+        before: existing ? { label: existing.label, permissions: JSON.parse(existing.permissions || '[]') } : null,
+        metadata: { resetToDefaults: SYSTEM_ROLES.includes(role) }
+      });
+
+      if (SYSTEM_ROLES.includes(role)) {
+        if (existing) await rolePermissionRepo.delete({ role });
+        invalidatePermissionCache();
+        if (existing) await auditDelete();
+        return sendSuccess(res, null, 'Role permissions reset to defaults');
+      }
+
+      if (!existing) return sendNotFound(res, 'Role not found');
+
+      const assigned = await userRepo.count({ where: { role } });
+      if (assigned > 0) {
+        return sendConflict(res, `Role is still assigned to ${assigned} user(s)`);
+      }
+
+      await rolePermissionRepo.delete({ role });
+      invalidatePermissionCache();
+      await auditDelete();
+      sendSuccess(res, null, 'Role deleted successfully');
+    } catch (err) {
+      console.error('Error deleting role:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,134 @@
+const express = require('express');
+const config = require('../config');
+const { sendSuccess, sendError, sendValidationError, sendNotFound } = require('../utils');
+const { roleExists } = require('../utils/permissionService');
+const { SETTING_KEYS, setSetting } = require('../utils/systemSettingService');
+const { getRequiredRoles, isTwoFactorEnabled, disableTwoFactor } = require('../utils/twoFactorService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
+const { isSsoConfigured, isPasswordLoginEnabled } = require('../utils/oidcService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const userRepo = AppDataSource.getRepository('User');
+
+  // --- Helpers ---
+
+  /**
+   * Helper: per role, how many users have 2FA on (so the UI can show who is not ready before enforcing it)
+   */
+  const getEnrollmentCounts = async () => {
+    const rows = await userRepo.createQueryBuilder('user')
+      .select('user.role', 'role')
+      .addSelect('COUNT(*)', 'total')
+      .addSelect('SUM(CASE WHEN user.two_factor_enabled_at IS NOT NULL THEN 1 ELSE 0 END)', 'enrolled')
+      .groupBy('user.role')
+      .getRawMany();
+    return rows.reduce((acc, row) => {
+      acc[row.role] = { total: Number(row.total) || 0, enrolled: Number(row.enrolled) || 0 };
+      return acc;
+    }, {});
+  };
+
+  // --- Routes ---
+
+  // GET /api/security-policy
+  router.get('/security-policy', async (req, res) => {
+    try {
+      const [twoFactorRequiredRoles, enrollment, passwordLoginEnabled] = await Promise.all([
+        getRequiredRoles(AppDataSource),
+        getEnrollmentCounts(),
+        isPasswordLoginEnabled(AppDataSource)
+      ]);
+      sendSuccess(res, {
+        twoFactorRequiredRoles,
+        enrollment,
+        passwordLoginEnabled,
+        ssoEnabled: isSsoConfigured(),
+        passwordBreakGlassRoles: config.sso.passwordBreakGlassRoles
+      }, 'Security policy fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // PUT /api/security-policy { twoFactorRequiredRoles?, passwordLoginEnabled? }
+  router.put('/security-policy', async (req, res) => {
+    try {
+      const { twoFactorRequiredRoles, passwordLoginEnabled } = req.body || {};
+      if (twoFactorRequiredRoles === undefined && passwordLoginEnabled === undefined) {
+        return sendValidationError(res, 'Nothing to update');
+      }
+      if (twoFactorRequiredRoles !== undefined && !Array.isArray(twoFactorRequiredRoles)) {
+        return sendValidationError(res, 'twoFactorRequiredRoles must be an array');
+      }
+      if (passwordLoginEnabled !== undefined && typeof passwordLoginEnabled !== 'boolean') {
+        return sendValidationError(res, 'passwordLoginEnabled must be a boolean');
+      }
+      // ปิดรหัสผ่านได้เมื่อมี SSO ให้เข้าแทนเท่านั้น
+      if (passwordLoginEnabled === false && !isSsoConfigured()) {
+        return sendValidationError(res, 'Single sign-on must be configured before password sign-in can be disabled');
+      }
+
+      const before = {};
+      const after = {};
+      if (twoFactorRequiredRoles !== undefined) {
+        const roles = [...new Set(twoFactorRequiredRoles.map(r => String(r).trim()).filter(Boolean))];
+        for (const role of roles) {
+          if (!(await roleExists(AppDataSource, role))) return sendValidationError(res, `Unknown role: ${role}`);
+        }
+        // ผู้ใช้ที่ยังไม่ได้ตั้งค่าจะถูกพาไปตั้งค่า 2FA ตอนเข้าสู่ระบบครั้งถัดไป
+        before.twoFactorRequiredRoles = await getRequiredRoles(AppDataSource);
+        after.twoFactorRequiredRoles = roles;
+      }
+      if (passwordLoginEnabled !== undefined) {
+        before.passwordLoginEnabled = await isPasswordLoginEnabled(AppDataSource);
+        after.passwordLoginEnabled = passwordLoginEnabled;
+      }
+
+      if (after.twoFactorRequiredRoles) {
+        await setSetting(AppDataSource, SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES, after.twoFactorRequiredRoles, req.user?.userId || null);
+      }
+      if (passwordLoginEnabled !== undefined) {
+        await setSetting(AppDataSource, SETTING_KEYS.PASSWORD_LOGIN_ENABLED, passwordLoginEnabled, req.user?.userId || null);
+      }
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.SECURITY_POLICY_UPDATE,
+        targetType: 'setting',
+        targetId: Object.keys(after).length > 1 ? 'security' : (after.twoFactorRequiredRoles ? SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES : SETTING_KEYS.PASSWORD_LOGIN_ENABLED),
+        before,
+        after
+      });
+      sendSuccess(res, {
+        twoFactorRequiredRoles: after.twoFactorRequiredRoles || await getRequiredRoles(AppDataSource),
+        passwordLoginEnabled: await isPasswordLoginEnabled(AppDataSource)
+      }, 'Security policy saved successfully');
+    } catch (err) {
+      console.error('Error saving security policy:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // DELETE /api/users/:id/two-factor (user lost their device: they enroll again on next sign-in or from the profile)
+  router.delete('/users/:id/two-factor', async (req, res) => {
+    try {
+      const user = await userRepo.findOneBy({ id: req.params.id });
+      if (!user) return sendNotFound(res, 'User');
+      if (!isTwoFactorEnabled(user) && !user.two_factor_secret) return sendSuccess(res, null, 'Two-factor authentication is not enabled');
+
+      await disableTwoFactor(AppDataSource, user.id);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.USER_TWO_FACTOR_RESET,
+        targetType: 'user',
+        targetId: user.id,
+        targetLabel: `${user.name} <${user.email}>`
+      });
+      sendSuccess(res, null, 'Two-factor authentication reset successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
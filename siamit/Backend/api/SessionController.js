@@ -0,0 +1,80 @@
+const express = require('express');
+const { sendSuccess, sendError, sendNotFound, sendUnauthorized, sendValidationError } = require('../utils');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  REVOKE_REASONS,
+  hashToken,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+} = require('../utils/sessionService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const sessionRepo = AppDataSource.getRepository('UserSession');
+
+  // --- Routes ---
+
+  // POST /api/token/refresh (public: the refresh token is the credential)
+  router.post('/token/refresh', async (req, res) => {
+    try {
+      const { accessToken, refreshToken, session, user } = await rotateSession(AppDataSource, req.body?.refreshToken, req);
+      sendSuccess(res, { token: accessToken, refreshToken, sessionId: session.id, role: user.role, userId: user.id }, 'Token refreshed successfully');
+    } catch (err) {
+      if (err.statusCode === 401) return sendUnauthorized(res, err.message);
+      console.error('Error refreshing token:', err);
+      sendError(res, 'Failed to refresh token', 500);
+    }
+  });
+
+  // POST /api/logout (revokes the session of the given refresh token; works after the access token has expired)
+  router.post('/logout', async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) return sendValidationError(res, 'refreshToken is required');
+
+      const session = await sessionRepo.findOneBy({ refreshTokenHash: hashToken(refreshToken) });
+      if (session) await revokeSession(AppDataSource, session.id, REVOKE_REASONS.LOGOUT);
+      sendSuccess(res, null, 'Logged out successfully');
+    } catch (err) {
+      console.error('Error logging out:', err);
+      sendError(res, 'Failed to log out', 500);
+    }
+  });
+
+  // GET /api/sessions (my signed-in devices)
+  router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+      const sessions = await listUserSessions(AppDataSource, req.user.userId);
+      sendSuccess(res, sessions.map(s => ({ ...s, current: s.id === req.user.sid })), 'Sessions fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // DELETE /api/sessions (sign out every other device)
+  router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+      const count = await revokeUserSessions(AppDataSource, req.user.userId, REVOKE_REASONS.SIGNED_OUT_BY_USER, { exceptSessionId: req.user.sid });
+      sendSuccess(res, { revoked: count }, 'Other sessions signed out successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // DELETE /api/sessions/:id (sign out one of my devices)
+  router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+      const session = await sessionRepo.findOneBy({ id: req.params.id, userId: req.user.userId });
+      if (!session || session.revokedAt) return sendNotFound(res, 'Session not found');
+
+      await revokeSession(AppDataSource, session.id, REVOKE_REASONS.SIGNED_OUT_BY_USER);
+      sendSuccess(res, null, 'Session signed out successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,127 @@
+const express = require('express');
+const config = require('../config');
+const { sendSuccess, sendError, sendValidationError } = require('../utils');
+const { createSession } = require('../utils/sessionService');
+const { LOGIN_FAILURE_REASONS, getLockRemainingMs, recordLoginAttempt, clearFailedLogins } = require('../utils/loginGuardService');
+const { isTwoFactorEnabled, isTwoFactorRequired, issueChallengeToken } = require('../utils/twoFactorService');
+const {
+  isSsoConfigured,
+  isPasswordLoginEnabled,
+  buildAuthorizationUrl,
+  consumePendingLogin,
+  completeLogin,
+  issueHandoffCode,
+  redeemHandoffCode,
+  resolveSsoUser
+} = require('../utils/oidcService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+
+  // --- Helpers ---
+
+  // ผลลัพธ์ส่งกลับหน้า login ทาง fragment (#) เพื่อไม่ให้ code ไปโผล่ใน log ของ server/proxy
+  const redirectToLogin = (res, fragment) => {
+    res.redirect(`${config.server.frontendUrl.replace(/\/+$/, '')}/login#${new URLSearchParams(fragment).toString()}`);
+  };
+
+  const failCallback = async (req, res, error, detail = {}) => {
+    await recordLoginAttempt(AppDataSource, {
+      req,
+      endpoint: 'sso_callback',
+      reason: LOGIN_FAILURE_REASONS.SSO_FAILED,
+      email: detail.email || null,
+      userId: detail.userId || null
+    });
+    redirectToLogin(res, { ssoError: error });
+  };
+
+  // --- Routes ---
+
+  // GET /api/sso/config (public: what the login page should offer)
+  router.get('/sso/config', async (req, res) => {
+    try {
+      sendSuccess(res, {
+        enabled: isSsoConfigured(),
+        providerName: config.sso.providerName,
+        passwordLoginEnabled: await isPasswordLoginEnabled(AppDataSource)
+      }, 'SSO configuration fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // GET /api/sso/oidc/start (browser navigation: redirects to the identity provider)
+  router.get('/sso/oidc/start', async (req, res) => {
+    if (!isSsoConfigured()) return redirectToLogin(res, { ssoError: 'sso_disabled' });
+    try {
+      res.redirect(await buildAuthorizationUrl());
+    } catch (err) {
+      console.error('Error starting SSO login:', err);
+      redirectToLogin(res, { ssoError: 'provider_unavailable' });
+    }
+  });
+
+  // GET /api/sso/oidc/callback?code=&state= (IdP redirect target)
+  router.get('/sso/oidc/callback', async (req, res) => {
+    if (!isSsoConfigured()) return redirectToLogin(res, { ssoError: 'sso_disabled' });
+
+    const { code, state, error } = req.query;
+    const pending = consumePendingLogin(state);
+    if (error) return failCallback(req, res, String(error) === 'access_denied' ? 'access_denied' : 'provider_error');
+    if (!pending || !code) return failCallback(req, res, 'expired');
+
+    let claims;
+    try {
+      claims = await completeLogin(code, pending);
+    } catch (err) {
+      console.error('Error completing SSO login:', err);
+      return failCallback(req, res, 'invalid_response');
+    }
+
+    try {
+      const { user } = await resolveSsoUser(AppDataSource, claims, req);
+      // ล็อกจากการเดารหัสผ่านใช้กับ SSO ด้วย ไม่งั้นเป็นทางอ้อมที่ข้ามการล็อกได้
+      if (getLockRemainingMs(user) > 0) return failCallback(req, res, 'locked', { email: user.email, userId: user.id });
+
+      // ใช้นโยบาย 2FA เดียวกับ /login: ส่ง challenge token ให้หน้า login ถามขั้นที่สอง (เว้นแต่ตั้งให้เชื่อ MFA ของ IdP)
+      if (!config.sso.trustIdpMfa) {
+        if (isTwoFactorEnabled(user)) {
+          return redirectToLogin(res, { sso: issueHandoffCode({ twoFactorRequired: true, challengeToken: issueChallengeToken(user), email: user.email }) });
+        }
+        if (await isTwoFactorRequired(AppDataSource, user.role)) {
+          return redirectToLogin(res, { sso: issueHandoffCode({ twoFactorSetupRequired: true, challengeToken: issueChallengeToken(user, true), email: user.email }) });
+        }
+      }
+
+      const { accessToken, refreshToken, session } = await createSession(AppDataSource, user, req);
+      await clearFailedLogins(AppDataSource, user);
+      const handoff = issueHandoffCode({
+        token: accessToken,
+        refreshToken,
+        sessionId: session.id,
+        role: user.role,
+        userId: user.id,
+        email: user.email
+      });
+      redirectToLogin(res, { sso: handoff });
+    } catch (err) {
+      if (err.ssoReason) return failCallback(req, res, err.ssoReason, { email: claims.email });
+      console.error('Error signing in with SSO:', err);
+      redirectToLogin(res, { ssoError: 'server_error' });
+    }
+  });
+
+  // POST /api/sso/exchange { code } (SPA trades the one-time handoff code for the session tokens)
+  router.post('/sso/exchange', (req, res) => {
+    const { code } = req.body || {};
+    if (!code) return sendValidationError(res, 'code is required');
+    const payload = redeemHandoffCode(code);
+    if (!payload) {
+      return res.status(401).json({ success: false, data: null, message: 'Sign-in link has expired, please sign in again' });
+    }
+    res.json({ success: true, data: payload, message: payload.challengeToken ? 'Two-factor code required' : 'Login successful' });
+  });
+
+  return router;
+};
@@ -5,6 +5,8 @@ const config = require('../config');
 const { BaseController, sendSuccess, sendError, sendNotFound, sendValidationError } = require('../utils');
 const { manualCleanup } = require('../utils/cleanupOldLeaveRequests');
 const { deleteUserComprehensive } = require('../utils/userDeletionUtils');
+const { roleExists } = require('../utils/permissionService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
 const authMiddleware = require('../middleware/authMiddleware');
 
 
@@ -46,6 +48,23 @@ module.exports = (AppDataSource) => {
     return { ...user, token };
   };
 
+  /**
+   * Helper: flat snapshot of a position and its quotas for the audit log (one key per leave type so the diff shows exactly which quota changed)
+   */
+  const snapshotPositionQuotas = (position, quotaRows, leaveTypes) => {
+    const snapshot = {
+      position_name_en: position.position_name_en,
+      position_name_th: position.position_name_th,
+      require_enddate: !!position.require_enddate,
+      new_year_quota: Number(position.new_year_quota || 0)
+    };
+    leaveTypes.forEach(lt => {
+      const q = quotaRows.find(row => row.leaveTypeId === lt.id);
+      snapshot[`quota.${lt.leave_type_en || lt.id}`] = q ? Number(q.quota) : 0;
+    });
+    return snapshot;
+  };
+
   /**
    * Helper to resolve entity ID from Name or ID
    */
@@ -100,7 +119,7 @@ module.exports = (AppDataSource) => {
     try {
       const { role, name, department, position, email, password, gender_name_th, date_of_birth, start_work, end_work, phone_number } = req.body;
       
-      if (!['superadmin', 'admin', 'user'].includes(role)) {
+      if (!role || !(await roleExists(AppDataSource, role))) {
         return sendValidationError(res, 'Invalid role');
       }
 
@@ -182,6 +201,14 @@ module.exports = (AppDataSource) => {
       }
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.POSITION_QUOTAS_CREATE,
+        targetType: 'position',
+        targetId: position.id,
+        targetLabel: position.position_name_en,
+        after: snapshotPositionQuotas(position, targetTypes.map(lt => ({ leaveTypeId: lt.id, quota: quotas[lt.id] ?? 0 })), targetTypes)
+      });
       sendSuccess(res, { position, quotas: createdQuotas }, 'Created successfully', 201);
 
     } catch (err) {
@@ -215,7 +242,13 @@ module.exports = (AppDataSource) => {
             leave_type_en: lt.leave_type_en,
             leave_type_th: lt.leave_type_th,
             quota: q ? q.quota : 0,
-            quotaId: q ? q.id : null
+            quotaId: q ? q.id : null,
+            carry_over_max_days: q ? Number(q.carry_over_max_days) || 0 : 0,
+            carry_over_expiry: q ? q.carry_over_expiry || null : null,
+            prorate_first_year: q ? !!q.prorate_first_year : false,
+            accrual_mode: q ? q.accrual_mode || 'annual' : 'annual',
+            accrual_rate: q && q.accrual_rate != null ? Number(q.accrual_rate) : null,
+            max_negative_days: q ? Number(q.max_negative_days) || 0 : 0
           };
         });
 
@@ -252,6 +285,10 @@ module.exports = (AppDataSource) => {
       const position = await posRepo.findOneBy({ id });
       if (!position) return sendNotFound(res, 'Position not found');
 
+      const leaveTypes = await ltRepo.find();
+      const targetTypes = leaveTypes.filter(lt => !lt.leave_type_en?.toLowerCase().includes('emergency'));
+      const before = snapshotPositionQuotas(position, await lqRepo.findBy({ positionId: id }), targetTypes);
+
       // Update Position
       if (position_name_en) position.position_name_en = position_name_en;
       if (position_name_th) position.position_name_th = position_name_th;
@@ -261,8 +298,6 @@ module.exports = (AppDataSource) => {
       await posRepo.save(position);
 
       // Update Quotas
-      const leaveTypes = await ltRepo.find();
-      const targetTypes = leaveTypes.filter(lt => !lt.leave_type_en?.toLowerCase().includes('emergency'));
       const updatedQuotas = [];
 
       for (const lt of targetTypes) {
@@ -279,6 +314,15 @@ module.exports = (AppDataSource) => {
       }
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.POSITION_QUOTAS_UPDATE,
+        targetType: 'position',
+        targetId: position.id,
+        targetLabel: position.position_name_en,
+        before,
+        after: snapshotPositionQuotas(position, updatedQuotas.map(q => ({ leaveTypeId: q.id, quota: q.quota })), targetTypes)
+      });
       sendSuccess(res, { position, quotas: updatedQuotas }, 'Updated successfully');
 
     } catch (err) {
@@ -298,15 +342,25 @@ module.exports = (AppDataSource) => {
 
     try {
       const posRepo = queryRunner.manager.getRepository('Position');
+      const ltRepo = queryRunner.manager.getRepository('LeaveType');
       const lqRepo = queryRunner.manager.getRepository('LeaveQuota');
 
       const position = await posRepo.findOneBy({ id });
       if (!position) return sendNotFound(res, 'Position not found');
+      const before = snapshotPositionQuotas(position, await lqRepo.findBy({ positionId: id }), await ltRepo.find());
 
       await lqRepo.delete({ positionId: id });
       await posRepo.delete({ id });
 
       await queryRunner.commitTransaction();
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.POSITION_QUOTAS_DELETE,
+        targetType: 'position',
+        targetId: id,
+        targetLabel: position.position_name_en,
+        before
+      });
       sendSuccess(res, null, 'Deleted successfully');
     } catch (err) {
       await queryRunner.rollbackTransaction();
@@ -342,7 +396,19 @@ module.exports = (AppDataSource) => {
   // Delete Superadmin
   router.delete('/superadmin/:id', authMiddleware, async (req, res) => {
     try {
-      const result = await deleteUserComprehensive(AppDataSource, req.params.id, 'superadmin', AppDataSource.getRepository('User'));
+      const userRepo = AppDataSource.getRepository('User');
+      // เก็บข้อมูลก่อนลบ เพราะการลบจะเปลี่ยนชื่อ/อีเมลเป็นแบบไม่ระบุตัวตน
+      const target = await userRepo.findOne({ where: { id: req.params.id }, select: ['id', 'name', 'email', 'role', 'department', 'position'] });
+      const result = await deleteUserComprehensive(AppDataSource, req.params.id, 'superadmin', userRepo);
+      await recordAudit(AppDataSource, {
+        req,
+        action: AUDIT_ACTIONS.USER_DELETE,
+        targetType: 'user',
+        targetId: req.params.id,
+        targetLabel: target ? `${target.name} <${target.email}>` : null,
+        before: target,
+        metadata: result.deletionSummary
+      });
       sendSuccess(res, result.deletionSummary, result.message);
     } catch (err) {
       if (err.message === 'superadmin not found') return sendNotFound(res, 'Superadmin not found');
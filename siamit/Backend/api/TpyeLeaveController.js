@@ -3,6 +3,7 @@ const router = express.Router();
 const { BaseController, sendSuccess, sendError, sendNotFound } = require('../utils');
 const { In } = require('typeorm');
 const LeaveTypeCleanupService = require('../utils/leaveTypeCleanupService');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/auditLogService');
 
 module.exports = (AppDataSource) => {
   const leaveTypeController = new BaseController('LeaveType');
@@ -42,6 +43,21 @@ module.exports = (AppDataSource) => {
     }
   };
 
+  /**
+   * Helper: audit a permanent delete with the leave type as it was (soft-deleted rows included)
+   */
+  const findLeaveTypeForAudit = (id) => AppDataSource.getRepository('LeaveType').findOne({ where: { id }, withDeleted: true });
+
+  const auditPermanentDelete = (req, leaveType, metadata = null) => recordAudit(AppDataSource, {
+    req,
+    action: AUDIT_ACTIONS.LEAVE_TYPE_PERMANENT_DELETE,
+    targetType: 'leave_type',
+    targetId: req.params.id,
+    targetLabel: leaveType ? leaveType.leave_type_en : null,
+    before: leaveType,
+    metadata
+  });
+
   // --- Routes ---
 
  
@@ -119,6 +135,7 @@ module.exports = (AppDataSource) => {
   // DELETE permanently (Hard Delete Only)
   router.delete('/leave-types/:id/permanent', safeHandler(async (req, res) => {
     const leaveTypeId = req.params.id;
+    const before = await findLeaveTypeForAudit(leaveTypeId);
 
     await withTransaction(async (queryRunner) => {
       // 1. Strict Usage Check
@@ -137,6 +154,7 @@ module.exports = (AppDataSource) => {
       await leaveTypeController.delete(AppDataSource, leaveTypeId);
     });
 
+    await auditPermanentDelete(req, before);
     sendSuccess(res, null, 'Leave type permanently deleted successfully');
   }));
 
@@ -151,7 +169,9 @@ module.exports = (AppDataSource) => {
   router.delete('/leave-types/:id/permanent-safe', safeHandler(async (req, res) => {
     try {
       const cleanupService = new LeaveTypeCleanupService(AppDataSource);
+      const before = await findLeaveTypeForAudit(req.params.id);
       const result = await cleanupService.permanentlyDeleteLeaveType(req.params.id);
+      await auditPermanentDelete(req, before, result);
       sendSuccess(res, result, 'Leave type permanently deleted safely');
     } catch (err) {
       if (err.message.includes('Cannot delete leave type')) {
@@ -165,6 +185,12 @@ module.exports = (AppDataSource) => {
   router.post('/leave-types/auto-cleanup', safeHandler(async (req, res) => {
     const cleanupService = new LeaveTypeCleanupService(AppDataSource);
     const results = await cleanupService.autoCleanupOrphanedLeaveTypes();
+    await recordAudit(AppDataSource, {
+      req,
+      action: AUDIT_ACTIONS.LEAVE_TYPE_AUTO_CLEANUP,
+      targetType: 'leave_type',
+      metadata: results
+    });
     sendSuccess(res, results, 'Auto-cleanup completed successfully');
   }));
 
@@ -0,0 +1,104 @@
+const express = require('express');
+const { sendSuccess, sendError, sendForbidden, sendConflict, comparePassword } = require('../utils');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  startEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/twoFactorService');
+
+module.exports = (AppDataSource) => {
+  const router = express.Router();
+  const userRepo = AppDataSource.getRepository('User');
+
+  const loadUser = (req) => userRepo.findOneBy({ id: req.user.userId });
+
+  // --- Routes ---
+
+  // GET /api/two-factor (my 2FA status)
+  router.get('/two-factor', authMiddleware, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      sendSuccess(res, await getTwoFactorStatus(AppDataSource, user), 'Two-factor status fetched successfully');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/two-factor/setup (new secret + QR code; nothing changes until /enable succeeds)
+  router.post('/two-factor/setup', authMiddleware, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      if (isTwoFactorEnabled(user)) return sendConflict(res, 'Two-factor authentication is already enabled');
+
+      const enrollment = await startEnrollment(AppDataSource, user);
+      sendSuccess(res, enrollment, 'Scan the QR code with your authenticator app');
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/two-factor/enable { code }
+  router.post('/two-factor/enable', authMiddleware, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      if (isTwoFactorEnabled(user)) return sendConflict(res, 'Two-factor authentication is already enabled');
+      if (!user.two_factor_secret) return sendError(res, 'Start the setup first', 400);
+
+      const recoveryCodes = await completeEnrollment(AppDataSource, user, req.body?.code);
+      if (!recoveryCodes) return sendError(res, 'รหัสยืนยันไม่ถูกต้อง', 400);
+
+      sendSuccess(res, { recoveryCodes }, 'Two-factor authentication enabled');
+    } catch (err) {
+      console.error('Error enabling two-factor:', err);
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/two-factor/recovery-codes { code } (replaces every unused recovery code)
+  router.post('/two-factor/recovery-codes', authMiddleware, async (req, res) => {
+    try {
+      const user = await loadUser(req);
+      if (!isTwoFactorEnabled(user)) return sendError(res, 'Two-factor authentication is not enabled', 400);
+
+      const verified = await verifyUserCode(AppDataSource, user, req.body?.code, { allowRecoveryCode: false });
+      if (!verified) return sendError(res, 'รหัสยืนยันไม่ถูกต้อง', 400);
+
+      const recoveryCodes = await regenerateRecoveryCodes(AppDataSource, user.id);
+      sendSuccess(res, { recoveryCodes }, 'Recovery codes regenerated');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  // POST /api/two-factor/disable { password, code } (not allowed while the role requires 2FA)
+  router.post('/two-factor/disable', authMiddleware, async (req, res) => {
+    try {
+      const { password, code } = req.body || {};
+      const user = await loadUser(req);
+      if (!isTwoFactorEnabled(user)) return sendError(res, 'Two-factor authentication is not enabled', 400);
+      if (await isTwoFactorRequired(AppDataSource, user.role)) {
+        return sendForbidden(res, 'Your role requires two-factor authentication');
+      }
+      if (!password || !(await comparePassword(password, user.password))) {
+        return sendError(res, 'รหัสผ่านไม่ถูกต้อง', 400);
+      }
+      if (!(await verifyUserCode(AppDataSource, user, code))) {
+        return sendError(res, 'รหัสยืนยันไม่ถูกต้อง', 400);
+      }
+
+      await disableTwoFactor(AppDataSource, user.id);
+      sendSuccess(res, null, 'Two-factor authentication disabled');
+    } catch (err) {
+      sendError(res, err.message, 500);
+    }
+  });
+
+  return router;
+};
@@ -1,6 +1,14 @@
 const path = require('path');
 require('dotenv').config();
 
+// TRUST_PROXY: false (default, connect directly), true, a hop count ("1") or addresses/subnets ("loopback, 10.0.0.0/8")
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+};
+
 const config = {
   // Database Configuration
   database: {
@@ -18,6 +26,7 @@ const config = {
     announcements: process.env.ANNOUNCEMENTS_UPLOAD_DIR || 'announcements',
     avatars: process.env.AVATARS_UPLOAD_DIR || 'avatars',
     leaveUploads: process.env.LEAVE_UPLOADS_DIR || 'leave-uploads',
+    lineRichMenus: process.env.LINE_RICH_MENU_UPLOAD_DIR || 'line-rich-menus',
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
   },
 
@@ -25,8 +34,107 @@ const config = {
   server: {
     port: process.env.PORT,
     jwtSecret: process.env.JWT_SECRET || 'your_jwt_secret_here',
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m', // access token อายุสั้น ต่ออายุด้วย refresh token
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
     apiBaseUrl: process.env.VITE_API_BASE_URL || 'https://api-leave-management.flowmisite.com/',
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:8081', // ใช้สร้างลิงก์ในอีเมล
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY), // req.ip อ่าน X-Forwarded-For เฉพาะจาก proxy ที่เชื่อถือ
+  },
+
+  // Mail Configuration (transport: smtp | file | console)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'SiamIT Leave <no-reply@siamit.local>',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox', // transport "file": one .eml per message
+  },
+
+  // Email notifications (leave and announcements), queued in email_outbox and sent by a cron job
+  emailNotifications: {
+    enabled: process.env.EMAIL_NOTIFICATIONS_ENABLED !== 'false',
+    maxAttempts: parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || 5,
+    retryDelaySeconds: parseInt(process.env.EMAIL_QUEUE_RETRY_DELAY_SECONDS) || 60, // เพิ่มเป็นสองเท่าทุกครั้งที่ส่งไม่สำเร็จ
+    batchSize: parseInt(process.env.EMAIL_QUEUE_BATCH_SIZE) || 20,
+    retentionDays: parseInt(process.env.EMAIL_QUEUE_RETENTION_DAYS) || 30, // ลบอีเมลที่ส่งแล้ว/ล้มเหลวที่เก่ากว่านี้
+  },
+
+  // Password Reset Configuration
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    resendCooldownSeconds: 60,
+  },
+
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'SiamIT Leave', // ชื่อที่แสดงในแอป Authenticator
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY, // ใช้เข้ารหัส secret ในฐานข้อมูล (ไม่ตั้ง = ใช้ JWT_SECRET)
+    challengeExpiresIn: '5m', // เวลาที่ให้กรอกรหัสขั้นที่สองหลังใส่รหัสผ่านถูก
+  },
+
+  // Brute-force protection: per-IP/per-account request limits and progressive account lockout
+  loginProtection: {
+    rateLimits: {
+      login: { windowMs: 15 * 60 * 1000, max: parseInt(process.env.LOGIN_RATE_LIMIT) || 20 }, // ต่อ IP และต่ออีเมล
+      register: { windowMs: 60 * 60 * 1000, max: 10 },
+      lineCallback: { windowMs: 15 * 60 * 1000, max: 30 },
+      sso: { windowMs: 15 * 60 * 1000, max: 30 },
+    },
+    lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5, // ผิดติดกันกี่ครั้งจึงล็อก
+    lockoutMinutes: [5, 15, 60], // ล็อกครั้งที่ 1, 2, 3+ (นานขึ้นเรื่อยๆ)
+    failureResetHours: 24, // ไม่มีการผิดเลยนานเท่านี้ ให้เริ่มนับใหม่
+  },
+
+  // Single sign-on: generic OpenID Connect (authorization code + PKCE) against the company directory
+  sso: {
+    enabled: process.env.OIDC_ENABLED === 'true',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'Company SSO', // ข้อความบนปุ่มเข้าสู่ระบบ
+    issuer: process.env.OIDC_ISSUER, // ใช้ค้น {issuer}/.well-known/openid-configuration
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET, // ไม่ตั้ง = public client (PKCE อย่างเดียว)
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3001/api/sso/oidc/callback',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    claims: {
+      email: process.env.OIDC_EMAIL_CLAIM || 'email',
+      name: process.env.OIDC_NAME_CLAIM || 'name',
+      department: process.env.OIDC_DEPARTMENT_CLAIM || 'department', // จับคู่กับ id หรือชื่อแผนก (ไทย/อังกฤษ)
+      position: process.env.OIDC_POSITION_CLAIM || 'job_title', // จับคู่กับ id หรือชื่อตำแหน่ง (ไทย/อังกฤษ)
+    },
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== 'false', // สร้างบัญชีให้อัตโนมัติเมื่อเข้าครั้งแรก
+    linkExistingByEmail: process.env.OIDC_LINK_BY_EMAIL !== 'false', // ผูกกับบัญชีเดิมที่อีเมลตรงกัน (IdP ต้องส่ง email_verified=true)
+    // role ที่ไม่ผูกด้วยอีเมลอัตโนมัติ: ผู้ดูแลต้องผูกบัญชีเอง
+    linkProtectedRoles: (process.env.OIDC_LINK_PROTECTED_ROLES || 'admin,superadmin').split(',').map(r => r.trim()).filter(Boolean),
+    // true = เชื่อ MFA ของ IdP และไม่ถาม 2FA ของระบบ (ค่าเริ่มต้นใช้นโยบาย 2FA เดียวกับการเข้าด้วยรหัสผ่าน)
+    trustIdpMfa: process.env.OIDC_TRUST_IDP_MFA === 'true',
+    syncProfile: process.env.OIDC_SYNC_PROFILE !== 'false', // อัปเดตแผนก/ตำแหน่งจาก IdP ทุกครั้งที่เข้าสู่ระบบ
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'user',
+    // ค่าเริ่มต้นของสวิตช์ปิดการเข้าสู่ระบบด้วยรหัสผ่าน (superadmin เปลี่ยนได้ในหน้าสิทธิ์)
+    passwordLoginEnabled: process.env.PASSWORD_LOGIN_ENABLED !== 'false',
+    // role ที่ยังใช้รหัสผ่านได้แม้ปิดไว้ เผื่อ IdP ล่มแล้วไม่มีใครเข้าไปแก้ค่าได้
+    passwordBreakGlassRoles: (process.env.PASSWORD_LOGIN_BREAK_GLASS_ROLES || 'superadmin').split(',').map(r => r.trim()).filter(Boolean),
+    stateTtlMinutes: 10,
+    handoffTtlSeconds: 60,
+  },
+
+  // "View as employee": superadmin signs in as another user, read-only, for a limited time
+  impersonation: {
+    ttlMinutes: parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30, // ไม่มี refresh token หมดแล้วต้องเริ่มใหม่
+  },
+
+  // LINE bot: webhook verification, chat conversations (e.g. filing leave step by step) and rich menus
+  lineBot: {
+    channelSecret: process.env.LINE_BOT_CHANNEL_SECRET, // ใช้ตรวจ x-line-signature ของ webhook
+    conversationTtlMinutes: parseInt(process.env.LINE_CONVERSATION_TTL_MINUTES) || 30, // ทิ้งไว้นานกว่านี้ต้องเริ่มใหม่
+    webhookEventRetentionHours: parseInt(process.env.LINE_WEBHOOK_EVENT_RETENTION_HOURS) || 72, // เก็บ id event ไว้กันการส่งซ้ำ
+    channelAccessToken: process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN,
+    // ว่างไว้ = ใช้ api.line.me / api-data.line.me; ชี้ไปที่ mock server (npm run mock-line-api) ตอนทดสอบ rich menu
+    apiBaseUrl: process.env.LINE_API_BASE_URL || undefined,
+    dataApiBaseUrl: process.env.LINE_DATA_API_BASE_URL || undefined,
   },
 
   // CORS Configuration
@@ -61,6 +169,8 @@ const config = {
     workingEndHour: parseInt(process.env.WORKING_END_HOUR) || 18,
     minDate: process.env.MIN_DATE || '2000-01-01',
     maxDate: process.env.MAX_DATE || '3000-01-01',
+    // วันหยุดประจำสัปดาห์ (0 = อาทิตย์, 6 = เสาร์) ไม่นับเป็นวันลา
+    weekendDays: (process.env.WEEKEND_DAYS || '0,6').split(',').map(d => parseInt(d, 10)).filter(d => !isNaN(d)),
   },
 
   // Helper methods for paths
@@ -79,6 +189,14 @@ const config = {
 
   getLeaveUploadsPath: () => {
     return config.getUploadsPath(config.uploads.leaveUploads);
+  },
+
+  getLineRichMenuUploadPath: () => {
+    return config.getUploadsPath(config.uploads.lineRichMenus);
+  },
+
+  getMailOutboxPath: () => {
+    return path.isAbsolute(config.mail.outboxDir) ? config.mail.outboxDir : path.join(__dirname, config.mail.outboxDir);
   }
 };
 
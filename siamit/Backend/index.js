@@ -18,9 +18,15 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const config = require('./config');
 const scheduler = require('./utils/scheduler.js');
 const initializeRoutes = require('./routes');
+const { verifyToken } = require('./utils');
+const { COMPANY_APPROVER_ROOM, seesWholeCompany } = require('./utils/reportingLineService');
+const { captureRawBody } = require('./middleware/lineWebhookMiddleware');
+const { isSessionActive } = require('./utils/sessionService');
 
 // --- App Setup ---
 const app = express();
+// IP ของผู้ใช้ (rate limit, session, audit) มาจาก req.ip: เชื่อ X-Forwarded-For เฉพาะเมื่อตั้ง TRUST_PROXY
+app.set('trust proxy', config.server.trustProxy);
 const httpServer = createServer(app);
 const port = config.server.port;
 
@@ -33,18 +39,44 @@ const io = new Server(httpServer, {
   }
 });
 
+// ผู้ใช้ของ socket มาจาก access token ใน handshake (session ต้องยังไม่ถูกออกจากระบบ); null ถ้าไม่ผ่าน
+const resolveSocketUser = async (socket) => {
+  try {
+    const decoded = verifyToken(socket.handshake.auth?.token);
+    return (await isSessionActive(AppDataSource, decoded.sid)) ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+};
+
 // Socket Event Handlers
 io.on('connection', (socket) => {
   console.log(`🔌 User connected: ${socket.id}`);
 
-  socket.on('joinRoom', (userId) => {
-    socket.join(`user_${userId}`);
-    console.log(`👤 User ${userId} joined room: user_${userId}`);
+  // เข้าได้เฉพาะห้องของตัวเองตาม token (ไม่เชื่อ userId ที่ client ส่งมา)
+  socket.on('joinRoom', async () => {
+    const user = await resolveSocketUser(socket);
+    if (!user) {
+      console.log(`⚠️ Rejected room join for socket ${socket.id}`);
+      return;
+    }
+    socket.join(`user_${user.userId}`);
+    console.log(`👤 User ${user.userId} joined room: user_${user.userId}`);
   });
 
-  socket.on('joinAdminRoom', () => {
-    socket.join('admin_room');
-    console.log('🛡️ Admin joined admin room');
+  // admin_room รับใบลาทุกแผนก: เฉพาะผู้มีสิทธิ์ leave.view_company
+  // ผู้อนุมัติคนอื่นได้รับเฉพาะใบลาของลูกทีมผ่านห้อง user_<id>
+  socket.on('joinAdminRoom', async () => {
+    try {
+      const user = await resolveSocketUser(socket);
+      if (!user) throw new Error('Invalid or signed-out token');
+      const { userId, role } = user;
+      if (!(await seesWholeCompany(AppDataSource, role))) return;
+      socket.join(COMPANY_APPROVER_ROOM);
+      console.log(`🛡️ User ${userId} joined admin room`);
+    } catch (e) {
+      console.log(`⚠️ Rejected admin room join for socket ${socket.id}`);
+    }
   });
 
   socket.on('disconnect', () => {
@@ -78,6 +110,22 @@ const AppDataSource = new DataSource({
     require('./EnityTable/customHoliday.js'),
     require('./EnityTable/lineUser.js'),
     require('./EnityTable/LeaveUsed.js'),
+    require('./EnityTable/approvalChain.js'),
+    require('./EnityTable/leaveApprovalStep.js'),
+    require('./EnityTable/leaveLedger.js'),
+    require('./EnityTable/leaveEntitlementRule.js'),
+    require('./EnityTable/leaveBlackout.js'),
+    require('./EnityTable/rolePermission.js'),
+    require('./EnityTable/approvalDelegation.js'),
+    require('./EnityTable/userSession.js'),
+    require('./EnityTable/passwordResetToken.js'),
+    require('./EnityTable/systemSetting.js'),
+    require('./EnityTable/loginAttempt.js'),
+    require('./EnityTable/auditLog.js'),
+    require('./EnityTable/lineConversation.js'),
+    require('./EnityTable/lineWebhookEvent.js'),
+    require('./EnityTable/lineRichMenu.js'),
+    require('./EnityTable/emailOutbox.js'),
   ],
 });
 
@@ -85,7 +133,8 @@ const AppDataSource = new DataSource({
 global.AppDataSource = AppDataSource;
 
 // --- Middleware Setup ---
-app.use(express.json());
+// เก็บ raw body ของ LINE webhook ไว้ตรวจลายเซ็น
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Optimized CORS Configuration
@@ -133,17 +182,27 @@ requiredDirs.forEach(dir => {
 app.use('/uploads', express.static(config.getUploadsPath()));
 
 // Secure Static Files Middleware
-const authenticateStaticFiles = (req, res, next) => {
+const authenticateStaticFiles = async (req, res, next) => {
   const token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
   if (!token) return res.status(401).json({ error: 'Authentication required' });
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.server.jwtSecret);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, config.server.jwtSecret);
   } catch (err) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  // token ของ session ที่ออกจากระบบ/ถูกเพิกถอนแล้ว ดาวน์โหลดไฟล์แนบไม่ได้
+  try {
+    if (!(await isSessionActive(AppDataSource, decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been signed out' });
+    }
+  } catch (err) {
+    console.error('Session check failed:', err);
+    return res.status(500).json({ error: 'Session check failed' });
+  }
+  req.user = decoded;
+  next();
 };
 
 app.use('/leave-uploads', authenticateStaticFiles, express.static(config.getLeaveUploadsPath()));
@@ -225,7 +284,9 @@ const startServer = async () => {
 
     // 3. Start Scheduler
   scheduler.registerScheduledJobs(config, AppDataSource);
+  scheduler.scheduleMonthlyAccrual(AppDataSource);
     scheduler.scheduleLeaveTypeCleanup(AppDataSource);
+    scheduler.scheduleEmailQueue(AppDataSource);
 
     // 4. Start HTTP Server
     httpServer.listen(port, '0.0.0.0', () => {
@@ -1,29 +1,56 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const { isSessionActive } = require('../utils/sessionService');
+
+// ตั้งค่าจาก routes/index.js ตอนเริ่มระบบ (middleware นี้ถูกใช้แบบไม่ส่ง AppDataSource ในหลายไฟล์)
+let sessionDataSource = null;
 
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   console.log(authHeader);
   const token = authHeader && authHeader.split(' ')[1];
-  
+
   console.log('Auth Middleware Debug:');
   console.log('Authorization header:', authHeader);
   console.log('Token:', token ? 'Present' : 'Missing');
-  
+
   if (!token) {
     console.log('No token provided');
     return res.status(401).json({ error: 'No token provided' });
   }
-  
-  jwt.verify(token, config.server.jwtSecret, (err, user) => {
+
+  jwt.verify(token, config.server.jwtSecret, async (err, user) => {
     if (err) {
+      // 401 ให้ฝั่งหน้าเว็บรู้ว่าต้องต่ออายุด้วย refresh token
       console.log('Token verification failed:', err.message);
-      return res.status(403).json({ error: 'Invalid token' });
+      return res.status(401).json({ error: 'Invalid token' });
     }
+
+    // token ที่ไม่มี sid (ออกก่อนมีระบบ session) หรือ session ถูกออกจากระบบแล้ว ใช้ไม่ได้
+    if (sessionDataSource) {
+      try {
+        if (!(await isSessionActive(sessionDataSource, user.sid))) {
+          console.log('Session revoked or missing:', user.sid);
+          return res.status(401).json({ error: 'Session has been signed out' });
+        }
+      } catch (sessionErr) {
+        console.error('Session check failed:', sessionErr);
+        return res.status(500).json({ error: 'Session check failed' });
+      }
+    }
+
     console.log('Token verified successfully, user:', user);
     req.user = user;
     next();
   });
 };
 
-module.exports = authMiddleware; 
\ No newline at end of file
+/**
+ * Give the middleware the data source used to check sessions
+ * @param {DataSource} AppDataSource - Data source
+ */
+authMiddleware.useDataSource = (AppDataSource) => {
+  sessionDataSource = AppDataSource;
+};
+
+module.exports = authMiddleware;
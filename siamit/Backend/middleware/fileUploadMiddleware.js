@@ -220,6 +220,24 @@ const announcementImageUpload = createUpload({
   maxFiles: 1
 });
 
+/**
+ * LINE rich menu image upload middleware
+ * Kept in memory and not converted to webp: LINE only accepts JPEG/PNG up to 1MB
+ */
+const LINE_RICH_MENU_IMAGE_MAX_BYTES = 1024 * 1024;
+const lineRichMenuImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: LINE_RICH_MENU_IMAGE_MAX_BYTES, files: 1 },
+  fileFilter: function (req, file, cb) {
+    const allowedMimeTypes = ['image/jpeg', 'image/png'];
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed types: ${allowedMimeTypes.join(', ')}`), false);
+    }
+  }
+});
+
 /**
  * Generic file upload middleware
  * @param {Object} options - Upload options
@@ -275,6 +293,8 @@ module.exports = {
   avatarUpload,
   leaveAttachmentsUpload,
   announcementImageUpload,
+  lineRichMenuImageUpload,
+  LINE_RICH_MENU_IMAGE_MAX_BYTES,
   createFileUpload,
   handleUploadError,
   createStorage,
@@ -0,0 +1,38 @@
+/**
+ * Impersonation Middleware
+ * Runs in front of every API router: requests carrying an impersonation token ("view as employee") are
+ * audited and limited to reads. It decodes the token itself because some controllers parse it on their own.
+ */
+
+const { verifyToken } = require('../utils');
+const { isAllowedWhileImpersonating, auditImpersonatedRequest } = require('../utils/impersonationService');
+
+/**
+ * Create the middleware
+ * @param {DataSource} AppDataSource - Data source
+ * @returns {Function} Express middleware
+ */
+const impersonationGuard = (AppDataSource) => (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return next();
+
+  let claims;
+  try {
+    claims = verifyToken(authHeader.split(' ')[1]);
+  } catch (e) {
+    return next(); // token เสีย/หมดอายุ ปล่อยให้ authMiddleware ตอบ 401 ตามปกติ
+  }
+  if (!claims.imp) return next();
+
+  auditImpersonatedRequest(AppDataSource, req, res, claims);
+  if (!isAllowedWhileImpersonating(req)) {
+    return res.status(403).json({
+      success: false,
+      data: null,
+      message: 'This action is not available while viewing as another user'
+    });
+  }
+  next();
+};
+
+module.exports = { impersonationGuard };
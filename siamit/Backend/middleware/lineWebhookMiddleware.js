@@ -0,0 +1,37 @@
+/**
+ * LINE Webhook Middleware
+ * LINE signs the exact bytes it sends, so express.json keeps a copy of the raw body for the webhook
+ * (captureRawBody) and verifyLineSignature rejects any request whose x-line-signature does not match.
+ */
+
+const config = require('../config');
+const { sendError, sendUnauthorized } = require('../utils');
+const { isValidSignature } = require('../utils/lineWebhookService');
+
+const WEBHOOK_PATH = '/api/line/webhook';
+
+/**
+ * express.json verify hook: keep the raw body of webhook requests
+ */
+const captureRawBody = (req, res, buf) => {
+  if (String(req.originalUrl || req.url).split('?')[0] === WEBHOOK_PATH) req.rawBody = buf;
+};
+
+/**
+ * Reject webhook requests that are unsigned or not signed with the bot's channel secret
+ */
+const verifyLineSignature = (req, res, next) => {
+  if (!config.lineBot.channelSecret) {
+    console.error('LINE webhook rejected: LINE_BOT_CHANNEL_SECRET is not set');
+    return sendError(res, 'LINE webhook is not configured', 503);
+  }
+  const signature = req.get('x-line-signature');
+  if (!signature) return sendUnauthorized(res, 'Missing x-line-signature header');
+  if (!isValidSignature(req.rawBody, signature)) return sendUnauthorized(res, 'Invalid LINE signature');
+  next();
+};
+
+module.exports = {
+  captureRawBody,
+  verifyLineSignature
+};
@@ -0,0 +1,85 @@
+/**
+ * Permission Middleware
+ * Enforces the role → permission matrix (utils/permissionService) on routes.
+ * Route files declare rules like { methods: ['PUT'], path: '/leave-request/:id/status', permission }.
+ */
+
+const { hasPermission } = require('../utils/permissionService');
+const { isSessionActive } = require('../utils/sessionService');
+const { verifyToken, sendUnauthorized, sendForbidden, sendError } = require('../utils');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Compile a rule path into a RegExp (":param" = one segment, trailing "*" = the path and anything below it)
+ * @param {string} path - e.g. '/leave-types/:id/permanent' or '/approval-chains*'
+ * @returns {RegExp}
+ */
+const compilePath = (path) => {
+  const wildcard = path.endsWith('*');
+  const base = (wildcard ? path.slice(0, -1) : path).replace(/\/$/, '');
+  const pattern = base
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern}${wildcard ? '(?:/.*)?' : ''}/?$`);
+};
+
+/**
+ * Resolve the caller from req.user, or from the bearer token on routers that do not run authMiddleware
+ * (the token's session must still be signed in, as authMiddleware requires)
+ */
+const resolveUser = async (AppDataSource, req) => {
+  if (req.user) return req.user;
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  let decoded;
+  try {
+    decoded = verifyToken(authHeader.split(' ')[1]);
+  } catch (e) {
+    return null;
+  }
+  if (!(await isSessionActive(AppDataSource, decoded.sid))) return null;
+  req.user = decoded;
+  return req.user;
+};
+
+/**
+ * Middleware: require at least one of the given permissions
+ * @param {DataSource} AppDataSource - Data source
+ * @param {...string} permissions - Permission keys
+ */
+const requirePermission = (AppDataSource, ...permissions) => async (req, res, next) => {
+  try {
+    const user = await resolveUser(AppDataSource, req);
+    if (!user) return sendUnauthorized(res, 'Authorization token is required');
+    if (!(await hasPermission(AppDataSource, user.role, ...permissions))) {
+      return sendForbidden(res, `Missing permission: ${permissions.join(' or ')}`);
+    }
+    next();
+  } catch (err) {
+    console.error('Permission check failed:', err);
+    sendError(res, 'Permission check failed', 500);
+  }
+};
+
+/**
+ * Middleware: enforce a declarative rule list; requests matching no rule pass through unchanged
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Array<{ methods: Array<string>, path: string, permission: string }>} rules - Permission rules
+ */
+const enforcePermissions = (AppDataSource, rules) => {
+  const compiled = rules.map(rule => ({ ...rule, regex: compilePath(rule.path) }));
+
+  return (req, res, next) => {
+    const rule = compiled.find(r => r.methods.includes(req.method) && r.regex.test(req.path));
+    if (!rule) return next();
+    return requirePermission(AppDataSource, rule.permission)(req, res, next);
+  };
+};
+
+module.exports = {
+  WRITE_METHODS,
+  requirePermission,
+  enforcePermissions
+};
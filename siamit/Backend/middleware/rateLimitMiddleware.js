@@ -0,0 +1,72 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window request counters kept in memory (one Node process serves the API).
+ * Each limiter can count by several keys at once, e.g. the caller's IP and the account being signed in to.
+ */
+
+const { getClientIp } = require('../utils/sessionService');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const buckets = new Map(); // `${name}:${key}` -> { count, resetAt }
+
+// ล้าง bucket ที่หมดเวลาแล้วเป็นระยะ ไม่ให้ Map โตไม่หยุด
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+const byIp = (req) => `ip:${getClientIp(req) || 'unknown'}`;
+
+// นับต่อบัญชีด้วย: กระจายการเดารหัสผ่านไปหลาย IP ก็ยังถูกจำกัด
+const byAccount = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `account:${email}` : null;
+};
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {string} options.name - Counter namespace (one per protected endpoint)
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Array<Function>} options.keys - (req) => key|null; defaults to [byIp]
+ * @param {Function} options.onLimited - (req, res, retryAfterSeconds, firstRejection) => void; defaults to a 429 JSON response.
+ *   firstRejection is true only for the request that pushed a key over its limit in this window
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ name, windowMs, max, keys = [byIp], onLimited }) => (req, res, next) => {
+  const now = Date.now();
+  let retryAfterMs = 0;
+  let firstRejection = false;
+
+  keys.map(getKey => getKey(req)).filter(Boolean).forEach(key => {
+    const bucketKey = `${name}:${key}`;
+    let bucket = buckets.get(bucketKey);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(bucketKey, bucket);
+    }
+    bucket.count += 1;
+    if (bucket.count > max) retryAfterMs = Math.max(retryAfterMs, bucket.resetAt - now);
+    if (bucket.count === max + 1) firstRejection = true;
+  });
+
+  if (!retryAfterMs) return next();
+
+  const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfterSeconds));
+  if (onLimited) return onLimited(req, res, retryAfterSeconds, firstRejection);
+  return res.status(429).json({
+    success: false,
+    data: null,
+    message: `มีการร้องขอมากเกินไป กรุณาลองใหม่ใน ${Math.ceil(retryAfterSeconds / 60)} นาที`
+  });
+};
+
+module.exports = {
+  createRateLimiter,
+  byIp,
+  byAccount
+};
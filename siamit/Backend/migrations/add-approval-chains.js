@@ -0,0 +1,98 @@
+/**
+ * Migration: Add multi-level approval chains
+ * Date: 2026-10-19
+ * Description: Adds approval_chain and leave_approval_step tables and tracks the chain/current step on leave_request
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add approval chains...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating approval_chain table...');
+    await dataSource.query(`
+      CREATE TABLE IF NOT EXISTS approval_chain (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        departmentId VARCHAR(36) NULL,
+        leaveTypeId VARCHAR(36) NULL,
+        steps LONGTEXT NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        createdBy VARCHAR(255) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    console.log('Creating leave_approval_step table...');
+    await dataSource.query(`
+      CREATE TABLE IF NOT EXISTS leave_approval_step (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        leaveRequestId VARCHAR(36) NOT NULL,
+        stepOrder INT NOT NULL,
+        stepName VARCHAR(255) NULL,
+        approverType VARCHAR(20) NOT NULL,
+        approverRole VARCHAR(255) NULL,
+        approverId VARCHAR(36) NULL,
+        sameDepartment BOOLEAN NOT NULL DEFAULT FALSE,
+        status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        actedBy VARCHAR(255) NULL,
+        actedAt TIMESTAMP NULL,
+        comment TEXT NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_leave_approval_step_request (leaveRequestId, stepOrder)
+      )
+    `);
+    
+    console.log('Adding approval columns to leave_request...');
+    await dataSource.query(`
+      ALTER TABLE leave_request 
+      ADD COLUMN approvalChainId VARCHAR(36) NULL,
+      ADD COLUMN currentApprovalStep INT NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,38 @@
+-- Migration: Add multi-level approval chains
+-- Date: 2026-10-19
+-- Description: Adds approval_chain and leave_approval_step tables and tracks the chain/current step on leave_request
+
+CREATE TABLE approval_chain (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  departmentId VARCHAR(36) NULL,
+  leaveTypeId VARCHAR(36) NULL,
+  steps LONGTEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  createdBy VARCHAR(255) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE leave_approval_step (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  leaveRequestId VARCHAR(36) NOT NULL,
+  stepOrder INT NOT NULL,
+  stepName VARCHAR(255) NULL,
+  approverType VARCHAR(20) NOT NULL,
+  approverRole VARCHAR(255) NULL,
+  approverId VARCHAR(36) NULL,
+  sameDepartment BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  actedBy VARCHAR(255) NULL,
+  actedAt TIMESTAMP NULL,
+  comment TEXT NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Look up steps of a leave request quickly
+CREATE INDEX idx_leave_approval_step_request ON leave_approval_step(leaveRequestId, stepOrder);
+
+-- Track which chain/step a leave request is on
+ALTER TABLE leave_request
+ADD COLUMN approvalChainId VARCHAR(36) NULL,
+ADD COLUMN currentApprovalStep INT NULL;
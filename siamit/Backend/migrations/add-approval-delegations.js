@@ -0,0 +1,85 @@
+/**
+ * Migration: Add approval delegation
+ * Date: 2026-10-19
+ * Description: Adds approval_delegation (substitute approvers for a date range) and records on whose behalf a decision was made
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add approval delegation...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating approval_delegation table...');
+    await dataSource.query(`
+      CREATE TABLE approval_delegation (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        delegatorId VARCHAR(36) NOT NULL,
+        delegateId VARCHAR(36) NOT NULL,
+        startDate DATE NOT NULL,
+        endDate DATE NOT NULL,
+        reason VARCHAR(255) NULL,
+        createdBy VARCHAR(255) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_approval_delegation_delegator (delegatorId, startDate, endDate),
+        INDEX idx_approval_delegation_delegate (delegateId, startDate, endDate)
+      )
+    `);
+    
+    console.log('Adding onBehalfOf column to leave_approval_step...');
+    await dataSource.query(`
+      ALTER TABLE leave_approval_step 
+      ADD COLUMN onBehalfOf VARCHAR(36) NULL
+    `);
+    
+    console.log('Adding statusOnBehalfOf column to leave_request...');
+    await dataSource.query(`
+      ALTER TABLE leave_request 
+      ADD COLUMN statusOnBehalfOf VARCHAR(36) NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,22 @@
+-- Migration: Add approval delegation
+-- Date: 2026-10-19
+-- Description: Adds approval_delegation (substitute approvers for a date range) and records on whose behalf a decision was made
+
+CREATE TABLE approval_delegation (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  delegatorId VARCHAR(36) NOT NULL,
+  delegateId VARCHAR(36) NOT NULL,
+  startDate DATE NOT NULL,
+  endDate DATE NOT NULL,
+  reason VARCHAR(255) NULL,
+  createdBy VARCHAR(255) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_approval_delegation_delegator (delegatorId, startDate, endDate),
+  INDEX idx_approval_delegation_delegate (delegateId, startDate, endDate)
+);
+
+ALTER TABLE leave_approval_step
+ADD COLUMN onBehalfOf VARCHAR(36) NULL;
+
+ALTER TABLE leave_request
+ADD COLUMN statusOnBehalfOf VARCHAR(36) NULL;
@@ -0,0 +1,93 @@
+/**
+ * Migration: Add audit log
+ * Date: 2026-10-19
+ * Description: Adds audit_log (append-only record of administrative and leave actions); triggers reject UPDATE and DELETE
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add audit log...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating audit_log table...');
+    await dataSource.query(`
+      CREATE TABLE audit_log (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        actor_id VARCHAR(36) NULL,
+        actor_name VARCHAR(255) NULL,
+        actor_role VARCHAR(50) NULL,
+        action VARCHAR(60) NOT NULL,
+        target_type VARCHAR(40) NOT NULL,
+        target_id VARCHAR(100) NULL,
+        target_label VARCHAR(255) NULL,
+        before_data TEXT NULL,
+        after_data TEXT NULL,
+        metadata TEXT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_log_created (created_at),
+        INDEX idx_audit_log_actor (actor_id, created_at),
+        INDEX idx_audit_log_action (action, created_at),
+        INDEX idx_audit_log_target (target_type, target_id)
+      )
+    `);
+    
+    console.log('Blocking updates on audit_log...');
+    await dataSource.query(`
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+    `);
+    
+    console.log('Blocking deletes on audit_log...');
+    await dataSource.query(`
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
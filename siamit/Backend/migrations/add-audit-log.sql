@@ -0,0 +1,30 @@
+-- Migration: Add audit log
+-- Date: 2026-10-19
+-- Description: Adds audit_log (append-only record of administrative and leave actions); triggers reject UPDATE and DELETE
+
+CREATE TABLE audit_log (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  actor_id VARCHAR(36) NULL,
+  actor_name VARCHAR(255) NULL,
+  actor_role VARCHAR(50) NULL,
+  action VARCHAR(60) NOT NULL,
+  target_type VARCHAR(40) NOT NULL,
+  target_id VARCHAR(100) NULL,
+  target_label VARCHAR(255) NULL,
+  before_data TEXT NULL,
+  after_data TEXT NULL,
+  metadata TEXT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_audit_log_created (created_at),
+  INDEX idx_audit_log_actor (actor_id, created_at),
+  INDEX idx_audit_log_action (action, created_at),
+  INDEX idx_audit_log_target (target_type, target_id)
+);
+
+CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
+
+CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only';
\ No newline at end of file
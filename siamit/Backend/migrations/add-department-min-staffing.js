@@ -0,0 +1,63 @@
+/**
+ * Migration: Add department minimum staffing
+ * Date: 2026-10-19
+ * Description: Adds department.min_staffing used to warn approvers about understaffed days
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add department minimum staffing...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding min_staffing column to department...');
+    await dataSource.query(`
+      ALTER TABLE department 
+      ADD COLUMN min_staffing INT NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,6 @@
+-- Migration: Add department minimum staffing
+-- Date: 2026-10-19
+-- Description: Adds department.min_staffing used to warn approvers about understaffed days
+
+ALTER TABLE department
+ADD COLUMN min_staffing INT NULL;
@@ -0,0 +1,86 @@
+/**
+ * Migration: Add email notifications
+ * Date: 2026-10-19
+ * Description: Adds users.notify_email, users.notify_line and users.notification_language, and email_outbox (queued notification emails with retries)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add email notifications...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding notification preference columns to users...');
+    await dataSource.query(`
+      ALTER TABLE users
+      ADD COLUMN notify_email BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN notify_line BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN notification_language VARCHAR(2) NOT NULL DEFAULT 'th'
+    `);
+    
+    console.log('Creating email_outbox table...');
+    await dataSource.query(`
+      CREATE TABLE email_outbox (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        userId VARCHAR(36) NULL,
+        toAddress VARCHAR(255) NOT NULL,
+        template VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        html MEDIUMTEXT NOT NULL,
+        text MEDIUMTEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        nextAttemptAt TIMESTAMP NULL,
+        lastError VARCHAR(500) NULL,
+        sentAt TIMESTAMP NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_email_outbox_due (status, nextAttemptAt),
+        INDEX idx_email_outbox_created (createdAt)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
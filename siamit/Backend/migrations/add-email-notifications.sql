@@ -0,0 +1,26 @@
+-- Migration: Add email notifications
+-- Date: 2026-10-19
+-- Description: Adds users.notify_email, users.notify_line and users.notification_language, and email_outbox (queued notification emails with retries)
+
+ALTER TABLE users
+ADD COLUMN notify_email BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN notify_line BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN notification_language VARCHAR(2) NOT NULL DEFAULT 'th';
+
+CREATE TABLE email_outbox (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  userId VARCHAR(36) NULL,
+  toAddress VARCHAR(255) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html MEDIUMTEXT NOT NULL,
+  text MEDIUMTEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  nextAttemptAt TIMESTAMP NULL,
+  lastError VARCHAR(500) NULL,
+  sentAt TIMESTAMP NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_email_outbox_due (status, nextAttemptAt),
+  INDEX idx_email_outbox_created (createdAt)
+);
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Migration: Add half-day leave support
+ * Date: 2026-10-19
+ * Description: Adds leave_request.halfDayPeriod and lets leave_used.days hold half days (0.5)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add half-day leave support...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding halfDayPeriod column to leave_request...');
+    await dataSource.query(`
+      ALTER TABLE leave_request 
+      ADD COLUMN halfDayPeriod VARCHAR(20) NULL
+    `);
+    
+    console.log('Changing leave_used.days to FLOAT...');
+    await dataSource.query(`
+      ALTER TABLE leave_used 
+      MODIFY COLUMN days FLOAT NULL DEFAULT 0
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,9 @@
+-- Migration: Add half-day leave support
+-- Date: 2026-10-19
+-- Description: Adds leave_request.halfDayPeriod and lets leave_used.days hold half days (0.5)
+
+ALTER TABLE leave_request
+ADD COLUMN halfDayPeriod VARCHAR(20) NULL;
+
+ALTER TABLE leave_used
+MODIFY COLUMN days FLOAT NULL DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Migration: Add impersonation sessions
+-- Date: 2026-10-19
+-- Description: Marks user_session rows opened by a superadmin viewing the system as another user
+
+ALTER TABLE user_session
+ADD COLUMN impersonatorId VARCHAR(36) NULL,
+ADD INDEX idx_user_session_impersonator (impersonatorId);
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Migration: Add monthly leave accrual
+ * Date: 2026-10-19
+ * Description: Adds accrual mode/rate and an allowed negative balance to leave_quota
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add monthly leave accrual...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding accrual columns to leave_quota...');
+    await dataSource.query(`
+      ALTER TABLE leave_quota 
+      ADD COLUMN accrual_mode VARCHAR(20) NOT NULL DEFAULT 'annual',
+      ADD COLUMN accrual_rate FLOAT NULL,
+      ADD COLUMN max_negative_days FLOAT NOT NULL DEFAULT 0
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,8 @@
+-- Migration: Add monthly leave accrual
+-- Date: 2026-10-19
+-- Description: Adds accrual mode/rate and an allowed negative balance to leave_quota
+
+ALTER TABLE leave_quota
+ADD COLUMN accrual_mode VARCHAR(20) NOT NULL DEFAULT 'annual',
+ADD COLUMN accrual_rate FLOAT NULL,
+ADD COLUMN max_negative_days FLOAT NOT NULL DEFAULT 0;
@@ -0,0 +1,73 @@
+/**
+ * Migration: Add leave blackout periods
+ * Date: 2026-10-19
+ * Description: Adds leave_blackout (date ranges in which leave is blocked or flagged, per department or company-wide)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add leave blackouts...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating leave_blackout table...');
+    await dataSource.query(`
+      CREATE TABLE leave_blackout (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        title VARCHAR(255) NOT NULL,
+        description VARCHAR(255) NULL,
+        startDate DATE NOT NULL,
+        endDate DATE NOT NULL,
+        departmentId VARCHAR(36) NULL,
+        mode VARCHAR(10) NOT NULL DEFAULT 'block',
+        createdBy VARCHAR(255) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_leave_blackout_dates (startDate, endDate)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
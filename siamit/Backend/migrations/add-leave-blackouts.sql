@@ -0,0 +1,16 @@
+-- Migration: Add leave blackout periods
+-- Date: 2026-10-19
+-- Description: Adds leave_blackout (date ranges in which leave is blocked or flagged, per department or company-wide)
+
+CREATE TABLE leave_blackout (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description VARCHAR(255) NULL,
+  startDate DATE NOT NULL,
+  endDate DATE NOT NULL,
+  departmentId VARCHAR(36) NULL,
+  mode VARCHAR(10) NOT NULL DEFAULT 'block',
+  createdBy VARCHAR(255) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_leave_blackout_dates (startDate, endDate)
+);
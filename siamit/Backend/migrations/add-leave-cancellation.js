@@ -0,0 +1,68 @@
+/**
+ * Migration: Add leave cancellation and withdrawal tracking
+ * Date: 2026-10-19
+ * Description: Adds columns used by the withdrawn / cancel_requested / cancelled statuses of leave_request
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add leave cancellation columns...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding cancellation columns to leave_request...');
+    await dataSource.query(`
+      ALTER TABLE leave_request 
+      ADD COLUMN withdrawnTime TIMESTAMP NULL,
+      ADD COLUMN cancelReason TEXT NULL,
+      ADD COLUMN cancelRequestedTime TIMESTAMP NULL,
+      ADD COLUMN cancelledBy VARCHAR(255) NULL,
+      ADD COLUMN cancelledTime TIMESTAMP NULL,
+      ADD COLUMN cancelRejectedReason TEXT NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
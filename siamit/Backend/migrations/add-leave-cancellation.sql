@@ -0,0 +1,11 @@
+-- Migration: Add leave cancellation and withdrawal tracking
+-- Date: 2026-10-19
+-- Description: Adds columns used by the withdrawn / cancel_requested / cancelled statuses of leave_request
+
+ALTER TABLE leave_request
+ADD COLUMN withdrawnTime TIMESTAMP NULL,
+ADD COLUMN cancelReason TEXT NULL,
+ADD COLUMN cancelRequestedTime TIMESTAMP NULL,
+ADD COLUMN cancelledBy VARCHAR(255) NULL,
+ADD COLUMN cancelledTime TIMESTAMP NULL,
+ADD COLUMN cancelRejectedReason TEXT NULL;
@@ -0,0 +1,70 @@
+/**
+ * Migration: Add leave carry-over settings
+ * Date: 2026-10-19
+ * Description: Adds per-position carry-over caps/expiry to leave_quota and an expiry date to leave_ledger entries
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add leave carry-over settings...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding carry-over columns to leave_quota...');
+    await dataSource.query(`
+      ALTER TABLE leave_quota 
+      ADD COLUMN carry_over_max_days FLOAT NOT NULL DEFAULT 0,
+      ADD COLUMN carry_over_expiry VARCHAR(5) NULL
+    `);
+    
+    console.log('Adding expires_on column to leave_ledger...');
+    await dataSource.query(`
+      ALTER TABLE leave_ledger 
+      ADD COLUMN expires_on DATE NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,10 @@
+-- Migration: Add leave carry-over settings
+-- Date: 2026-10-19
+-- Description: Adds per-position carry-over caps/expiry to leave_quota and an expiry date to leave_ledger entries
+
+ALTER TABLE leave_quota
+ADD COLUMN carry_over_max_days FLOAT NOT NULL DEFAULT 0,
+ADD COLUMN carry_over_expiry VARCHAR(5) NULL;
+
+ALTER TABLE leave_ledger
+ADD COLUMN expires_on DATE NULL;
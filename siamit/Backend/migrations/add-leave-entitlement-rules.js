@@ -0,0 +1,76 @@
+/**
+ * Migration: Add tenure-based and pro-rated leave entitlements
+ * Date: 2026-10-19
+ * Description: Adds leave_entitlement_rule (extra days by years of service) and leave_quota.prorate_first_year
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add leave entitlement rules...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating leave_entitlement_rule table...');
+    await dataSource.query(`
+      CREATE TABLE leave_entitlement_rule (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        leaveTypeId VARCHAR(36) NOT NULL,
+        positionId VARCHAR(36) NULL,
+        min_years INT NOT NULL DEFAULT 0,
+        extra_days FLOAT NOT NULL DEFAULT 0,
+        createdBy VARCHAR(255) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    console.log('Adding prorate_first_year column to leave_quota...');
+    await dataSource.query(`
+      ALTER TABLE leave_quota 
+      ADD COLUMN prorate_first_year BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
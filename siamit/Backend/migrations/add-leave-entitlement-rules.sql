@@ -0,0 +1,16 @@
+-- Migration: Add tenure-based and pro-rated leave entitlements
+-- Date: 2026-10-19
+-- Description: Adds leave_entitlement_rule (extra days by years of service) and leave_quota.prorate_first_year
+
+CREATE TABLE leave_entitlement_rule (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  leaveTypeId VARCHAR(36) NOT NULL,
+  positionId VARCHAR(36) NULL,
+  min_years INT NOT NULL DEFAULT 0,
+  extra_days FLOAT NOT NULL DEFAULT 0,
+  createdBy VARCHAR(255) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE leave_quota
+ADD COLUMN prorate_first_year BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,86 @@
+/**
+ * Migration: Add per-year leave ledger
+ * Date: 2026-10-19
+ * Description: Adds leave_ledger (append-only debit/credit entries keyed by leave year) and seeds it from leave_used
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add leave ledger...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating leave_ledger table...');
+    await dataSource.query(`
+      CREATE TABLE leave_ledger (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        leave_type_id VARCHAR(36) NOT NULL,
+        leave_year INT NOT NULL,
+        entry_type VARCHAR(30) NOT NULL,
+        days FLOAT NOT NULL DEFAULT 0,
+        hours FLOAT NOT NULL DEFAULT 0,
+        entry_date DATE NOT NULL,
+        leave_request_id VARCHAR(36) NULL,
+        note TEXT NULL,
+        created_by VARCHAR(36) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await dataSource.query(`
+      CREATE INDEX idx_leave_ledger_user_year ON leave_ledger(user_id, leave_year, leave_type_id)
+    `);
+    
+    console.log('Seeding opening balances from leave_used...');
+    await dataSource.query(`
+      INSERT INTO leave_ledger (id, user_id, leave_type_id, leave_year, entry_type, days, hours, entry_date, note)
+      SELECT UUID(), user_id, leave_type_id, YEAR(CURDATE()), 'adjustment', COALESCE(days, 0), COALESCE(hour, 0), CURDATE(), 'Opening balance migrated from leave_used'
+      FROM leave_used
+      WHERE COALESCE(days, 0) <> 0 OR COALESCE(hour, 0) <> 0
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
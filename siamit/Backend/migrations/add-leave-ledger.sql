@@ -0,0 +1,27 @@
+-- Migration: Add per-year leave ledger
+-- Date: 2026-10-19
+-- Description: Adds leave_ledger (append-only debit/credit entries keyed by leave year) and seeds it from leave_used
+
+CREATE TABLE leave_ledger (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  leave_type_id VARCHAR(36) NOT NULL,
+  leave_year INT NOT NULL,
+  entry_type VARCHAR(30) NOT NULL,
+  days FLOAT NOT NULL DEFAULT 0,
+  hours FLOAT NOT NULL DEFAULT 0,
+  entry_date DATE NOT NULL,
+  leave_request_id VARCHAR(36) NULL,
+  note TEXT NULL,
+  created_by VARCHAR(36) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Balances are always summed per user / year / leave type
+CREATE INDEX idx_leave_ledger_user_year ON leave_ledger(user_id, leave_year, leave_type_id);
+
+-- Opening balance: current leave_used totals become an adjustment entry of the current year
+INSERT INTO leave_ledger (id, user_id, leave_type_id, leave_year, entry_type, days, hours, entry_date, note)
+SELECT UUID(), user_id, leave_type_id, YEAR(CURDATE()), 'adjustment', COALESCE(days, 0), COALESCE(hour, 0), CURDATE(), 'Opening balance migrated from leave_used'
+FROM leave_used
+WHERE COALESCE(days, 0) <> 0 OR COALESCE(hour, 0) <> 0;
@@ -0,0 +1,70 @@
+/**
+ * Migration: Add LINE conversations
+ * Date: 2026-10-19
+ * Description: Adds line_conversation (state of a multi-step LINE bot conversation, one per LINE user)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add LINE conversations...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating line_conversation table...');
+    await dataSource.query(`
+      CREATE TABLE line_conversation (
+        lineUserId VARCHAR(50) NOT NULL PRIMARY KEY,
+        userId VARCHAR(36) NOT NULL,
+        flow VARCHAR(30) NOT NULL,
+        step VARCHAR(30) NOT NULL,
+        data TEXT NULL,
+        expiresAt DATETIME NOT NULL,
+        updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
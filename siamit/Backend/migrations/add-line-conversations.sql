@@ -0,0 +1,13 @@
+-- Migration: Add LINE conversations
+-- Date: 2026-10-19
+-- Description: Adds line_conversation (state of a multi-step LINE bot conversation, one per LINE user)
+
+CREATE TABLE line_conversation (
+  lineUserId VARCHAR(50) NOT NULL PRIMARY KEY,
+  userId VARCHAR(36) NOT NULL,
+  flow VARCHAR(30) NOT NULL,
+  step VARCHAR(30) NOT NULL,
+  data TEXT NULL,
+  expiresAt DATETIME NOT NULL,
+  updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
\ No newline at end of file
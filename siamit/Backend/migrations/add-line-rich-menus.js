@@ -0,0 +1,78 @@
+/**
+ * Migration: Add LINE rich menus
+ * Date: 2026-10-19
+ * Description: Adds line_rich_menu (rich menus managed from the admin page, one per audience, and their ids on LINE)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add LINE rich menus...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating line_rich_menu table...');
+    await dataSource.query(`
+      CREATE TABLE line_rich_menu (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        audience VARCHAR(20) NULL,
+        size VARCHAR(10) NOT NULL DEFAULT 'full',
+        chatBarText VARCHAR(14) NOT NULL,
+        areas TEXT NOT NULL,
+        imageFile VARCHAR(255) NULL,
+        lineRichMenuId VARCHAR(100) NULL,
+        isDefault BOOLEAN NOT NULL DEFAULT FALSE,
+        hasUnpublishedChanges BOOLEAN NOT NULL DEFAULT TRUE,
+        publishedAt TIMESTAMP NULL,
+        createdBy VARCHAR(255) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_line_rich_menu_audience (audience)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,21 @@
+-- Migration: Add LINE rich menus
+-- Date: 2026-10-19
+-- Description: Adds line_rich_menu (rich menus managed from the admin page, one per audience, and their ids on LINE)
+
+CREATE TABLE line_rich_menu (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  audience VARCHAR(20) NULL,
+  size VARCHAR(10) NOT NULL DEFAULT 'full',
+  chatBarText VARCHAR(14) NOT NULL,
+  areas TEXT NOT NULL,
+  imageFile VARCHAR(255) NULL,
+  lineRichMenuId VARCHAR(100) NULL,
+  isDefault BOOLEAN NOT NULL DEFAULT FALSE,
+  hasUnpublishedChanges BOOLEAN NOT NULL DEFAULT TRUE,
+  publishedAt TIMESTAMP NULL,
+  createdBy VARCHAR(255) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_line_rich_menu_audience (audience)
+);
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Migration: Add LINE webhook events
+ * Date: 2026-10-19
+ * Description: Adds line_webhook_event (ids of processed LINE webhook events, so redeliveries are handled once)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add LINE webhook events...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating line_webhook_event table...');
+    await dataSource.query(`
+      CREATE TABLE line_webhook_event (
+        webhookEventId VARCHAR(64) NOT NULL PRIMARY KEY,
+        eventType VARCHAR(30) NULL,
+        isRedelivery BOOLEAN NOT NULL DEFAULT FALSE,
+        receivedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_line_webhook_event_received (receivedAt)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,11 @@
+-- Migration: Add LINE webhook events
+-- Date: 2026-10-19
+-- Description: Adds line_webhook_event (ids of processed LINE webhook events, so redeliveries are handled once)
+
+CREATE TABLE line_webhook_event (
+  webhookEventId VARCHAR(64) NOT NULL PRIMARY KEY,
+  eventType VARCHAR(30) NULL,
+  isRedelivery BOOLEAN NOT NULL DEFAULT FALSE,
+  receivedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_line_webhook_event_received (receivedAt)
+);
\ No newline at end of file
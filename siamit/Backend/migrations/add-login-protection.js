@@ -0,0 +1,82 @@
+/**
+ * Migration: Add login protection
+ * Date: 2026-10-19
+ * Description: Adds account lockout columns on users and login_attempt (failed sign-in log for review)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add login protection...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding lockout columns to users...');
+    await dataSource.query(`
+      ALTER TABLE users
+      ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+      ADD COLUMN last_failed_login_at DATETIME NULL,
+      ADD COLUMN locked_until DATETIME NULL
+    `);
+    
+    console.log('Creating login_attempt table...');
+    await dataSource.query(`
+      CREATE TABLE login_attempt (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        email VARCHAR(255) NULL,
+        userId VARCHAR(36) NULL,
+        ipAddress VARCHAR(45) NULL,
+        userAgent VARCHAR(255) NULL,
+        endpoint VARCHAR(50) NOT NULL,
+        reason VARCHAR(30) NOT NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_login_attempt_user (userId, createdAt),
+        INDEX idx_login_attempt_ip (ipAddress, createdAt),
+        INDEX idx_login_attempt_created (createdAt)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
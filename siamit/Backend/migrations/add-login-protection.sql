@@ -0,0 +1,22 @@
+-- Migration: Add login protection
+-- Date: 2026-10-19
+-- Description: Adds account lockout columns on users and login_attempt (failed sign-in log for review)
+
+ALTER TABLE users
+ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+ADD COLUMN last_failed_login_at DATETIME NULL,
+ADD COLUMN locked_until DATETIME NULL;
+
+CREATE TABLE login_attempt (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  email VARCHAR(255) NULL,
+  userId VARCHAR(36) NULL,
+  ipAddress VARCHAR(45) NULL,
+  userAgent VARCHAR(255) NULL,
+  endpoint VARCHAR(50) NOT NULL,
+  reason VARCHAR(30) NOT NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_login_attempt_user (userId, createdAt),
+  INDEX idx_login_attempt_ip (ipAddress, createdAt),
+  INDEX idx_login_attempt_created (createdAt)
+);
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Migration: Add OIDC single sign-on
+ * Date: 2026-10-19
+ * Description: Adds the IdP identity (issuer + subject) that links a user to their single sign-on account
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add OIDC single sign-on...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding SSO identity columns to users...');
+    await dataSource.query(`
+      ALTER TABLE users
+      ADD COLUMN sso_issuer VARCHAR(255) NULL,
+      ADD COLUMN sso_subject VARCHAR(255) NULL,
+      ADD UNIQUE INDEX idx_users_sso_identity (sso_issuer, sso_subject)
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,8 @@
+-- Migration: Add OIDC single sign-on
+-- Date: 2026-10-19
+-- Description: Adds the IdP identity (issuer + subject) that links a user to their single sign-on account
+
+ALTER TABLE users
+ADD COLUMN sso_issuer VARCHAR(255) NULL,
+ADD COLUMN sso_subject VARCHAR(255) NULL,
+ADD UNIQUE INDEX idx_users_sso_identity (sso_issuer, sso_subject);
\ No newline at end of file
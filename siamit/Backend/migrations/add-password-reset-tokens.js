@@ -0,0 +1,72 @@
+/**
+ * Migration: Add password reset tokens
+ * Date: 2026-10-19
+ * Description: Adds password_reset_token (single-use, expiring links for self-service password reset)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add password reset tokens...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating password_reset_token table...');
+    await dataSource.query(`
+      CREATE TABLE password_reset_token (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        userId VARCHAR(36) NOT NULL,
+        tokenHash VARCHAR(64) NOT NULL,
+        expiresAt DATETIME NOT NULL,
+        usedAt DATETIME NULL,
+        requestedIp VARCHAR(45) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX idx_password_reset_token_hash (tokenHash),
+        INDEX idx_password_reset_token_user (userId, createdAt)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,15 @@
+-- Migration: Add password reset tokens
+-- Date: 2026-10-19
+-- Description: Adds password_reset_token (single-use, expiring links for self-service password reset)
+
+CREATE TABLE password_reset_token (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  userId VARCHAR(36) NOT NULL,
+  tokenHash VARCHAR(64) NOT NULL,
+  expiresAt DATETIME NOT NULL,
+  usedAt DATETIME NULL,
+  requestedIp VARCHAR(45) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_password_reset_token_hash (tokenHash),
+  INDEX idx_password_reset_token_user (userId, createdAt)
+);
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Migration: Add reporting lines
+ * Date: 2026-10-19
+ * Description: Adds users.manager_id and department.head_id used to scope approvers to their reports
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add reporting lines...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding manager_id column to users...');
+    await dataSource.query(`
+      ALTER TABLE users 
+      ADD COLUMN manager_id VARCHAR(36) NULL,
+      ADD INDEX idx_users_manager (manager_id)
+    `);
+    
+    console.log('Adding head_id column to department...');
+    await dataSource.query(`
+      ALTER TABLE department 
+      ADD COLUMN head_id VARCHAR(36) NULL
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
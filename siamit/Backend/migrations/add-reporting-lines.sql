@@ -0,0 +1,10 @@
+-- Migration: Add reporting lines
+-- Date: 2026-10-19
+-- Description: Adds users.manager_id and department.head_id used to scope approvers to their reports
+
+ALTER TABLE users
+ADD COLUMN manager_id VARCHAR(36) NULL,
+ADD INDEX idx_users_manager (manager_id);
+
+ALTER TABLE department
+ADD COLUMN head_id VARCHAR(36) NULL;
@@ -0,0 +1,11 @@
+-- Migration: Add role permission matrix
+-- Date: 2026-10-19
+-- Description: Adds role_permission (saved permission overrides for built-in roles and custom roles)
+
+CREATE TABLE role_permission (
+  role VARCHAR(50) NOT NULL PRIMARY KEY,
+  label VARCHAR(255) NULL,
+  permissions TEXT NOT NULL,
+  updatedBy VARCHAR(255) NULL,
+  updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
@@ -0,0 +1,76 @@
+/**
+ * Migration: Add two-factor authentication
+ * Date: 2026-10-19
+ * Description: Adds TOTP columns on users and system_setting (security policy such as roles that must use 2FA)
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add two-factor authentication...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Adding two-factor columns to users...');
+    await dataSource.query(`
+      ALTER TABLE users
+      ADD COLUMN two_factor_secret VARCHAR(255) NULL,
+      ADD COLUMN two_factor_enabled_at DATETIME NULL,
+      ADD COLUMN two_factor_recovery_codes TEXT NULL,
+      ADD COLUMN two_factor_last_step INT NULL
+    `);
+    
+    console.log('Creating system_setting table...');
+    await dataSource.query(`
+      CREATE TABLE system_setting (
+        name VARCHAR(100) NOT NULL PRIMARY KEY,
+        value TEXT NULL,
+        updatedBy VARCHAR(255) NULL,
+        updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
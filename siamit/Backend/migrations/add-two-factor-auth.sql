@@ -0,0 +1,16 @@
+-- Migration: Add two-factor authentication
+-- Date: 2026-10-19
+-- Description: Adds TOTP columns on users and system_setting (security policy such as roles that must use 2FA)
+
+ALTER TABLE users
+ADD COLUMN two_factor_secret VARCHAR(255) NULL,
+ADD COLUMN two_factor_enabled_at DATETIME NULL,
+ADD COLUMN two_factor_recovery_codes TEXT NULL,
+ADD COLUMN two_factor_last_step INT NULL;
+
+CREATE TABLE system_setting (
+  name VARCHAR(100) NOT NULL PRIMARY KEY,
+  value TEXT NULL,
+  updatedBy VARCHAR(255) NULL,
+  updatedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Migration: Add user sessions
+ * Date: 2026-10-19
+ * Description: Adds user_session (one row per signed-in device) backing rotating refresh tokens and revocation
+ */
+
+const { DataSource } = require('typeorm');
+const config = require('../config');
+
+async function migrate() {
+  let dataSource;
+  
+  try {
+    console.log('Starting migration: Add user sessions...');
+    
+    // Create data source
+    dataSource = new DataSource({
+      type: config.database.type,
+      host: config.database.host,
+      port: config.database.port,
+      username: config.database.username,
+      password: config.database.password,
+      database: config.database.database,
+      synchronize: false,
+      logging: true
+    });
+    
+    await dataSource.initialize();
+    console.log('Database connection established');
+    
+    console.log('Creating user_session table...');
+    await dataSource.query(`
+      CREATE TABLE user_session (
+        id VARCHAR(36) NOT NULL PRIMARY KEY,
+        userId VARCHAR(36) NOT NULL,
+        refreshTokenHash VARCHAR(64) NOT NULL,
+        previousTokenHash VARCHAR(64) NULL,
+        device VARCHAR(100) NULL,
+        userAgent VARCHAR(255) NULL,
+        ipAddress VARCHAR(45) NULL,
+        expiresAt DATETIME NOT NULL,
+        lastSeenAt DATETIME NULL,
+        revokedAt DATETIME NULL,
+        revokedReason VARCHAR(50) NULL,
+        createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX idx_user_session_refresh (refreshTokenHash),
+        INDEX idx_user_session_previous (previousTokenHash),
+        INDEX idx_user_session_user (userId, revokedAt)
+      )
+    `);
+    
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  } finally {
+    if (dataSource && dataSource.isInitialized) {
+      await dataSource.destroy();
+      console.log('Database connection closed');
+    }
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  migrate()
+    .then(() => {
+      console.log('Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
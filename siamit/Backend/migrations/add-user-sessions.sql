@@ -0,0 +1,21 @@
+-- Migration: Add user sessions
+-- Date: 2026-10-19
+-- Description: Adds user_session (one row per signed-in device) backing rotating refresh tokens and revocation
+
+CREATE TABLE user_session (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  userId VARCHAR(36) NOT NULL,
+  refreshTokenHash VARCHAR(64) NOT NULL,
+  previousTokenHash VARCHAR(64) NULL,
+  device VARCHAR(100) NULL,
+  userAgent VARCHAR(255) NULL,
+  ipAddress VARCHAR(45) NULL,
+  expiresAt DATETIME NOT NULL,
+  lastSeenAt DATETIME NULL,
+  revokedAt DATETIME NULL,
+  revokedReason VARCHAR(50) NULL,
+  createdAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE INDEX idx_user_session_refresh (refreshTokenHash),
+  INDEX idx_user_session_previous (previousTokenHash),
+  INDEX idx_user_session_user (userId, revokedAt)
+);
\ No newline at end of file
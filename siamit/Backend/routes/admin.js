@@ -10,10 +10,45 @@ const midController = require('../api/MidController');
 const dashboardIndexController = require('../api/DashboardIndexController');
 const announcementsController = require('../api/AnnouncementsController');
 const customHolidayController = require('../api/CustomHolidayController');
+const leaveBlackoutController = require('../api/LeaveBlackoutController');
 const notificationBellController = require('../api/NotificationBellController');
+const rolePermissionController = require('../api/RolePermissionController');
+const securityPolicyController = require('../api/SecurityPolicyController');
+const loginSecurityController = require('../api/LoginSecurityController');
+const auditLogController = require('../api/AuditLogController');
+const impersonationController = require('../api/ImpersonationController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { enforcePermissions, WRITE_METHODS } = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissionService');
+
+// Route → permission matrix (routes not listed only require a valid token)
+const adminPermissionRules = [
+  { methods: WRITE_METHODS, path: '/positions*', permission: PERMISSIONS.ORGANIZATION_MANAGE },
+  { methods: WRITE_METHODS, path: '/departments*', permission: PERMISSIONS.ORGANIZATION_MANAGE },
+  { methods: WRITE_METHODS, path: '/positions-with-quotas*', permission: PERMISSIONS.ORGANIZATION_MANAGE },
+  { methods: ['GET'], path: '/employees', permission: PERMISSIONS.EMPLOYEES_VIEW },
+  { methods: ['GET'], path: '/employee/:id*', permission: PERMISSIONS.EMPLOYEES_VIEW },
+  { methods: WRITE_METHODS, path: '/employee/:id*', permission: PERMISSIONS.EMPLOYEES_MANAGE },
+  { methods: ['GET', ...WRITE_METHODS], path: '/users*', permission: PERMISSIONS.USERS_MANAGE },
+  { methods: ['GET', ...WRITE_METHODS], path: '/admins*', permission: PERMISSIONS.USERS_MANAGE },
+  { methods: ['POST'], path: '/create-user-with-role', permission: PERMISSIONS.USERS_MANAGE },
+  { methods: ['POST'], path: '/superadmin/cleanup-old-leave-requests', permission: PERMISSIONS.SYSTEM_MAINTENANCE },
+  { methods: ['GET', ...WRITE_METHODS], path: '/superadmin*', permission: PERMISSIONS.USERS_MANAGE },
+  { methods: ['GET'], path: '/test-db', permission: PERMISSIONS.SYSTEM_MAINTENANCE },
+  { methods: WRITE_METHODS, path: '/announcements*', permission: PERMISSIONS.ANNOUNCEMENTS_MANAGE },
+  { methods: WRITE_METHODS, path: '/custom-holidays*', permission: PERMISSIONS.CALENDAR_MANAGE },
+  { methods: WRITE_METHODS, path: '/leave-blackouts*', permission: PERMISSIONS.CALENDAR_MANAGE },
+  { methods: ['GET'], path: '/role-permissions', permission: PERMISSIONS.PERMISSIONS_MANAGE },
+  { methods: WRITE_METHODS, path: '/role-permissions/:role', permission: PERMISSIONS.PERMISSIONS_MANAGE },
+  { methods: ['GET', ...WRITE_METHODS], path: '/security-policy', permission: PERMISSIONS.PERMISSIONS_MANAGE },
+  { methods: ['GET'], path: '/login-attempts', permission: PERMISSIONS.EMPLOYEES_MANAGE },
+  { methods: ['GET'], path: '/audit-logs*', permission: PERMISSIONS.AUDIT_VIEW },
+  { methods: ['POST'], path: '/impersonation/start', permission: PERMISSIONS.USERS_IMPERSONATE }
+];
+
 const initializeAdminRoutes = (AppDataSource) => {
   router.use(authMiddleware);
+  router.use(enforcePermissions(AppDataSource, adminPermissionRules));
   router.use('/', positionController(AppDataSource));
   
   // Department management
@@ -37,9 +72,27 @@ const initializeAdminRoutes = (AppDataSource) => {
   // Custom holidays
   router.use('/', customHolidayController(AppDataSource));
   
+  // Leave blackout periods
+  router.use('/', leaveBlackoutController(AppDataSource));
+  
   // Notifications
   router.use('/', notificationBellController(AppDataSource));
   
+  // Role permission matrix
+  router.use('/', rolePermissionController(AppDataSource));
+  
+  // Security policy (2FA enforcement) and 2FA reset
+  router.use('/', securityPolicyController(AppDataSource));
+  
+  // Failed sign-in log and account unlock
+  router.use('/', loginSecurityController(AppDataSource));
+  
+  // Audit log viewer and export
+  router.use('/', auditLogController(AppDataSource));
+  
+  // "View as employee" sessions for superadmins
+  router.use('/', impersonationController(AppDataSource));
+  
   return router;
 };
 
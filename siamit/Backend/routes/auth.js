@@ -5,12 +5,59 @@ const router = express.Router();
 const registerController = require('../api/RegisterController');
 const loginController = require('../api/LoginController');
 const profileController = require('../api/ProfileController');
+const sessionController = require('../api/SessionController');
+const passwordResetController = require('../api/PasswordResetController');
+const twoFactorController = require('../api/TwoFactorController');
+const ssoController = require('../api/SsoController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { createRateLimiter, byIp, byAccount } = require('../middleware/rateLimitMiddleware');
+const config = require('../config');
+const { LOGIN_FAILURE_REASONS, recordLoginAttempt } = require('../utils/loginGuardService');
+const { enforcePermissions } = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissionService');
+
+// Route → permission matrix (register/login stay public; reading your own profile only needs a token)
+const authPermissionRules = [
+  { methods: ['PUT'], path: '/profile', permission: PERMISSIONS.PROFILE_EDIT },
+  { methods: ['POST', 'DELETE'], path: '/avatar', permission: PERMISSIONS.PROFILE_EDIT }
+];
 
 const initializeAuthRoutes = (AppDataSource) => {
+  const { rateLimits } = config.loginProtection;
+  // บันทึก login_attempt แค่ครั้งแรกที่ key เกินโควตาในแต่ละ window: คำขอที่ถูกปัดตกต่อจากนั้นไม่เขียน DB
+  const logRateLimited = (endpoint) => (req, res, retryAfterSeconds, firstRejection) => {
+    if (firstRejection) {
+      recordLoginAttempt(AppDataSource, { req, endpoint, reason: LOGIN_FAILURE_REASONS.RATE_LIMITED, email: req.body?.email });
+    }
+    res.status(429).json({
+      success: false,
+      data: null,
+      message: `พยายามเข้าสู่ระบบบ่อยเกินไป กรุณาลองใหม่ใน ${Math.ceil(retryAfterSeconds / 60)} นาที`
+    });
+  };
+
+  // Brute-force throttling (covers /login/2fa* too); account lockout itself lives in LoginController
+  router.use('/login', createRateLimiter({ name: 'login', ...rateLimits.login, keys: [byIp, byAccount], onLimited: logRateLimited('login') }));
+  router.post('/register', createRateLimiter({ name: 'register', ...rateLimits.register, onLimited: logRateLimited('register') }));
+  router.use('/sso', createRateLimiter({ name: 'sso', ...rateLimits.sso, onLimited: logRateLimited('sso') }));
+
+  router.use(enforcePermissions(AppDataSource, authPermissionRules));
+
   // Public auth routes
   router.use('/', registerController(AppDataSource));
   router.use('/', loginController(AppDataSource));
+
+  // Single sign-on (OpenID Connect); /sso/config also tells the login page whether the password form is on
+  router.use('/', ssoController(AppDataSource));
+
+  // Token refresh, logout and signed-in devices
+  router.use('/', sessionController(AppDataSource));
+
+  // Forgot password (public: the emailed one-time link is the credential)
+  router.use('/', passwordResetController(AppDataSource));
+
+  // Two-factor enrollment from the profile page (the login steps live in LoginController)
+  router.use('/', twoFactorController(AppDataSource));
   
   // Protected profile routes
   router.use('/', profileController(AppDataSource));
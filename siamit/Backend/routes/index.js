@@ -6,21 +6,29 @@ const authRoutes = require('./auth');
 const leaveRoutes = require('./leave');
 const adminRoutes = require('./admin');
 const lineRoutes = require('./line');
+const authMiddleware = require('../middleware/authMiddleware');
+const { impersonationGuard } = require('../middleware/impersonationMiddleware');
 
 // Initialize all routes with AppDataSource
 const initializeRoutes = (AppDataSource) => {
+  // Access tokens are checked against user_session so sign-outs take effect immediately
+  authMiddleware.useDataSource(AppDataSource);
+
+  // "View as employee" tokens: audit every request and allow reads only (before any router sees them)
+  router.use(impersonationGuard(AppDataSource));
+
   // Authentication routes
   router.use('/', authRoutes(AppDataSource));
   
+  // LINE integration routes (before the leave/admin routers, whose authMiddleware would reject LINE's own calls)
+  router.use('/', lineRoutes(AppDataSource));
+  
   // Leave management routes
   router.use('/', leaveRoutes(AppDataSource));
   
   // Admin and management routes
   router.use('/', adminRoutes(AppDataSource));
   
-  // LINE integration routes
-  router.use('/', lineRoutes(AppDataSource));
-  
   return router;
 };
 
@@ -8,9 +8,34 @@ const leaveQuotaController = require('../api/LeaveQuotaController');
 const typeLeaveController = require('../api/TpyeLeaveController');
 const leaveUsedController = require('../api/LeaveUsedController');
 const leaveQuotaResetController = require('../api/LeaveQuotaResetController');
+const approvalChainController = require('../api/ApprovalChainController');
+const approvalDelegationController = require('../api/ApprovalDelegationController');
+const leaveEntitlementRuleController = require('../api/LeaveEntitlementRuleController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { enforcePermissions, WRITE_METHODS } = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissionService');
+
+// Route → permission matrix (approving a leave is checked in the controller because approval-chain steps can name any user;
+// every step approver must hold leave.view_all so they can open /pending)
+const leavePermissionRules = [
+  { methods: ['GET'], path: '/leave-request/pending', permission: PERMISSIONS.LEAVE_VIEW_ALL },
+  { methods: ['GET'], path: '/leave-request/history', permission: PERMISSIONS.LEAVE_VIEW_ALL },
+  { methods: ['GET'], path: '/leave-request/cancel-requests', permission: PERMISSIONS.LEAVE_VIEW_ALL },
+  { methods: ['GET'], path: '/leave-request/user/:id', permission: PERMISSIONS.LEAVE_VIEW_ALL },
+  { methods: ['POST'], path: '/leave-request/admin', permission: PERMISSIONS.LEAVE_MANAGE_ALL },
+  { methods: ['DELETE'], path: '/leave-request/:id', permission: PERMISSIONS.LEAVE_MANAGE_ALL },
+  { methods: WRITE_METHODS, path: '/leave-quota*', permission: PERMISSIONS.QUOTA_MANAGE },
+  { methods: ['GET'], path: '/leave-quota/test*', permission: PERMISSIONS.SYSTEM_MAINTENANCE },
+  { methods: WRITE_METHODS, path: '/leave-quota-reset*', permission: PERMISSIONS.QUOTA_MANAGE },
+  { methods: WRITE_METHODS, path: '/leave-types*', permission: PERMISSIONS.LEAVE_TYPES_MANAGE },
+  { methods: WRITE_METHODS, path: '/approval-chains*', permission: PERMISSIONS.APPROVAL_CHAINS_MANAGE },
+  { methods: WRITE_METHODS, path: '/leave-entitlement-rules*', permission: PERMISSIONS.QUOTA_MANAGE },
+  { methods: ['POST'], path: '/leave-used/adjustments', permission: PERMISSIONS.QUOTA_MANAGE }
+];
+
 const initializeLeaveRoutes = (AppDataSource) => {
 router.use(authMiddleware);
+  router.use(enforcePermissions(AppDataSource, leavePermissionRules));
   router.use('/leave-request', leaveRequestController(AppDataSource));
   
   // Leave history routes
@@ -27,6 +52,15 @@ router.use(authMiddleware);
 
   // Leave quota reset routes
   router.use('/leave-quota-reset', leaveQuotaResetController(AppDataSource));
+
+  // Approval chain configuration routes
+  router.use('/approval-chains', approvalChainController(AppDataSource));
+
+  // Approver substitutes while away
+  router.use('/approval-delegations', approvalDelegationController(AppDataSource));
+
+  // Tenure-based entitlement rules
+  router.use('/leave-entitlement-rules', leaveEntitlementRuleController(AppDataSource));
   
   return router;
 };
@@ -4,11 +4,17 @@ const router = express.Router();
 // LINE integration routes
 const LineController = require('../api/LineController');
 const LineLoginController = require('../api/LineLoginController');
+const lineRichMenuController = require('../api/LineRichMenuController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissionService');
+const { verifyLineSignature } = require('../middleware/lineWebhookMiddleware');
+const { createRateLimiter } = require('../middleware/rateLimitMiddleware');
+const config = require('../config');
 
 const initializeLineRoutes = (AppDataSource) => {
-  // LINE Bot webhook
-  router.post('/line/webhook', LineController.webhook);
+  // LINE Bot webhook (signed by LINE with the channel secret)
+  router.post('/line/webhook', verifyLineSignature, (req, res) => LineController.webhook(req, res));
   
   // LINE notification sending
 router.post('/line/send-notification', authMiddleware, async (req, res) => {
@@ -19,9 +25,20 @@ router.post('/line/send-notification', authMiddleware, async (req, res) => {
 
   // LINE Login routes
   router.get('/line/login-url', authMiddleware, LineLoginController.getLoginUrl);
-  router.get('/line/callback', LineLoginController.handleCallback);
+  router.get(
+    '/line/callback',
+    createRateLimiter({
+      name: 'line-callback',
+      ...config.loginProtection.rateLimits.lineCallback,
+      onLimited: (req, res) => LineLoginController.renderHtmlResponse(res, 'ERROR', { error: 'Too many requests, please try again later' })
+    }),
+    LineLoginController.handleCallback
+  );
   router.get('/line/link-status', authMiddleware, LineLoginController.checkLinkStatus);
   router.post('/line/unlink', authMiddleware, LineLoginController.unlinkAccount);
+
+  // Rich menu management for the Official Account
+  router.use('/line/rich-menus', authMiddleware, requirePermission(AppDataSource, PERMISSIONS.LINE_MANAGE), lineRichMenuController(AppDataSource));
   
   return router;
 };
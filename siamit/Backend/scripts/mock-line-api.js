@@ -0,0 +1,187 @@
+// Mock LINE Messaging API (เฉพาะ rich menu) สำหรับทดสอบหน้าตั้งค่า LINE OA บนเครื่อง: npm run mock-line-api
+// ตั้ง .env ของ backend: LINE_API_BASE_URL=http://localhost:4020 LINE_DATA_API_BASE_URL=http://localhost:4020
+// ตรวจ token ตาม LINE_BOT_CHANNEL_ACCESS_TOKEN, ขนาดรูปต้องตรงกับ size ของเมนูเหมือน LINE จริง
+// GET /mock/state ดูเมนู เมนูเริ่มต้น และการผูกเมนูกับผู้ใช้ทั้งหมด
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_LINE_API_PORT) || 4020;
+const ACCESS_TOKEN = process.env.LINE_BOT_CHANNEL_ACCESS_TOKEN;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const ALLOWED_SIZES = ['2500x1686', '2500x843', '1200x810', '1200x405', '800x540', '800x270'];
+
+const menus = new Map(); // richMenuId → { menu, image: { type, width, height, bytes } | null }
+const userLinks = new Map(); // LINE userId → richMenuId
+let defaultRichMenuId = null;
+
+const lineError = (res, status, message, details) => res.status(status).json({ message, ...(details ? { details } : {}) });
+
+// ขนาดรูปจาก header ของ PNG (IHDR) หรือ JPEG (SOFn)
+const readImageSize = (buf, type) => {
+  if (type === 'image/png' && buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (type === 'image/jpeg' && buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length && buf[offset] === 0xff) {
+      const marker = buf[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buf.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+const findMenu = (res, richMenuId) => {
+  const entry = menus.get(richMenuId);
+  if (!entry) lineError(res, 404, 'Not found');
+  return entry;
+};
+
+// เหมือน LINE จริง: ผูกเมนูหรือตั้งเป็น default ได้เมื่ออัปโหลดรูปแล้วเท่านั้น
+const requireImage = (res, entry) => {
+  if (entry.image) return true;
+  lineError(res, 400, 'must upload richmenu image before applying it to user');
+  return false;
+};
+
+const app = express();
+app.use(express.json());
+
+app.use('/v2', (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token || (ACCESS_TOKEN && token !== ACCESS_TOKEN)) {
+    return lineError(res, 401, 'Authentication failed. Confirm that the access token in the authorization header is valid.');
+  }
+  next();
+});
+
+app.get('/v2/bot/info', (req, res) => {
+  res.json({ userId: 'Umockbot', basicId: '@mockbot', displayName: 'Mock LINE OA', chatMode: 'bot', markAsReadMode: 'auto' });
+});
+
+app.post('/v2/bot/richmenu', (req, res) => {
+  const { size, name, chatBarText, areas } = req.body || {};
+  const details = [];
+  if (!size || !ALLOWED_SIZES.includes(`${size.width}x${size.height}`)) details.push({ message: 'invalid size', property: 'size' });
+  if (!name || name.length > 300) details.push({ message: 'must be 1-300 characters', property: 'name' });
+  if (!chatBarText || chatBarText.length > 14) details.push({ message: 'must be 1-14 characters', property: 'chatBarText' });
+  if (!Array.isArray(areas) || !areas.length || areas.length > 20) details.push({ message: 'must have 1-20 areas', property: 'areas' });
+  if (details.length) return lineError(res, 400, 'The request body has 1 error(s)', details);
+
+  const richMenuId = `richmenu-${crypto.randomBytes(16).toString('hex')}`;
+  menus.set(richMenuId, { menu: { richMenuId, size, selected: !!req.body.selected, name, chatBarText, areas }, image: null });
+  console.log(`created ${richMenuId} "${name}"`);
+  res.json({ richMenuId });
+});
+
+app.get('/v2/bot/richmenu/list', (req, res) => {
+  res.json({ richmenus: [...menus.values()].map(entry => entry.menu) });
+});
+
+app.post('/v2/bot/richmenu/bulk/link', (req, res) => {
+  const { richMenuId, userIds = [] } = req.body || {};
+  const entry = findMenu(res, richMenuId);
+  if (!entry || !requireImage(res, entry)) return;
+  if (userIds.length > 500) return lineError(res, 400, 'userIds must be at most 500');
+  userIds.forEach(userId => userLinks.set(userId, richMenuId));
+  console.log(`linked ${userIds.length} user(s) to ${richMenuId}`);
+  res.status(202).json({});
+});
+
+app.post('/v2/bot/richmenu/bulk/unlink', (req, res) => {
+  const { userIds = [] } = req.body || {};
+  if (userIds.length > 500) return lineError(res, 400, 'userIds must be at most 500');
+  userIds.forEach(userId => userLinks.delete(userId));
+  console.log(`unlinked ${userIds.length} user(s)`);
+  res.status(202).json({});
+});
+
+app.get('/v2/bot/richmenu/:richMenuId', (req, res) => {
+  const entry = findMenu(res, req.params.richMenuId);
+  if (entry) res.json(entry.menu);
+});
+
+app.delete('/v2/bot/richmenu/:richMenuId', (req, res) => {
+  const { richMenuId } = req.params;
+  if (!findMenu(res, richMenuId)) return;
+  menus.delete(richMenuId);
+  if (defaultRichMenuId === richMenuId) defaultRichMenuId = null;
+  for (const [userId, linked] of userLinks) {
+    if (linked === richMenuId) userLinks.delete(userId);
+  }
+  console.log(`deleted ${richMenuId}`);
+  res.json({});
+});
+
+// data API (api-data.line.me)
+app.post('/v2/bot/richmenu/:richMenuId/content', express.raw({ type: ['image/png', 'image/jpeg'], limit: '2mb' }), (req, res) => {
+  const entry = findMenu(res, req.params.richMenuId);
+  if (!entry) return;
+  const type = req.headers['content-type'];
+  if (!Buffer.isBuffer(req.body) || !['image/png', 'image/jpeg'].includes(type)) return lineError(res, 415, 'Unsupported Media Type');
+  if (req.body.length > MAX_IMAGE_BYTES) return lineError(res, 400, 'Image file size must be 1MB or less');
+  if (entry.image) return lineError(res, 400, 'An image has already been uploaded to the richmenu');
+
+  const size = readImageSize(req.body, type);
+  const { width, height } = entry.menu.size;
+  if (!size || size.width !== width || size.height !== height) {
+    return lineError(res, 400, `Image size must match the rich menu size (${width}x${height})${size ? `, got ${size.width}x${size.height}` : ''}`);
+  }
+  entry.image = { type, ...size, bytes: req.body.length };
+  console.log(`image ${size.width}x${size.height} uploaded to ${req.params.richMenuId}`);
+  res.json({});
+});
+
+app.get('/v2/bot/user/all/richmenu', (req, res) => {
+  if (!defaultRichMenuId) return lineError(res, 404, 'no default richmenu');
+  res.json({ richMenuId: defaultRichMenuId });
+});
+
+app.post('/v2/bot/user/all/richmenu/:richMenuId', (req, res) => {
+  const entry = findMenu(res, req.params.richMenuId);
+  if (!entry || !requireImage(res, entry)) return;
+  defaultRichMenuId = req.params.richMenuId;
+  console.log(`default rich menu is now ${defaultRichMenuId}`);
+  res.json({});
+});
+
+app.delete('/v2/bot/user/all/richmenu', (req, res) => {
+  defaultRichMenuId = null;
+  res.json({});
+});
+
+app.get('/v2/bot/user/:userId/richmenu', (req, res) => {
+  const richMenuId = userLinks.get(req.params.userId);
+  if (!richMenuId) return lineError(res, 404, 'the user has no richmenu');
+  res.json({ richMenuId });
+});
+
+app.post('/v2/bot/user/:userId/richmenu/:richMenuId', (req, res) => {
+  const entry = findMenu(res, req.params.richMenuId);
+  if (!entry || !requireImage(res, entry)) return;
+  userLinks.set(req.params.userId, req.params.richMenuId);
+  console.log(`linked ${req.params.userId} to ${req.params.richMenuId}`);
+  res.json({});
+});
+
+app.delete('/v2/bot/user/:userId/richmenu', (req, res) => {
+  userLinks.delete(req.params.userId);
+  console.log(`unlinked ${req.params.userId}`);
+  res.json({});
+});
+
+app.get('/mock/state', (req, res) => {
+  res.json({
+    defaultRichMenuId,
+    richMenus: [...menus.values()].map(({ menu, image }) => ({ richMenuId: menu.richMenuId, name: menu.name, size: menu.size, image })),
+    userLinks: Object.fromEntries(userLinks)
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock LINE Messaging API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,133 @@
+// Mock OpenID Connect provider สำหรับทดสอบ SSO บนเครื่อง: npm run mock-idp
+// ตั้ง .env ของ backend: OIDC_ENABLED=true OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=siamit-leave OIDC_CLIENT_SECRET=mock-secret
+// หน้า /authorize ให้กรอก claim เอง (อีเมล ชื่อ แผนก ตำแหน่ง) เพื่อลองทั้งผูกบัญชีเดิมและสร้างบัญชีใหม่
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4010;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'siamit-leave';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key-1';
+const CODE_TTL_MS = 60 * 1000;
+
+// key ใหม่ทุกครั้งที่เปิด: backend จะโหลด JWKS ใหม่เองเมื่อเจอ kid ที่ไม่รู้จัก
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const tokenError = (res, error, description) => res.status(400).json({ error, error_description: description });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// หน้าเลือกตัวตน (แทนหน้า login จริงของ IdP)
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+  if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (responseType !== 'code' || method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('Only response_type=code with PKCE S256 is supported');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'scope', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`).join('');
+  const field = (name, label, value = '') => `<label>${label}<br><input name="${name}" value="${escapeHtml(value)}" style="width:100%"></label><br><br>`;
+  res.send(`<!doctype html><html><body style="font-family:sans-serif;max-width:420px;margin:40px auto">
+    <h2>Mock IdP</h2><p>Signing in to <b>${escapeHtml(clientId)}</b> → ${escapeHtml(redirectUri)}</p>
+    <form method="post" action="/authorize">${hidden}
+      ${field('sub', 'Subject (stable user id)', 'mock-user-1')}
+      ${field('email', 'Email', 'jane.doe@example.com')}
+      ${field('name', 'Name', 'Jane Doe')}
+      ${field('department', 'Department claim (id or name)', 'IT')}
+      ${field('job_title', 'Position claim (id or name)', 'Developer')}
+      <label><input type="checkbox" name="email_verified" value="true" checked> email_verified</label><br><br>
+      <button name="decision" value="allow">Sign in</button> <button name="decision" value="deny">Deny</button>
+    </form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, decision } = req.body;
+  const target = new URL(redirectUri);
+  if (state) target.searchParams.set('state', state);
+  if (decision !== 'allow') {
+    target.searchParams.set('error', 'access_denied');
+    return res.redirect(target.toString());
+  }
+
+  const code = base64Url(crypto.randomBytes(24));
+  codes.set(code, {
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    claims: {
+      sub: req.body.sub,
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'true',
+      name: req.body.name,
+      department: req.body.department,
+      job_title: req.body.job_title
+    },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret, code_verifier: verifier } = req.body;
+  if (grantType !== 'authorization_code') return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+  }
+
+  const entry = codes.get(code);
+  codes.delete(code);
+  if (!entry || entry.expiresAt < Date.now()) return tokenError(res, 'invalid_grant', 'Code is invalid or expired');
+  if (entry.redirectUri !== redirectUri) return tokenError(res, 'invalid_grant', 'redirect_uri does not match');
+  const challenge = base64Url(crypto.createHash('sha256').update(String(verifier || '')).digest());
+  if (challenge !== entry.codeChallenge) return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+
+  const accessToken = base64Url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, entry.claims);
+  // แผนก/ตำแหน่งส่งทาง userinfo เท่านั้น เพื่อทดสอบการรวม claim จากสองแหล่ง
+  const idToken = jwt.sign(
+    { sub: entry.claims.sub, email: entry.claims.email, email_verified: entry.claims.email_verified, name: entry.claims.name, nonce: entry.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: 'invalid_token' });
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER} (client_id=${CLIENT_ID})`);
+});
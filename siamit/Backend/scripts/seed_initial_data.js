@@ -18,6 +18,22 @@ const entities = [
   require('../EnityTable/announcements.js'),
   require('../EnityTable/customHoliday.js'),
   require('../EnityTable/leave_use.js'),
+  require('../EnityTable/approvalChain.js'),
+  require('../EnityTable/leaveApprovalStep.js'),
+  require('../EnityTable/leaveLedger.js'),
+  require('../EnityTable/leaveEntitlementRule.js'),
+  require('../EnityTable/leaveBlackout.js'),
+  require('../EnityTable/rolePermission.js'),
+  require('../EnityTable/approvalDelegation.js'),
+  require('../EnityTable/userSession.js'),
+  require('../EnityTable/passwordResetToken.js'),
+  require('../EnityTable/systemSetting.js'),
+  require('../EnityTable/loginAttempt.js'),
+  require('../EnityTable/auditLog.js'),
+  require('../EnityTable/lineConversation.js'),
+  require('../EnityTable/lineWebhookEvent.js'),
+  require('../EnityTable/lineRichMenu.js'),
+  require('../EnityTable/emailOutbox.js'),
 ];
 
 const AppDataSource = new DataSource({
@@ -0,0 +1,93 @@
+// ส่ง webhook ปลอมที่เซ็นด้วย LINE_BOT_CHANNEL_SECRET เข้า backend บนเครื่อง: npm run line-webhook -- <fixture> [options]
+// fixture อยู่ใน scripts/line-webhook-fixtures (follow, text-message, postback-decision, verify) หรือระบุ path ไฟล์ JSON เอง
+// ค่า {{KEY}} ในไฟล์แทนด้วย --set KEY=value เช่น --set TEXT=request --set LEAVE_ID=<uuid> --set STATUS=rejected
+//   --times 2         ส่ง body เดิม (webhookEventId เดิม) ซ้ำ เพื่อดูว่าถูกประมวลผลครั้งเดียว
+//   --redelivery      ตั้ง deliveryContext.isRedelivery = true
+//   --unsigned        ไม่ใส่ x-line-signature (ต้องได้ 401)
+//   --bad-signature   เซ็นด้วย secret ผิด (ต้องได้ 401)
+//   --url <url>       ปลายทาง (ค่าเริ่มต้น http://localhost:PORT/api/line/webhook)
+// replyToken ในไฟล์เป็นของปลอม: การตอบกลับจะ error ใน log ของ backend ถ้ายังส่งไป LINE API จริง
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_DIR = path.join(__dirname, 'line-webhook-fixtures');
+
+const parseArgs = (argv) => {
+  const options = { set: {}, times: 1, redelivery: false, unsigned: false, badSignature: false, url: null, fixture: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--set') {
+      const [key, ...rest] = String(argv[++i] || '').split('=');
+      options.set[key] = rest.join('=');
+    } else if (arg === '--times') {
+      options.times = Math.max(parseInt(argv[++i]) || 1, 1);
+    } else if (arg === '--redelivery') {
+      options.redelivery = true;
+    } else if (arg === '--unsigned') {
+      options.unsigned = true;
+    } else if (arg === '--bad-signature') {
+      options.badSignature = true;
+    } else if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (!options.fixture) {
+      options.fixture = arg;
+    }
+  }
+  return options;
+};
+
+const resolveFixture = (name) => {
+  if (!name) return null;
+  const candidates = [name, path.join(FIXTURE_DIR, name), path.join(FIXTURE_DIR, `${name}.json`)];
+  return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+};
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixturePath = resolveFixture(options.fixture);
+  if (!fixturePath) {
+    const available = fs.readdirSync(FIXTURE_DIR).map(f => path.basename(f, '.json')).join(', ');
+    console.error(`Usage: npm run line-webhook -- <fixture> [--set KEY=value] [--times N] [--unsigned|--bad-signature]\nFixtures: ${available}`);
+    process.exit(1);
+  }
+
+  const secret = process.env.LINE_BOT_CHANNEL_SECRET;
+  if (!secret && !options.unsigned) {
+    console.error('LINE_BOT_CHANNEL_SECRET is not set (use --unsigned to send without a signature)');
+    process.exit(1);
+  }
+
+  const values = {
+    DESTINATION: 'Ufixture-destination',
+    LINE_USER_ID: process.env.LINE_TEST_USER_ID || 'U00000000000000000000000000000000',
+    TIMESTAMP: String(Date.now()),
+    EVENT_ID: `01FIXTURE${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+    REPLY_TOKEN: crypto.randomBytes(16).toString('hex'),
+    MESSAGE_ID: String(Date.now()),
+    TEXT: 'help',
+    STATUS: 'approved',
+    ...options.set
+  };
+  const payload = JSON.parse(fs.readFileSync(fixturePath, 'utf8').replace(/{{(\w+)}}/g, (match, key) => (key in values ? values[key] : match)));
+  if (options.redelivery) payload.events.forEach(event => { event.deliveryContext = { isRedelivery: true }; });
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+  if (!options.unsigned) headers['x-line-signature'] = sign(body, options.badSignature ? `${secret}-wrong` : secret);
+
+  const url = options.url || `http://localhost:${process.env.PORT || 3001}/api/line/webhook`;
+  console.log(`POST ${url} (${path.basename(fixturePath)}, events: ${payload.events.map(e => e.webhookEventId).join(', ') || 'none'})`);
+  for (let i = 1; i <= options.times; i++) {
+    const res = await fetch(url, { method: 'POST', headers, body });
+    console.log(`#${i} ${res.status} ${await res.text()}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,314 @@
+/**
+ * Approval Chain Service
+ * Resolves the configured approval chain for a leave request and manages its recorded steps
+ */
+
+const { In, IsNull } = require('typeorm');
+const { NOTIFICATION_USER_COLUMNS } = require('./notificationService');
+const { PERMISSIONS, hasPermission } = require('./permissionService');
+
+const STEP_STATUS = {
+  WAITING: 'waiting',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped'
+};
+
+const APPROVER_TYPES = ['user', 'role'];
+
+/**
+ * Safely parse the steps JSON string of an approval chain
+ * @param {string|Array} val - JSON string (or already parsed array) of chain steps
+ * @returns {Array} Array of step definitions
+ */
+const parseChainSteps = (val) => {
+  if (!val) return [];
+  if (Array.isArray(val)) return val;
+  try {
+    const parsed = JSON.parse(val);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error('Invalid approval chain steps JSON:', val, e);
+    return [];
+  }
+};
+
+/**
+ * Validate step definitions sent by the client
+ * @param {Array} steps - Step definitions ({ name, approverType, approverRole, approverId, sameDepartment })
+ * @returns {string|null} Error message or null when valid
+ */
+const validateChainSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'steps must be a non-empty array';
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i] || {};
+    if (!APPROVER_TYPES.includes(step.approverType)) {
+      return `Step ${i + 1}: approverType must be one of ${APPROVER_TYPES.join(', ')}`;
+    }
+    if (step.approverType === 'user' && !step.approverId) {
+      return `Step ${i + 1}: approverId is required for user steps`;
+    }
+    if (step.approverType === 'role' && !step.approverRole) {
+      return `Step ${i + 1}: approverRole is required for role steps`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check that every step names an approver who can open the pending list (leave.view_all);
+ * otherwise they could approve through LINE but never see their queue on the web
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Array} steps - Step definitions (already passed validateChainSteps)
+ * @returns {Promise<string|null>} Error message or null when valid
+ */
+async function validateStepApprovers(AppDataSource, steps) {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    let role = step.approverRole;
+    if (step.approverType === 'user') {
+      const user = await AppDataSource.getRepository('User').findOne({ where: { id: step.approverId }, select: ['id', 'role'] });
+      if (!user || user.role === 'deleted') return `Step ${i + 1}: approver not found`;
+      role = user.role;
+    }
+    if (!(await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_VIEW_ALL))) {
+      return `Step ${i + 1}: the approver's role must have the ${PERMISSIONS.LEAVE_VIEW_ALL} permission`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize step definitions to the shape stored in approval_chain.steps
+ * @param {Array} steps - Step definitions
+ * @returns {Array} Normalized steps
+ */
+const normalizeChainSteps = (steps) => steps.map((step, index) => ({
+  order: index + 1,
+  name: step.name || null,
+  approverType: step.approverType,
+  approverRole: step.approverType === 'role' ? step.approverRole : null,
+  approverId: step.approverType === 'user' ? step.approverId : null,
+  sameDepartment: step.approverType === 'role' ? !!step.sameDepartment : false
+}));
+
+/**
+ * Find the most specific active chain for a department and leave type.
+ * Priority: department + leave type > leave type only > department only > default (both null)
+ * @param {EntityManager} manager - Entity manager (transactional or global)
+ * @param {Object} criteria - { departmentId, leaveTypeId }
+ * @returns {Promise<Object|null>} Approval chain or null if none configured
+ */
+async function resolveApprovalChain(manager, { departmentId = null, leaveTypeId = null } = {}) {
+  const chainRepo = manager.getRepository('ApprovalChain');
+
+  const departmentFilter = departmentId ? In([departmentId]) : IsNull();
+  const leaveTypeFilter = leaveTypeId ? In([leaveTypeId]) : IsNull();
+
+  const candidates = await chainRepo.find({
+    where: [
+      { is_active: true, departmentId: departmentFilter, leaveTypeId: leaveTypeFilter },
+      { is_active: true, departmentId: IsNull(), leaveTypeId: leaveTypeFilter },
+      { is_active: true, departmentId: departmentFilter, leaveTypeId: IsNull() },
+      { is_active: true, departmentId: IsNull(), leaveTypeId: IsNull() }
+    ]
+  });
+
+  if (!candidates.length) return null;
+
+  const score = (chain) => (chain.leaveTypeId ? 2 : 0) + (chain.departmentId ? 1 : 0);
+  candidates.sort((a, b) => score(b) - score(a));
+  return candidates[0];
+}
+
+/**
+ * Create the recorded steps of a leave request from its chain.
+ * The first step becomes 'pending', the rest wait for their turn.
+ * @param {EntityManager} manager - Entity manager (transactional or global)
+ * @param {Object} leave - Saved LeaveRequest
+ * @param {Object} chain - ApprovalChain entity
+ * @returns {Promise<Array>} Created LeaveApprovalStep records
+ */
+async function createApprovalSteps(manager, leave, chain) {
+  const stepRepo = manager.getRepository('LeaveApprovalStep');
+  const definitions = parseChainSteps(chain.steps);
+  if (!definitions.length) return [];
+
+  const steps = definitions.map((def, index) => stepRepo.create({
+    leaveRequestId: leave.id,
+    stepOrder: index + 1,
+    stepName: def.name || null,
+    approverType: def.approverType,
+    approverRole: def.approverRole || null,
+    approverId: def.approverId || null,
+    sameDepartment: !!def.sameDepartment,
+    status: index === 0 ? STEP_STATUS.PENDING : STEP_STATUS.WAITING
+  }));
+
+  const saved = await stepRepo.save(steps);
+
+  await manager.getRepository('LeaveRequest').update(
+    { id: leave.id },
+    { approvalChainId: chain.id, currentApprovalStep: 1 }
+  );
+  leave.approvalChainId = chain.id;
+  leave.currentApprovalStep = 1;
+
+  return saved.sort((a, b) => a.stepOrder - b.stepOrder);
+}
+
+/**
+ * Get the recorded steps of a leave request ordered by step
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} leaveRequestId - Leave request ID
+ * @returns {Promise<Array>} LeaveApprovalStep records
+ */
+async function getApprovalSteps(manager, leaveRequestId) {
+  return manager.getRepository('LeaveApprovalStep').find({
+    where: { leaveRequestId },
+    order: { stepOrder: 'ASC' }
+  });
+}
+
+/**
+ * Check whether a user may act on a step of someone's leave request.
+ * Roles with leave.view_company (superadmin by default) can always act as an override.
+ * @param {DataSource} AppDataSource - Data source (permission matrix)
+ * @param {Object} step - LeaveApprovalStep
+ * @param {Object} approver - User acting on the step
+ * @param {Object} requester - Owner of the leave request
+ * @returns {Promise<boolean>} True if the approver may act on this step
+ */
+const canUserActOnStep = async (AppDataSource, step, approver, requester) => {
+  if (!step || !approver) return false;
+  if (await hasPermission(AppDataSource, approver.role, PERMISSIONS.LEAVE_VIEW_COMPANY)) return true;
+
+  if (step.approverType === 'user') {
+    return step.approverId === approver.id;
+  }
+  if (step.approverType === 'role') {
+    if (approver.role !== step.approverRole) return false;
+    return !step.sameDepartment || (!!requester && approver.department === requester.department);
+  }
+  return false;
+};
+
+/**
+ * Resolve the users who are allowed to act on a step (used for notifications)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} step - LeaveApprovalStep
+ * @param {Object} requester - Owner of the leave request
+ * @returns {Promise<Array>} Users (notification columns and department)
+ */
+async function resolveStepApprovers(manager, step, requester) {
+  const userRepo = manager.getRepository('User');
+  const select = [...NOTIFICATION_USER_COLUMNS, 'department'];
+  let users = [];
+
+  if (step.approverType === 'user' && step.approverId) {
+    users = await userRepo.find({ where: { id: step.approverId }, select });
+  } else if (step.approverType === 'role' && step.approverRole) {
+    const where = { role: step.approverRole };
+    if (step.sameDepartment && requester?.department) where.department = requester.department;
+    users = await userRepo.find({ where, select });
+  }
+
+  // Never ask the requester to approve their own leave
+  return users.filter(u => !requester || u.id !== requester.id);
+}
+
+/**
+ * Find the leave requests whose current step the user may act on (mirrors canUserActOnStep)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} approver - User (id, role, department)
+ * @returns {Promise<Array<string>>} Leave request IDs
+ */
+async function findActionableLeaveIds(manager, approver) {
+  if (!approver) return [];
+  const rows = await manager.getRepository('LeaveApprovalStep')
+    .createQueryBuilder('step')
+    .innerJoin('LeaveRequest', 'leave', 'leave.id = step.leaveRequestId')
+    .leftJoin('User', 'requester', 'requester.id = leave.Repid')
+    .select('DISTINCT step.leaveRequestId', 'leaveRequestId')
+    .where('step.status = :status', { status: STEP_STATUS.PENDING })
+    .andWhere('leave.Repid <> :approverId', { approverId: approver.id })
+    .andWhere(`(
+      (step.approverType = 'user' AND step.approverId = :approverId)
+      OR (step.approverType = 'role' AND step.approverRole = :role
+        AND (step.sameDepartment = false OR requester.department = :department))
+    )`, { approverId: approver.id, role: approver.role, department: approver.department || '' })
+    .getRawMany();
+  return rows.map(r => r.leaveRequestId);
+}
+
+/**
+ * Record a decision on the current step and advance the chain.
+ * On rejection every remaining step is marked as skipped.
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array} steps - Ordered steps of the leave request
+ * @param {Object} currentStep - Step being decided (must be 'pending')
+ * @param {Object} decision - { status: 'approved'|'rejected', actedBy, onBehalfOf, comment } (onBehalfOf = delegating approver)
+ * @returns {Promise<Object|null>} Next pending step, or null when the chain is finished
+ */
+async function recordStepDecision(manager, steps, currentStep, { status, actedBy, onBehalfOf = null, comment = null }) {
+  const stepRepo = manager.getRepository('LeaveApprovalStep');
+
+  currentStep.status = status;
+  currentStep.actedBy = actedBy;
+  currentStep.onBehalfOf = onBehalfOf || null;
+  currentStep.actedAt = new Date();
+  currentStep.comment = comment || null;
+  await stepRepo.save(currentStep);
+
+  const remaining = steps.filter(s => s.stepOrder > currentStep.stepOrder && s.status === STEP_STATUS.WAITING);
+
+  if (status === STEP_STATUS.REJECTED) {
+    if (remaining.length) {
+      remaining.forEach(s => { s.status = STEP_STATUS.SKIPPED; });
+      await stepRepo.save(remaining);
+    }
+    return null;
+  }
+
+  const nextStep = remaining[0] || null;
+  if (nextStep) {
+    nextStep.status = STEP_STATUS.PENDING;
+    await stepRepo.save(nextStep);
+  }
+  return nextStep;
+}
+
+/**
+ * Close every open step of a leave request (used when the request is withdrawn)
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} leaveRequestId - Leave request ID
+ * @returns {Promise<number>} Number of steps skipped
+ */
+async function skipOpenSteps(manager, leaveRequestId) {
+  const result = await manager.getRepository('LeaveApprovalStep').update(
+    { leaveRequestId, status: In([STEP_STATUS.PENDING, STEP_STATUS.WAITING]) },
+    { status: STEP_STATUS.SKIPPED }
+  );
+  return result.affected || 0;
+}
+
+module.exports = {
+  STEP_STATUS,
+  APPROVER_TYPES,
+  parseChainSteps,
+  validateChainSteps,
+  validateStepApprovers,
+  normalizeChainSteps,
+  resolveApprovalChain,
+  createApprovalSteps,
+  getApprovalSteps,
+  canUserActOnStep,
+  resolveStepApprovers,
+  findActionableLeaveIds,
+  recordStepDecision,
+  skipOpenSteps
+};
@@ -0,0 +1,178 @@
+/**
+ * Audit Log Service
+ * Append-only record of administrative and leave decisions: who did what to which record, from where,
+ * and what the record looked like before and after. Writers call recordAudit after the change succeeds.
+ */
+
+const { getClientIp } = require('./sessionService');
+
+const AUDIT_ACTIONS = {
+  LEAVE_APPROVE: 'leave.approve',
+  LEAVE_APPROVE_STEP: 'leave.approve_step',     // ผ่านขั้นหนึ่งของสายอนุมัติ ยังไม่ใช่ผลสุดท้าย
+  LEAVE_REJECT: 'leave.reject',
+  LEAVE_CANCEL_APPROVE: 'leave.cancel_approve',
+  LEAVE_CANCEL_REJECT: 'leave.cancel_reject',
+  LEAVE_DELETE: 'leave.delete',
+  POSITION_QUOTAS_CREATE: 'position_quotas.create',
+  POSITION_QUOTAS_UPDATE: 'position_quotas.update',
+  POSITION_QUOTAS_DELETE: 'position_quotas.delete',
+  QUOTA_RESET: 'quota.reset',
+  QUOTA_RESET_USERS: 'quota.reset_users',
+  QUOTA_ACCRUE: 'quota.accrue',
+  LEAVE_TYPE_PERMANENT_DELETE: 'leave_type.permanent_delete',
+  LEAVE_TYPE_AUTO_CLEANUP: 'leave_type.auto_cleanup',
+  USER_DELETE: 'user.delete',
+  USER_UNLOCK: 'user.unlock',
+  USER_TWO_FACTOR_RESET: 'user.two_factor_reset',
+  USER_SSO_LINK: 'user.sso_link',               // บัญชีเดิมถูกผูกกับตัวตนใน IdP ครั้งแรก
+  USER_SSO_PROVISION: 'user.sso_provision',     // สร้างบัญชีอัตโนมัติจากการเข้า SSO ครั้งแรก
+  ROLE_PERMISSIONS_UPDATE: 'role_permissions.update',
+  ROLE_PERMISSIONS_DELETE: 'role_permissions.delete',
+  SECURITY_POLICY_UPDATE: 'security_policy.update',
+  IMPERSONATION_START: 'impersonation.start',
+  IMPERSONATION_STOP: 'impersonation.stop',
+  IMPERSONATION_REQUEST: 'impersonation.request', // ทุก request ระหว่างดูในมุมมองของผู้อื่น (actor = superadmin)
+  LINE_RICH_MENU_PUBLISH: 'line_rich_menu.publish',
+  LINE_RICH_MENU_SET_DEFAULT: 'line_rich_menu.set_default',
+  LINE_RICH_MENU_DELETE: 'line_rich_menu.delete'
+};
+
+// ไม่เก็บความลับลง log แม้จะเป็นค่า hash
+const REDACTED_FIELDS = ['password', 'token', 'two_factor_secret', 'two_factor_recovery_codes', 'refreshTokenHash', 'tokenHash'];
+
+// คอลัมน์ text ของ MySQL เก็บได้ราว 64KB
+const MAX_JSON_LENGTH = 60000;
+
+/**
+ * Plain, JSON-safe copy of a record without secret fields
+ * @param {Object|null} snapshot - Entity or plain object
+ * @returns {Object|null}
+ */
+const sanitizeSnapshot = (snapshot) => {
+  if (snapshot === null || snapshot === undefined) return null;
+  const plain = JSON.parse(JSON.stringify(snapshot));
+  if (plain && typeof plain === 'object' && !Array.isArray(plain)) {
+    REDACTED_FIELDS.forEach(field => { delete plain[field]; });
+  }
+  return plain;
+};
+
+/**
+ * Keep only the fields that changed between two snapshots (create/delete keep the whole side that exists)
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {{ before: Object|null, after: Object|null }}
+ */
+const diffSnapshots = (before, after) => {
+  const b = sanitizeSnapshot(before);
+  const a = sanitizeSnapshot(after);
+  if (!b || !a || Array.isArray(b) || Array.isArray(a) || typeof b !== 'object' || typeof a !== 'object') {
+    return { before: b, after: a };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  new Set([...Object.keys(b), ...Object.keys(a)]).forEach(key => {
+    if (JSON.stringify(b[key]) !== JSON.stringify(a[key])) {
+      changedBefore[key] = b[key] === undefined ? null : b[key];
+      changedAfter[key] = a[key] === undefined ? null : a[key];
+    }
+  });
+  return { before: changedBefore, after: changedAfter };
+};
+
+const toJson = (value) => {
+  if (value === null || value === undefined) return null;
+  const json = JSON.stringify(value);
+  return json.length > MAX_JSON_LENGTH ? JSON.stringify({ truncated: true, length: json.length }) : json;
+};
+
+/**
+ * Append one entry to the audit log (never throws: a logging failure must not undo the action itself)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} entry
+ * @param {Object} entry.req - Express request (actor from req.user, IP and User-Agent)
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - Kind of record acted on
+ * @param {string} entry.targetId - ID of the record
+ * @param {string} entry.targetLabel - Human-readable name of the record at the time
+ * @param {Object} entry.before - Record before the change (null for creates)
+ * @param {Object} entry.after - Record after the change (null for deletes)
+ * @param {Object} entry.metadata - Extra context (reason, counts, on-behalf-of, ...)
+ * @param {string} entry.actorId - Overrides req.user.userId (e.g. routes that read the token themselves)
+ */
+async function recordAudit(AppDataSource, {
+  req = null,
+  action,
+  targetType,
+  targetId = null,
+  targetLabel = null,
+  before = null,
+  after = null,
+  metadata = null,
+  actorId = undefined
+}) {
+  try {
+    const resolvedActorId = actorId !== undefined ? actorId : (req?.user?.userId || null);
+    const actor = resolvedActorId
+      ? await AppDataSource.getRepository('User').findOne({ where: { id: resolvedActorId }, select: ['id', 'name', 'role'] })
+      : null;
+    const diff = diffSnapshots(before, after);
+
+    await AppDataSource.getRepository('AuditLog').insert({
+      actor_id: resolvedActorId,
+      actor_name: actor?.name || null,
+      actor_role: actor?.role || req?.user?.role || null,
+      action,
+      target_type: targetType,
+      target_id: targetId ? String(targetId).slice(0, 100) : null,
+      target_label: targetLabel ? String(targetLabel).slice(0, 255) : null,
+      before_data: toJson(diff.before),
+      after_data: toJson(diff.after),
+      metadata: toJson(metadata),
+      ip_address: req ? getClientIp(req) : null,
+      user_agent: req?.headers?.['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null
+    });
+  } catch (err) {
+    console.error(`Error writing audit log (${action}):`, err);
+  }
+}
+
+/**
+ * Parse the JSON columns of an audit row for API responses
+ * @param {Object} row - AuditLog row
+ * @returns {Object}
+ */
+const formatAuditEntry = (row) => {
+  const parse = (value) => {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  };
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    actorRole: row.actor_role,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    targetLabel: row.target_label,
+    before: parse(row.before_data),
+    after: parse(row.after_data),
+    metadata: parse(row.metadata),
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffSnapshots,
+  recordAudit,
+  formatAuditEntry
+};
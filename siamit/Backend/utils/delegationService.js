@@ -0,0 +1,156 @@
+/**
+ * Delegation Service
+ * Lets an approver hand their approvals to a substitute. An explicit delegation covers a date range;
+ * an approver who is on approved leave without one gets a colleague from the same department picked automatically.
+ */
+
+const { In } = require('typeorm');
+const { toDateKey } = require('./workingDayUtils');
+const { findUsersOnLeave } = require('./leaveConflictService');
+const { PERMISSIONS, hasPermission } = require('./permissionService');
+
+const DELEGATION_SOURCES = {
+  EXPLICIT: 'explicit',
+  AUTO: 'auto'
+};
+
+const USER_FIELDS = ['id', 'name', 'role', 'department', 'lineUserId'];
+
+/**
+ * Whether a user can stand in for an approver: they must be able to approve leave
+ * and to open the pending list where the leaves they cover are shown
+ * @param {DataSource|EntityManager} AppDataSource - Data source
+ * @param {Object} user - User (role)
+ * @returns {Promise<boolean>}
+ */
+async function canDelegateTo(AppDataSource, user) {
+  return !!user
+    && await hasPermission(AppDataSource, user.role, PERMISSIONS.LEAVE_APPROVE)
+    && await hasPermission(AppDataSource, user.role, PERMISSIONS.LEAVE_VIEW_ALL);
+}
+
+/**
+ * Find the explicit delegation of an approver that covers a date
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} delegatorId - Approver ID
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<Object|null>} ApprovalDelegation row
+ */
+const findExplicitDelegation = (manager, delegatorId, dateKey) => manager.getRepository('ApprovalDelegation')
+  .createQueryBuilder('delegation')
+  .where('delegation.delegatorId = :delegatorId', { delegatorId })
+  .andWhere('delegation.startDate <= :dateKey AND delegation.endDate >= :dateKey', { dateKey })
+  .orderBy('delegation.createdAt', 'DESC')
+  .getOne();
+
+/**
+ * Pick a substitute for an absent approver: a colleague in the same department who can be delegated to
+ * (canDelegateTo) and is not away that day (first by name, so the pick is stable)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} delegator - User (id, department)
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {Promise<Object|null>} User
+ */
+async function pickAutoDelegate(manager, delegator, dateKey) {
+  if (!delegator.department) return null;
+
+  const colleagues = await manager.getRepository('User').find({
+    where: { department: delegator.department },
+    select: USER_FIELDS,
+    order: { name: 'ASC' }
+  });
+  const candidates = [];
+  for (const colleague of colleagues) {
+    if (colleague.id !== delegator.id && await canDelegateTo(manager, colleague)) {
+      candidates.push(colleague);
+    }
+  }
+  if (!candidates.length) return null;
+
+  const away = await findUsersOnLeave(manager, candidates.map(c => c.id), dateKey);
+  return candidates.find(c => !away.has(c.id)) || null;
+}
+
+/**
+ * Resolve who handles an approver's approvals on a date
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} delegator - User (id, department)
+ * @param {string|Date} date - Day to check (defaults to today)
+ * @returns {Promise<Object|null>} { delegate, source, delegationId } or null when the approver acts themselves
+ */
+async function resolveDelegate(manager, delegator, date = new Date()) {
+  const dateKey = toDateKey(date);
+  if (!delegator || !dateKey) return null;
+
+  const explicit = await findExplicitDelegation(manager, delegator.id, dateKey);
+  if (explicit) {
+    const delegate = await manager.getRepository('User').findOne({ where: { id: explicit.delegateId }, select: USER_FIELDS });
+    return delegate ? { delegate, source: DELEGATION_SOURCES.EXPLICIT, delegationId: explicit.id } : null;
+  }
+
+  const away = await findUsersOnLeave(manager, [delegator.id], dateKey);
+  if (!away.has(delegator.id)) return null;
+
+  const delegate = await pickAutoDelegate(manager, delegator, dateKey);
+  return delegate ? { delegate, source: DELEGATION_SOURCES.AUTO, delegationId: null } : null;
+}
+
+/**
+ * Find the approvers a user is standing in for on a date
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} delegate - User (id, department)
+ * @param {string|Date} date - Day to check (defaults to today)
+ * @returns {Promise<Array>} [{ delegator, source }]
+ */
+async function getDelegatorsFor(manager, delegate, date = new Date()) {
+  const dateKey = toDateKey(date);
+  if (!delegate || !dateKey) return [];
+  const userRepo = manager.getRepository('User');
+
+  const explicitRows = await manager.getRepository('ApprovalDelegation')
+    .createQueryBuilder('delegation')
+    .where('delegation.delegateId = :delegateId', { delegateId: delegate.id })
+    .andWhere('delegation.startDate <= :dateKey AND delegation.endDate >= :dateKey', { dateKey })
+    .getMany();
+
+  const result = [];
+  const seen = new Set([delegate.id]);
+  if (explicitRows.length) {
+    const delegators = await userRepo.find({ where: { id: In(explicitRows.map(r => r.delegatorId)) }, select: USER_FIELDS });
+    for (const delegator of delegators) {
+      // การมอบหมายที่ใหม่กว่าของผู้มอบหมายคนเดียวกันอาจชี้ไปที่คนอื่นแล้ว
+      const current = await findExplicitDelegation(manager, delegator.id, dateKey);
+      if (current && current.delegateId === delegate.id && !seen.has(delegator.id)) {
+        seen.add(delegator.id);
+        result.push({ delegator, source: DELEGATION_SOURCES.EXPLICIT });
+      }
+    }
+  }
+
+  // เลือกอัตโนมัติเฉพาะภายในแผนกเดียวกัน จึงดูเฉพาะผู้อนุมัติในแผนกของ delegate ที่ลาอยู่
+  if (delegate.department) {
+    const colleagues = await userRepo.find({ where: { department: delegate.department }, select: USER_FIELDS });
+    const away = await findUsersOnLeave(manager, colleagues.map(c => c.id), dateKey);
+    for (const colleague of colleagues) {
+      if (seen.has(colleague.id) || !away.has(colleague.id)) continue;
+      if (!(await hasPermission(manager, colleague.role, PERMISSIONS.LEAVE_APPROVE))) continue;
+      if (await findExplicitDelegation(manager, colleague.id, dateKey)) continue;
+      const picked = await pickAutoDelegate(manager, colleague, dateKey);
+      if (picked && picked.id === delegate.id) {
+        seen.add(colleague.id);
+        result.push({ delegator: colleague, source: DELEGATION_SOURCES.AUTO });
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DELEGATION_SOURCES,
+  canDelegateTo,
+  findExplicitDelegation,
+  pickAutoDelegate,
+  resolveDelegate,
+  getDelegatorsFor
+};
@@ -0,0 +1,152 @@
+/**
+ * Email Queue Service
+ * Notification emails are written to email_outbox and sent in the background, so a slow or
+ * unreachable mail server never holds up the request that caused them. A failed send is retried
+ * with a doubling delay (config.emailNotifications) and marked failed after the last attempt.
+ */
+
+const { LessThan, LessThanOrEqual, In } = require('typeorm');
+const config = require('../config');
+const { sendMail } = require('./mailService');
+
+const EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// อีเมลที่ค้างสถานะ sending นานกว่านี้ (โปรเซสตายระหว่างส่ง) กลับไปรอส่งใหม่
+const SENDING_LEASE_MS = 10 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+let runningQueue = null;
+
+const outboxRepo = (AppDataSource) => AppDataSource.getRepository('EmailOutbox');
+
+/**
+ * Queue emails and start sending them right away
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Array<Object>} messages - [{ userId, to, template, subject, html, text }]
+ * @returns {Promise<number>} Number of emails queued
+ */
+async function enqueueEmails(AppDataSource, messages) {
+  const rows = messages
+    .filter(message => message && message.to)
+    .map(({ userId = null, to, template, subject, html, text }) => ({
+      userId,
+      toAddress: to,
+      template,
+      subject: String(subject).slice(0, 255),
+      html,
+      text,
+      status: EMAIL_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date()
+    }));
+  if (!rows.length) return 0;
+
+  await outboxRepo(AppDataSource).save(rows, { chunk: 100 });
+  setImmediate(() => {
+    processEmailQueue(AppDataSource).catch(err => console.error('Error processing email queue:', err));
+  });
+  return rows.length;
+}
+
+// ลบอีเมลที่ส่งแล้วหรือเลิกส่งแล้วที่เก่ากว่า retentionDays (ไม่เกินชั่วโมงละครั้ง)
+async function purgeOldEmails(AppDataSource) {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+  const cutoff = new Date(Date.now() - config.emailNotifications.retentionDays * 24 * 60 * 60 * 1000);
+  try {
+    await outboxRepo(AppDataSource).delete({ status: In([EMAIL_STATUS.SENT, EMAIL_STATUS.FAILED]), createdAt: LessThan(cutoff) });
+  } catch (error) {
+    console.error('Error purging old emails:', error);
+  }
+}
+
+/**
+ * Delay before the next attempt: retryDelaySeconds, then doubled after every failure
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+const retryDelayMs = (attempts) => config.emailNotifications.retryDelaySeconds * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Send one claimed email and record the outcome
+ * @returns {Promise<string>} New status
+ */
+async function deliver(AppDataSource, email) {
+  const repo = outboxRepo(AppDataSource);
+  const attempts = email.attempts + 1;
+  try {
+    await sendMail({ to: email.toAddress, subject: email.subject, text: email.text, html: email.html });
+    await repo.update({ id: email.id }, { status: EMAIL_STATUS.SENT, attempts, sentAt: new Date(), lastError: null });
+    return EMAIL_STATUS.SENT;
+  } catch (error) {
+    const giveUp = attempts >= config.emailNotifications.maxAttempts;
+    await repo.update({ id: email.id }, {
+      status: giveUp ? EMAIL_STATUS.FAILED : EMAIL_STATUS.PENDING,
+      attempts,
+      nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelayMs(attempts)),
+      lastError: String(error.message || error).slice(0, 500)
+    });
+    console.error(`Email to ${email.toAddress} failed (attempt ${attempts}${giveUp ? ', giving up' : ''}):`, error.message || error);
+    return giveUp ? EMAIL_STATUS.FAILED : EMAIL_STATUS.PENDING;
+  }
+}
+
+async function sendDueEmails(AppDataSource) {
+  const repo = outboxRepo(AppDataSource);
+  const result = { sent: 0, retrying: 0, failed: 0 };
+
+  await purgeOldEmails(AppDataSource);
+  await repo.update({ status: EMAIL_STATUS.SENDING, nextAttemptAt: LessThan(new Date()) }, { status: EMAIL_STATUS.PENDING });
+
+  // ทีละ batchSize จนกว่าจะไม่มีอีเมลที่ถึงเวลาส่ง รวมถึงที่เข้าคิวมาระหว่างส่ง
+  for (;;) {
+    const due = await repo.find({
+      where: { status: EMAIL_STATUS.PENDING, nextAttemptAt: LessThanOrEqual(new Date()) },
+      order: { nextAttemptAt: 'ASC' },
+      take: config.emailNotifications.batchSize
+    });
+
+    let claimedAny = false;
+    for (const email of due) {
+      // จองก่อนส่ง: เซิร์ฟเวอร์อีกตัวที่ดึงแถวเดียวกันไปจะจองไม่ได้
+      const claimed = await repo.update(
+        { id: email.id, status: EMAIL_STATUS.PENDING },
+        { status: EMAIL_STATUS.SENDING, nextAttemptAt: new Date(Date.now() + SENDING_LEASE_MS) }
+      );
+      if (!claimed.affected) continue;
+      claimedAny = true;
+
+      const status = await deliver(AppDataSource, email);
+      if (status === EMAIL_STATUS.SENT) result.sent++;
+      else if (status === EMAIL_STATUS.FAILED) result.failed++;
+      else result.retrying++;
+    }
+    if (!claimedAny) break;
+  }
+  return result;
+}
+
+/**
+ * Send every email that is due. Calls made while a run is in progress share it.
+ * @param {DataSource} AppDataSource - Data source
+ * @returns {Promise<Object>} { sent, retrying, failed }
+ */
+function processEmailQueue(AppDataSource) {
+  if (!runningQueue) {
+    runningQueue = sendDueEmails(AppDataSource).finally(() => {
+      runningQueue = null;
+    });
+  }
+  return runningQueue;
+}
+
+module.exports = {
+  EMAIL_STATUS,
+  enqueueEmails,
+  processEmailQueue
+};
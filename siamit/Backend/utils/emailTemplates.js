@@ -0,0 +1,250 @@
+/**
+ * Email Templates
+ * Notification emails in Thai or English, each rendered as HTML with a plain-text alternative.
+ * Every template takes the same data shape in both languages; values are escaped here,
+ * so callers pass raw names and reasons.
+ */
+
+const config = require('../config');
+
+const LANGUAGES = ['th', 'en'];
+const DEFAULT_LANGUAGE = 'th';
+
+const EMAIL_TEMPLATES = {
+  LEAVE_SUBMITTED: 'leave_submitted',           // ถึงผู้อนุมัติ: มีใบลารออนุมัติ
+  LEAVE_STATUS: 'leave_status',                 // ถึงเจ้าของใบลา: อนุมัติ/ไม่อนุมัติ/ยืนยันหรือปฏิเสธการยกเลิก
+  LEAVE_CANCEL_REQUESTED: 'leave_cancel_requested', // ถึงผู้อนุมัติ: ขอยกเลิกใบลาที่อนุมัติแล้ว
+  ANNOUNCEMENT: 'announcement'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const siteUrl = (pathname) => `${config.server.frontendUrl.replace(/\/+$/, '')}${pathname}`;
+
+const formatDate = (value, lang) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString(lang === 'en' ? 'en-GB' : 'th-TH', { year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const formatPeriod = (startDate, endDate, lang) => {
+  const start = formatDate(startDate, lang);
+  const end = formatDate(endDate, lang);
+  return start === end ? start : `${start} - ${end}`;
+};
+
+const leaveTypeLabel = (leaveType, lang) => {
+  if (!leaveType) return '-';
+  if (typeof leaveType === 'string') return leaveType;
+  return (lang === 'en' ? leaveType.en || leaveType.th : leaveType.th || leaveType.en) || '-';
+};
+
+const STRINGS = {
+  th: {
+    greeting: (name) => `เรียน ${name || 'ผู้ใช้งาน'}`,
+    employee: 'พนักงาน',
+    leaveType: 'ประเภทการลา',
+    period: 'วันที่ลา',
+    reason: 'เหตุผล',
+    by: 'ดำเนินการโดย',
+    step: 'ขั้นการอนุมัติ',
+    open: 'เปิดในระบบ',
+    footer: 'อีเมลนี้ส่งอัตโนมัติจากระบบการลา ปิดการแจ้งเตือนทางอีเมลได้ที่หน้าโปรไฟล์',
+    submitted: {
+      subject: (d) => `ใบลารออนุมัติ: ${d.employeeName}`,
+      intro: (d) => `${d.employeeName} ส่งคำขอลาและรอการอนุมัติจากคุณ`
+    },
+    status: {
+      approved: { subject: 'ใบลาของคุณได้รับการอนุมัติ', intro: 'คำขอลาของคุณได้รับการอนุมัติแล้ว' },
+      rejected: { subject: 'ใบลาของคุณไม่ได้รับการอนุมัติ', intro: 'คำขอลาของคุณไม่ได้รับการอนุมัติ' },
+      cancelled: { subject: 'ยืนยันการยกเลิกใบลาแล้ว', intro: 'การยกเลิกใบลาของคุณได้รับการยืนยัน และคืนวันลาเรียบร้อยแล้ว' },
+      cancel_rejected: { subject: 'คำขอยกเลิกใบลาไม่ได้รับการอนุมัติ', intro: 'คำขอยกเลิกใบลาของคุณไม่ได้รับการอนุมัติ ใบลายังมีผลตามเดิม' }
+    },
+    cancelRequested: {
+      subject: (d) => `ขอยกเลิกใบลา: ${d.employeeName}`,
+      intro: (d) => `${d.employeeName} ขอยกเลิกใบลาที่อนุมัติแล้ว และรอการยืนยันจากคุณ`
+    },
+    announcement: {
+      subject: (d) => `ประกาศ: ${d.subject}`,
+      intro: 'มีประกาศใหม่จากบริษัท'
+    }
+  },
+  en: {
+    greeting: (name) => `Dear ${name || 'user'}`,
+    employee: 'Employee',
+    leaveType: 'Leave type',
+    period: 'Dates',
+    reason: 'Reason',
+    by: 'By',
+    step: 'Approval step',
+    open: 'Open in the leave system',
+    footer: 'This email was sent automatically by the leave system. You can turn off email notifications on your profile page.',
+    submitted: {
+      subject: (d) => `Leave awaiting approval: ${d.employeeName}`,
+      intro: (d) => `${d.employeeName} has requested leave and is waiting for your approval.`
+    },
+    status: {
+      approved: { subject: 'Your leave has been approved', intro: 'Your leave request has been approved.' },
+      rejected: { subject: 'Your leave has been rejected', intro: 'Your leave request has been rejected.' },
+      cancelled: { subject: 'Leave cancellation confirmed', intro: 'The cancellation of your leave has been confirmed and the days have been returned to your balance.' },
+      cancel_rejected: { subject: 'Leave cancellation rejected', intro: 'Your request to cancel this leave was rejected; the leave still stands.' }
+    },
+    cancelRequested: {
+      subject: (d) => `Leave cancellation requested: ${d.employeeName}`,
+      intro: (d) => `${d.employeeName} has asked to cancel an approved leave and is waiting for your confirmation.`
+    },
+    announcement: {
+      subject: (d) => `Announcement: ${d.subject}`,
+      intro: 'There is a new company announcement.'
+    }
+  }
+};
+
+/**
+ * Wrap the parts of a message in the shared layout
+ * @param {Object} parts - { lang, greeting, intro, rows: [[label, value]], body?, link: { href, label } }
+ * @returns {{ html: string, text: string }}
+ */
+const layout = ({ lang, greeting, intro, rows = [], body = null, link }) => {
+  const s = STRINGS[lang];
+  const visibleRows = rows.filter(([, value]) => value);
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}">
+<body style="margin:0;padding:24px;background:#f1f5f9;font-family:Tahoma,Arial,sans-serif;color:#1e293b;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;">
+    <tr><td style="padding:24px;">
+      <p style="margin:0 0 12px;">${escapeHtml(greeting)}</p>
+      <p style="margin:0 0 16px;font-weight:bold;color:#1e3a8a;">${escapeHtml(intro)}</p>
+      ${visibleRows.length ? `<table role="presentation" cellpadding="6" cellspacing="0" style="width:100%;border-collapse:collapse;background:#eff6ff;border-radius:8px;margin-bottom:16px;">
+        ${visibleRows.map(([label, value]) => `<tr><td style="color:#64748b;width:35%;vertical-align:top;">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n        ')}
+      </table>` : ''}
+      ${body ? `<p style="margin:0 0 16px;white-space:pre-line;">${escapeHtml(body)}</p>` : ''}
+      <a href="${escapeHtml(link.href)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:8px;">${escapeHtml(link.label)}</a>
+      <p style="margin:24px 0 0;font-size:12px;color:#94a3b8;">${escapeHtml(s.footer)}</p>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    ...visibleRows.map(([label, value]) => `${label}: ${value}`),
+    ...(body ? ['', body] : []),
+    '',
+    `${link.label}: ${link.href}`,
+    '',
+    '---',
+    s.footer
+  ].join('\n');
+
+  return { html, text };
+};
+
+const renderers = {
+  // data: { recipientName, employeeName, leaveType, startDate, endDate, reason, stepName }
+  [EMAIL_TEMPLATES.LEAVE_SUBMITTED]: (lang, d) => {
+    const s = STRINGS[lang];
+    return {
+      subject: s.submitted.subject(d),
+      ...layout({
+        lang,
+        greeting: s.greeting(d.recipientName),
+        intro: s.submitted.intro(d),
+        rows: [
+          [s.employee, d.employeeName],
+          [s.leaveType, leaveTypeLabel(d.leaveType, lang)],
+          [s.period, formatPeriod(d.startDate, d.endDate, lang)],
+          [s.reason, d.reason],
+          [s.step, d.stepName]
+        ],
+        link: { href: siteUrl('/admin'), label: s.open }
+      })
+    };
+  },
+
+  // data: { recipientName, outcome (approved | rejected | cancelled | cancel_rejected), leaveType, startDate, endDate, approverName, reason }
+  [EMAIL_TEMPLATES.LEAVE_STATUS]: (lang, d) => {
+    const s = STRINGS[lang];
+    const outcome = s.status[d.outcome];
+    if (!outcome) throw new Error(`Unknown leave outcome: ${d.outcome}`);
+    return {
+      subject: outcome.subject,
+      ...layout({
+        lang,
+        greeting: s.greeting(d.recipientName),
+        intro: outcome.intro,
+        rows: [
+          [s.leaveType, leaveTypeLabel(d.leaveType, lang)],
+          [s.period, formatPeriod(d.startDate, d.endDate, lang)],
+          [s.by, d.approverName],
+          [s.reason, d.reason]
+        ],
+        link: { href: siteUrl('/leave-history'), label: s.open }
+      })
+    };
+  },
+
+  // data: { recipientName, employeeName, leaveType, startDate, endDate, reason }
+  [EMAIL_TEMPLATES.LEAVE_CANCEL_REQUESTED]: (lang, d) => {
+    const s = STRINGS[lang];
+    return {
+      subject: s.cancelRequested.subject(d),
+      ...layout({
+        lang,
+        greeting: s.greeting(d.recipientName),
+        intro: s.cancelRequested.intro(d),
+        rows: [
+          [s.employee, d.employeeName],
+          [s.leaveType, leaveTypeLabel(d.leaveType, lang)],
+          [s.period, formatPeriod(d.startDate, d.endDate, lang)],
+          [s.reason, d.reason]
+        ],
+        link: { href: siteUrl('/admin'), label: s.open }
+      })
+    };
+  },
+
+  // data: { recipientName, subject, detail }
+  [EMAIL_TEMPLATES.ANNOUNCEMENT]: (lang, d) => {
+    const s = STRINGS[lang];
+    return {
+      subject: s.announcement.subject(d),
+      ...layout({
+        lang,
+        greeting: s.greeting(d.recipientName),
+        intro: s.announcement.intro,
+        rows: [],
+        body: [d.subject, d.detail].filter(Boolean).join('\n\n'),
+        link: { href: siteUrl('/announcements'), label: s.open }
+      })
+    };
+  }
+};
+
+/**
+ * Render a notification email
+ * @param {string} template - One of EMAIL_TEMPLATES
+ * @param {string} lang - th | en (anything else falls back to Thai)
+ * @param {Object} data - Template data (see the renderer of each template)
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderEmail = (template, lang, data) => {
+  const render = renderers[template];
+  if (!render) throw new Error(`Unknown email template: ${template}`);
+  return render(LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE, data || {});
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  renderEmail
+};
@@ -0,0 +1,97 @@
+/**
+ * Leave Entitlement Service
+ * Turns the flat LeaveQuota of a position into what one employee is entitled to in a year:
+ * pro-rated from start_work in the year they join, then stepped up by years of service
+ */
+
+const { toDateKey } = require('./workingDayUtils');
+
+const PRORATE_STEP = 0.5; // ปัดสิทธิ์ที่คิดตามสัดส่วนลงทีละครึ่งวัน
+
+/**
+ * Count completed years of service on Jan 1 of a leave year
+ * @param {Date|string} startWork - User.start_work
+ * @param {number} year - Leave year
+ * @returns {number} Completed years (0 when start_work is unknown)
+ */
+const getServiceYears = (startWork, year) => {
+  const start = toDateKey(startWork);
+  if (!start) return 0;
+  const [startYear, startMonth, startDay] = start.split('-').map(Number);
+  const years = year - startYear - (startMonth > 1 || startDay > 1 ? 1 : 0);
+  return Math.max(0, years);
+};
+
+/**
+ * Share of the year an employee is entitled to (the joining month counts as a full month)
+ * @param {Date|string} startWork - User.start_work
+ * @param {number} year - Leave year
+ * @returns {number} Factor between 0 and 1
+ */
+const getProrationFactor = (startWork, year) => {
+  const start = toDateKey(startWork);
+  if (!start) return 1;
+  const startYear = Number(start.slice(0, 4));
+  if (startYear < year) return 1;
+  if (startYear > year) return 0;
+  return (12 - Number(start.slice(5, 7)) + 1) / 12;
+};
+
+/**
+ * Pick the highest tenure step reached (a position-specific rule wins over a global one at the same step)
+ * @param {Array} rules - LeaveEntitlementRule rows
+ * @param {Object} criteria - { positionId, leaveTypeId, serviceYears }
+ * @returns {Object|null} Matching rule
+ */
+const pickTenureRule = (rules, { positionId, leaveTypeId, serviceYears }) => {
+  const matches = rules.filter(r =>
+    r.leaveTypeId === leaveTypeId &&
+    (!r.positionId || r.positionId === positionId) &&
+    serviceYears >= Number(r.min_years || 0)
+  );
+  matches.sort((a, b) =>
+    (Number(b.min_years) - Number(a.min_years)) || ((b.positionId ? 1 : 0) - (a.positionId ? 1 : 0))
+  );
+  return matches[0] || null;
+};
+
+/**
+ * Compute the effective entitlement from already loaded data
+ * @param {Object} user - User (position, start_work)
+ * @param {Object} quotaRow - LeaveQuota row (quota, prorate_first_year, leaveTypeId)
+ * @param {Array} rules - LeaveEntitlementRule rows
+ * @param {number} year - Leave year
+ * @returns {Object} { baseQuota, serviceYears, tenureBonusDays, prorationFactor, quota }
+ */
+const computeEntitlement = (user, quotaRow, rules, year) => {
+  const baseQuota = Number(quotaRow?.quota) || 0;
+  const serviceYears = getServiceYears(user?.start_work, year);
+  const rule = quotaRow ? pickTenureRule(rules, { positionId: user?.position, leaveTypeId: quotaRow.leaveTypeId, serviceYears }) : null;
+  const tenureBonusDays = rule ? Number(rule.extra_days) || 0 : 0;
+  const prorationFactor = quotaRow?.prorate_first_year ? getProrationFactor(user?.start_work, year) : 1;
+
+  let quota = baseQuota + tenureBonusDays;
+  if (prorationFactor < 1) {
+    quota = Math.floor((quota * prorationFactor) / PRORATE_STEP) * PRORATE_STEP;
+  }
+
+  return { baseQuota, serviceYears, tenureBonusDays, prorationFactor, quota };
+};
+
+/**
+ * Load tenure rules, optionally narrowed to one leave type
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} [leaveTypeId] - Leave type ID
+ * @returns {Promise<Array>} LeaveEntitlementRule rows
+ */
+async function loadEntitlementRules(manager, leaveTypeId = null) {
+  return manager.getRepository('LeaveEntitlementRule').find({ where: leaveTypeId ? { leaveTypeId } : {} });
+}
+
+module.exports = {
+  getServiceYears,
+  getProrationFactor,
+  pickTenureRule,
+  computeEntitlement,
+  loadEntitlementRules
+};
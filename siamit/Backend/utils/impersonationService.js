@@ -0,0 +1,99 @@
+/**
+ * Impersonation Service
+ * "View as employee" for support: a superadmin gets a short-lived, read-only session of another user.
+ * The access token carries the impersonator's id (imp claim), has no refresh token, and every request
+ * made with it is written to the audit log under the superadmin's name.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { generateToken } = require('./authUtils');
+const { hashToken, getClientIp, describeDevice, revokeSession, REVOKE_REASONS } = require('./sessionService');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLogService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// เขียนข้อมูลไม่ได้ระหว่างดูในมุมมองของผู้อื่น ยกเว้นการจบ session เอง
+const ALLOWED_WRITES = [
+  { method: 'POST', path: '/impersonation/stop' },
+  { method: 'POST', path: '/logout' }
+];
+
+const requestPath = (req) => String(req.originalUrl || req.url).split('?')[0].replace(/^\/api(?=\/)/, '');
+
+/**
+ * Open a read-only session of another user for a superadmin
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} impersonator - Superadmin (id)
+ * @param {Object} target - User to view as (id, role)
+ * @param {Object} req - Express request
+ * @returns {Promise<{ token: string, session: Object }>}
+ */
+async function startImpersonation(AppDataSource, impersonator, target, req) {
+  const ttlMinutes = config.impersonation.ttlMinutes;
+  const userAgent = req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null;
+  // refreshTokenHash เป็น unique/not null: ใส่ค่าสุ่มที่ไม่มีใครถือ token ตัวจริง
+  const session = await AppDataSource.getRepository('UserSession').save({
+    userId: target.id,
+    impersonatorId: impersonator.id,
+    refreshTokenHash: hashToken(crypto.randomBytes(48)),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: getClientIp(req),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    lastSeenAt: new Date()
+  });
+  const token = generateToken(
+    { userId: target.id, role: target.role, sid: session.id, imp: impersonator.id },
+    config.server.jwtSecret,
+    `${ttlMinutes}m`
+  );
+  return { token, session };
+}
+
+/**
+ * End an impersonation session
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} sessionId - sid of the impersonation token
+ */
+async function stopImpersonation(AppDataSource, sessionId) {
+  await revokeSession(AppDataSource, sessionId, REVOKE_REASONS.IMPERSONATION_ENDED);
+}
+
+/**
+ * Whether a request may run on an impersonation token (reads only, plus ending the session)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isAllowedWhileImpersonating = (req) => {
+  if (READ_METHODS.includes(req.method)) return true;
+  const path = requestPath(req);
+  return ALLOWED_WRITES.some(rule => rule.method === req.method && rule.path === path);
+};
+
+/**
+ * Audit a request made with an impersonation token once its response is sent
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} claims - Verified token payload (userId, imp, sid)
+ */
+const auditImpersonatedRequest = (AppDataSource, req, res, claims) => {
+  res.on('finish', () => {
+    recordAudit(AppDataSource, {
+      req,
+      actorId: claims.imp,
+      action: AUDIT_ACTIONS.IMPERSONATION_REQUEST,
+      targetType: 'user',
+      targetId: claims.userId,
+      metadata: { method: req.method, path: requestPath(req), status: res.statusCode, sessionId: claims.sid }
+    });
+  });
+};
+
+module.exports = {
+  startImpersonation,
+  stopImpersonation,
+  isAllowedWhileImpersonating,
+  auditImpersonatedRequest
+};
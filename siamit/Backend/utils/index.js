@@ -7,6 +7,7 @@
 const dateTimeUtils = require('./dateTimeUtils');
 const authUtils = require('./authUtils');
 const leaveUtils = require('./leaveUtils');
+const workingDayUtils = require('./workingDayUtils');
 const responseUtils = require('./responseUtils');
 const BaseController = require('./baseController');
 
@@ -21,6 +22,9 @@ module.exports = {
   // Leave management utilities
   ...leaveUtils,
   
+  // Working day utilities
+  ...workingDayUtils,
+  
   // Response utilities
   ...responseUtils,
   
@@ -32,5 +36,6 @@ module.exports = {
 module.exports.dateTimeUtils = dateTimeUtils;
 module.exports.authUtils = authUtils;
 module.exports.leaveUtils = leaveUtils;
+module.exports.workingDayUtils = workingDayUtils;
 module.exports.responseUtils = responseUtils;
 module.exports.BaseController = BaseController; 
\ No newline at end of file
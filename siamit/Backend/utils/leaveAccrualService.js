@@ -0,0 +1,124 @@
+const { In } = require('typeorm');
+const { LEDGER_ENTRY_TYPES, ACCRUAL_MODES, recordLedgerEntry } = require('./leaveLedgerService');
+const { computeEntitlement, loadEntitlementRules } = require('./entitlementService');
+const { toDateKey } = require('./workingDayUtils');
+
+const LAST_START_DAY_OF_MONTH = 15; // เริ่มงานไม่เกินวันที่ 15 ให้นับเดือนนั้นเป็นเดือนที่ทำงาน
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Check whether a user worked a given month (joined by the 15th and had not left before it began)
+ * @param {Object} user - User (start_work, end_work)
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {boolean}
+ */
+const workedMonth = (user, year, month) => {
+  const start = toDateKey(user.start_work);
+  const end = toDateKey(user.end_work);
+  if (start && start > `${year}-${pad(month)}-${LAST_START_DAY_OF_MONTH}`) return false;
+  if (end && end < `${year}-${pad(month)}-01`) return false;
+  return true;
+};
+
+/**
+ * Execute Monthly Leave Accrual
+ * Credits one month of entitlement to every user whose position quota uses accrual_mode 'monthly'.
+ * Safe to run more than once for the same month.
+ *
+ * @param {DataSource} AppDataSource - TypeORM Data Source
+ * @param {Object} options - Configuration options
+ * @param {number} [options.year] - Year of the month to credit (defaults to the month that just ended)
+ * @param {number} [options.month] - Month to credit, 1-12
+ * @returns {Promise<Object>} Result summary
+ */
+async function executeMonthlyAccrual(AppDataSource, options = {}) {
+  const now = new Date();
+  const previousMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const year = Number(options.year) || previousMonth.getFullYear();
+  const month = Number(options.month) || previousMonth.getMonth() + 1;
+
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error('month must be between 1 and 12');
+  }
+
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const manager = queryRunner.manager;
+
+    // 1. โควต้าที่ตั้งเป็นแบบสะสมรายเดือน
+    const quotas = await manager.getRepository('LeaveQuota').find({ where: { accrual_mode: ACCRUAL_MODES.MONTHLY } });
+    const positionIds = [...new Set(quotas.map(q => q.positionId))];
+
+    const users = positionIds.length
+      ? await manager.getRepository('User').find({
+          where: { position: In(positionIds) },
+          select: ['id', 'position', 'start_work', 'end_work']
+        })
+      : [];
+
+    if (users.length === 0) {
+      await queryRunner.commitTransaction();
+      return { success: true, message: 'No users with monthly accrual', year, month, usersCount: 0, credited: 0 };
+    }
+
+    // 2. รายการที่บันทึกไปแล้วของเดือนนี้ (ใช้วันสิ้นเดือนเป็นวันที่มีผล)
+    const entryDate = toDateKey(new Date(year, month, 0));
+    const existing = await manager.getRepository('LeaveLedger').find({
+      where: { entry_type: LEDGER_ENTRY_TYPES.ACCRUAL, entry_date: entryDate, user_id: In(users.map(u => u.id)) },
+      select: ['user_id', 'leave_type_id']
+    });
+    const done = new Set(existing.map(e => `${e.user_id}:${e.leave_type_id}`));
+    const entitlementRules = await loadEntitlementRules(manager);
+
+    // 3. เพิ่มสิทธิ์ของเดือนให้แต่ละคน
+    let credited = 0;
+    for (const user of users) {
+      if (!workedMonth(user, year, month)) continue;
+
+      for (const quota of quotas.filter(q => q.positionId === user.position)) {
+        if (done.has(`${user.id}:${quota.leaveTypeId}`)) continue;
+
+        const rate = Number(quota.accrual_rate) > 0
+          ? Number(quota.accrual_rate)
+          : computeEntitlement(user, { ...quota, prorate_first_year: false }, entitlementRules, year).quota / 12;
+        const days = Math.round(rate * 100) / 100;
+
+        const saved = await recordLedgerEntry(manager, {
+          userId: user.id,
+          leaveTypeId: quota.leaveTypeId,
+          leaveYear: year,
+          entryType: LEDGER_ENTRY_TYPES.ACCRUAL,
+          days: -days,
+          entryDate,
+          note: `Accrued for ${year}-${pad(month)}`
+        });
+        if (saved) credited++;
+      }
+    }
+
+    await queryRunner.commitTransaction();
+
+    return {
+      success: true,
+      message: 'Monthly accrual completed',
+      year,
+      month,
+      usersCount: users.length,
+      credited
+    };
+
+  } catch (err) {
+    await queryRunner.rollbackTransaction();
+    console.error('Execute Monthly Accrual Error:', err);
+    throw err;
+  } finally {
+    await queryRunner.release();
+  }
+}
+
+module.exports = { executeMonthlyAccrual };
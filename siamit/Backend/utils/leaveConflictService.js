@@ -0,0 +1,217 @@
+/**
+ * Leave Conflict Service
+ * Detects requests of the same employee that overlap a new one, days on which
+ * a department would fall below its minimum staffing if a leave were approved,
+ * and blackout periods a leave falls into
+ */
+
+const { In } = require('typeorm');
+const config = require('../config');
+const { toDateKey, loadHolidaySet, listWorkingDays } = require('./workingDayUtils');
+
+// สถานะที่ยังถือว่าลาอยู่ (ขอยกเลิกแล้วแต่ยังไม่อนุมัติ = ยังลาอยู่)
+const BLOCKING_STATUSES = ['pending', 'approved', 'cancel_requested'];
+const ABSENT_STATUSES = ['approved', 'cancel_requested'];
+
+// block = ห้ามยื่นลาในช่วงนี้, warn = ยื่นได้แต่แจ้งผู้อนุมัติ
+const BLACKOUT_MODES = {
+  BLOCK: 'block',
+  WARN: 'warn'
+};
+
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+/**
+ * Get the working-time window a partial-day leave covers
+ * @param {Object} leave - { startTime, endTime, halfDayPeriod }
+ * @returns {Array<number>|null} [startMinute, endMinute], or null for whole-day leave
+ */
+const getTimeWindow = ({ startTime, endTime, halfDayPeriod }) => {
+  const dayStart = config.business.workingStartHour * 60;
+  const dayEnd = config.business.workingEndHour * 60;
+  const midday = (dayStart + dayEnd) / 2;
+
+  if (halfDayPeriod === 'morning') return [dayStart, midday];
+  if (halfDayPeriod === 'afternoon') return [midday, dayEnd];
+  if (startTime && endTime) return [toMinutes(startTime), toMinutes(endTime)];
+  return null;
+};
+
+/**
+ * Check whether two leaves overlap (partial-day leaves are single-day, so they clash only when their time windows meet)
+ * @param {Object} a - Leave
+ * @param {Object} b - Leave
+ * @returns {boolean}
+ */
+const leavesOverlap = (a, b) => {
+  const aStart = toDateKey(a.startDate), aEnd = toDateKey(a.endDate) || aStart;
+  const bStart = toDateKey(b.startDate), bEnd = toDateKey(b.endDate) || bStart;
+  if (aStart > bEnd || bStart > aEnd) return false;
+
+  const aWindow = getTimeWindow(a);
+  const bWindow = getTimeWindow(b);
+  if (!aWindow || !bWindow) return true;
+  return aWindow[0] < bWindow[1] && bWindow[0] < aWindow[1];
+};
+
+/**
+ * Query leave requests whose date range touches [startKey, endKey]
+ */
+const findLeavesInRange = (manager, { userIds, statuses, startKey, endKey }) => {
+  if (!userIds.length) return Promise.resolve([]);
+  return manager.getRepository('LeaveRequest')
+    .createQueryBuilder('leave')
+    .where('leave.Repid IN (:...userIds)', { userIds })
+    .andWhere('leave.status IN (:...statuses)', { statuses })
+    .andWhere('leave.startDate <= :endKey', { endKey })
+    .andWhere('COALESCE(leave.endDate, leave.startDate) >= :startKey', { startKey })
+    .getMany();
+};
+
+/**
+ * Find the user's own pending/approved leaves that overlap a leave
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} userId - Employee ID
+ * @param {Object} leave - { startDate, endDate, startTime, endTime, halfDayPeriod }
+ * @param {Object} options - { excludeId } (the request being edited)
+ * @returns {Promise<Array>} Overlapping LeaveRequest rows
+ */
+async function findOverlappingLeaves(manager, userId, leave, { excludeId = null } = {}) {
+  const startKey = toDateKey(leave.startDate);
+  const endKey = toDateKey(leave.endDate) || startKey;
+  if (!userId || !startKey) return [];
+
+  const candidates = await findLeavesInRange(manager, { userIds: [userId], statuses: BLOCKING_STATUSES, startKey, endKey });
+  return candidates.filter(c => c.id !== excludeId && leavesOverlap(c, leave));
+}
+
+/**
+ * Shape overlapping leaves for API responses
+ * @param {Array} leaves - LeaveRequest rows
+ * @returns {Array} { id, status, startDate, endDate, startTime, endTime, halfDayPeriod }
+ */
+const formatOverlaps = (leaves) => leaves.map(l => ({
+  id: l.id,
+  status: l.status,
+  startDate: l.startDate,
+  endDate: l.endDate,
+  startTime: l.startTime || null,
+  endTime: l.endTime || null,
+  halfDayPeriod: l.halfDayPeriod || null
+}));
+
+/**
+ * Find which of the given users are away on approved leave on a date (partial-day leave counts as away)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<string>} userIds - User IDs to check
+ * @param {string|Date} date - Day to check
+ * @returns {Promise<Set<string>>} IDs of the users who are on leave
+ */
+async function findUsersOnLeave(manager, userIds, date) {
+  const dateKey = toDateKey(date);
+  if (!dateKey) return new Set();
+  const leaves = await findLeavesInRange(manager, { userIds, statuses: ABSENT_STATUSES, startKey: dateKey, endKey: dateKey });
+  return new Set(leaves.map(l => l.Repid));
+}
+
+/**
+ * Find working days on which approving a leave would leave its department under Department.min_staffing.
+ * Anyone with approved leave on a day counts as absent for that day, even for part of it.
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} leave - LeaveRequest (id, Repid, startDate, endDate)
+ * @param {string} departmentId - Department of the employee
+ * @returns {Promise<Object>} { departmentId, minimum, shortfalls: [{ date, headcount, onLeave, present }] }
+ */
+async function getStaffingShortfalls(manager, leave, departmentId) {
+  const result = { departmentId: departmentId || null, minimum: 0, shortfalls: [] };
+  if (!departmentId) return result;
+
+  const department = await manager.getRepository('Department').findOne({ where: { id: departmentId } });
+  result.minimum = Number(department?.min_staffing) || 0;
+  if (!result.minimum) return result;
+
+  const startKey = toDateKey(leave.startDate);
+  const endKey = toDateKey(leave.endDate) || startKey;
+  if (!startKey) return result;
+
+  const members = await manager.getRepository('User').find({
+    where: { department: departmentId },
+    select: ['id', 'start_work', 'end_work']
+  });
+  const [otherLeaves, holidaySet] = await Promise.all([
+    findLeavesInRange(manager, { userIds: members.map(m => m.id), statuses: ABSENT_STATUSES, startKey, endKey }),
+    loadHolidaySet(manager, startKey, endKey)
+  ]);
+  const approvedLeaves = otherLeaves.filter(l => l.id !== leave.id);
+
+  for (const date of listWorkingDays(startKey, endKey, holidaySet)) {
+    const active = members.filter(m =>
+      (!m.start_work || toDateKey(m.start_work) <= date) && (!m.end_work || toDateKey(m.end_work) >= date)
+    );
+    const absent = new Set([leave.Repid]);
+    approvedLeaves.forEach(l => {
+      if (toDateKey(l.startDate) <= date && (toDateKey(l.endDate) || toDateKey(l.startDate)) >= date) absent.add(l.Repid);
+    });
+
+    const onLeave = active.filter(m => absent.has(m.id)).length;
+    const present = active.length - onLeave;
+    if (present < result.minimum) {
+      result.shortfalls.push({ date, headcount: active.length, onLeave, present });
+    }
+  }
+  return result;
+}
+
+/**
+ * Find blackout periods that a leave falls into, for the employee's department or company-wide
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} leave - { startDate, endDate }
+ * @param {string|null} departmentId - Department of the employee
+ * @returns {Promise<Array>} LeaveBlackout rows ordered by start date
+ */
+async function findBlackouts(manager, leave, departmentId) {
+  const startKey = toDateKey(leave.startDate);
+  const endKey = toDateKey(leave.endDate) || startKey;
+  if (!startKey) return [];
+
+  const qb = manager.getRepository('LeaveBlackout')
+    .createQueryBuilder('blackout')
+    .where('blackout.startDate <= :endKey', { endKey })
+    .andWhere('blackout.endDate >= :startKey', { startKey });
+  if (departmentId) {
+    qb.andWhere('(blackout.departmentId IS NULL OR blackout.departmentId = :departmentId)', { departmentId });
+  } else {
+    qb.andWhere('blackout.departmentId IS NULL');
+  }
+  return qb.orderBy('blackout.startDate', 'ASC').getMany();
+}
+
+/**
+ * Shape blackout periods for API responses
+ * @param {Array} blackouts - LeaveBlackout rows
+ * @returns {Array} { id, title, startDate, endDate, departmentId, mode }
+ */
+const formatBlackouts = (blackouts) => blackouts.map(b => ({
+  id: b.id,
+  title: b.title,
+  startDate: toDateKey(b.startDate),
+  endDate: toDateKey(b.endDate),
+  departmentId: b.departmentId || null,
+  mode: b.mode
+}));
+
+module.exports = {
+  BLOCKING_STATUSES,
+  BLACKOUT_MODES,
+  getTimeWindow,
+  leavesOverlap,
+  findOverlappingLeaves,
+  formatOverlaps,
+  findUsersOnLeave,
+  getStaffingShortfalls,
+  findBlackouts,
+  formatBlackouts
+};
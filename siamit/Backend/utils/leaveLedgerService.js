@@ -0,0 +1,396 @@
+/**
+ * Leave Ledger Service
+ * Records every change to leave usage as an append-only entry keyed by leave year,
+ * so the balance of any year can be rebuilt and audited
+ */
+
+const { In } = require('typeorm');
+const config = require('../config');
+const { toDateKey } = require('./workingDayUtils');
+const { computeEntitlement, loadEntitlementRules } = require('./entitlementService');
+
+const LEDGER_ENTRY_TYPES = {
+  APPROVAL: 'approval',
+  CANCELLATION: 'cancellation',
+  ADJUSTMENT: 'adjustment',
+  RESET: 'reset',
+  CARRY_OVER: 'carry_over',
+  CARRIED_BALANCE: 'carried_balance', // วันลาคงเหลือที่ยกมาจากปีก่อน (เครดิต มีวันหมดอายุได้) ไม่นับรวมในยอดใช้
+  ACCRUAL: 'accrual' // สิทธิ์ที่สะสมรายเดือนของประเภทการลาแบบ monthly (เครดิต) ไม่นับรวมในยอดใช้
+};
+
+const ACCRUAL_MODES = {
+  ANNUAL: 'annual', // ได้สิทธิ์เต็มโควต้าตั้งแต่ต้นปี
+  MONTHLY: 'monthly' // สะสมสิทธิ์ทีละเดือนตามเดือนที่ทำงาน
+};
+
+// รายการที่เพิ่มสิทธิ์ (ไม่ใช่การใช้วันลา) ต้องแยกออกจากผลรวมยอดใช้
+const ENTITLEMENT_ENTRY_TYPES = [LEDGER_ENTRY_TYPES.CARRIED_BALANCE, LEDGER_ENTRY_TYPES.ACCRUAL];
+
+/**
+ * Get the leave year a date belongs to
+ * @param {Date|string} date - Date or YYYY-MM-DD string (defaults to today)
+ * @returns {number} Year
+ */
+const getLeaveYear = (date = new Date()) => {
+  const key = toDateKey(date) || toDateKey(new Date());
+  return Number(key.slice(0, 4));
+};
+
+/**
+ * Fold whole working days out of hours
+ * @param {Object} usage - { days, hours }
+ * @returns {Object} { days, hours, totalDays }
+ */
+const normalizeUsage = ({ days = 0, hours = 0 } = {}) => {
+  const workHours = config.business.workingHoursPerDay || 8;
+  let totalHours = (Number(days) || 0) * workHours + (Number(hours) || 0);
+  totalHours = Math.round(totalHours * 100) / 100;
+  const wholeDays = Math.trunc(totalHours / workHours);
+  return {
+    days: wholeDays,
+    hours: Math.round((totalHours - wholeDays * workHours) * 100) / 100,
+    totalDays: totalHours / workHours
+  };
+};
+
+/**
+ * Append one entry to the ledger
+ * @param {EntityManager} manager - Entity manager (transactional or global)
+ * @param {Object} entry - { userId, leaveTypeId, leaveYear, entryType, days, hours, entryDate, expiresOn, leaveRequestId, note, createdBy }
+ * @returns {Promise<Object|null>} Saved LeaveLedger entry, or null when the entry is empty
+ */
+async function recordLedgerEntry(manager, entry) {
+  const days = Number(entry.days) || 0;
+  const hours = Number(entry.hours) || 0;
+  if (days === 0 && hours === 0) return null;
+
+  if (!Object.values(LEDGER_ENTRY_TYPES).includes(entry.entryType)) {
+    throw new Error(`Invalid ledger entry type: ${entry.entryType}`);
+  }
+
+  const entryDate = toDateKey(entry.entryDate) || toDateKey(new Date());
+  const repo = manager.getRepository('LeaveLedger');
+  return repo.save(repo.create({
+    user_id: entry.userId,
+    leave_type_id: entry.leaveTypeId,
+    leave_year: entry.leaveYear || getLeaveYear(entryDate),
+    entry_type: entry.entryType,
+    days,
+    hours,
+    entry_date: entryDate,
+    expires_on: toDateKey(entry.expiresOn) || null,
+    leave_request_id: entry.leaveRequestId || null,
+    note: entry.note || null,
+    created_by: entry.createdBy || null
+  }));
+}
+
+/**
+ * Sum ledger usage entries per user and leave type (carried and accrued credits are excluded)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} filter - { year, userIds, leaveTypeId, month, untilDate }
+ * @returns {Promise<Array>} Rows of { user_id, leave_type_id, days, hours }
+ */
+async function getLedgerBalances(manager, { year = getLeaveYear(), userIds = null, leaveTypeId = null, month = null, untilDate = null } = {}) {
+  const qb = manager.getRepository('LeaveLedger')
+    .createQueryBuilder('ledger')
+    .select('ledger.user_id', 'user_id')
+    .addSelect('ledger.leave_type_id', 'leave_type_id')
+    .addSelect('COALESCE(SUM(ledger.days), 0)', 'days')
+    .addSelect('COALESCE(SUM(ledger.hours), 0)', 'hours')
+    .where('ledger.leave_year = :year', { year: Number(year) })
+    .andWhere('ledger.entry_type NOT IN (:...creditTypes)', { creditTypes: ENTITLEMENT_ENTRY_TYPES });
+
+  if (userIds) {
+    if (!userIds.length) return [];
+    qb.andWhere('ledger.user_id IN (:...userIds)', { userIds });
+  }
+  if (leaveTypeId) qb.andWhere('ledger.leave_type_id = :leaveTypeId', { leaveTypeId });
+  if (month) qb.andWhere('MONTH(ledger.entry_date) = :month', { month: Number(month) });
+  if (untilDate) qb.andWhere('ledger.entry_date <= :untilDate', { untilDate: toDateKey(untilDate) });
+
+  const rows = await qb.groupBy('ledger.user_id').addGroupBy('ledger.leave_type_id').getRawMany();
+  return rows.map(r => ({
+    user_id: r.user_id,
+    leave_type_id: r.leave_type_id,
+    days: Number(r.days) || 0,
+    hours: Number(r.hours) || 0
+  }));
+}
+
+/**
+ * Get the used balance of one user for one leave type in a year
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} userId - User ID
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {number} year - Leave year
+ * @returns {Promise<Object>} { days, hours, totalDays } (normalized)
+ */
+async function getUserYearUsage(manager, userId, leaveTypeId, year = getLeaveYear()) {
+  const [row] = await getLedgerBalances(manager, { year, userIds: [userId], leaveTypeId });
+  return normalizeUsage(row || {});
+}
+
+/**
+ * Credit back the whole balance of each user/leave type in a year (yearly or manual reset)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<string>} userIds - Users to reset
+ * @param {Object} options - { year, createdBy, note }
+ * @returns {Promise<number>} Number of reset entries written
+ */
+async function resetLedgerBalances(manager, userIds, { year = getLeaveYear(), createdBy = null, note = null } = {}) {
+  const balances = await getLedgerBalances(manager, { year, userIds });
+  let written = 0;
+  for (const b of balances) {
+    const saved = await recordLedgerEntry(manager, {
+      userId: b.user_id,
+      leaveTypeId: b.leave_type_id,
+      leaveYear: year,
+      entryType: LEDGER_ENTRY_TYPES.RESET,
+      days: -b.days,
+      hours: -b.hours,
+      note: note || `Reset ${year} balance`,
+      createdBy
+    });
+    if (saved) written++;
+  }
+  return written;
+}
+
+/**
+ * Bring the closing usage of one year into the next one (positions that do not reset on Jan 1)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<string>} userIds - Users to carry over
+ * @param {number} fromYear - Closing year
+ * @param {number} toYear - Opening year
+ * @returns {Promise<number>} Number of carry-over entries written
+ */
+async function carryOverUsage(manager, userIds, fromYear, toYear = fromYear + 1) {
+  if (!userIds.length) return 0;
+  const balances = await getLedgerBalances(manager, { year: fromYear, userIds });
+
+  // กันการยกยอดซ้ำหากงานถูกเรียกมากกว่าหนึ่งครั้ง
+  const existing = await manager.getRepository('LeaveLedger').find({
+    where: { leave_year: toYear, entry_type: LEDGER_ENTRY_TYPES.CARRY_OVER, user_id: In(userIds) },
+    select: ['user_id', 'leave_type_id']
+  });
+  const done = new Set(existing.map(e => `${e.user_id}:${e.leave_type_id}`));
+
+  let written = 0;
+  for (const b of balances) {
+    if (done.has(`${b.user_id}:${b.leave_type_id}`)) continue;
+    const saved = await recordLedgerEntry(manager, {
+      userId: b.user_id,
+      leaveTypeId: b.leave_type_id,
+      leaveYear: toYear,
+      entryType: LEDGER_ENTRY_TYPES.CARRY_OVER,
+      days: b.days,
+      hours: b.hours,
+      entryDate: `${toYear}-01-01`,
+      note: `Carried over from ${fromYear}`
+    });
+    if (saved) written++;
+  }
+  return written;
+}
+
+/**
+ * Get the days carried into a year per user and leave type
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} filter - { year, userIds, leaveTypeId }
+ * @returns {Promise<Array>} Rows of { user_id, leave_type_id, days, expires_on }
+ */
+async function getCarriedBalances(manager, { year = getLeaveYear(), userIds = null, leaveTypeId = null } = {}) {
+  const where = { leave_year: Number(year), entry_type: LEDGER_ENTRY_TYPES.CARRIED_BALANCE };
+  if (userIds) {
+    if (!userIds.length) return [];
+    where.user_id = In(userIds);
+  }
+  if (leaveTypeId) where.leave_type_id = leaveTypeId;
+
+  const entries = await manager.getRepository('LeaveLedger').find({ where });
+  const map = new Map();
+  for (const e of entries) {
+    const key = `${e.user_id}:${e.leave_type_id}`;
+    const row = map.get(key) || { user_id: e.user_id, leave_type_id: e.leave_type_id, days: 0, expires_on: null };
+    // เครดิตถูกบันทึกเป็นค่าลบ จึงกลับเครื่องหมายเป็นจำนวนวันที่ยกมา
+    row.days += -normalizeUsage({ days: e.days, hours: e.hours }).totalDays;
+    row.expires_on = toDateKey(e.expires_on) || row.expires_on;
+    map.set(key, row);
+  }
+  return [...map.values()];
+}
+
+/**
+ * Get the days accrued so far in a year per user and leave type (monthly accrual)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} filter - { year, userIds, leaveTypeId }
+ * @returns {Promise<Array>} Rows of { user_id, leave_type_id, days }
+ */
+async function getAccruedBalances(manager, { year = getLeaveYear(), userIds = null, leaveTypeId = null } = {}) {
+  const qb = manager.getRepository('LeaveLedger')
+    .createQueryBuilder('ledger')
+    .select('ledger.user_id', 'user_id')
+    .addSelect('ledger.leave_type_id', 'leave_type_id')
+    .addSelect('COALESCE(SUM(ledger.days), 0)', 'days')
+    .addSelect('COALESCE(SUM(ledger.hours), 0)', 'hours')
+    .where('ledger.leave_year = :year', { year: Number(year) })
+    .andWhere('ledger.entry_type = :accrual', { accrual: LEDGER_ENTRY_TYPES.ACCRUAL });
+
+  if (userIds) {
+    if (!userIds.length) return [];
+    qb.andWhere('ledger.user_id IN (:...userIds)', { userIds });
+  }
+  if (leaveTypeId) qb.andWhere('ledger.leave_type_id = :leaveTypeId', { leaveTypeId });
+
+  const rows = await qb.groupBy('ledger.user_id').addGroupBy('ledger.leave_type_id').getRawMany();
+  // เครดิตถูกบันทึกเป็นค่าลบ จึงกลับเครื่องหมายเป็นจำนวนวันที่สะสมได้
+  return rows.map(r => ({
+    user_id: r.user_id,
+    leave_type_id: r.leave_type_id,
+    days: -normalizeUsage({ days: r.days, hours: r.hours }).totalDays
+  }));
+}
+
+/**
+ * Split the entitlement of one user/leave type in a year into carried and fresh balances.
+ * Carried days are consumed first; whatever is left of them lapses after the expiry date.
+ * @param {EntityManager} manager - Entity manager
+ * @param {string} userId - User ID
+ * @param {string} leaveTypeId - Leave type ID
+ * @param {number} quotaDays - Fresh quota of the year
+ * @param {Object} options - { year, asOf } (asOf = date the balance is evaluated on)
+ * @returns {Promise<Object>} { quota, usedDays, carriedDays, carriedUsedDays, carriedRemainingDays, carriedExpiresOn, carriedExpired, freshUsedDays, freshRemainingDays, availableDays, balanceDays }
+ *   (balanceDays is availableDays without the floor at zero, i.e. negative when the balance is overdrawn)
+ */
+async function getYearEntitlement(manager, userId, leaveTypeId, quotaDays, { year = getLeaveYear(), asOf = new Date() } = {}) {
+  const quota = Number(quotaDays) || 0;
+  const [usage, [carried]] = await Promise.all([
+    getUserYearUsage(manager, userId, leaveTypeId, year),
+    getCarriedBalances(manager, { year, userIds: [userId], leaveTypeId })
+  ]);
+  const usedDays = Math.max(0, usage.totalDays);
+
+  let carriedDays = 0, carriedUsedDays = 0, carriedExpiresOn = null, carriedExpired = false;
+  if (carried && carried.days > 0) {
+    carriedDays = carried.days;
+    carriedExpiresOn = carried.expires_on;
+    // ใช้เฉพาะวันลาที่เกิดก่อนหรือในวันหมดอายุมาหักจากยอดยกมา
+    const usedBeforeExpiry = carriedExpiresOn
+      ? Math.max(0, normalizeUsage((await getLedgerBalances(manager, { year, userIds: [userId], leaveTypeId, untilDate: carriedExpiresOn }))[0]).totalDays)
+      : usedDays;
+    carriedUsedDays = Math.min(carriedDays, usedBeforeExpiry);
+    carriedExpired = Boolean(carriedExpiresOn) && toDateKey(asOf) > carriedExpiresOn;
+  }
+
+  const carriedRemainingDays = carriedExpired ? 0 : carriedDays - carriedUsedDays;
+  const freshUsedDays = usedDays - carriedUsedDays;
+  const freshRemainingDays = Math.max(0, quota - freshUsedDays);
+
+  return {
+    quota,
+    usedDays,
+    carriedDays,
+    carriedUsedDays,
+    carriedRemainingDays,
+    carriedExpiresOn,
+    carriedExpired,
+    freshUsedDays,
+    freshRemainingDays,
+    availableDays: freshRemainingDays + carriedRemainingDays,
+    balanceDays: quota - freshUsedDays + carriedRemainingDays
+  };
+}
+
+/**
+ * Resolve how many days a user may use from one LeaveQuota row in a year: the tenure-adjusted
+ * (and pro-rated) entitlement, or for monthly accrual only what has been credited so far
+ * @param {EntityManager} manager - Entity manager
+ * @param {Object} user - User (id, position, start_work)
+ * @param {Object} quotaRow - LeaveQuota row
+ * @param {number} year - Leave year
+ * @param {Array} [entitlementRules] - Preloaded LeaveEntitlementRule rows
+ * @returns {Promise<Object>} computeEntitlement result plus { accrualMode, accruedDays, annualQuota }
+ */
+async function resolveYearQuota(manager, user, quotaRow, year, entitlementRules = null) {
+  const rules = entitlementRules || (quotaRow ? await loadEntitlementRules(manager, quotaRow.leaveTypeId) : []);
+  const accrualMode = quotaRow?.accrual_mode || ACCRUAL_MODES.ANNUAL;
+
+  if (accrualMode !== ACCRUAL_MODES.MONTHLY) {
+    const effective = computeEntitlement(user, quotaRow, rules, year);
+    return { ...effective, accrualMode, accruedDays: null, annualQuota: effective.quota };
+  }
+
+  // แบบสะสมรายเดือนไม่ต้องคิดสัดส่วนปีแรก เพราะได้สิทธิ์เฉพาะเดือนที่ทำงานอยู่แล้ว
+  const effective = computeEntitlement(user, { ...quotaRow, prorate_first_year: false }, rules, year);
+  const [accrued] = await getAccruedBalances(manager, { year, userIds: [user.id], leaveTypeId: quotaRow.leaveTypeId });
+  const accruedDays = accrued ? accrued.days : 0;
+  return { ...effective, accrualMode, accruedDays, annualQuota: effective.quota, quota: accruedDays };
+}
+
+/**
+ * Carry unused fresh days of the closing year into the new year, capped per position and leave type
+ * (LeaveQuota.carry_over_max_days / carry_over_expiry)
+ * @param {EntityManager} manager - Entity manager
+ * @param {Array<Object>} users - Users as { id, position, start_work }
+ * @param {number} fromYear - Closing year
+ * @param {number} toYear - Opening year
+ * @returns {Promise<number>} Number of carried balance entries written
+ */
+async function carryOverUnusedBalance(manager, users, fromYear, toYear = fromYear + 1) {
+  if (!users.length) return 0;
+  const positionIds = [...new Set(users.map(u => u.position).filter(Boolean))];
+  if (!positionIds.length) return 0;
+
+  const quotas = await manager.getRepository('LeaveQuota').find({ where: { positionId: In(positionIds) } });
+  const rules = quotas.filter(q => Number(q.carry_over_max_days) > 0);
+  if (!rules.length) return 0;
+  const entitlementRules = await loadEntitlementRules(manager);
+
+  // กันการยกยอดซ้ำหากงานถูกเรียกมากกว่าหนึ่งครั้ง
+  const existing = await getCarriedBalances(manager, { year: toYear, userIds: users.map(u => u.id) });
+  const done = new Set(existing.map(e => `${e.user_id}:${e.leave_type_id}`));
+
+  let written = 0;
+  for (const user of users) {
+    for (const rule of rules.filter(r => r.positionId === user.position)) {
+      if (done.has(`${user.id}:${rule.leaveTypeId}`)) continue;
+
+      const { quota } = await resolveYearQuota(manager, user, rule, fromYear, entitlementRules);
+      const closing = await getYearEntitlement(manager, user.id, rule.leaveTypeId, quota, { year: fromYear, asOf: `${fromYear}-12-31` });
+      const days = Math.round(Math.min(closing.freshRemainingDays, Number(rule.carry_over_max_days)) * 100) / 100;
+      if (days <= 0) continue;
+
+      const saved = await recordLedgerEntry(manager, {
+        userId: user.id,
+        leaveTypeId: rule.leaveTypeId,
+        leaveYear: toYear,
+        entryType: LEDGER_ENTRY_TYPES.CARRIED_BALANCE,
+        days: -days,
+        entryDate: `${toYear}-01-01`,
+        expiresOn: rule.carry_over_expiry ? `${toYear}-${rule.carry_over_expiry}` : null,
+        note: `Unused days carried from ${fromYear}`
+      });
+      if (saved) written++;
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  ACCRUAL_MODES,
+  getLeaveYear,
+  normalizeUsage,
+  recordLedgerEntry,
+  getLedgerBalances,
+  getUserYearUsage,
+  resetLedgerBalances,
+  carryOverUsage,
+  getCarriedBalances,
+  getAccruedBalances,
+  getYearEntitlement,
+  resolveYearQuota,
+  carryOverUnusedBalance
+};
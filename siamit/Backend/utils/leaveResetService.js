@@ -1,16 +1,19 @@
-const { In } = require('typeorm');
+const { In, Not } = require('typeorm');
+const { getLeaveYear, resetLedgerBalances, carryOverUsage, carryOverUnusedBalance } = require('./leaveLedgerService');
 
 /**
  * Execute Leave Quota Reset Logic
  * * @param {DataSource} AppDataSource - TypeORM Data Source
  * @param {Object} options - Configuration options
  * @param {boolean} [options.force=false] - If true, bypass date check (Jan 1st)
- * @param {string} [options.strategy='zero'] - Reset strategy: 'zero' (set to 0) or 'delete' (remove rows)
+ * @param {string} [options.strategy='zero'] - Reset strategy: 'zero' (set to 0), 'delete' (remove rows) or 'carry_over'
+ *   (set to 0 and bring unused days of last year forward, capped by LeaveQuota carry-over settings)
  * @param {string|number} [options.positionId=null] - Specific position ID to reset (optional)
+ * @param {string} [options.createdBy=null] - User who triggered a manual reset (recorded in the ledger)
  * @returns {Promise<Object>} Result summary
  */
 async function executeResetLogic(AppDataSource, options = {}) {
-  const { force = false, strategy = 'zero', positionId = null } = options;
+  const { force = false, strategy = 'zero', positionId = null, createdBy = null } = options;
 
   const queryRunner = AppDataSource.createQueryRunner();
   await queryRunner.connect();
@@ -26,6 +29,11 @@ async function executeResetLogic(AppDataSource, options = {}) {
       throw new Error('Reset is only allowed on January 1st (or set force=true)');
     }
 
+    // รอบอัตโนมัติวันที่ 1 ม.ค.: ledger แยกตามปีอยู่แล้ว ปีใหม่จึงเริ่มจากศูนย์โดยไม่ต้องลบยอดปีก่อน
+    const isScheduledRun = isJanFirst && !force;
+    const currentYear = getLeaveYear(now);
+    let carriedOver = 0;
+
     // 2. Determine Target Positions
     const positionRepo = queryRunner.manager.getRepository('Position');
     let positionIds = [];
@@ -45,30 +53,40 @@ async function executeResetLogic(AppDataSource, options = {}) {
         select: ['id'] 
       });
       positionIds = positions.map(p => p.id);
+
+      // ตำแหน่งที่ไม่รีเซ็ตปีใหม่: ยกยอดที่ใช้ไปของปีก่อนมาต่อในปีนี้
+      if (isScheduledRun) {
+        const keepUsers = await queryRunner.manager.getRepository('User').find({
+          where: positionIds.length ? { position: Not(In(positionIds)) } : {},
+          select: ['id']
+        });
+        carriedOver = await carryOverUsage(queryRunner.manager, keepUsers.map(u => u.id), currentYear - 1, currentYear);
+      }
     }
 
     if (positionIds.length === 0) {
-      await queryRunner.rollbackTransaction(); // ไม่มีอะไรต้องทำ
-      return { success: true, message: 'No positions matched for reset', positionsCount: 0, usersCount: 0, affectedRows: 0 };
+      await queryRunner.commitTransaction(); // ไม่มีตำแหน่งให้รีเซ็ต (อาจมีการยกยอด)
+      return { success: true, message: 'No positions matched for reset', positionsCount: 0, usersCount: 0, affectedRows: 0, carriedOver };
     }
 
     // 3. Find Users in those positions
     const userRepo = queryRunner.manager.getRepository('User');
     const users = await userRepo.find({ 
       where: { position: In(positionIds) }, 
-      select: ['id'] 
+      select: ['id', 'position', 'start_work'] 
     });
 
     const userIds = users.map(u => u.id);
 
     if (userIds.length === 0) {
-      await queryRunner.rollbackTransaction();
+      await queryRunner.commitTransaction();
       return { 
         success: true, 
         message: 'No users found in targeted positions', 
         positionsCount: positionIds.length, 
         usersCount: 0, 
-        affectedRows: 0 
+        affectedRows: 0,
+        carriedOver
       };
     }
 
@@ -90,6 +108,18 @@ async function executeResetLogic(AppDataSource, options = {}) {
       affectedRows = result.affected || 0;
     }
 
+    // รีเซ็ตกลางปี (force): บันทึกรายการ reset ลง ledger เพื่อให้ตรวจสอบย้อนหลังได้
+    let ledgerEntries = 0;
+    if (!isScheduledRun) {
+      ledgerEntries = await resetLedgerBalances(queryRunner.manager, userIds, { year: currentYear, createdBy });
+    }
+
+    // ยกวันลาคงเหลือของปีก่อนตามเพดานและวันหมดอายุที่ตั้งไว้ในโควต้าของแต่ละตำแหน่ง
+    let carriedBalances = 0;
+    if (strategy === 'carry_over') {
+      carriedBalances = await carryOverUnusedBalance(queryRunner.manager, users, currentYear - 1, currentYear);
+    }
+
     // Commit Transaction
     await queryRunner.commitTransaction();
 
@@ -99,6 +129,9 @@ async function executeResetLogic(AppDataSource, options = {}) {
       positionsCount: positionIds.length,
       usersCount: userIds.length,
       affectedRows,
+      ledgerEntries,
+      carriedOver,
+      carriedBalances,
       strategy
     };
 
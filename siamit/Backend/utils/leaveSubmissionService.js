@@ -0,0 +1,341 @@
+/**
+ * Leave Submission Service
+ * Checks and saves a new or edited leave request: duration, quota, working hours, backdating,
+ * overlaps with the employee's own leave, blackout periods and the approval chain.
+ * Shared by POST/PUT /api/leave-request and the LINE bot so all apply the same rules.
+ */
+
+const config = require('../config');
+const { HALF_DAY_PERIODS, calculateWorkingDays, toDateKey } = require('./workingDayUtils');
+const { resolveApprovalChain, createApprovalSteps } = require('./approvalChainService');
+const { getLeaveYear, getYearEntitlement, resolveYearQuota } = require('./leaveLedgerService');
+const { BLACKOUT_MODES, findOverlappingLeaves, formatOverlaps, findBlackouts, formatBlackouts } = require('./leaveConflictService');
+
+// ข้อผิดพลาดจากข้อมูลที่กรอก: controller ตอบกลับด้วย sendValidationError
+const validationError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.isValidation = true;
+  return err;
+};
+
+const requestError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+/**
+ * Validate half-day input (single date + morning/afternoon period)
+ * @returns {string|null} Error message or null when valid
+ */
+const validateHalfDay = (startDate, endDate, halfDayPeriod) => {
+  if (!HALF_DAY_PERIODS.includes(halfDayPeriod)) {
+    return `halfDayPeriod must be one of ${HALF_DAY_PERIODS.join(', ')}`;
+  }
+  if (!startDate) return 'startDate is required';
+  if (endDate && endDate !== startDate) return 'Half-day leave must start and end on the same date';
+  return null;
+};
+
+/**
+ * Build the 409 error raised when a request overlaps the employee's own leave
+ */
+const buildOverlapError = (overlaps) => {
+  const err = new Error('Leave request overlaps an existing pending or approved leave');
+  err.statusCode = 409;
+  err.data = { overlaps: formatOverlaps(overlaps) };
+  return err;
+};
+
+/**
+ * Split the blackouts a leave falls into; 'block' ones reject the request (409), 'warn' ones are returned as warnings
+ * @returns {{ error: Error|null, warnings: Array }}
+ */
+const checkBlackouts = (blackouts) => {
+  const blocking = blackouts.filter(b => b.mode !== BLACKOUT_MODES.WARN);
+  const warnings = formatBlackouts(blackouts.filter(b => b.mode === BLACKOUT_MODES.WARN));
+  if (!blocking.length) return { error: null, warnings };
+
+  const err = new Error(`Leave is not allowed during blackout period: ${blocking.map(b => b.title).join(', ')}`);
+  err.statusCode = 409;
+  err.data = { blackouts: formatBlackouts(blocking) };
+  return { error: err, warnings };
+};
+
+/**
+ * Requested amount in days/hours (before the quota check)
+ * @returns {Promise<{ reqDays: number, reqHours: number }>}
+ */
+async function calculateRequestedAmount(manager, { durationType, startDate, endDate, rawEndDate, startTime, endTime, halfDayPeriod }) {
+  if (durationType === 'half_day') {
+    const halfDayError = validateHalfDay(startDate, rawEndDate, halfDayPeriod);
+    if (halfDayError) throw validationError(halfDayError);
+    const workingDays = await calculateWorkingDays(manager, startDate, startDate);
+    if (workingDays <= 0) throw validationError('Leave period contains no working days');
+    return { reqDays: 0.5, reqHours: 0 };
+  }
+  if (durationType === 'hour' && startTime && endTime) {
+    let diff = toMinutes(endTime) - toMinutes(startTime);
+    if (diff < 0) diff += 24 * 60; // กรณีข้ามเที่ยงคืน (ถ้ามี)
+    return { reqDays: 0, reqHours: diff / 60 };
+  }
+  // วันทำงาน (ไม่นับเสาร์-อาทิตย์ วันหยุดราชการ และวันหยุดบริษัท)
+  const reqDays = await calculateWorkingDays(manager, startDate, endDate);
+  if (reqDays <= 0) throw validationError('Leave period contains no working days');
+  return { reqDays, reqHours: 0 };
+}
+
+/**
+ * Reject the request when it exceeds the year's entitlement (plus allowed negative balance).
+ * Emergency leave is not charged against a quota.
+ */
+async function checkQuota(manager, user, leaveTypeEntity, startDate, { reqDays, reqHours }) {
+  if (leaveTypeEntity.leave_type_en === 'Emergency') return;
+
+  // Lock แถวโควต้าจนจบ transaction กันสองคำขอแย่งกันอ่านยอดเดียวกัน
+  const quotaRow = await manager.getRepository('LeaveQuota')
+    .createQueryBuilder('quota')
+    .setLock('pessimistic_write')
+    .where('quota.positionId = :pid', { pid: user.position })
+    .andWhere('quota.leaveTypeId = :ltid', { ltid: leaveTypeEntity.id })
+    .getOne();
+  if (!quotaRow) throw validationError('Leave quota not found for this position.');
+
+  // สิทธิ์ของปีที่ลา: โควต้าตำแหน่งปรับตามอายุงาน/สัดส่วนปีแรก (หรือยอดที่สะสมถึงปัจจุบันสำหรับแบบรายเดือน)
+  // แล้วรวมวันยกมาที่ยังไม่หมดอายุ ณ วันเริ่มลา
+  const leaveYear = getLeaveYear(startDate);
+  const effectiveQuota = await resolveYearQuota(manager, user, quotaRow, leaveYear);
+  const entitlement = await getYearEntitlement(manager, user.id, leaveTypeEntity.id, effectiveQuota.quota, {
+    year: leaveYear,
+    asOf: startDate
+  });
+
+  // เทียบเป็นชั่วโมง; ยอมให้ติดลบได้ไม่เกิน max_negative_days ที่ตั้งไว้ในโควต้า
+  const WORK_HOURS = config.business.workingHoursPerDay || 8;
+  const allowedDays = entitlement.balanceDays + (Number(quotaRow.max_negative_days) || 0);
+  const totalAvailableUnits = Math.round(allowedDays * WORK_HOURS * 100) / 100;
+  const totalRequestUnits = (reqDays * WORK_HOURS) + reqHours;
+
+  if (totalRequestUnits > totalAvailableUnits) {
+    const err = new Error(`Quota exceeded. Remaining: ${Math.max(0, allowedDays).toFixed(2)} days.`);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/**
+ * Hourly leave must fall inside working hours
+ */
+const checkWorkingHours = (startTime, endTime) => {
+  if (!startTime || !endTime) return;
+  if (startTime === endTime) throw validationError('Start and end time cannot be same');
+  const workStart = config.business.workingStartHour * 60;
+  const workEnd = config.business.workingEndHour * 60;
+  if (toMinutes(startTime) < workStart || toMinutes(endTime) > workEnd) throw validationError('Outside working hours');
+};
+
+const isBackdated = (startDate) => {
+  if (!startDate) return false;
+  const [year, month, day] = startDate.split('-').map(Number);
+  const today = new Date(); today.setHours(0, 0, 0, 0);
+  return new Date(year, month - 1, day) < today;
+};
+
+/**
+ * Check a leave's duration, quota, working hours, backdating, overlaps and blackouts (inside the caller's transaction)
+ * @param {EntityManager} manager - Transactional entity manager
+ * @param {Object} user - Employee
+ * @param {Object} leaveTypeEntity - Resolved LeaveType
+ * @param {Object} input - { durationType, startDate, endDate, startTime, endTime, halfDayPeriod }
+ * @param {Object} options - { excludeId } leave being edited (not an overlap with itself)
+ * @returns {Promise<{ endDate: string, timeRange: Object, backdated: number, warnings: Array }>}
+ */
+async function validateLeaveInput(manager, user, leaveTypeEntity, input, { excludeId = null } = {}) {
+  const { durationType, startDate, startTime, endTime, halfDayPeriod } = input;
+  const isHalfDay = durationType === 'half_day';
+  const isHourly = durationType === 'hour';
+  // ลาครึ่งวันใช้วันเดียว: endDate = startDate เสมอ
+  const endDate = isHalfDay ? startDate : input.endDate;
+
+  const amount = await calculateRequestedAmount(manager, {
+    durationType, startDate, endDate, rawEndDate: input.endDate, startTime, endTime, halfDayPeriod
+  });
+  await checkQuota(manager, user, leaveTypeEntity, startDate, amount);
+  checkWorkingHours(startTime, endTime);
+
+  // ลาย้อนหลังไม่ได้ (ยกเว้นลาฉุกเฉิน); ไม่รับค่าอนุญาตจาก client
+  const backdated = isBackdated(startDate) ? 1 : 0;
+  if (backdated && leaveTypeEntity.leave_type_en !== 'Emergency') {
+    throw validationError('Backdated leave is not allowed');
+  }
+
+  const timeRange = {
+    startTime: isHourly ? startTime : null,
+    endTime: isHourly ? endTime : null,
+    halfDayPeriod: isHalfDay ? halfDayPeriod : null
+  };
+  const overlaps = await findOverlappingLeaves(manager, user.id, { startDate, endDate, ...timeRange }, { excludeId });
+  if (overlaps.length) throw buildOverlapError(overlaps);
+
+  const blackoutCheck = checkBlackouts(await findBlackouts(manager, { startDate, endDate }, user.department));
+  if (blackoutCheck.error) throw blackoutCheck.error;
+
+  return { endDate, timeRange, backdated, warnings: blackoutCheck.warnings };
+}
+
+/**
+ * Validate and save a new leave request in one transaction
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} params
+ * @param {string} params.userId - Employee filing the leave
+ * @param {Object} params.leaveTypeEntity - Resolved LeaveType
+ * @param {Object} params.input - { durationType, startDate, endDate, startTime, endTime, halfDayPeriod, reason, supervisor, contact }
+ * @param {Array<string>} params.attachments - Stored attachment file names
+ * @returns {Promise<{ user: Object, leave: Object, approvalSteps: Array, warnings: Object|null }>}
+ * @throws {Error} statusCode 400 (isValidation for input errors) or 409 (overlap/blackout, with data)
+ */
+async function submitLeaveRequest(AppDataSource, { userId, leaveTypeEntity, input, attachments = [] }) {
+  const queryRunner = AppDataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+
+  try {
+    const manager = queryRunner.manager;
+    const user = await manager.findOne('User', { where: { id: userId } });
+    if (!user) throw new Error('User not found');
+
+    const { startDate, reason, supervisor, contact } = input;
+    const { endDate, timeRange, backdated, warnings } = await validateLeaveInput(manager, user, leaveTypeEntity, input);
+
+    const leave = await manager.save('LeaveRequest', {
+      Repid: userId,
+      employeeType: user.position,
+      leaveType: leaveTypeEntity.id,
+      startDate, endDate,
+      ...timeRange,
+      reason, supervisor, contact,
+      attachments: attachments.length ? JSON.stringify(attachments) : null,
+      status: 'pending',
+      backdated
+    });
+
+    // สร้างขั้นตอนการอนุมัติตามสายอนุมัติที่ตั้งค่าไว้ (ถ้ามี)
+    const chain = await resolveApprovalChain(manager, { departmentId: user.department, leaveTypeId: leaveTypeEntity.id });
+    const approvalSteps = chain ? await createApprovalSteps(manager, leave, chain) : [];
+
+    await queryRunner.commitTransaction();
+    return {
+      user,
+      leave,
+      approvalSteps,
+      warnings: warnings.length ? { blackouts: warnings } : null
+    };
+  } catch (err) {
+    await queryRunner.rollbackTransaction();
+    throw err;
+  } finally {
+    await queryRunner.release();
+  }
+}
+
+// รูปแบบการลาของใบลาที่บันทึกไว้ (ใช้เมื่อการแก้ไขไม่ได้ส่ง durationType มา)
+const storedDurationType = (leave) => {
+  if (leave.halfDayPeriod) return 'half_day';
+  if (leave.startTime && leave.endTime) return 'hour';
+  return 'day';
+};
+
+/**
+ * Validate and save the owner's edit of a pending leave request in one transaction.
+ * The edited leave goes through the same checks as a new one; its approval steps are rebuilt when the leave type changes.
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} params
+ * @param {string} params.leaveId - Leave request being edited
+ * @param {string} params.userId - Caller (must own the leave)
+ * @param {Object|null} params.leaveTypeEntity - New LeaveType, or null to keep the current one
+ * @param {Object} params.input - Fields to change (durationType, startDate, endDate, startTime, endTime, halfDayPeriod, reason, supervisor, contact)
+ * @param {Array<string>|null} params.attachments - New attachment file names, or null to keep the current ones
+ * @returns {Promise<{ user: Object, leave: Object, approvalSteps: Array|null, warnings: Object|null }>}
+ *   approvalSteps is null when the steps were kept
+ * @throws {Error} statusCode 400/403/404, or 409 (overlap/blackout, with data)
+ */
+async function updateLeaveRequest(AppDataSource, { leaveId, userId, leaveTypeEntity = null, input, attachments = null }) {
+  return AppDataSource.transaction(async (manager) => {
+    // lock แถวใบลา: แก้ไขพร้อมกับที่มีคนอนุมัติ จะเกิดได้อย่างใดอย่างหนึ่ง
+    const leave = await manager.getRepository('LeaveRequest').findOne({ where: { id: leaveId }, lock: { mode: 'pessimistic_write' } });
+    if (!leave) throw requestError(404, 'Not found');
+
+    // แก้ได้เฉพาะใบลาของตัวเองที่ยังรออนุมัติ: ใบที่อนุมัติแล้วตัดโควต้าไปแล้ว ต้องขอยกเลิกแล้วยื่นใหม่
+    if (leave.Repid !== userId) throw requestError(403, 'You can only edit your own leave request.');
+    if (leave.status !== 'pending') throw requestError(400, 'Only pending leave requests can be edited.');
+    if (toDateKey(leave.startDate) <= toDateKey(new Date())) throw requestError(400, 'Cannot edit started leave');
+
+    const user = await manager.findOne('User', { where: { id: userId } });
+    if (!user) throw new Error('User not found');
+    const leaveType = leaveTypeEntity
+      || await manager.getRepository('LeaveType').findOne({ where: { id: leave.leaveType }, withDeleted: true });
+    if (!leaveType) throw validationError('Invalid Leave Type');
+
+    // ค่าที่ไม่ได้ส่งมาใช้ของเดิม แล้วตรวจทั้งใบเหมือนยื่นใหม่ (โควต้า เวลาทำงาน ลาย้อนหลัง ใบลาซ้อน ช่วงห้ามลา)
+    const pick = (field, current) => (input[field] !== undefined ? input[field] : current);
+    const merged = {
+      durationType: pick('durationType', storedDurationType(leave)),
+      startDate: pick('startDate', toDateKey(leave.startDate)),
+      endDate: pick('endDate', toDateKey(leave.endDate)),
+      startTime: pick('startTime', leave.startTime),
+      endTime: pick('endTime', leave.endTime),
+      halfDayPeriod: pick('halfDayPeriod', leave.halfDayPeriod)
+    };
+    if (merged.durationType !== 'hour') {
+      merged.startTime = null;
+      merged.endTime = null;
+    }
+    const { endDate, timeRange, backdated, warnings } = await validateLeaveInput(manager, user, leaveType, merged, { excludeId: leave.id });
+
+    const typeChanged = leaveType.id !== leave.leaveType;
+    Object.assign(leave, {
+      leaveType: leaveType.id,
+      startDate: merged.startDate,
+      endDate,
+      ...timeRange,
+      backdated,
+      reason: pick('reason', leave.reason),
+      supervisor: pick('supervisor', leave.supervisor),
+      contact: pick('contact', leave.contact),
+      ...(attachments ? { attachments: JSON.stringify(attachments) } : {})
+    });
+    await manager.getRepository('LeaveRequest').save(leave);
+
+    // เปลี่ยนประเภทการลา: สายอนุมัติอาจเป็นคนละสาย เริ่มขั้นตอนอนุมัติใหม่ตามสายของประเภทใหม่
+    let approvalSteps = null;
+    if (typeChanged) {
+      await manager.getRepository('LeaveApprovalStep').delete({ leaveRequestId: leave.id });
+      const chain = await resolveApprovalChain(manager, { departmentId: user.department, leaveTypeId: leaveType.id });
+      if (chain) {
+        approvalSteps = await createApprovalSteps(manager, leave, chain);
+      } else {
+        await manager.getRepository('LeaveRequest').update({ id: leave.id }, { approvalChainId: null, currentApprovalStep: null });
+        leave.approvalChainId = null;
+        leave.currentApprovalStep = null;
+        approvalSteps = [];
+      }
+    }
+
+    return {
+      user,
+      leave,
+      approvalSteps,
+      warnings: warnings.length ? { blackouts: warnings } : null
+    };
+  });
+}
+
+module.exports = {
+  validateHalfDay,
+  buildOverlapError,
+  checkBlackouts,
+  submitLeaveRequest,
+  updateLeaveRequest
+};
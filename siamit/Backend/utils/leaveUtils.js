@@ -5,6 +5,7 @@
 
 const config = require('../config');
 const { Between } = require('typeorm');
+const { getLeaveYear, getLedgerBalances, normalizeUsage } = require('./leaveLedgerService');
 
 /**
  * Safely parse attachments JSON string
@@ -173,15 +174,14 @@ const getUserLeaveQuota = async (userId, leaveTypeId, AppDataSource) => {
 
 
 /**
- * Get leave usage summary for a user across all leave types
+ * Get leave usage summary for a user across all leave types (from the leave ledger)
  * @param {string} userId - User ID
- * @param {number} year - Year to filter (optional)
+ * @param {number} year - Leave year (optional, defaults to the current year)
  * @param {Object} AppDataSource - TypeORM DataSource
  * @returns {Promise<Array>} Array of leave usage summary objects
  */
 const getLeaveUsageSummary = async (userId, year = null, AppDataSource) => {
   try {
-    const leaveUsedRepo = AppDataSource.getRepository('LeaveUsed');
     const leaveTypeRepo = AppDataSource.getRepository('LeaveType');
     const leaveQuotaRepo = AppDataSource.getRepository('LeaveQuota');
     const userRepo = AppDataSource.getRepository('User');
@@ -197,17 +197,11 @@ const getLeaveUsageSummary = async (userId, year = null, AppDataSource) => {
       throw new Error('User position not found');
     }
     
-    // Get leave usage records for this user
-    let whereClause = { user_id: userId };
-    
-    // Add year filtering if provided
-    if (year) {
-      const startDate = new Date(parseInt(year), 0, 1);
-      const endDate = new Date(parseInt(year), 11, 31, 23, 59, 59, 999);
-      whereClause.created_at = Between(startDate, endDate);
-    }
-    
-    const leaveUsedRecords = await leaveUsedRepo.find({ where: whereClause });
+    // Get ledger balances of this user for the leave year
+    const balances = await getLedgerBalances(AppDataSource.manager, {
+      year: year ? parseInt(year) : getLeaveYear(),
+      userIds: [userId]
+    });
     
     // Get all leave types and quotas for this position
     const allLeaveTypes = await leaveTypeRepo.find();
@@ -220,9 +214,9 @@ const getLeaveUsageSummary = async (userId, year = null, AppDataSource) => {
         const quotaDays = quotaRow ? quotaRow.quota : 0;
         
         // Find used leave for this type
-        const usedRecord = leaveUsedRecords.find(record => record.leave_type_id === leaveType.id);
-        const usedDays = usedRecord ? (usedRecord.days || 0) : 0;
-        const usedHours = usedRecord ? (usedRecord.hour || 0) : 0;
+        const usage = normalizeUsage(balances.find(b => b.leave_type_id === leaveType.id));
+        const usedDays = Math.max(0, usage.days);
+        const usedHours = Math.max(0, usage.hours);
         
         const totalUsedDays = usedDays + (usedHours / config.business.workingHoursPerDay);
         const remainingDays = Math.max(0, quotaDays - totalUsedDays);
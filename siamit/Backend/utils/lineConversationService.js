@@ -0,0 +1,70 @@
+/**
+ * LINE Conversation Service
+ * Keeps the state of a multi-step LINE bot conversation (one per LINE user) in line_conversation,
+ * so a flow survives restarts; one left idle past its expiry is dropped the next time it is read.
+ */
+
+const config = require('../config');
+
+const CONVERSATION_FLOWS = {
+  LEAVE_REQUEST: 'leave_request',
+  LEAVE_REJECTION: 'leave_rejection' // ผู้อนุมัติกด "ไม่อนุมัติ" แล้วรอพิมพ์เหตุผล
+};
+
+const parseData = (raw) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Current conversation of a LINE user (expired ones are dropped)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} lineUserId - LINE user id
+ * @returns {Promise<Object|null>} { lineUserId, userId, flow, step, data }
+ */
+async function getConversation(AppDataSource, lineUserId) {
+  const repo = AppDataSource.getRepository('LineConversation');
+  const row = await repo.findOneBy({ lineUserId });
+  if (!row) return null;
+  if (new Date(row.expiresAt) < new Date()) {
+    await repo.delete({ lineUserId });
+    return null;
+  }
+  return { ...row, data: parseData(row.data) };
+}
+
+/**
+ * Start or advance a conversation; every save extends its lifetime
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} conversation - { lineUserId, userId, flow, step, data }
+ * @returns {Promise<Object>} Saved conversation
+ */
+async function saveConversation(AppDataSource, { lineUserId, userId, flow, step, data = {} }) {
+  await AppDataSource.getRepository('LineConversation').save({
+    lineUserId,
+    userId,
+    flow,
+    step,
+    data: JSON.stringify(data),
+    expiresAt: new Date(Date.now() + config.lineBot.conversationTtlMinutes * 60 * 1000)
+  });
+  return { lineUserId, userId, flow, step, data };
+}
+
+/**
+ * End a conversation (finished or cancelled)
+ */
+async function clearConversation(AppDataSource, lineUserId) {
+  await AppDataSource.getRepository('LineConversation').delete({ lineUserId });
+}
+
+module.exports = {
+  CONVERSATION_FLOWS,
+  getConversation,
+  saveConversation,
+  clearConversation
+};
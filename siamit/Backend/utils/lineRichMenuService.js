@@ -0,0 +1,433 @@
+/**
+ * LINE Rich Menu Service
+ * Rich menus are edited as drafts in line_rich_menu and published to the Messaging API.
+ * A menu on LINE cannot be changed after it is created, so publishing creates a new one,
+ * moves the default and the user links over to it and deletes the previous one.
+ * Linked employees get the menu of their audience: approvers (leave.approve) the approver
+ * menu, everyone else the employee menu; LINE users without a link see the default menu.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { messagingApi, HTTPFetchError } = require('@line/bot-sdk');
+const { IsNull, Not } = require('typeorm');
+const config = require('../config');
+const { PERMISSIONS, hasPermission } = require('./permissionService');
+
+const RICH_MENU_SIZES = {
+  full: { width: 2500, height: 1686 },
+  compact: { width: 2500, height: 843 }
+};
+
+const RICH_MENU_AUDIENCES = {
+  EMPLOYEE: 'employee',
+  APPROVER: 'approver'
+};
+
+const AREA_ACTION_TYPES = ['message', 'postback', 'uri'];
+const MAX_AREAS = 20;
+const MAX_CHAT_BAR_TEXT = 14;
+const MAX_ACTION_LABEL = 20;
+const MAX_ACTION_TEXT = 300;
+const MAX_URI_LENGTH = 1000;
+const BULK_LINK_LIMIT = 500; // LINE ผูกเมนูแบบกลุ่มได้ครั้งละไม่เกิน 500 คน
+
+const serviceError = (message, statusCode, data) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (data) err.data = data;
+  return err;
+};
+
+/**
+ * Turn a Messaging API error into one the controller can answer with
+ * (400 when LINE rejected what we sent, 502 for anything else on LINE's side)
+ */
+const toLineError = (err) => {
+  if (!(err instanceof HTTPFetchError)) return err;
+  let body = {};
+  try {
+    body = JSON.parse(err.body || '{}');
+  } catch (e) {
+    body = {};
+  }
+  return serviceError(
+    `LINE API: ${body.message || err.statusText || err.message}`,
+    err.status === 400 ? 400 : 502,
+    body.details ? { details: body.details } : undefined
+  );
+};
+
+const callLine = async (request) => {
+  try {
+    return await request();
+  } catch (err) {
+    throw toLineError(err);
+  }
+};
+
+const getClients = () => {
+  const { channelAccessToken, apiBaseUrl, dataApiBaseUrl } = config.lineBot;
+  if (!channelAccessToken) throw serviceError('LINE_BOT_CHANNEL_ACCESS_TOKEN is not set', 503);
+  return {
+    api: new messagingApi.MessagingApiClient({ channelAccessToken, baseURL: apiBaseUrl }),
+    blob: new messagingApi.MessagingApiBlobClient({ channelAccessToken, baseURL: dataApiBaseUrl })
+  };
+};
+
+const parseAreas = (raw) => {
+  try {
+    const areas = JSON.parse(raw || '[]');
+    return Array.isArray(areas) ? areas : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// --- Validation ---
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validate one tappable area against the image size
+ * @returns {string|null} Error message or null when valid
+ */
+const validateArea = (area, index, { width, height }) => {
+  const where = `areas[${index}]`;
+  const bounds = area && area.bounds;
+  if (!bounds || !['x', 'y', 'width', 'height'].every(key => Number.isInteger(bounds[key]) && bounds[key] >= 0)) {
+    return `${where}.bounds must have whole-number x, y, width and height`;
+  }
+  if (!bounds.width || !bounds.height) return `${where} must have a width and a height`;
+  if (bounds.x + bounds.width > width || bounds.y + bounds.height > height) {
+    return `${where} lies outside the ${width}x${height} image`;
+  }
+
+  const action = area.action || {};
+  if (!AREA_ACTION_TYPES.includes(action.type)) return `${where}.action.type must be one of ${AREA_ACTION_TYPES.join(', ')}`;
+  if (action.label && String(action.label).length > MAX_ACTION_LABEL) return `${where}.action.label must be at most ${MAX_ACTION_LABEL} characters`;
+  if (action.type === 'message' && (isBlank(action.text) || String(action.text).length > MAX_ACTION_TEXT)) {
+    return `${where}.action.text is required (at most ${MAX_ACTION_TEXT} characters)`;
+  }
+  if (action.type === 'postback' && (isBlank(action.data) || String(action.data).length > MAX_ACTION_TEXT)) {
+    return `${where}.action.data is required (at most ${MAX_ACTION_TEXT} characters)`;
+  }
+  if (action.type === 'uri' && (!/^(https?|line|tel):/i.test(action.uri || '') || action.uri.length > MAX_URI_LENGTH)) {
+    return `${where}.action.uri must be an http(s), line: or tel: link`;
+  }
+  return null;
+};
+
+/**
+ * Validate a rich menu draft
+ * @param {Object} input - { name, audience, size, chatBarText, areas }
+ * @returns {string|null} Error message or null when valid
+ */
+const validateRichMenu = ({ name, audience, size, chatBarText, areas }) => {
+  if (isBlank(name) || String(name).length > 100) return 'name is required (at most 100 characters)';
+  if (audience && !Object.values(RICH_MENU_AUDIENCES).includes(audience)) {
+    return `audience must be one of ${Object.values(RICH_MENU_AUDIENCES).join(', ')}`;
+  }
+  if (!RICH_MENU_SIZES[size]) return `size must be one of ${Object.keys(RICH_MENU_SIZES).join(', ')}`;
+  if (isBlank(chatBarText) || String(chatBarText).length > MAX_CHAT_BAR_TEXT) {
+    return `chatBarText is required (at most ${MAX_CHAT_BAR_TEXT} characters)`;
+  }
+  if (!Array.isArray(areas) || !areas.length || areas.length > MAX_AREAS) return `areas must have 1 to ${MAX_AREAS} entries`;
+  for (let i = 0; i < areas.length; i++) {
+    const error = validateArea(areas[i], i, RICH_MENU_SIZES[size]);
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * Keep only the fields LINE understands (areas are stored exactly as they are sent)
+ */
+const sanitizeAreas = (areas) => areas.map(({ bounds, action }) => {
+  const { type, label } = action;
+  const cleanAction = { type, ...(label ? { label: String(label) } : {}) };
+  if (type === 'message') cleanAction.text = String(action.text);
+  if (type === 'postback') {
+    cleanAction.data = String(action.data);
+    if (action.displayText) cleanAction.displayText = String(action.displayText);
+  }
+  if (type === 'uri') cleanAction.uri = action.uri;
+  return { bounds: { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }, action: cleanAction };
+});
+
+// --- Templates ---
+
+/**
+ * Split the image into a 3-column grid (two rows for a full menu, one for compact), one action per cell
+ */
+const buildGridAreas = (size, actions) => {
+  const { width, height } = RICH_MENU_SIZES[size];
+  const columns = 3;
+  const rows = Math.ceil(actions.length / columns);
+  const cellWidth = Math.floor(width / columns);
+  const cellHeight = Math.floor(height / rows);
+  return actions.map((action, i) => {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    return {
+      bounds: {
+        x: column * cellWidth,
+        y: row * cellHeight,
+        // ช่องสุดท้ายของแถว/คอลัมน์กินเศษที่หารไม่ลงตัว
+        width: column === columns - 1 ? width - column * cellWidth : cellWidth,
+        height: row === rows - 1 ? height - row * cellHeight : cellHeight
+      },
+      action
+    };
+  });
+};
+
+/**
+ * Ready-made menus: the leave menu for employees and the approvals menu for approvers.
+ * Message actions send the bot's own commands (see LineController.processUserMessage).
+ */
+const getRichMenuTemplates = () => {
+  const site = config.server.frontendUrl.replace(/\/+$/, '');
+  return [
+    {
+      key: RICH_MENU_AUDIENCES.EMPLOYEE,
+      name: 'เมนูการลา (พนักงาน)',
+      audience: RICH_MENU_AUDIENCES.EMPLOYEE,
+      size: 'full',
+      chatBarText: 'เมนูการลา',
+      areas: buildGridAreas('full', [
+        { type: 'message', label: 'ขอลา', text: 'ขอลา' },
+        { type: 'message', label: 'สถานะการลา', text: 'status' },
+        { type: 'message', label: 'วันลาคงเหลือ', text: 'balance' },
+        { type: 'message', label: 'ประวัติการลา', text: 'history' },
+        { type: 'message', label: 'ประกาศ', text: 'announcements' },
+        { type: 'uri', label: 'เว็บไซต์', uri: `${site}/leave-request` }
+      ])
+    },
+    {
+      key: RICH_MENU_AUDIENCES.APPROVER,
+      name: 'เมนูอนุมัติ (ผู้อนุมัติ)',
+      audience: RICH_MENU_AUDIENCES.APPROVER,
+      size: 'full',
+      chatBarText: 'เมนูอนุมัติ',
+      areas: buildGridAreas('full', [
+        { type: 'uri', label: 'รออนุมัติ', uri: `${site}/admin` },
+        { type: 'uri', label: 'ใบลาพนักงาน', uri: `${site}/admin/leave-request` },
+        { type: 'message', label: 'ขอลา', text: 'ขอลา' },
+        { type: 'message', label: 'สถานะการลา', text: 'status' },
+        { type: 'message', label: 'วันลาคงเหลือ', text: 'balance' },
+        { type: 'message', label: 'วันหยุดบริษัท', text: 'company holidays' }
+      ])
+    }
+  ];
+};
+
+// --- Images ---
+
+const richMenuImagePath = (filename) => path.join(config.getLineRichMenuUploadPath(), path.basename(filename));
+
+const removeRichMenuImage = (filename) => {
+  if (!filename) return;
+  const filePath = richMenuImagePath(filename);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+/**
+ * Store an uploaded image (multer memory file) for a menu, replacing its previous one
+ * @returns {string} Stored file name
+ */
+const saveRichMenuImage = (menu, file) => {
+  const dir = config.getLineRichMenuUploadPath();
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const filename = `rich-menu-${menu.id}-${Date.now()}${file.mimetype === 'image/png' ? '.png' : '.jpg'}`;
+  fs.writeFileSync(path.join(dir, filename), file.buffer);
+  removeRichMenuImage(menu.imageFile);
+  return filename;
+};
+
+/**
+ * API shape of a stored menu
+ */
+const toRichMenuResponse = (menu) => ({
+  ...menu,
+  areas: parseAreas(menu.areas),
+  imageUrl: menu.imageFile ? `/uploads/${config.uploads.lineRichMenus}/${menu.imageFile}` : null,
+  published: !!menu.lineRichMenuId
+});
+
+// --- LINE ---
+
+/**
+ * Whether the bot's access token works, and which menu LINE currently shows by default
+ */
+async function getLineStatus() {
+  if (!config.lineBot.channelAccessToken) return { configured: false, connected: false };
+  try {
+    const { api } = getClients();
+    const bot = await api.getBotInfo();
+    let defaultRichMenuId = null;
+    try {
+      defaultRichMenuId = (await api.getDefaultRichMenuId()).richMenuId;
+    } catch (err) {
+      if (!(err instanceof HTTPFetchError && err.status === 404)) throw err; // 404 = ยังไม่มีเมนูเริ่มต้น
+    }
+    return { configured: true, connected: true, botName: bot.displayName, basicId: bot.basicId, defaultRichMenuId };
+  } catch (err) {
+    return { configured: true, connected: false, error: toLineError(err).message };
+  }
+}
+
+// ลบเมนูที่ไม่มีอยู่แล้วฝั่ง LINE ถือว่าสำเร็จ
+const deleteLineRichMenu = async (api, richMenuId) => {
+  try {
+    await api.deleteRichMenu(richMenuId);
+  } catch (err) {
+    if (!(err instanceof HTTPFetchError && err.status === 404)) throw toLineError(err);
+  }
+};
+
+const resolveAudience = async (AppDataSource, role) =>
+  (await hasPermission(AppDataSource, role, PERMISSIONS.LEAVE_APPROVE)) ? RICH_MENU_AUDIENCES.APPROVER : RICH_MENU_AUDIENCES.EMPLOYEE;
+
+// { employee: lineRichMenuId, approver: lineRichMenuId } ของเมนูที่เผยแพร่แล้ว
+const loadAudienceMenus = async (AppDataSource) => {
+  const menus = await AppDataSource.getRepository('LineRichMenu').find({
+    where: { lineRichMenuId: Not(IsNull()), audience: Not(IsNull()) }
+  });
+  return Object.fromEntries(menus.map(menu => [menu.audience, menu.lineRichMenuId]));
+};
+
+/**
+ * Link every linked LINE account to the menu of its audience (unlink when that audience has no published menu)
+ * @param {DataSource} AppDataSource - Data source
+ * @returns {Promise<{ linked: number, unlinked: number }>}
+ */
+async function syncAllUserRichMenus(AppDataSource) {
+  const { api } = getClients();
+  const menus = await loadAudienceMenus(AppDataSource);
+  const users = await AppDataSource.getRepository('User').find({
+    where: { lineUserId: Not(IsNull()) },
+    select: ['id', 'role', 'lineUserId']
+  });
+
+  const groups = new Map(); // lineRichMenuId (null = ยกเลิกการผูก) → LINE user ids
+  for (const user of users) {
+    const target = user.role === 'deleted' ? null : (menus[await resolveAudience(AppDataSource, user.role)] || null);
+    if (!groups.has(target)) groups.set(target, []);
+    groups.get(target).push(user.lineUserId);
+  }
+
+  const result = { linked: 0, unlinked: 0 };
+  for (const [richMenuId, userIds] of groups) {
+    for (let i = 0; i < userIds.length; i += BULK_LINK_LIMIT) {
+      const chunk = userIds.slice(i, i + BULK_LINK_LIMIT);
+      if (richMenuId) {
+        await callLine(() => api.linkRichMenuIdToUsers({ richMenuId, userIds: chunk }));
+        result.linked += chunk.length;
+      } else {
+        await callLine(() => api.unlinkRichMenuIdFromUsers({ userIds: chunk }));
+        result.unlinked += chunk.length;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Link one user's LINE account to their audience's menu, or unlink it (e.g. after unlinking the account).
+ * Failures are only logged: linking accounts must not depend on LINE being reachable.
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - { lineUserId, role }
+ * @param {Object} [options] - { unlink: true } to drop the user's menu
+ */
+async function syncUserRichMenu(AppDataSource, { lineUserId, role }, { unlink = false } = {}) {
+  if (!config.lineBot.channelAccessToken || !lineUserId) return;
+  try {
+    const { api } = getClients();
+    const richMenuId = unlink ? null : (await loadAudienceMenus(AppDataSource))[await resolveAudience(AppDataSource, role)];
+    if (richMenuId) await api.linkRichMenuIdToUser(lineUserId, richMenuId);
+    else await api.unlinkRichMenuIdFromUser(lineUserId);
+  } catch (err) {
+    console.error('Error syncing LINE rich menu of user:', toLineError(err).message);
+  }
+}
+
+/**
+ * Publish a draft: create it on LINE with its image, then move the default/user links from the previous version
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} menu - LineRichMenu row
+ * @returns {Promise<{ menu: Object, links: Object|null }>}
+ */
+async function publishRichMenu(AppDataSource, menu) {
+  if (!menu.imageFile) throw serviceError('Upload an image before publishing', 400);
+  const imagePath = richMenuImagePath(menu.imageFile);
+  if (!fs.existsSync(imagePath)) throw serviceError('The rich menu image is missing, please upload it again', 400);
+
+  const { api, blob } = getClients();
+  const { richMenuId } = await callLine(() => api.createRichMenu({
+    size: RICH_MENU_SIZES[menu.size],
+    selected: false,
+    name: menu.name,
+    chatBarText: menu.chatBarText,
+    areas: parseAreas(menu.areas)
+  }));
+
+  try {
+    const type = menu.imageFile.endsWith('.png') ? 'image/png' : 'image/jpeg';
+    await callLine(() => blob.setRichMenuImage(richMenuId, new Blob([fs.readFileSync(imagePath)], { type })));
+  } catch (err) {
+    // เมนูที่ไม่มีรูปใช้งานไม่ได้ ลบทิ้งไม่ให้ค้างฝั่ง LINE
+    await deleteLineRichMenu(api, richMenuId).catch(() => {});
+    throw err;
+  }
+
+  const previousRichMenuId = menu.lineRichMenuId;
+  Object.assign(menu, { lineRichMenuId: richMenuId, publishedAt: new Date(), hasUnpublishedChanges: false });
+  await AppDataSource.getRepository('LineRichMenu').save(menu);
+
+  if (menu.isDefault) await callLine(() => api.setDefaultRichMenu(richMenuId));
+  const links = menu.audience ? await syncAllUserRichMenus(AppDataSource) : null;
+  if (previousRichMenuId) await deleteLineRichMenu(api, previousRichMenuId);
+
+  return { menu, links };
+}
+
+/**
+ * Make a published menu the one LINE shows to users without a menu of their own
+ */
+async function setDefaultRichMenu(AppDataSource, menu) {
+  if (!menu.lineRichMenuId) throw serviceError('Publish the rich menu before making it the default', 400);
+  const { api } = getClients();
+  await callLine(() => api.setDefaultRichMenu(menu.lineRichMenuId));
+
+  const repo = AppDataSource.getRepository('LineRichMenu');
+  await repo.update({ isDefault: true }, { isDefault: false });
+  await repo.update({ id: menu.id }, { isDefault: true });
+  menu.isDefault = true;
+  return menu;
+}
+
+/**
+ * Delete a menu here and on LINE (users linked to it fall back to the default menu)
+ */
+async function deleteRichMenu(AppDataSource, menu) {
+  if (menu.lineRichMenuId) await deleteLineRichMenu(getClients().api, menu.lineRichMenuId);
+  await AppDataSource.getRepository('LineRichMenu').delete({ id: menu.id });
+  removeRichMenuImage(menu.imageFile);
+}
+
+module.exports = {
+  RICH_MENU_SIZES,
+  RICH_MENU_AUDIENCES,
+  validateRichMenu,
+  sanitizeAreas,
+  getRichMenuTemplates,
+  saveRichMenuImage,
+  toRichMenuResponse,
+  getLineStatus,
+  syncAllUserRichMenus,
+  syncUserRichMenu,
+  publishRichMenu,
+  setDefaultRichMenu,
+  deleteRichMenu
+};
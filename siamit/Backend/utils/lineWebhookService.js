@@ -0,0 +1,74 @@
+/**
+ * LINE Webhook Service
+ * Signature check of incoming webhook requests and a record of the event ids already handled,
+ * so an event LINE delivers again (redelivery after a timeout or error) is processed only once.
+ */
+
+const { LessThan } = require('typeorm');
+const { validateSignature } = require('@line/bot-sdk');
+const config = require('../config');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurgeAt = 0;
+
+/**
+ * Check the x-line-signature header (base64 HMAC-SHA256 of the raw body with the channel secret)
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - x-line-signature header
+ * @param {string} channelSecret - Messaging API channel secret
+ * @returns {boolean}
+ */
+const isValidSignature = (rawBody, signature, channelSecret = config.lineBot.channelSecret) => {
+  if (!rawBody || !signature || !channelSecret) return false;
+  try {
+    return validateSignature(rawBody, channelSecret, signature);
+  } catch (e) {
+    return false; // ลายเซ็นผิดรูปแบบ (ความยาวไม่ตรง)
+  }
+};
+
+// ลบ id ที่เก่ากว่าระยะที่ LINE ยังอาจส่งซ้ำ (ไม่เกินชั่วโมงละครั้ง)
+async function purgeOldEvents(AppDataSource) {
+  if (Date.now() - lastPurgeAt < PURGE_INTERVAL_MS) return;
+  lastPurgeAt = Date.now();
+  const cutoff = new Date(Date.now() - config.lineBot.webhookEventRetentionHours * 60 * 60 * 1000);
+  try {
+    await AppDataSource.getRepository('LineWebhookEvent').delete({ receivedAt: LessThan(cutoff) });
+  } catch (error) {
+    console.error('Error purging LINE webhook events:', error);
+  }
+}
+
+/**
+ * Claim an event before handling it
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} event - LINE webhook event
+ * @returns {Promise<boolean>} false when the event was already claimed (a redelivery)
+ */
+async function claimWebhookEvent(AppDataSource, event) {
+  await purgeOldEvents(AppDataSource);
+  try {
+    await AppDataSource.getRepository('LineWebhookEvent').insert({
+      webhookEventId: event.webhookEventId,
+      eventType: event.type ? String(event.type).slice(0, 30) : null,
+      isRedelivery: Boolean(event.deliveryContext && event.deliveryContext.isRedelivery)
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') return false;
+    throw err;
+  }
+}
+
+/**
+ * Give an event back when handling it failed, so LINE's redelivery can try again
+ */
+async function releaseWebhookEvent(AppDataSource, webhookEventId) {
+  await AppDataSource.getRepository('LineWebhookEvent').delete({ webhookEventId });
+}
+
+module.exports = {
+  isValidSignature,
+  claimWebhookEvent,
+  releaseWebhookEvent
+};
@@ -0,0 +1,118 @@
+/**
+ * Login Guard Service
+ * Server-side brute-force protection: failed sign-ins are logged in login_attempt, and an account is
+ * locked for progressively longer after every config.loginProtection.lockoutThreshold consecutive failures.
+ */
+
+const config = require('../config');
+const { getClientIp } = require('./sessionService');
+
+const LOGIN_FAILURE_REASONS = {
+  UNKNOWN_USER: 'unknown_user',
+  BAD_PASSWORD: 'bad_password',
+  BAD_TWO_FACTOR: 'bad_two_factor',
+  LOCKED: 'locked',
+  RATE_LIMITED: 'rate_limited',
+  LINE_LINK_FAILED: 'line_link_failed',
+  SSO_FAILED: 'sso_failed',
+  PASSWORD_LOGIN_DISABLED: 'password_login_disabled'
+};
+
+/**
+ * Milliseconds until a locked account opens again (0 = not locked)
+ * @param {Object} user - User (locked_until)
+ * @returns {number}
+ */
+const getLockRemainingMs = (user) => {
+  if (!user || !user.locked_until) return 0;
+  return Math.max(new Date(user.locked_until).getTime() - Date.now(), 0);
+};
+
+/**
+ * Write one failed attempt to login_attempt (never throws: logging must not break sign-in)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} attempt - { req, endpoint, reason, email?, userId? }
+ */
+async function recordLoginAttempt(AppDataSource, { req, endpoint, reason, email = null, userId = null }) {
+  try {
+    await AppDataSource.getRepository('LoginAttempt').save({
+      email: email ? String(email).slice(0, 255) : null,
+      userId,
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null,
+      endpoint,
+      reason
+    });
+  } catch (err) {
+    console.error('Error recording login attempt:', err);
+  }
+}
+
+/**
+ * Count a failed password/2FA check against an account, locking it when the threshold is reached
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User that failed
+ * @param {Object} attempt - { req, endpoint, reason }
+ * @returns {Promise<Date|null>} lockedUntil when this failure locked the account
+ */
+async function registerFailedLogin(AppDataSource, user, { req, endpoint, reason }) {
+  const { lockoutThreshold, lockoutMinutes, failureResetHours } = config.loginProtection;
+  const userRepo = AppDataSource.getRepository('User');
+
+  // ผิดครั้งล่าสุดนานแล้ว: เริ่มนับใหม่ ไม่ให้ความผิดพลาดเก่าๆ สะสมจนล็อก
+  const stale = user.last_failed_login_at
+    && Date.now() - new Date(user.last_failed_login_at).getTime() > failureResetHours * 60 * 60 * 1000;
+  if (stale) await userRepo.update({ id: user.id }, { failed_login_count: 0 });
+
+  await userRepo.increment({ id: user.id }, 'failed_login_count', 1);
+  const { failed_login_count: count } = await userRepo.findOne({ where: { id: user.id }, select: ['id', 'failed_login_count'] });
+
+  let lockedUntil = null;
+  if (count % lockoutThreshold === 0) {
+    const level = Math.min(count / lockoutThreshold, lockoutMinutes.length) - 1;
+    lockedUntil = new Date(Date.now() + lockoutMinutes[level] * 60 * 1000);
+  }
+  await userRepo.update({ id: user.id }, { last_failed_login_at: new Date(), ...(lockedUntil ? { locked_until: lockedUntil } : {}) });
+
+  await recordLoginAttempt(AppDataSource, { req, endpoint, reason, email: user.email, userId: user.id });
+  return lockedUntil;
+}
+
+/**
+ * Clear the failure counter after a successful sign-in
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User
+ */
+async function clearFailedLogins(AppDataSource, user) {
+  if (!user.failed_login_count && !user.locked_until) return;
+  await AppDataSource.getRepository('User').update({ id: user.id }, { failed_login_count: 0, locked_until: null, last_failed_login_at: null });
+}
+
+/**
+ * Unlock an account by hand (admin action)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} userId - User ID
+ */
+async function unlockUser(AppDataSource, userId) {
+  await AppDataSource.getRepository('User').update({ id: userId }, { failed_login_count: 0, locked_until: null, last_failed_login_at: null });
+}
+
+/**
+ * Message shown while an account is locked
+ * @param {number} remainingMs - From getLockRemainingMs
+ * @returns {string}
+ */
+const lockedMessage = (remainingMs) => {
+  const minutes = Math.max(Math.ceil(remainingMs / 60000), 1);
+  return `บัญชีถูกล็อกชั่วคราวเนื่องจากเข้าสู่ระบบผิดหลายครั้ง กรุณาลองใหม่ใน ${minutes} นาที`;
+};
+
+module.exports = {
+  LOGIN_FAILURE_REASONS,
+  getLockRemainingMs,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  unlockUser,
+  lockedMessage
+};
@@ -0,0 +1,107 @@
+/**
+ * Mail Service
+ * Sends email through a pluggable transport chosen by config.mail.transport:
+ * - smtp: nodemailer over SMTP (production)
+ * - file: writes each message as an .eml file into config.getMailOutboxPath() (local testing)
+ * - console: prints the message to the server log (default in development)
+ * Other transports can be added with registerMailTransport(name, factory).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const transportFactories = {
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    if (!host) throw new Error('SMTP_HOST is not configured');
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+    return { send: (message) => transporter.sendMail(message) };
+  },
+
+  file: () => ({
+    send: async (message) => {
+      const dir = config.getMailOutboxPath();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const headers = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`
+      ];
+      // มี html ด้วยก็เขียนเป็น multipart/alternative ให้เปิดดูใน mail client ได้ทั้งสองแบบ
+      const boundary = `alt-${crypto.randomBytes(8).toString('hex')}`;
+      const body = (message.html
+        ? [
+          ...headers,
+          'MIME-Version: 1.0',
+          `Content-Type: multipart/alternative; boundary="${boundary}"`,
+          '',
+          `--${boundary}`,
+          'Content-Type: text/plain; charset=utf-8',
+          '',
+          message.text || '',
+          `--${boundary}`,
+          'Content-Type: text/html; charset=utf-8',
+          '',
+          message.html,
+          `--${boundary}--`
+        ]
+        : [...headers, 'Content-Type: text/plain; charset=utf-8', '', message.text || '']
+      ).join('\r\n');
+      await fs.promises.writeFile(path.join(dir, fileName), body, 'utf8');
+      return { messageId: fileName };
+    }
+  }),
+
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text || ''}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+let activeTransport = null;
+
+/**
+ * Register (or replace) a transport factory
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - () => { send: async (message) => info }
+ */
+const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  if (config.mail.transport === name) activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[config.mail.transport];
+    if (!factory) throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Promise<Object>} Transport result (messageId)
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!to) throw new Error('Recipient is required');
+  return getTransport().send({ from: config.mail.from, to, subject, text, html });
+}
+
+module.exports = {
+  registerMailTransport,
+  sendMail
+};
@@ -0,0 +1,185 @@
+/**
+ * Notification Service
+ * Off-app notification channels and each user's choice of them. Socket.io reaches users inside
+ * the app and is always sent; LINE (needs a linked account) and email (needs an address) can be
+ * turned off per user on the profile page. Emails are rendered in the user's language and queued.
+ */
+
+const { IsNull, Not } = require('typeorm');
+const config = require('../config');
+const { EMAIL_TEMPLATES, LANGUAGES, DEFAULT_LANGUAGE, renderEmail } = require('./emailTemplates');
+const { enqueueEmails } = require('./emailQueueService');
+
+// คอลัมน์ของ User ที่ใช้ตัดสินใจว่าจะส่งช่องทางไหน (ใส่ใน select เมื่อโหลดผู้รับ)
+const NOTIFICATION_USER_COLUMNS = ['id', 'name', 'email', 'role', 'lineUserId', 'notify_email', 'notify_line', 'notification_language'];
+
+/**
+ * A user's notification preferences as shown on the profile page
+ * @param {Object} user - User
+ * @returns {{ email: boolean, line: boolean, language: string, hasEmail: boolean, lineLinked: boolean }}
+ */
+const getNotificationPreferences = (user) => ({
+  email: user.notify_email !== false,
+  line: user.notify_line !== false,
+  language: LANGUAGES.includes(user.notification_language) ? user.notification_language : DEFAULT_LANGUAGE,
+  hasEmail: !!user.email,
+  lineLinked: !!user.lineUserId
+});
+
+/**
+ * Validate and apply a preference update to a user (not saved)
+ * @param {Object} user - User
+ * @param {Object} input - { email?, line?, language? }
+ * @returns {string|null} Error message or null when applied
+ */
+const applyNotificationPreferences = (user, { email, line, language }) => {
+  if (email !== undefined && typeof email !== 'boolean') return 'email must be true or false';
+  if (line !== undefined && typeof line !== 'boolean') return 'line must be true or false';
+  if (language !== undefined && !LANGUAGES.includes(language)) return `language must be one of ${LANGUAGES.join(', ')}`;
+  if (email !== undefined) user.notify_email = email;
+  if (line !== undefined) user.notify_line = line;
+  if (language !== undefined) user.notification_language = language;
+  return null;
+};
+
+const isActive = (user) => !!user && user.role !== 'deleted';
+
+/**
+ * Whether to push LINE messages to a user
+ */
+const wantsLine = (user) => isActive(user) && !!user.lineUserId && user.notify_line !== false;
+
+/**
+ * Whether to email a user
+ */
+const wantsEmail = (user) => config.emailNotifications.enabled && isActive(user) && !!user.email && user.notify_email !== false;
+
+/**
+ * Thai and English names of a leave type (soft-deleted types included)
+ * @returns {Promise<{ th: string, en: string }>}
+ */
+async function loadLeaveTypeNames(AppDataSource, identifier) {
+  if (!identifier) return { th: '-', en: '-' };
+  try {
+    const type = await AppDataSource.getRepository('LeaveType').findOne({ where: { id: identifier }, withDeleted: true });
+    if (type) return { th: type.leave_type_th || type.leave_type_en, en: type.leave_type_en || type.leave_type_th };
+  } catch (e) {
+    // leaveType เก่าที่เก็บเป็นชื่อแทน id
+  }
+  return { th: identifier, en: identifier };
+}
+
+// แต่ละผู้รับได้อีเมลในภาษาของตัวเอง
+const queueForRecipients = async (AppDataSource, recipients, template, dataFor) => {
+  const messages = recipients.filter(wantsEmail).map(user => ({
+    userId: user.id,
+    to: user.email,
+    template,
+    ...renderEmail(template, user.notification_language, { recipientName: user.name, ...dataFor(user) })
+  }));
+  return enqueueEmails(AppDataSource, messages);
+};
+
+/**
+ * Email the approvers of a pending leave (a new request, or the next step of its approval chain)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} leave - Leave request
+ * @param {Object} requester - Owner of the leave
+ * @param {Array<Object>} approvers - Users loaded with NOTIFICATION_USER_COLUMNS
+ * @param {Object|null} step - Current approval step, if the leave goes through a chain
+ */
+async function emailLeaveApprovers(AppDataSource, leave, requester, approvers, step = null) {
+  try {
+    const leaveType = await loadLeaveTypeNames(AppDataSource, leave.leaveType);
+    await queueForRecipients(AppDataSource, approvers, EMAIL_TEMPLATES.LEAVE_SUBMITTED, () => ({
+      employeeName: requester ? requester.name : '-',
+      leaveType,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      reason: leave.reason,
+      stepName: step ? step.stepName : null
+    }));
+  } catch (error) {
+    console.error('Error queueing leave approval emails:', error);
+  }
+}
+
+/**
+ * Email the owner of a leave about a decision on it
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} leave - Leave request
+ * @param {Object} owner - Owner of the leave (with NOTIFICATION_USER_COLUMNS)
+ * @param {string} outcome - approved | rejected | cancelled | cancel_rejected
+ * @param {string} approverName - Who decided
+ * @param {string} [reason] - Rejection reason
+ */
+async function emailLeaveOwner(AppDataSource, leave, owner, outcome, approverName, reason) {
+  try {
+    const leaveType = await loadLeaveTypeNames(AppDataSource, leave.leaveType);
+    await queueForRecipients(AppDataSource, [owner], EMAIL_TEMPLATES.LEAVE_STATUS, () => ({
+      outcome,
+      leaveType,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      approverName,
+      reason: ['rejected', 'cancel_rejected'].includes(outcome) ? reason : null
+    }));
+  } catch (error) {
+    console.error('Error queueing leave status email:', error);
+  }
+}
+
+/**
+ * Email the approvers of an employee that they asked to cancel an approved leave
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} leave - Leave request (cancelReason set)
+ * @param {Object} requester - Owner of the leave
+ * @param {Array<Object>} approvers - Users loaded with NOTIFICATION_USER_COLUMNS
+ */
+async function emailCancellationRequest(AppDataSource, leave, requester, approvers) {
+  try {
+    const leaveType = await loadLeaveTypeNames(AppDataSource, leave.leaveType);
+    await queueForRecipients(AppDataSource, approvers, EMAIL_TEMPLATES.LEAVE_CANCEL_REQUESTED, () => ({
+      employeeName: requester ? requester.name : '-',
+      leaveType,
+      startDate: leave.startDate,
+      endDate: leave.endDate,
+      reason: leave.cancelReason
+    }));
+  } catch (error) {
+    console.error('Error queueing cancellation request emails:', error);
+  }
+}
+
+/**
+ * Email a new announcement to every active user who takes email notifications
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} announcement - { subject, detail }
+ */
+async function emailAnnouncement(AppDataSource, announcement) {
+  if (!config.emailNotifications.enabled) return;
+  try {
+    const recipients = await AppDataSource.getRepository('User').find({
+      where: { role: Not('deleted'), email: Not(IsNull()), notify_email: true },
+      select: NOTIFICATION_USER_COLUMNS
+    });
+    await queueForRecipients(AppDataSource, recipients, EMAIL_TEMPLATES.ANNOUNCEMENT, () => ({
+      subject: announcement.subject,
+      detail: announcement.detail
+    }));
+  } catch (error) {
+    console.error('Error queueing announcement emails:', error);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_USER_COLUMNS,
+  getNotificationPreferences,
+  applyNotificationPreferences,
+  wantsLine,
+  wantsEmail,
+  emailLeaveApprovers,
+  emailLeaveOwner,
+  emailCancellationRequest,
+  emailAnnouncement
+};
@@ -0,0 +1,368 @@
+/**
+ * OIDC Service
+ * Generic OpenID Connect client (authorization code + PKCE S256) for single sign-on, plus the mapping from
+ * IdP claims to a local user: existing SSO identity → existing account with the same email → new account.
+ * Endpoints and signing keys come from the issuer's discovery document; ID tokens are verified with jsonwebtoken.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLogService');
+const { SETTING_KEYS, getSetting } = require('./systemSettingService');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000; // kid ไม่รู้จัก: โหลด JWKS ใหม่ได้ไม่ถี่กว่านี้ (กันถูกใช้ยิง IdP)
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// state/handoff อยู่ในหน่วยความจำของ process เดียว (เหมือน rate limiter) และใช้ได้ครั้งเดียว
+const pendingLogins = new Map();
+const handoffCodes = new Map();
+
+let discoveryCache = { loadedAt: 0, document: null };
+let jwksCache = { loadedAt: 0, keys: new Map() };
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const pruneExpired = (store) => {
+  const now = Date.now();
+  for (const [key, entry] of store) {
+    if (entry.expiresAt <= now) store.delete(key);
+  }
+};
+
+/**
+ * SSO is switched on and has the minimum it needs to talk to an IdP
+ * @returns {boolean}
+ */
+const isSsoConfigured = () => Boolean(config.sso.enabled && config.sso.issuer && config.sso.clientId);
+
+/**
+ * Whether the email/password form is offered (always on while SSO is not configured, so nobody gets locked out)
+ * @param {DataSource} AppDataSource - Data source
+ * @returns {Promise<boolean>}
+ */
+async function isPasswordLoginEnabled(AppDataSource) {
+  if (!isSsoConfigured()) return true;
+  return (await getSetting(AppDataSource, SETTING_KEYS.PASSWORD_LOGIN_ENABLED)) !== false;
+}
+
+/**
+ * Whether a role may still sign in with a password (break-glass roles keep access when the switch is off)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+async function canUsePasswordLogin(AppDataSource, role) {
+  return config.sso.passwordBreakGlassRoles.includes(role) || isPasswordLoginEnabled(AppDataSource);
+}
+
+// --- Provider metadata ---
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`);
+  }
+  return body;
+};
+
+/**
+ * Discovery document of the configured issuer (cached for an hour)
+ * @returns {Promise<Object>}
+ */
+async function getDiscovery() {
+  if (discoveryCache.document && Date.now() - discoveryCache.loadedAt < DISCOVERY_TTL_MS) return discoveryCache.document;
+
+  const issuer = config.sso.issuer.replace(/\/+$/, '');
+  const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+    throw new Error('OIDC discovery document is missing required endpoints');
+  }
+  discoveryCache = { loadedAt: Date.now(), document };
+  return document;
+}
+
+const loadJwks = async () => {
+  const { jwks_uri: jwksUri } = await getDiscovery();
+  const { keys = [] } = await fetchJson(jwksUri);
+  const byKid = new Map();
+  keys.filter(jwk => !jwk.use || jwk.use === 'sig').forEach(jwk => {
+    try {
+      byKid.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (e) {
+      console.error(`Skipping unusable JWK ${jwk.kid}:`, e.message);
+    }
+  });
+  jwksCache = { loadedAt: Date.now(), keys: byKid };
+};
+
+// IdP หมุน key ใหม่: ถ้าไม่เจอ kid ให้โหลด JWKS ใหม่หนึ่งครั้ง
+const getSigningKey = async (kid = '') => {
+  if (!jwksCache.keys.has(kid) && Date.now() - jwksCache.loadedAt > JWKS_REFRESH_MIN_MS) await loadJwks();
+  const key = jwksCache.keys.get(kid) || (jwksCache.keys.size === 1 && !kid ? [...jwksCache.keys.values()][0] : null);
+  if (!key) throw new Error('ID token is signed with an unknown key');
+  return key;
+};
+
+// --- Authorization code flow ---
+
+/**
+ * Start a login: remember state/nonce/PKCE verifier and build the IdP authorization URL
+ * @returns {Promise<string>} URL to redirect the browser to
+ */
+async function buildAuthorizationUrl() {
+  const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+  pruneExpired(pendingLogins);
+
+  const state = base64Url(crypto.randomBytes(24));
+  const nonce = base64Url(crypto.randomBytes(24));
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  pendingLogins.set(state, {
+    nonce,
+    codeVerifier,
+    expiresAt: Date.now() + config.sso.stateTtlMinutes * 60 * 1000
+  });
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.sso.clientId,
+    redirect_uri: config.sso.redirectUri,
+    scope: config.sso.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * Take (and forget) the pending login for a callback state
+ * @param {string} state - state from the callback query
+ * @returns {Object|null} { nonce, codeVerifier }
+ */
+function consumePendingLogin(state) {
+  if (!state) return null;
+  const entry = pendingLogins.get(String(state));
+  pendingLogins.delete(String(state));
+  return entry && entry.expiresAt > Date.now() ? entry : null;
+}
+
+/**
+ * Exchange the authorization code and return the verified ID token claims merged with userinfo
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} pending - Result of consumePendingLogin
+ * @returns {Promise<Object>} Claims (sub, iss, email, ...)
+ */
+async function completeLogin(code, pending) {
+  const discovery = await getDiscovery();
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: String(code),
+    redirect_uri: config.sso.redirectUri,
+    client_id: config.sso.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (config.sso.clientSecret) params.set('client_secret', config.sso.clientSecret);
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString()
+  });
+  if (!tokens.id_token) throw new Error('Token response did not include an ID token');
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new Error('ID token is malformed');
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+    issuer: discovery.issuer,
+    audience: config.sso.clientId,
+    nonce: pending.nonce,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  // แผนก/ตำแหน่งมักอยู่ใน userinfo มากกว่าใน ID token
+  if (discovery.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userInfo = await fetchJson(discovery.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+      if (userInfo.sub === claims.sub) return { ...userInfo, ...claims };
+    } catch (e) {
+      console.error('Error fetching OIDC userinfo:', e.message);
+    }
+  }
+  return claims;
+}
+
+// --- Handoff to the SPA ---
+
+/**
+ * Park a freshly created session behind a short-lived one-time code, so tokens never travel in a URL
+ * @param {Object} payload - Session data returned to the frontend
+ * @returns {string} code
+ */
+function issueHandoffCode(payload) {
+  pruneExpired(handoffCodes);
+  const code = base64Url(crypto.randomBytes(32));
+  handoffCodes.set(code, { payload, expiresAt: Date.now() + config.sso.handoffTtlSeconds * 1000 });
+  return code;
+}
+
+/**
+ * Redeem a handoff code (once)
+ * @param {string} code
+ * @returns {Object|null} payload
+ */
+function redeemHandoffCode(code) {
+  if (!code) return null;
+  const entry = handoffCodes.get(String(code));
+  handoffCodes.delete(String(code));
+  return entry && entry.expiresAt > Date.now() ? entry.payload : null;
+}
+
+// --- Claims → local user ---
+
+// รองรับ claim ซ้อนกัน เช่น "org.department"
+const readClaim = (claims, path) => {
+  if (!path) return undefined;
+  const value = path.split('.').reduce((acc, part) => (acc && typeof acc === 'object' ? acc[part] : undefined), claims);
+  if (Array.isArray(value)) return value.length ? String(value[0]).trim() : undefined;
+  return value === undefined || value === null || value === '' ? undefined : String(value).trim();
+};
+
+// ค่าจาก IdP อาจเป็น id หรือชื่อแผนก/ตำแหน่ง (ไทยหรืออังกฤษ ไม่สนตัวพิมพ์)
+const findByIdOrName = async (AppDataSource, entity, prefix, value) => {
+  if (!value) return null;
+  const rows = await AppDataSource.getRepository(entity).find();
+  const needle = value.toLowerCase();
+  const match = rows.find(row => row.id === value)
+    || rows.find(row => [row[`${prefix}_name_en`], row[`${prefix}_name_th`]].some(n => n && String(n).trim().toLowerCase() === needle));
+  return match ? match.id : null;
+};
+
+const mapProfileClaims = async (AppDataSource, claims) => {
+  const [department, position] = await Promise.all([
+    findByIdOrName(AppDataSource, 'Department', 'department', readClaim(claims, config.sso.claims.department)),
+    findByIdOrName(AppDataSource, 'Position', 'position', readClaim(claims, config.sso.claims.position))
+  ]);
+  return { department, position };
+};
+
+// users.name เป็น unique: ชื่อซ้ำให้ต่อท้ายด้วยอีเมล
+const uniqueDisplayName = async (userRepo, name, email) => {
+  const base = (name || email.split('@')[0]).slice(0, 200);
+  if (!(await userRepo.findOneBy({ name: base }))) return base;
+  return `${base} (${email})`.slice(0, 255);
+};
+
+const ssoError = (message, reason) => Object.assign(new Error(message), { ssoReason: reason });
+
+/**
+ * Find, link or create the local user for a set of verified IdP claims
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} claims - Verified claims from completeLogin
+ * @param {Object} req - Express request (for the audit entry)
+ * @returns {Promise<{ user: Object, outcome: 'existing'|'linked'|'provisioned' }>}
+ */
+async function resolveSsoUser(AppDataSource, claims, req) {
+  const userRepo = AppDataSource.getRepository('User');
+  const issuer = claims.iss;
+  const subject = String(claims.sub);
+  const email = readClaim(claims, config.sso.claims.email)?.toLowerCase();
+
+  let user = await userRepo.findOneBy({ sso_issuer: issuer, sso_subject: subject });
+  let outcome = 'existing';
+
+  if (!user) {
+    if (!email) throw ssoError('The identity provider did not return an email address', 'missing_email');
+    // ผูกบัญชีเดิมด้วยอีเมลเฉพาะเมื่อ IdP ยืนยันอีเมลแล้ว ไม่งั้นใครตั้งอีเมลคนอื่นใน IdP ก็ยึดบัญชีได้
+    const existing = await userRepo.createQueryBuilder('user').where('LOWER(user.email) = :email', { email }).getOne();
+    if (existing) {
+      // claim ที่ไม่ได้ส่งมาถือว่ายังไม่ยืนยัน และบัญชีผู้ดูแลต้องผูกเองเสมอ
+      if (!config.sso.linkExistingByEmail || claims.email_verified !== true || config.sso.linkProtectedRoles.includes(existing.role)) {
+        throw ssoError('An account with this email already exists and cannot be linked automatically', 'link_not_allowed');
+      }
+      if (existing.sso_subject) throw ssoError('This account is already linked to another single sign-on identity', 'already_linked');
+      user = existing;
+      outcome = 'linked';
+    } else {
+      if (!config.sso.jitProvisioning) throw ssoError('No account exists for this email', 'not_provisioned');
+      const profile = await mapProfileClaims(AppDataSource, claims);
+      // รหัสผ่านสุ่มที่ไม่มีใครรู้: บัญชีนี้เข้าได้ทาง SSO (หรือรีเซ็ตรหัสผ่านเองภายหลัง)
+      const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+      user = await userRepo.save(userRepo.create({
+        name: await uniqueDisplayName(userRepo, readClaim(claims, config.sso.claims.name), email),
+        email,
+        password,
+        role: config.sso.defaultRole,
+        department: profile.department,
+        position: profile.position,
+        sso_issuer: issuer,
+        sso_subject: subject
+      }));
+      await recordAudit(AppDataSource, {
+        req,
+        actorId: user.id,
+        action: AUDIT_ACTIONS.USER_SSO_PROVISION,
+        targetType: 'user',
+        targetId: user.id,
+        targetLabel: `${user.name} <${user.email}>`,
+        after: { role: user.role, department: user.department, position: user.position },
+        metadata: { issuer, subject }
+      });
+      return { user, outcome: 'provisioned' };
+    }
+  }
+
+  if (user.role === 'deleted') throw ssoError('This account has been deactivated', 'deactivated');
+
+  const updates = {};
+  if (outcome === 'linked') Object.assign(updates, { sso_issuer: issuer, sso_subject: subject });
+  if (config.sso.syncProfile) {
+    const profile = await mapProfileClaims(AppDataSource, claims);
+    // claim ว่างหรือจับคู่ไม่ได้ ไม่ลบค่าที่ admin ตั้งไว้
+    if (profile.department && profile.department !== user.department) updates.department = profile.department;
+    if (profile.position && profile.position !== user.position) updates.position = profile.position;
+  }
+
+  if (Object.keys(updates).length) {
+    const before = { department: user.department, position: user.position };
+    await userRepo.update({ id: user.id }, updates);
+    Object.assign(user, updates);
+    if (outcome === 'linked') {
+      await recordAudit(AppDataSource, {
+        req,
+        actorId: user.id,
+        action: AUDIT_ACTIONS.USER_SSO_LINK,
+        targetType: 'user',
+        targetId: user.id,
+        targetLabel: `${user.name} <${user.email}>`,
+        before,
+        after: { department: user.department, position: user.position },
+        metadata: { issuer, subject }
+      });
+    }
+  }
+  return { user, outcome };
+}
+
+module.exports = {
+  isSsoConfigured,
+  isPasswordLoginEnabled,
+  canUsePasswordLogin,
+  getDiscovery,
+  buildAuthorizationUrl,
+  consumePendingLogin,
+  completeLogin,
+  issueHandoffCode,
+  redeemHandoffCode,
+  resolveSsoUser
+};
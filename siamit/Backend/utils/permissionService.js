@@ -0,0 +1,157 @@
+/**
+ * Permission Service
+ * Declarative role → permission matrix. Built-in roles get the defaults below unless a
+ * superadmin has saved an override in role_permission; custom roles exist only in that table.
+ */
+
+const PERMISSIONS = {
+  LEAVE_APPROVE: 'leave.approve',                   // อนุมัติ/ไม่อนุมัติใบลาและคำขอยกเลิก
+  LEAVE_VIEW_ALL: 'leave.view_all',                 // เข้าหน้ารายการใบลาของพนักงาน (เห็นเฉพาะลูกทีม)
+  LEAVE_VIEW_COMPANY: 'leave.view_company',         // เห็นใบลาทุกแผนกโดยไม่จำกัดตามสายบังคับบัญชา
+  LEAVE_MANAGE_ALL: 'leave.manage_all',             // ยื่น/ลบใบลาแทนพนักงาน
+  LEAVE_TYPES_MANAGE: 'leave_types.manage',
+  QUOTA_MANAGE: 'quota.manage',                     // โควต้า รีเซ็ตสิ้นปี สะสมรายเดือน กฎอายุงาน ปรับยอด
+  APPROVAL_CHAINS_MANAGE: 'approval_chains.manage',
+  CALENDAR_MANAGE: 'calendar.manage',               // วันหยุดบริษัทและช่วงงดลา
+  ANNOUNCEMENTS_MANAGE: 'announcements.manage',
+  ORGANIZATION_MANAGE: 'organization.manage',       // แผนกและตำแหน่ง
+  EMPLOYEES_VIEW: 'employees.view',
+  EMPLOYEES_MANAGE: 'employees.manage',
+  USERS_MANAGE: 'users.manage',                     // สร้าง/ลบบัญชี admin และ superadmin
+  PERMISSIONS_MANAGE: 'permissions.manage',
+  SYSTEM_MAINTENANCE: 'system.maintenance',         // ล้างข้อมูลเก่าและ endpoint สำหรับทดสอบ
+  AUDIT_VIEW: 'audit.view',                         // ดูและส่งออก audit log
+  USERS_IMPERSONATE: 'users.impersonate',           // เข้าดูระบบในมุมมองของพนักงาน (อ่านอย่างเดียว)
+  LINE_MANAGE: 'line.manage',                       // rich menu ของ LINE Official Account
+  PROFILE_EDIT: 'profile.edit'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const SYSTEM_ROLES = ['user', 'admin', 'superadmin'];
+
+// superadmin ได้ทุกสิทธิ์เสมอ (กันไม่ให้ตั้งค่าจนไม่มีใครแก้สิทธิ์ได้)
+const SUPERADMIN_ROLE = 'superadmin';
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: [PERMISSIONS.PROFILE_EDIT],
+  admin: [
+    PERMISSIONS.LEAVE_APPROVE,
+    PERMISSIONS.LEAVE_VIEW_ALL,
+    PERMISSIONS.LEAVE_MANAGE_ALL,
+    PERMISSIONS.QUOTA_MANAGE,
+    PERMISSIONS.APPROVAL_CHAINS_MANAGE,
+    PERMISSIONS.CALENDAR_MANAGE,
+    PERMISSIONS.ANNOUNCEMENTS_MANAGE,
+    PERMISSIONS.EMPLOYEES_VIEW,
+    PERMISSIONS.EMPLOYEES_MANAGE,
+    PERMISSIONS.PROFILE_EDIT
+  ],
+  superadmin: ALL_PERMISSIONS
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, roles: null };
+
+/**
+ * Safely parse the permissions JSON of a role row, dropping unknown keys
+ * @param {string|Array} val - JSON string or array
+ * @returns {Array<string>}
+ */
+const parsePermissions = (val) => {
+  let list = val;
+  if (typeof val === 'string') {
+    try {
+      list = JSON.parse(val);
+    } catch (e) {
+      console.error('Invalid role permissions JSON:', val, e);
+      list = [];
+    }
+  }
+  return Array.isArray(list) ? list.filter(p => ALL_PERMISSIONS.includes(p)) : [];
+};
+
+/**
+ * Load the full role matrix (defaults merged with saved rows), cached for a minute
+ * @param {DataSource|EntityManager} AppDataSource - Data source
+ * @returns {Promise<Object>} { [role]: { role, label, isSystem, permissions } }
+ */
+async function loadRoleMatrix(AppDataSource) {
+  if (cache.roles && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.roles;
+
+  const roles = {};
+  SYSTEM_ROLES.forEach(role => {
+    roles[role] = { role, label: null, isSystem: true, permissions: [...DEFAULT_ROLE_PERMISSIONS[role]] };
+  });
+
+  const rows = await AppDataSource.getRepository('RolePermission').find();
+  rows.forEach(row => {
+    roles[row.role] = {
+      role: row.role,
+      label: row.label || null,
+      isSystem: SYSTEM_ROLES.includes(row.role),
+      permissions: parsePermissions(row.permissions)
+    };
+  });
+  roles[SUPERADMIN_ROLE].permissions = [...ALL_PERMISSIONS];
+
+  cache = { loadedAt: Date.now(), roles };
+  return roles;
+}
+
+/**
+ * Drop the cached matrix (call after saving or deleting a role)
+ */
+const invalidatePermissionCache = () => {
+  cache = { loadedAt: 0, roles: null };
+};
+
+/**
+ * Get the permissions held by a role (unknown roles hold nothing)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} role - Role name from the JWT
+ * @returns {Promise<Array<string>>}
+ */
+async function getRolePermissions(AppDataSource, role) {
+  if (role === SUPERADMIN_ROLE) return [...ALL_PERMISSIONS];
+  const roles = await loadRoleMatrix(AppDataSource);
+  return roles[role]?.permissions || [];
+}
+
+/**
+ * Check whether a role holds at least one of the given permissions
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} role - Role name
+ * @param {...string} permissions - Permission keys
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(AppDataSource, role, ...permissions) {
+  if (role === SUPERADMIN_ROLE) return true;
+  const held = await getRolePermissions(AppDataSource, role);
+  return permissions.some(p => held.includes(p));
+}
+
+/**
+ * Check whether a role name exists (built-in or saved custom role)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(AppDataSource, role) {
+  if (SYSTEM_ROLES.includes(role)) return true;
+  const roles = await loadRoleMatrix(AppDataSource);
+  return !!roles[role];
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  parsePermissions,
+  loadRoleMatrix,
+  invalidatePermissionCache,
+  getRolePermissions,
+  hasPermission,
+  roleExists
+};
@@ -0,0 +1,117 @@
+/**
+ * Reporting Line Service
+ * Works out who approves whose leave. An employee's approver is their own manager (users.manager_id);
+ * without one it is the head of their department (department.head_id); without a head it falls back to
+ * anyone in the same department whose role may approve leave. Holders of leave.view_company see everyone.
+ */
+
+const { In, IsNull } = require('typeorm');
+const { PERMISSIONS, hasPermission } = require('./permissionService');
+
+// ห้องของผู้ที่เห็นใบลาทั้งบริษัท (superadmin และบทบาทที่มีสิทธิ์ leave.view_company)
+const COMPANY_APPROVER_ROOM = 'admin_room';
+
+/**
+ * Check whether a role sees leave of every department
+ * @param {DataSource|EntityManager} manager - Data source or entity manager
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>}
+ */
+const seesWholeCompany = (manager, role) => hasPermission(manager, role, PERMISSIONS.LEAVE_VIEW_COMPANY);
+
+/**
+ * Resolve the IDs of the employees whose leave an approver handles
+ * @param {DataSource|EntityManager} manager - Data source or entity manager
+ * @param {Object} approver - User (id, role, department)
+ * @returns {Promise<Array<string>|null>} Employee IDs, or null when the approver sees everyone
+ */
+async function getReportIds(manager, approver) {
+  if (!approver) return [];
+  if (await seesWholeCompany(manager, approver.role)) return null;
+
+  const userRepo = manager.getRepository('User');
+  const headedDepartments = await manager.getRepository('Department').find({ where: { head_id: approver.id }, select: ['id'] });
+  const departmentIds = headedDepartments.map(d => d.id);
+
+  // แผนกของตัวเองที่ยังไม่มีหัวหน้า: ผู้มีสิทธิ์อนุมัติในแผนกดูแลคนที่ไม่ได้ระบุหัวหน้างาน
+  if (approver.department && !departmentIds.includes(approver.department)) {
+    const ownDepartment = await manager.getRepository('Department').findOne({ where: { id: approver.department }, select: ['id', 'head_id'] });
+    if (ownDepartment && !ownDepartment.head_id && await hasPermission(manager, approver.role, PERMISSIONS.LEAVE_APPROVE)) {
+      departmentIds.push(ownDepartment.id);
+    }
+  }
+
+  const where = [{ manager_id: approver.id }];
+  if (departmentIds.length) where.push({ manager_id: IsNull(), department: In(departmentIds) });
+
+  const reports = await userRepo.find({ where, select: ['id'] });
+  return [...new Set(reports.map(u => u.id))].filter(id => id !== approver.id);
+}
+
+/**
+ * Resolve the users who approve an employee's leave along the reporting line
+ * @param {DataSource|EntityManager} manager - Data source or entity manager
+ * @param {Object} employee - User (id, department, manager_id)
+ * @returns {Promise<Array<string>>} Approver user IDs (never the employee)
+ */
+async function getLineApproverIds(manager, employee) {
+  if (!employee) return [];
+  if (employee.manager_id) return employee.manager_id === employee.id ? [] : [employee.manager_id];
+  if (!employee.department) return [];
+
+  const department = await manager.getRepository('Department').findOne({ where: { id: employee.department }, select: ['id', 'head_id'] });
+  if (department?.head_id) return department.head_id === employee.id ? [] : [department.head_id];
+
+  const colleagues = await manager.getRepository('User').find({ where: { department: employee.department }, select: ['id', 'role'] });
+  const approvers = [];
+  for (const colleague of colleagues) {
+    if (colleague.id !== employee.id && await hasPermission(manager, colleague.role, PERMISSIONS.LEAVE_APPROVE)) {
+      approvers.push(colleague.id);
+    }
+  }
+  return approvers;
+}
+
+/**
+ * Check whether an approver handles an employee's leave
+ * @param {DataSource|EntityManager} manager - Data source or entity manager
+ * @param {Object} approver - User acting on the leave
+ * @param {Object} employee - Owner of the leave
+ * @returns {Promise<boolean>}
+ */
+async function isInReportingLine(manager, approver, employee) {
+  if (!approver || !employee) return false;
+  if (await seesWholeCompany(manager, approver.role)) return true;
+  const approverIds = await getLineApproverIds(manager, employee);
+  return approverIds.includes(approver.id);
+}
+
+/**
+ * Emit a leave event to the employee's line approvers and to the company-wide room
+ * @param {DataSource|EntityManager} manager - Data source or entity manager
+ * @param {Object|string} employee - Owner of the leave (User or user ID)
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Event payload
+ */
+async function emitToApprovers(manager, employee, event, payload) {
+  if (!global.io) return;
+  try {
+    const owner = typeof employee === 'string'
+      ? await manager.getRepository('User').findOne({ where: { id: employee }, select: ['id', 'department', 'manager_id'] })
+      : employee;
+    const approverIds = await getLineApproverIds(manager, owner);
+    // ส่งครั้งเดียวหลายห้อง socket.io จะไม่ส่งซ้ำให้คนที่อยู่หลายห้อง
+    global.io.to([COMPANY_APPROVER_ROOM, ...approverIds.map(id => `user_${id}`)]).emit(event, payload);
+  } catch (error) {
+    console.error(`Error emitting ${event} to approvers:`, error);
+  }
+}
+
+module.exports = {
+  COMPANY_APPROVER_ROOM,
+  seesWholeCompany,
+  getReportIds,
+  getLineApproverIds,
+  isInReportingLine,
+  emitToApprovers
+};
@@ -4,10 +4,13 @@ const LeaveTypeCleanupService = require('./leaveTypeCleanupService');
 const LeaveQuotaCleanupService = require('./leaveQuotaCleanupService');
 // Import Service ที่เราสร้าง
 const { executeResetLogic } = require('./leaveResetService');
+const { executeMonthlyAccrual } = require('./leaveAccrualService');
+const { processEmailQueue } = require('./emailQueueService');
 
 /**
  * Register all scheduled jobs for the backend application.
  * - Yearly reset of leave usage on Jan 1st 00:05 Asia/Bangkok
+ *   (strategy from YEARLY_RESET_STRATEGY, default 'carry_over')
  * Calls executeResetLogic directly
  *
  * @param {object} config - Application configuration
@@ -29,7 +32,7 @@ function registerScheduledJobs(config, AppDataSource) { // <--- 1. รับ App
         console.log('[CRON] Starting yearly leave reset (Direct Function Call)...');
         
         // --- 2. เรียกใช้ Logic โดยตรงตรงนี้ (แทน axios) ---
-        const result = await executeResetLogic(AppDataSource, { force: false, strategy: 'zero' });
+        const result = await executeResetLogic(AppDataSource, { force: false, strategy: process.env.YEARLY_RESET_STRATEGY || 'carry_over' });
         // -------------------------------------------------
 
         console.log('[CRON] Yearly leave reset executed:', result);
@@ -44,6 +47,52 @@ function registerScheduledJobs(config, AppDataSource) { // <--- 1. รับ App
   }
 }
 
+/**
+ * The month before the current one, as seen in a time zone
+ * (the server clock may be in UTC while the job fires at 00:01 in CRON_TZ, still the previous day in UTC)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ year: number, month: number }} Month 1-12
+ */
+const previousMonthIn = (timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric' }).formatToParts(new Date());
+  const year = Number(parts.find(p => p.type === 'year').value);
+  const month = Number(parts.find(p => p.type === 'month').value);
+  return month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+};
+
+/**
+ * Schedule monthly leave accrual
+ * Runs at 00:01 on the 1st of every month and credits the month that just ended.
+ * (ก่อนงานรีเซ็ตปีใหม่ 00:05 เพื่อให้ยอดสะสมเดือนธันวาคมถูกนับในการยกยอด)
+ *
+ * @param {object} AppDataSource - TypeORM Data Source
+ */
+function scheduleMonthlyAccrual(AppDataSource) {
+  try {
+    const isAccrualEnabled = (process.env.ENABLE_MONTHLY_ACCRUAL_CRON || 'true').toLowerCase() !== 'false';
+    const cronTimezone = process.env.CRON_TZ || 'Asia/Bangkok';
+
+    if (!isAccrualEnabled) {
+      console.log('[CRON] Monthly accrual job is disabled via ENABLE_MONTHLY_ACCRUAL_CRON=false');
+      return;
+    }
+
+    cron.schedule('1 0 1 * *', async () => {
+      try {
+        console.log('[CRON] Starting monthly leave accrual...');
+        const result = await executeMonthlyAccrual(AppDataSource, previousMonthIn(cronTimezone));
+        console.log('[CRON] Monthly leave accrual executed:', result);
+      } catch (err) {
+        console.error('[CRON] Monthly leave accrual failed:', err?.message || err);
+      }
+    }, { timezone: cronTimezone });
+
+    console.log(`[CRON] Monthly accrual job scheduled at 00:01 on day 1 (${cronTimezone}). Set ENABLE_MONTHLY_ACCRUAL_CRON=false to disable.`);
+  } catch (err) {
+    console.error('[CRON] Failed to schedule monthly accrual job:', err?.message || err);
+  }
+}
+
 /**
  * Schedule leave type cleanup job
  * ... (ส่วนนี้เหมือนเดิม) ...
@@ -109,4 +158,38 @@ function scheduleLeaveTypeCleanup(AppDataSource) {
   }
 }
 
-module.exports = { registerScheduledJobs, scheduleLeaveTypeCleanup };
\ No newline at end of file
+/**
+ * Schedule the email queue
+ * Runs every minute and sends emails whose retry time has come. New emails are sent as soon as
+ * they are queued; this picks up retries and anything left over after a restart.
+ *
+ * @param {object} AppDataSource - TypeORM Data Source
+ */
+function scheduleEmailQueue(AppDataSource) {
+  try {
+    const isQueueEnabled = (process.env.ENABLE_EMAIL_QUEUE_CRON || 'true').toLowerCase() !== 'false';
+    const cronTimezone = process.env.CRON_TZ || 'Asia/Bangkok';
+
+    if (!isQueueEnabled) {
+      console.log('[CRON] Email queue job is disabled via ENABLE_EMAIL_QUEUE_CRON=false');
+      return;
+    }
+
+    cron.schedule('* * * * *', async () => {
+      try {
+        const result = await processEmailQueue(AppDataSource);
+        if (result.sent || result.retrying || result.failed) {
+          console.log('[CRON] Email queue processed:', result);
+        }
+      } catch (err) {
+        console.error('[CRON] Email queue failed:', err?.message || err);
+      }
+    }, { timezone: cronTimezone });
+
+    console.log('[CRON] Email queue job scheduled every minute. Set ENABLE_EMAIL_QUEUE_CRON=false to disable.');
+  } catch (err) {
+    console.error('[CRON] Failed to schedule email queue job:', err?.message || err);
+  }
+}
+
+module.exports = { registerScheduledJobs, scheduleMonthlyAccrual, scheduleLeaveTypeCleanup, scheduleEmailQueue };
\ No newline at end of file
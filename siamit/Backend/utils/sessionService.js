@@ -0,0 +1,231 @@
+/**
+ * Session Service
+ * One user_session row per signed-in device. Access tokens are short-lived JWTs carrying the session id (sid);
+ * refresh tokens are random strings stored only as SHA-256 hashes and rotated on every refresh.
+ */
+
+const crypto = require('crypto');
+const { In, IsNull } = require('typeorm');
+const config = require('../config');
+const { generateToken } = require('./authUtils');
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  SIGNED_OUT_BY_USER: 'signed_out_by_user',
+  PASSWORD_CHANGED: 'password_changed',
+  USER_DELETED: 'user_deleted',
+  TOKEN_REUSE: 'token_reuse',
+  EXPIRED: 'expired',
+  IMPERSONATION_ENDED: 'impersonation_ended'
+};
+
+// ผลตรวจ session ถูกแคชสั้นๆ เพื่อไม่ให้ทุก request ต้อง query ฐานข้อมูล
+const ACTIVE_CACHE_TTL_MS = 30 * 1000;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+// แท็บหลายแท็บอาจต่ออายุพร้อมกันด้วย token เดียวกัน: ช่วงสั้นๆ หลังหมุนจึงยังไม่ถือว่าถูกขโมย
+const REUSE_GRACE_MS = 10 * 1000;
+const activeCache = new Map(); // sid -> { active, checkedAt }
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex SHA-256
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Get the caller's IP. Uses req.ip, which honours X-Forwarded-For only from the
+ * proxies configured with TRUST_PROXY, so clients cannot choose their own IP.
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getClientIp = (req) => {
+  const ip = String(req.ip || req.socket?.remoteAddress || '').trim();
+  return ip ? ip.replace(/^::ffff:/, '').slice(0, 45) : null;
+};
+
+/**
+ * Build a short device label ("Chrome on Windows") from a User-Agent header
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+  const ua = String(userAgent);
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['LINE', /Line\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, re]) => re.test(ua));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ].find(([, re]) => re.test(ua));
+  if (!browser && !os) return ua.slice(0, 100);
+  return [browser?.[0], os?.[0]].filter(Boolean).join(' on ');
+};
+
+const refreshExpiry = () => new Date(Date.now() + config.server.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User (id, role)
+ * @param {string} sessionId - user_session id
+ * @returns {string} JWT
+ */
+const issueAccessToken = (user, sessionId) => generateToken({ userId: user.id, role: user.role, sid: sessionId });
+
+/**
+ * Start a session for a user who just signed in
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User (id, role)
+ * @param {Object} req - Express request (device and IP are taken from it)
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: Object }>}
+ */
+async function createSession(AppDataSource, user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const userAgent = req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null;
+  const session = await AppDataSource.getRepository('UserSession').save({
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: getClientIp(req),
+    expiresAt: refreshExpiry(),
+    lastSeenAt: new Date()
+  });
+  return { accessToken: issueAccessToken(user, session.id), refreshToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting the token that was already rotated away revokes the whole session (the token was copied).
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session: Object, user: Object }>}
+ */
+async function rotateSession(AppDataSource, refreshToken, req) {
+  const fail = (message) => Object.assign(new Error(message), { statusCode: 401 });
+  if (!refreshToken) throw fail('Refresh token is required');
+
+  const sessionRepo = AppDataSource.getRepository('UserSession');
+  const hash = hashToken(refreshToken);
+  const session = await sessionRepo.findOneBy({ refreshTokenHash: hash });
+
+  if (!session) {
+    const reused = await sessionRepo.findOneBy({ previousTokenHash: hash });
+    if (reused && !reused.revokedAt) {
+      if (Date.now() - new Date(reused.lastSeenAt).getTime() < REUSE_GRACE_MS) throw fail('Refresh token was already used');
+      await revokeSession(AppDataSource, reused.id, REVOKE_REASONS.TOKEN_REUSE);
+    }
+    throw fail('Invalid refresh token');
+  }
+  if (session.revokedAt) throw fail('Session has been signed out');
+  if (session.impersonatorId) throw fail('Impersonation sessions cannot be refreshed');
+  if (new Date(session.expiresAt) <= new Date()) {
+    await revokeSession(AppDataSource, session.id, REVOKE_REASONS.EXPIRED);
+    throw fail('Session has expired');
+  }
+
+  const user = await AppDataSource.getRepository('User').findOne({ where: { id: session.userId }, select: ['id', 'role'] });
+  if (!user || user.role === 'deleted') {
+    await revokeSession(AppDataSource, session.id, REVOKE_REASONS.USER_DELETED);
+    throw fail('User no longer exists');
+  }
+
+  const nextToken = crypto.randomBytes(48).toString('base64url');
+  const rotated = {
+    previousTokenHash: hash,
+    refreshTokenHash: hashToken(nextToken),
+    expiresAt: refreshExpiry(),
+    lastSeenAt: new Date(),
+    ipAddress: getClientIp(req) || session.ipAddress
+  };
+  // เปลี่ยน token แบบมีเงื่อนไข: สองแท็บต่ออายุด้วย token เดียวกันพร้อมกัน ได้ token ใหม่แค่แท็บเดียว
+  const result = await sessionRepo.update({ id: session.id, refreshTokenHash: hash }, rotated);
+  if (!result.affected) throw fail('Refresh token was already used');
+  Object.assign(session, rotated);
+
+  return { accessToken: issueAccessToken(user, session.id), refreshToken: nextToken, session, user };
+}
+
+/**
+ * Revoke one session
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} sessionId - user_session id
+ * @param {string} reason - One of REVOKE_REASONS
+ */
+async function revokeSession(AppDataSource, sessionId, reason) {
+  await AppDataSource.getRepository('UserSession').update({ id: sessionId, revokedAt: IsNull() }, { revokedAt: new Date(), revokedReason: reason });
+  activeCache.delete(sessionId);
+}
+
+/**
+ * Revoke every open session of a user
+ * @param {DataSource|EntityManager} AppDataSource - Data source
+ * @param {string} userId - User ID
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {Object} options - { exceptSessionId } keeps the caller's own device signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(AppDataSource, userId, reason, { exceptSessionId = null } = {}) {
+  const sessionRepo = AppDataSource.getRepository('UserSession');
+  const open = await sessionRepo.find({ where: { userId, revokedAt: IsNull() }, select: ['id'] });
+  const ids = open.map(s => s.id).filter(id => id !== exceptSessionId);
+  if (!ids.length) return 0;
+
+  await sessionRepo.update({ id: In(ids) }, { revokedAt: new Date(), revokedReason: reason });
+  ids.forEach(id => activeCache.delete(id));
+  return ids.length;
+}
+
+/**
+ * Check that the session behind an access token is still open (and note when it was last used)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} sessionId - sid claim of the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(AppDataSource, sessionId) {
+  if (!sessionId) return false;
+  const cached = activeCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < ACTIVE_CACHE_TTL_MS) return cached.active;
+
+  const sessionRepo = AppDataSource.getRepository('UserSession');
+  const session = await sessionRepo.findOne({ where: { id: sessionId }, select: ['id', 'revokedAt', 'expiresAt', 'lastSeenAt'] });
+  const active = !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+  activeCache.set(sessionId, { active, checkedAt: Date.now() });
+
+  if (active && (!session.lastSeenAt || Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_INTERVAL_MS)) {
+    await sessionRepo.update({ id: sessionId }, { lastSeenAt: new Date() });
+  }
+  return active;
+}
+
+/**
+ * List a user's open sessions, newest activity first
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+const listUserSessions = (AppDataSource, userId) => AppDataSource.getRepository('UserSession')
+  .createQueryBuilder('session')
+  .select(['session.id', 'session.device', 'session.userAgent', 'session.ipAddress', 'session.createdAt', 'session.lastSeenAt', 'session.expiresAt'])
+  .where('session.userId = :userId', { userId })
+  .andWhere('session.revokedAt IS NULL')
+  .andWhere('session.expiresAt > :now', { now: new Date() })
+  .orderBy('session.lastSeenAt', 'DESC')
+  .getMany();
+
+module.exports = {
+  REVOKE_REASONS,
+  hashToken,
+  getClientIp,
+  describeDevice,
+  issueAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listUserSessions
+};
@@ -0,0 +1,78 @@
+/**
+ * System Setting Service
+ * Company-wide policy values stored as JSON in system_setting, with defaults for keys that were never saved.
+ */
+
+const config = require('../config');
+
+const SETTING_KEYS = {
+  TWO_FACTOR_REQUIRED_ROLES: 'security.two_factor_required_roles', // role ที่ต้องเปิด 2FA ก่อนเข้าใช้งาน
+  PASSWORD_LOGIN_ENABLED: 'security.password_login_enabled' // false = เข้าได้ทาง SSO เท่านั้น (ยกเว้น break-glass roles)
+};
+
+const DEFAULT_SETTINGS = {
+  [SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES]: [],
+  [SETTING_KEYS.PASSWORD_LOGIN_ENABLED]: config.sso.passwordLoginEnabled
+};
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = { loadedAt: 0, values: null };
+
+const parseValue = (name, raw) => {
+  if (raw === null || raw === undefined) return DEFAULT_SETTINGS[name];
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error(`Invalid system setting JSON for ${name}:`, raw, e);
+    return DEFAULT_SETTINGS[name];
+  }
+};
+
+/**
+ * Load every setting (defaults merged with saved rows), cached for a minute
+ * @param {DataSource|EntityManager} AppDataSource - Data source
+ * @returns {Promise<Object>} { [name]: value }
+ */
+async function loadSettings(AppDataSource) {
+  if (cache.values && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.values;
+
+  const values = { ...DEFAULT_SETTINGS };
+  const rows = await AppDataSource.getRepository('SystemSetting').find();
+  rows.forEach(row => {
+    values[row.name] = parseValue(row.name, row.value);
+  });
+
+  cache = { loadedAt: Date.now(), values };
+  return values;
+}
+
+/**
+ * Read one setting
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} name - One of SETTING_KEYS
+ * @returns {Promise<*>} Saved value or its default
+ */
+async function getSetting(AppDataSource, name) {
+  const values = await loadSettings(AppDataSource);
+  return values[name] !== undefined ? values[name] : DEFAULT_SETTINGS[name];
+}
+
+/**
+ * Save one setting
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} name - One of SETTING_KEYS
+ * @param {*} value - JSON-serializable value
+ * @param {string|null} updatedBy - User ID of the editor
+ */
+async function setSetting(AppDataSource, name, value, updatedBy = null) {
+  await AppDataSource.getRepository('SystemSetting').save({ name, value: JSON.stringify(value), updatedBy });
+  cache = { loadedAt: 0, values: null };
+}
+
+module.exports = {
+  SETTING_KEYS,
+  DEFAULT_SETTINGS,
+  loadSettings,
+  getSetting,
+  setSetting
+};
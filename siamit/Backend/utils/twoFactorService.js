@@ -0,0 +1,312 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30 s steps) for the second login step, plus one-time recovery codes.
+ * Secrets are stored AES-256-GCM encrypted in users.two_factor_secret; recovery codes only as SHA-256 hashes.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const config = require('../config');
+const { hashToken } = require('./sessionService');
+const { SETTING_KEYS, getSetting } = require('./systemSettingService');
+
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const VERIFY_WINDOW = 1; // ยอมให้นาฬิกามือถือคลาดเคลื่อนได้ ±1 ช่วง (30 วินาที)
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHALLENGE_PURPOSE = 'login_2fa';
+
+// --- Encoding ---
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// --- Secret storage ---
+
+const encryptionKey = () => crypto.createHash('sha256').update(config.twoFactor.encryptionKey || config.server.jwtSecret).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), encrypted.toString('base64url')].join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [version, iv, tag, encrypted] = String(stored || '').split(':');
+  if (version !== 'v1' || !encrypted) throw new Error('Unsupported two-factor secret format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+// --- TOTP ---
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Find the time step a TOTP code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} lastStep - Last step already used (codes at or before it are rejected)
+ * @returns {number|null} Matching step, or null
+ */
+const findMatchingStep = (secret, code, lastStep = null) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(clean)) return null;
+  const now = currentStep();
+  for (let step = now - VERIFY_WINDOW; step <= now + VERIFY_WINDOW; step++) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+};
+
+// --- Recovery codes ---
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+const parseRecoveryHashes = (value) => {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// --- Policy ---
+
+/**
+ * Roles that must use 2FA (set by a superadmin on the permissions page)
+ * @param {DataSource} AppDataSource - Data source
+ * @returns {Promise<Array<string>>}
+ */
+async function getRequiredRoles(AppDataSource) {
+  const roles = await getSetting(AppDataSource, SETTING_KEYS.TWO_FACTOR_REQUIRED_ROLES);
+  return Array.isArray(roles) ? roles : [];
+}
+
+async function isTwoFactorRequired(AppDataSource, role) {
+  return (await getRequiredRoles(AppDataSource)).includes(role);
+}
+
+const isTwoFactorEnabled = (user) => !!(user && user.two_factor_enabled_at && user.two_factor_secret);
+
+// --- Login challenge ---
+
+// ลงนามด้วย key แยกจาก access token: challenge token จึงใช้เรียก API อื่นไม่ได้
+const challengeSecret = () => `${config.server.jwtSecret}:${CHALLENGE_PURPOSE}`;
+
+/**
+ * Sign the short-lived token that carries a password-verified user to the second step
+ * @param {Object} user - User (id)
+ * @param {boolean} setup - true when the user must enroll before signing in
+ * @returns {string} JWT
+ */
+const issueChallengeToken = (user, setup = false) => jwt.sign(
+  { userId: user.id, purpose: CHALLENGE_PURPOSE, setup },
+  challengeSecret(),
+  { expiresIn: config.twoFactor.challengeExpiresIn }
+);
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Challenge token from the first login step
+ * @returns {{ userId: string, setup: boolean }}
+ * @throws {Error} statusCode 401 when missing, expired or forged
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ''), challengeSecret());
+    if (payload.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return { userId: payload.userId, setup: !!payload.setup };
+  } catch (err) {
+    throw Object.assign(new Error('Sign-in step has expired, please sign in again'), { statusCode: 401 });
+  }
+};
+
+// --- Enrollment and verification ---
+
+/**
+ * Start (or restart) enrollment: store a new pending secret and return what the authenticator app needs
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User (id, email, name)
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>}
+ */
+async function startEnrollment(AppDataSource, user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await AppDataSource.getRepository('User').update({ id: user.id }, {
+    two_factor_secret: encryptSecret(secret),
+    two_factor_enabled_at: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_step: null
+  });
+
+  const issuer = config.twoFactor.issuer;
+  const account = user.email || user.name || user.id;
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User with the pending two_factor_secret
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>|null>} Recovery codes (shown once), or null when the code is wrong
+ */
+async function completeEnrollment(AppDataSource, user, code) {
+  if (!user.two_factor_secret || user.two_factor_enabled_at) return null;
+  const step = findMatchingStep(decryptSecret(user.two_factor_secret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await AppDataSource.getRepository('User').update({ id: user.id }, {
+    two_factor_enabled_at: new Date(),
+    two_factor_recovery_codes: JSON.stringify(hashes),
+    two_factor_last_step: step
+  });
+  return codes;
+}
+
+/**
+ * Check a second-step code: a TOTP code, or one of the unused recovery codes (which is then spent)
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User with 2FA enabled
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { allowRecoveryCode }
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesRemaining: number }|null>}
+ */
+async function verifyUserCode(AppDataSource, user, code, { allowRecoveryCode = true } = {}) {
+  if (!isTwoFactorEnabled(user)) return null;
+  const userRepo = AppDataSource.getRepository('User');
+  const hashes = parseRecoveryHashes(user.two_factor_recovery_codes);
+
+  const step = findMatchingStep(decryptSecret(user.two_factor_secret), code, user.two_factor_last_step);
+  if (step !== null) {
+    // บันทึก step ที่ใช้แล้วแบบมีเงื่อนไข: รหัสเดียวกันส่งซ้ำพร้อมกันจะผ่านได้ครั้งเดียว
+    const result = await userRepo.createQueryBuilder()
+      .update()
+      .set({ two_factor_last_step: step })
+      .where('id = :id', { id: user.id })
+      .andWhere('(two_factor_last_step IS NULL OR two_factor_last_step < :step)', { step })
+      .execute();
+    return result.affected ? { method: 'totp', recoveryCodesRemaining: hashes.length } : null;
+  }
+
+  if (!allowRecoveryCode) return null;
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!hashes.includes(hash)) return null;
+  const remaining = hashes.filter(h => h !== hash);
+  await userRepo.update({ id: user.id }, { two_factor_recovery_codes: JSON.stringify(remaining) });
+  return { method: 'recovery', recoveryCodesRemaining: remaining.length };
+}
+
+/**
+ * Replace the recovery codes of an enrolled user
+ * @param {DataSource} AppDataSource - Data source
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} New codes (shown once)
+ */
+async function regenerateRecoveryCodes(AppDataSource, userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await AppDataSource.getRepository('User').update({ id: userId }, { two_factor_recovery_codes: JSON.stringify(hashes) });
+  return codes;
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {DataSource|EntityManager} AppDataSource - Data source
+ * @param {string} userId - User ID
+ */
+async function disableTwoFactor(AppDataSource, userId) {
+  await AppDataSource.getRepository('User').update({ id: userId }, {
+    two_factor_secret: null,
+    two_factor_enabled_at: null,
+    two_factor_recovery_codes: null,
+    two_factor_last_step: null
+  });
+}
+
+/**
+ * 2FA status for the profile page
+ * @param {DataSource} AppDataSource - Data source
+ * @param {Object} user - User
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, required: boolean, recoveryCodesRemaining: number }>}
+ */
+async function getTwoFactorStatus(AppDataSource, user) {
+  const enabled = isTwoFactorEnabled(user);
+  return {
+    enabled,
+    enabledAt: enabled ? user.two_factor_enabled_at : null,
+    required: await isTwoFactorRequired(AppDataSource, user.role),
+    recoveryCodesRemaining: enabled ? parseRecoveryHashes(user.two_factor_recovery_codes).length : 0
+  };
+}
+
+module.exports = {
+  getRequiredRoles,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  issueChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  completeEnrollment,
+  verifyUserCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
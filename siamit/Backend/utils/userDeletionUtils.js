@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
+const { REVOKE_REASONS, revokeUserSessions } = require('./sessionService');
 
 /**
  * Soft Delete user data (Anonymize & Deactivate)
@@ -22,6 +23,7 @@ async function deleteUserData(AppDataSource, userId, userRole) {
   const deletionSummary = {
     avatarDeleted: false,
     userSoftDeleted: false,
+    sessionsRevoked: 0,
     errors: []
   };
 
@@ -92,6 +94,9 @@ async function deleteUserData(AppDataSource, userId, userRole) {
 
     // 4. บันทึกการเปลี่ยนแปลง (Save instead of Delete)
     await userRepo.save(user);
+
+    // 5. ยกเลิก session ทุกอุปกรณ์ (access token ที่ออกไปแล้วจะใช้ไม่ได้ทันที)
+    deletionSummary.sessionsRevoked = await revokeUserSessions(AppDataSource, userId, REVOKE_REASONS.USER_DELETED);
     
     deletionSummary.userSoftDeleted = true;
     console.log(`✅ Soft deleted user ${userId}. Data preserved but user deactivated.`);
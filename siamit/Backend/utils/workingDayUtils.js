@@ -0,0 +1,210 @@
+/**
+ * Working Day Utility Functions
+ * Counts leave days on working days only, skipping weekends, Thai public holidays
+ * and company holidays stored in the CustomHoliday table
+ */
+
+const Holidays = require('date-holidays');
+const config = require('../config');
+
+// ปฏิทินวันหยุดราชการไทย คำนวณครั้งเดียวต่อปีแล้วเก็บไว้
+const thaiHolidayCache = new Map();
+
+// ลาครึ่งวัน: ช่วงเช้า/บ่าย หักโควต้า 0.5 วัน
+const HALF_DAY_PERIODS = ['morning', 'afternoon'];
+const HALF_DAY_VALUE = 0.5;
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date|string} date - Date object or date string
+ * @returns {string|null} Date key or null if invalid
+ */
+const toDateKey = (date) => {
+  if (!date) return null;
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+    return date.slice(0, 10);
+  }
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d.getTime())) return null;
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse a date (or YYYY-MM-DD string) into a local midnight Date
+ * @param {Date|string} date - Date object or date string
+ * @returns {Date|null} Local midnight date or null if invalid
+ */
+const toLocalMidnight = (date) => {
+  const key = toDateKey(date);
+  if (!key) return null;
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * Get Thai public holidays of a year (same source as the frontend's getThaiHolidays.ts)
+ * @param {number} year - Year
+ * @returns {Array<string>} Holiday date keys (YYYY-MM-DD)
+ */
+const getThaiPublicHolidays = (year) => {
+  if (thaiHolidayCache.has(year)) return thaiHolidayCache.get(year);
+
+  const hd = new Holidays('TH');
+  const keys = hd.getHolidays(year).map(h => String(h.date).slice(0, 10));
+
+  // วันแรงงาน (1 พ.ค.) ไม่มีใน library บางเวอร์ชัน - เพิ่มเหมือนฝั่ง frontend
+  const labourDay = `${year}-05-01`;
+  if (!keys.includes(labourDay)) keys.push(labourDay);
+
+  thaiHolidayCache.set(year, keys);
+  return keys;
+};
+
+/**
+ * Check whether a date falls on a configured weekend day
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if weekend
+ */
+const isWeekend = (date) => config.business.weekendDays.includes(date.getDay());
+
+/**
+ * Load every non-working date between two dates (public + company holidays)
+ * @param {Object} AppDataSource - Database connection or entity manager
+ * @param {Date|string} startDate - Range start
+ * @param {Date|string} endDate - Range end
+ * @returns {Promise<Set<string>>} Set of holiday date keys
+ */
+const loadHolidaySet = async (AppDataSource, startDate, endDate) => {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const holidays = new Set();
+  if (!startKey || !endKey) return holidays;
+
+  const startYear = Number(startKey.slice(0, 4));
+  const endYear = Number(endKey.slice(0, 4));
+  for (let year = startYear; year <= endYear; year++) {
+    getThaiPublicHolidays(year)
+      .filter(key => key >= startKey && key <= endKey)
+      .forEach(key => holidays.add(key));
+  }
+
+  if (AppDataSource) {
+    try {
+      const customHolidays = await AppDataSource.getRepository('CustomHoliday')
+        .createQueryBuilder('holiday')
+        .select(['holiday.date'])
+        .where('holiday.date >= :startKey', { startKey })
+        .andWhere('holiday.date <= :endKey', { endKey })
+        .getMany();
+      customHolidays.forEach(h => {
+        const key = toDateKey(h.date);
+        if (key) holidays.add(key);
+      });
+    } catch (error) {
+      console.error('Error loading custom holidays:', error);
+    }
+  }
+
+  return holidays;
+};
+
+/**
+ * Count working days between two dates (inclusive) against a preloaded holiday set
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @param {Set<string>} holidaySet - Holiday date keys from loadHolidaySet
+ * @returns {number} Number of working days
+ */
+const countWorkingDays = (startDate, endDate, holidaySet = new Set()) => {
+  const start = toLocalMidnight(startDate);
+  const end = toLocalMidnight(endDate);
+  if (!start || !end || end < start) return 0;
+
+  let count = 0;
+  const cursor = new Date(start);
+  while (cursor <= end) {
+    if (!isWeekend(cursor) && !holidaySet.has(toDateKey(cursor))) count++;
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return count;
+};
+
+/**
+ * List the working days between two dates (inclusive)
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @param {Set<string>} holidaySet - Holiday date keys from loadHolidaySet
+ * @returns {Array<string>} YYYY-MM-DD keys
+ */
+const listWorkingDays = (startDate, endDate, holidaySet = new Set()) => {
+  const start = toLocalMidnight(startDate);
+  const end = toLocalMidnight(endDate);
+  if (!start || !end || end < start) return [];
+
+  const days = [];
+  const cursor = new Date(start);
+  while (cursor <= end) {
+    if (!isWeekend(cursor) && !holidaySet.has(toDateKey(cursor))) days.push(toDateKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Count the working days charged for a day-based leave request.
+ * Half-day leaves (halfDayPeriod set) always count as HALF_DAY_VALUE.
+ * @param {Object} leave - Leave request with startDate, endDate and halfDayPeriod
+ * @param {Set<string>} holidaySet - Holiday date keys from loadHolidaySet
+ * @returns {number} Number of working days
+ */
+const countLeaveDays = (leave, holidaySet = new Set()) => {
+  if (leave.halfDayPeriod) return HALF_DAY_VALUE;
+  return countWorkingDays(leave.startDate, leave.endDate, holidaySet);
+};
+
+/**
+ * Count working days between two dates (inclusive), loading holidays from the database
+ * @param {Object} AppDataSource - Database connection or entity manager
+ * @param {Date|string} startDate - Start date
+ * @param {Date|string} endDate - End date
+ * @returns {Promise<number>} Number of working days
+ */
+const calculateWorkingDays = async (AppDataSource, startDate, endDate) => {
+  const holidaySet = await loadHolidaySet(AppDataSource, startDate, endDate);
+  return countWorkingDays(startDate, endDate, holidaySet);
+};
+
+/**
+ * Load the holiday set covering every leave in a list (for batch processing)
+ * @param {Object} AppDataSource - Database connection
+ * @param {Array} leaves - Leave requests with startDate/endDate
+ * @returns {Promise<Set<string>>} Set of holiday date keys
+ */
+const loadHolidaySetForLeaves = async (AppDataSource, leaves) => {
+  const keys = [];
+  leaves.forEach(l => {
+    const s = toDateKey(l.startDate);
+    const e = toDateKey(l.endDate || l.startDate);
+    if (s) keys.push(s);
+    if (e) keys.push(e);
+  });
+  if (!keys.length) return new Set();
+  keys.sort();
+  return loadHolidaySet(AppDataSource, keys[0], keys[keys.length - 1]);
+};
+
+module.exports = {
+  HALF_DAY_PERIODS,
+  HALF_DAY_VALUE,
+  toDateKey,
+  getThaiPublicHolidays,
+  isWeekend,
+  loadHolidaySet,
+  loadHolidaySetForLeaves,
+  countWorkingDays,
+  listWorkingDays,
+  countLeaveDays,
+  calculateWorkingDays
+};
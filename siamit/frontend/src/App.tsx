@@ -8,6 +8,7 @@ import { ThemeProvider } from 'next-themes';
 import { AppSidebar } from "@/components/AppSidebar";
 import { AuthProvider, useAuth } from "@/contexts/AuthContext";
 import ProtectedRoute from "@/components/ProtectedRoute";
+import ImpersonationBanner from "@/components/ImpersonationBanner";
 import { lazy, Suspense } from 'react';
 import '@/i18n';
 import { PushNotificationProvider } from "@/contexts/PushNotificationContext";
@@ -17,6 +18,8 @@ import { SocketProvider } from "@/contexts/SocketContext";
 const Index = lazy(() => import("./pages/Index"));
 const Login = lazy(() => import("./pages/Login"));
 const Register = lazy(() => import("./pages/Register"));
+const ForgotPassword = lazy(() => import("./pages/ForgotPassword"));
+const ResetPassword = lazy(() => import("./pages/ResetPassword"));
 const Profile = lazy(() => import("./pages/Profile"));
 const LeaveRequest = lazy(() => import("./pages/LeaveRequest"));
 const LeaveHistory = lazy(() => import("./pages/LeaveHistory"));
@@ -25,6 +28,9 @@ const EmployeeManagement = lazy(() => import("./pages/EmployeeManagement"));
 const EmployeeDetail = lazy(() => import("./pages/EmployeeDetail"));
 const NotFound = lazy(() => import("./pages/NotFound"));
 const LeaveSystemSettings = lazy(() => import('./pages/SuperAdmin/LeaveSystemSettings'));
+const RolePermissions = lazy(() => import('./pages/SuperAdmin/RolePermissions'));
+const AuditLog = lazy(() => import('./pages/SuperAdmin/AuditLog'));
+const LineOASettingsPage = lazy(() => import('./pages/LineOASettingsPage'));
 const SuperAdminList = lazy(() => import('./pages/SuperAdmin/SuperAdminList'));
 const ManagePost = lazy(() => import('./pages/ManagePost'));
 const CalendarPage = lazy(() => import('./pages/CalendarPage'));
@@ -58,6 +64,8 @@ const AppContent = () => {
           <Route path="/" element={<Login />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route path="/dashboard" element={<Navigate to="/" replace />} />
           {/* <Route path="*" element={<Navigate to="/login" replace />} /> */}
         </Routes>
@@ -77,6 +85,8 @@ const AppContent = () => {
           <LanguageSwitcher />
         </div>
         <AppSidebar />
+        {/* "View as employee": visible on every page until the superadmin exits */}
+        <ImpersonationBanner />
         <main className="flex-1 min-w-0">
           <LazyLoadWrapper>
             <Routes>
@@ -141,6 +151,21 @@ const AppContent = () => {
                   <SuperAdminList />
                 </ProtectedRoute>
               } />
+              <Route path="/superadmin/permissions" element={
+                <ProtectedRoute superadminOnly>
+                  <RolePermissions />
+                </ProtectedRoute>
+              } />
+              <Route path="/superadmin/audit-log" element={
+                <ProtectedRoute superadminOnly>
+                  <AuditLog />
+                </ProtectedRoute>
+              } />
+              <Route path="/superadmin/line-oa" element={
+                <ProtectedRoute superadminOnly>
+                  <LineOASettingsPage />
+                </ProtectedRoute>
+              } />
               <Route path="/login" element={<Navigate to="/" replace />} />
               <Route path="*" element={<NotFound />} />
             </Routes>
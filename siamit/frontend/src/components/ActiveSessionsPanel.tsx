@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useState } from "react";
+import { LogOut, Monitor } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { apiEndpoints } from "@/constants/api";
+import { useToast } from "@/hooks/use-toast";
+import { apiService } from "@/lib/api";
+import { logger } from "@/lib/logger";
+
+interface UserSession {
+  id: string;
+  device: string | null;
+  ipAddress: string | null;
+  createdAt: string;
+  lastSeenAt: string | null;
+  current: boolean;
+}
+
+/**
+ * Lists the devices signed in to the current account and lets the user sign the others out.
+ */
+const ActiveSessionsPanel = () => {
+  const { t, i18n } = useTranslation();
+  const { toast } = useToast();
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await apiService.get(apiEndpoints.auth.sessions);
+      setSessions(res?.success && Array.isArray(res.data) ? res.data : []);
+    } catch (error) {
+      logger.error('Error fetching sessions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const signOut = async (sessionId: string | null) => {
+    setBusyId(sessionId || 'others');
+    try {
+      const res = sessionId
+        ? await apiService.delete(apiEndpoints.auth.session(sessionId))
+        : await apiService.delete(apiEndpoints.auth.sessions);
+      if (!res?.success) throw new Error(res?.message);
+      toast({ title: sessionId ? t('sessions.signedOut') : t('sessions.signedOutOthers') });
+      fetchSessions();
+    } catch (err) {
+      toast({ title: t('common.error'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatTime = (value: string | null) => value
+    ? new Date(value).toLocaleString(i18n.language.startsWith('th') ? 'th-TH' : 'en-US', { dateStyle: 'medium', timeStyle: 'short' })
+    : '-';
+
+  const hasOthers = sessions.some(s => !s.current);
+
+  return (
+    <div className="p-4 md:p-6 border rounded-2xl bg-blue-50 dark:bg-gray-800 shadow-sm border-blue-100 dark:border-gray-700 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-blue-900 dark:text-blue-200 flex items-center gap-2 text-sm md:text-base"><Monitor className="h-4 w-4 md:h-5 md:w-5 text-blue-400" /> {t('sessions.title')}</h3>
+          <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 mt-1">{t('sessions.description')}</p>
+        </div>
+        <Button variant="outline" size="sm" className="btn-blue-outline w-full md:w-auto" disabled={!hasOthers || !!busyId} onClick={() => signOut(null)}>
+          {t('sessions.signOutOthers')}
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        {sessions.map(session => (
+          <div key={session.id} className="flex flex-col md:flex-row md:items-center gap-2 md:gap-4 p-3 rounded-xl bg-white/80 dark:bg-gray-900/60">
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2 font-medium text-blue-900 dark:text-blue-100 text-sm">
+                {session.device || t('sessions.unknownDevice')}
+                {session.current && <Badge variant="secondary">{t('sessions.thisDevice')}</Badge>}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {session.ipAddress || '-'} · {t('sessions.lastSeen', { time: formatTime(session.lastSeenAt || session.createdAt) })}
+              </p>
+            </div>
+            {!session.current && (
+              <Button size="sm" variant="ghost" className="text-red-600 self-start md:self-auto" disabled={!!busyId} onClick={() => signOut(session.id)}>
+                <LogOut className="w-4 h-4 mr-1" />
+                {t('sessions.signOut')}
+              </Button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessionsPanel;
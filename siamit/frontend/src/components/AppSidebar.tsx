@@ -1,6 +1,6 @@
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { Button } from "@/components/ui/button";
-import { Calendar, Home, Clock, Settings, User, LogOut, Users, Rss } from "lucide-react";
+import { Calendar, Home, Clock, Settings, User, LogOut, Users, Rss, Shield, ScrollText, MessageSquare } from "lucide-react";
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useState, useEffect } from "react";
 import { useTranslation } from "react-i18next";
@@ -87,6 +87,20 @@ const superadminItems = [
     url: "/superadmin/superadmins",
     icon: User,
   },
+  {
+    title: "navigation.rolePermissions",
+    url: "/superadmin/permissions",
+    icon: Shield,
+  },
+  {
+    title: "navigation.auditLog",
+    url: "/superadmin/audit-log",
+    icon: ScrollText,
+  },  {
+    title: "navigation.lineOA",
+    url: "/superadmin/line-oa",
+    icon: MessageSquare,
+  },
 ];
 
 const superadminExtraItems = [
@@ -100,6 +114,20 @@ const superadminExtraItems = [
     url: "/superadmin/superadmins",
     icon: User,
   },
+  {
+    title: "navigation.rolePermissions",
+    url: "/superadmin/permissions",
+    icon: Shield,
+  },
+  {
+    title: "navigation.auditLog",
+    url: "/superadmin/audit-log",
+    icon: ScrollText,
+  },  {
+    title: "navigation.lineOA",
+    url: "/superadmin/line-oa",
+    icon: MessageSquare,
+  },
 ];
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
@@ -0,0 +1,40 @@
+import type { ReactNode } from 'react';
+import LanguageSwitcher from '@/components/LanguageSwitcher';
+import { ThemeToggle } from '@/components/ThemeToggle';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+
+interface AuthPageShellProps {
+  title: string;
+  description?: string;
+  children: ReactNode;
+}
+
+/**
+ * Background, logo and card used by the signed-out pages that sit next to Login (forgot/reset password).
+ */
+const AuthPageShell = ({ title, description, children }: AuthPageShellProps) => (
+  <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-100 to-purple-100 dark:dark-gradient-bg flex items-center justify-center p-4 relative overflow-x-hidden transition-all duration-500">
+    <div className="absolute top-4 right-4 z-10 flex items-center gap-2">
+      <ThemeToggle />
+      <LanguageSwitcher />
+    </div>
+    <div className="w-full max-w-md space-y-8 z-10">
+      <img
+        src="/lovable-uploads/IMG_4486-removebg-preview.png"
+        alt="Siam IT Logo"
+        className="mx-auto h-20 w-auto"
+      />
+      <Card className="shadow-2xl border-0 glass dark:dark-card-gradient">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center text-blue-800 dark:text-white">{title}</CardTitle>
+          {description && (
+            <CardDescription className="text-center text-blue-400 dark:text-blue-200">{description}</CardDescription>
+          )}
+        </CardHeader>
+        <CardContent>{children}</CardContent>
+      </Card>
+    </div>
+  </div>
+);
+
+export default AuthPageShell;
@@ -0,0 +1,71 @@
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/contexts/AuthContext';
+import { showToast } from '@/lib/toast';
+import { UserSearch } from 'lucide-react';
+import { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+
+const formatRemaining = (ms: number) => {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Always-visible bar while a superadmin is viewing the system as another user.
+ * Ends the session (and returns to the employee page) on "Exit" or when the time limit runs out.
+ */
+const ImpersonationBanner = () => {
+  const { t } = useTranslation();
+  const { user, stopImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [now, setNow] = useState(() => Date.now());
+  const [stopping, setStopping] = useState(false);
+
+  const impersonation = user?.impersonation;
+  const expiresAt = impersonation ? new Date(impersonation.expiresAt).getTime() : 0;
+
+  const handleStop = useCallback(async (expired = false) => {
+    setStopping(true);
+    const returnTo = await stopImpersonation();
+    setStopping(false);
+    if (expired) showToast.info(t('impersonation.expired'));
+    navigate(returnTo || '/', { replace: true });
+  }, [navigate, stopImpersonation, t]);
+
+  useEffect(() => {
+    if (!impersonation) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [impersonation]);
+
+  useEffect(() => {
+    if (impersonation && !stopping && now >= expiresAt) handleStop(true);
+  }, [expiresAt, handleStop, impersonation, now, stopping]);
+
+  if (!impersonation) return null;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-[60] bg-amber-500 text-white shadow-lg">
+      <div className="max-w-5xl mx-auto px-4 py-2 flex flex-wrap items-center justify-center gap-x-4 gap-y-1 text-sm">
+        <UserSearch className="w-4 h-4 shrink-0" />
+        <span className="font-semibold">
+          {t('impersonation.banner', { name: user?.full_name || user?.email, impersonator: impersonation.impersonatorName })}
+        </span>
+        <span className="opacity-90">{t('impersonation.readOnly')}</span>
+        <span className="font-mono">{t('impersonation.endsIn', { time: formatRemaining(expiresAt - now) })}</span>
+        <Button
+          size="sm"
+          variant="outline"
+          className="h-7 bg-white/10 border-white text-white hover:bg-white hover:text-amber-600"
+          disabled={stopping}
+          onClick={() => handleStop()}
+        >
+          {t('impersonation.exit')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
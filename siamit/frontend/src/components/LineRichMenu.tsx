@@ -1,96 +1,475 @@
-import React from 'react';
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { Button } from '@/components/ui/button';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
 import { Badge } from '@/components/ui/badge';
-import { Calendar, Clock, User, FileText, Bell, Settings } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { apiEndpoints } from '@/constants/api';
+import { API_BASE_URL, apiService } from '@/lib/api';
+import { logger } from '@/lib/logger';
+import { showToast } from '@/lib/toast';
+import { ImageUp, Pencil, Plus, RefreshCw, Send, Star, Trash2, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+type RichMenuSize = 'full' | 'compact';
+type RichMenuAudience = 'employee' | 'approver';
+type AreaActionType = 'message' | 'postback' | 'uri';
+
+type RichMenuArea = {
+  bounds: { x: number; y: number; width: number; height: number };
+  action: { type: AreaActionType; label?: string; text?: string; data?: string; uri?: string };
+};
+
+type RichMenu = {
+  id: string;
+  name: string;
+  audience: RichMenuAudience | null;
+  size: RichMenuSize;
+  chatBarText: string;
+  areas: RichMenuArea[];
+  imageUrl: string | null;
+  published: boolean;
+  isDefault: boolean;
+  hasUnpublishedChanges: boolean;
+  publishedAt: string | null;
+};
+
+type RichMenuTemplate = Pick<RichMenu, 'name' | 'audience' | 'size' | 'chatBarText' | 'areas'> & { key: string };
+
+type MenuDraft = Pick<RichMenu, 'name' | 'size' | 'chatBarText' | 'areas'> & { audience: RichMenuAudience | typeof NO_AUDIENCE };
+
+// ขนาดรูปที่ LINE กำหนดต่อ size ของเมนู
+const RICH_MENU_DIMENSIONS: Record<RichMenuSize, { width: number; height: number }> = {
+  full: { width: 2500, height: 1686 },
+  compact: { width: 2500, height: 843 },
+};
+const NO_AUDIENCE = 'none';
+const MAX_IMAGE_BYTES = 1024 * 1024;
+
+// ช่องที่เก็บค่าของ action แต่ละชนิด
+const ACTION_VALUE_KEY: Record<AreaActionType, 'text' | 'data' | 'uri'> = {
+  message: 'text',
+  postback: 'data',
+  uri: 'uri',
+};
+
+type ApiResult = { success?: boolean; message?: string; data?: { errors?: string[] } } | null | undefined;
+
+// backend ตอบ validation error เป็น data.errors
+const errorMessage = (res: ApiResult) => res?.data?.errors?.[0] || res?.message;
+
+const toDraft = (menu: RichMenu): MenuDraft => ({
+  name: menu.name,
+  audience: menu.audience || NO_AUDIENCE,
+  size: menu.size,
+  chatBarText: menu.chatBarText,
+  areas: menu.areas.map(area => ({ bounds: { ...area.bounds }, action: { ...area.action } })),
+});
+
+/**
+ * The menu image with its tappable areas drawn on top (positions are relative to the LINE image size)
+ */
+const RichMenuPreview: React.FC<{ size: RichMenuSize; areas: RichMenuArea[]; imageUrl: string | null }> = ({ size, areas, imageUrl }) => {
+  const { width, height } = RICH_MENU_DIMENSIONS[size];
+  const percent = (value: number, total: number) => `${(value / total) * 100}%`;
+
+  return (
+    <div
+      className="relative w-full rounded-lg overflow-hidden border border-blue-100 dark:border-gray-700 bg-gray-100 dark:bg-gray-800 bg-cover bg-center"
+      style={{ aspectRatio: `${width} / ${height}`, backgroundImage: imageUrl ? `url(${API_BASE_URL}${imageUrl})` : undefined }}
+    >
+      {areas.map((area, index) => (
+        <div
+          key={index}
+          className="absolute flex items-center justify-center border border-dashed border-blue-500/70 bg-blue-500/10 text-[10px] md:text-xs font-medium text-blue-900 dark:text-blue-100 text-center p-1"
+          style={{
+            left: percent(area.bounds.x, width),
+            top: percent(area.bounds.y, height),
+            width: percent(area.bounds.width, width),
+            height: percent(area.bounds.height, height),
+          }}
+        >
+          <span className="rounded bg-white/80 dark:bg-gray-900/80 px-1 truncate">{area.action.label || index + 1}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
 
 interface LineRichMenuProps {
   className?: string;
+  disabled?: boolean;
+  onChanged?: () => void;
 }
 
-const LineRichMenu: React.FC<LineRichMenuProps> = ({ className }) => {
-  const menuItems = [
-    {
-      id: 'leave-request',
-      title: 'ขอลาพัก',
-      description: 'ส่งคำขอลาพักใหม่',
-      icon: Calendar,
-      url: '/leave-request',
-      color: 'bg-blue-500'
-    },
-    {
-      id: 'leave-history',
-      title: 'ประวัติการลา',
-      description: 'ดูประวัติการลาทั้งหมด',
-      icon: Clock,
-      url: '/leave-history',
-      color: 'bg-green-500'
-    },
-    {
-      id: 'profile',
-      title: 'โปรไฟล์',
-      description: 'จัดการข้อมูลส่วนตัว',
-      icon: User,
-      url: '/profile',
-      color: 'bg-purple-500'
-    },
-    {
-      id: 'announcements',
-      title: 'ประกาศ',
-      description: 'ดูประกาศล่าสุด',
-      icon: FileText,
-      url: '/announcements',
-      color: 'bg-orange-500'
-    },
-    {
-      id: 'notifications',
-      title: 'การแจ้งเตือน',
-      description: 'จัดการการแจ้งเตือน',
-      icon: Bell,
-      url: '/notifications',
-      color: 'bg-red-500'
-    },
-    {
-      id: 'settings',
-      title: 'ตั้งค่า',
-      description: 'การตั้งค่าระบบ',
-      icon: Settings,
-      url: '/settings',
-      color: 'bg-gray-500'
+/**
+ * Rich menus of the LINE Official Account: drafts are edited here, then published to LINE
+ * and linked to employees by audience (approvers get the approver menu, everyone else the employee menu).
+ */
+const LineRichMenu: React.FC<LineRichMenuProps> = ({ className, disabled = false, onChanged }) => {
+  const { t } = useTranslation();
+  const [menus, setMenus] = useState<RichMenu[]>([]);
+  const [templates, setTemplates] = useState<RichMenuTemplate[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [editing, setEditing] = useState<RichMenu | null>(null);
+  const [draft, setDraft] = useState<MenuDraft | null>(null);
+  const [deleting, setDeleting] = useState<RichMenu | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const [uploadTarget, setUploadTarget] = useState<RichMenu | null>(null);
+
+  const fetchMenus = useCallback(async () => {
+    try {
+      const [menuRes, templateRes] = await Promise.all([
+        apiService.get(apiEndpoints.line.richMenus.list),
+        apiService.get(apiEndpoints.line.richMenus.templates),
+      ]);
+      if (menuRes?.success) setMenus(menuRes.data);
+      if (templateRes?.success) setTemplates(templateRes.data);
+    } catch (error) {
+      logger.error('Error loading rich menus:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMenus();
+  }, [fetchMenus]);
+
+  // เรียก API แล้วโหลดรายการใหม่; busyId กันกดซ้ำระหว่างรอ LINE
+  const runAction = async (id: string, request: () => Promise<ApiResult>, successTitle: string) => {
+    setBusyId(id);
+    try {
+      const res = await request();
+      if (!res?.success) {
+        showToast.error(t('common.error'), errorMessage(res));
+        return false;
+      }
+      showToast.success(successTitle);
+      await fetchMenus();
+      onChanged?.();
+      return true;
+    } catch (error) {
+      logger.error('Rich menu request failed:', error);
+      showToast.error(t('common.error'), t('lineOA.richMenu.requestFailed'));
+      return false;
+    } finally {
+      setBusyId(null);
     }
-  ];
+  };
+
+  const createFromTemplate = (template: RichMenuTemplate) => {
+    const { key, ...menu } = template;
+    runAction(`template-${key}`, () => apiService.post(apiEndpoints.line.richMenus.list, menu), t('lineOA.richMenu.created'));
+  };
+
+  const openEditor = (menu: RichMenu) => {
+    setEditing(menu);
+    setDraft(toDraft(menu));
+  };
+
+  const closeEditor = () => {
+    setEditing(null);
+    setDraft(null);
+  };
+
+  const saveDraft = async () => {
+    if (!editing || !draft) return;
+    const body = { ...draft, audience: draft.audience === NO_AUDIENCE ? null : draft.audience };
+    const saved = await runAction(editing.id, () => apiService.put(apiEndpoints.line.richMenus.detail(editing.id), body), t('lineOA.richMenu.saved'));
+    if (saved) closeEditor();
+  };
+
+  const updateArea = (index: number, update: (area: RichMenuArea) => RichMenuArea) => {
+    if (!draft) return;
+    setDraft({ ...draft, areas: draft.areas.map((area, i) => (i === index ? update(area) : area)) });
+  };
+
+  const setBound = (index: number, key: keyof RichMenuArea['bounds'], value: string) =>
+    updateArea(index, area => ({ ...area, bounds: { ...area.bounds, [key]: parseInt(value) || 0 } }));
+
+  // เปลี่ยนชนิด action แล้วย้ายค่าเดิมไปช่องของชนิดใหม่
+  const setActionType = (index: number, type: AreaActionType) =>
+    updateArea(index, area => {
+      const value = area.action[ACTION_VALUE_KEY[area.action.type]] || '';
+      return { ...area, action: { type, label: area.action.label, [ACTION_VALUE_KEY[type]]: value } };
+    });
+
+  const addArea = () => {
+    if (!draft) return;
+    const { width, height } = RICH_MENU_DIMENSIONS[draft.size];
+    setDraft({
+      ...draft,
+      areas: [...draft.areas, { bounds: { x: 0, y: 0, width, height }, action: { type: 'message', label: '', text: '' } }],
+    });
+  };
+
+  const removeArea = (index: number) => {
+    if (!draft) return;
+    setDraft({ ...draft, areas: draft.areas.filter((_, i) => i !== index) });
+  };
+
+  const pickImage = (menu: RichMenu) => {
+    setUploadTarget(menu);
+    fileInputRef.current?.click();
+  };
+
+  const uploadImage = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !uploadTarget) return;
+    if (file.size > MAX_IMAGE_BYTES) {
+      showToast.error(t('common.error'), t('lineOA.richMenu.imageTooLarge'));
+      return;
+    }
+    const formData = new FormData();
+    formData.append('image', file);
+    runAction(uploadTarget.id, () => apiService.post(apiEndpoints.line.richMenus.image(uploadTarget.id), formData), t('lineOA.richMenu.imageUploaded'));
+  };
+
+  const confirmDelete = async () => {
+    if (!deleting) return;
+    const menu = deleting;
+    setDeleting(null);
+    await runAction(menu.id, () => apiService.delete(apiEndpoints.line.richMenus.detail(menu.id)), t('lineOA.richMenu.deleted'));
+  };
+
+  const audienceLabel = (audience: RichMenuAudience | null) =>
+    audience ? t(`lineOA.richMenu.audiences.${audience}`) : t('lineOA.richMenu.audiences.none');
+
+  const usedAudiences = new Set(menus.map(menu => menu.audience).filter(Boolean));
 
   return (
-    <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 ${className}`}>
-      {menuItems.map((item) => {
-        const IconComponent = item.icon;
-        return (
-          <Card key={item.id} className="hover:shadow-lg transition-shadow cursor-pointer">
-            <CardHeader className="pb-3">
-              <div className="flex items-center gap-3">
-                <div className={`p-2 rounded-lg ${item.color} text-white`}>
-                  <IconComponent className="h-5 w-5" />
-                </div>
+    <div className={`space-y-4 ${className || ''}`}>
+      <input ref={fileInputRef} type="file" accept="image/png,image/jpeg" className="hidden" onChange={uploadImage} />
+
+      <div className="flex flex-col md:flex-row gap-2">
+        {templates.map(template => (
+          <Button
+            key={template.key}
+            variant="outline"
+            className="flex-1"
+            disabled={disabled || !!busyId || usedAudiences.has(template.audience)}
+            onClick={() => createFromTemplate(template)}
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            {t('lineOA.richMenu.createFromTemplate', { name: audienceLabel(template.audience) })}
+          </Button>
+        ))}
+        <Button
+          variant="outline"
+          className="flex-1"
+          disabled={disabled || !!busyId || !menus.some(menu => menu.published)}
+          onClick={() => runAction('sync', () => apiService.post(apiEndpoints.line.richMenus.syncLinks, {}), t('lineOA.richMenu.linksSynced'))}
+        >
+          <RefreshCw className="h-4 w-4 mr-2" />
+          {t('lineOA.richMenu.syncLinks')}
+        </Button>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('common.loading')}</p>
+      ) : menus.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('lineOA.richMenu.empty')}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {menus.map(menu => {
+            const busy = busyId === menu.id;
+            return (
+              <div key={menu.id} className="p-4 border rounded-xl bg-white/80 dark:bg-gray-900/60 border-blue-100 dark:border-gray-700 space-y-3">
+                <RichMenuPreview size={menu.size} areas={menu.areas} imageUrl={menu.imageUrl} />
                 <div>
-                  <CardTitle className="text-lg">{item.title}</CardTitle>
-                  <CardDescription>{item.description}</CardDescription>
+                  <p className="font-semibold text-blue-900 dark:text-blue-100">{menu.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {audienceLabel(menu.audience)} · {menu.chatBarText}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  <Badge variant={menu.published ? 'default' : 'secondary'}>
+                    {menu.published ? t('lineOA.richMenu.published') : t('lineOA.richMenu.draft')}
+                  </Badge>
+                  {menu.published && menu.hasUnpublishedChanges && (
+                    <Badge variant="outline">{t('lineOA.richMenu.unpublishedChanges')}</Badge>
+                  )}
+                  {menu.isDefault && <Badge variant="outline">{t('lineOA.richMenu.default')}</Badge>}
+                  {!menu.imageUrl && <Badge variant="destructive">{t('lineOA.richMenu.noImage')}</Badge>}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <Button size="sm" variant="outline" disabled={busy} onClick={() => openEditor(menu)}>
+                    <Pencil className="h-4 w-4 mr-1" />
+                    {t('common.edit')}
+                  </Button>
+                  <Button size="sm" variant="outline" disabled={busy} onClick={() => pickImage(menu)}>
+                    <ImageUp className="h-4 w-4 mr-1" />
+                    {t('lineOA.richMenu.uploadImage')}
+                  </Button>
+                  <Button
+                    size="sm"
+                    disabled={disabled || busy || !menu.imageUrl || (menu.published && !menu.hasUnpublishedChanges)}
+                    onClick={() => runAction(menu.id, () => apiService.post(apiEndpoints.line.richMenus.publish(menu.id), {}), t('lineOA.richMenu.publishedSuccess'))}
+                  >
+                    <Send className="h-4 w-4 mr-1" />
+                    {t('lineOA.richMenu.publish')}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={disabled || busy || !menu.published || menu.isDefault}
+                    onClick={() => runAction(menu.id, () => apiService.post(apiEndpoints.line.richMenus.setDefault(menu.id), {}), t('lineOA.richMenu.defaultSet'))}
+                  >
+                    <Star className="h-4 w-4 mr-1" />
+                    {t('lineOA.richMenu.setDefault')}
+                  </Button>
+                  <Button size="sm" variant="destructive" disabled={busy} onClick={() => setDeleting(menu)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">{t('lineOA.richMenu.imageHint')}</p>
+
+      <Dialog open={!!draft} onOpenChange={open => !open && closeEditor()}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{t('lineOA.richMenu.editTitle')}</DialogTitle>
+          </DialogHeader>
+          {draft && (
+            <div className="space-y-4">
+              <RichMenuPreview size={draft.size} areas={draft.areas} imageUrl={editing?.imageUrl || null} />
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="rich-menu-name">{t('lineOA.richMenu.name')}</Label>
+                  <Input id="rich-menu-name" value={draft.name} maxLength={100} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="rich-menu-chat-bar">{t('lineOA.richMenu.chatBarText')}</Label>
+                  <Input id="rich-menu-chat-bar" value={draft.chatBarText} maxLength={14} onChange={e => setDraft({ ...draft, chatBarText: e.target.value })} />
+                </div>
+                <div className="space-y-1">
+                  <Label>{t('lineOA.richMenu.audience')}</Label>
+                  <Select value={draft.audience} onValueChange={value => setDraft({ ...draft, audience: value as MenuDraft['audience'] })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="employee">{t('lineOA.richMenu.audiences.employee')}</SelectItem>
+                      <SelectItem value="approver">{t('lineOA.richMenu.audiences.approver')}</SelectItem>
+                      <SelectItem value={NO_AUDIENCE}>{t('lineOA.richMenu.audiences.none')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label>{t('lineOA.richMenu.size')}</Label>
+                  <Select value={draft.size} onValueChange={value => setDraft({ ...draft, size: value as RichMenuSize })}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(Object.keys(RICH_MENU_DIMENSIONS) as RichMenuSize[]).map(size => (
+                        <SelectItem key={size} value={size}>
+                          {t(`lineOA.richMenu.sizes.${size}`)} ({RICH_MENU_DIMENSIONS[size].width} × {RICH_MENU_DIMENSIONS[size].height})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
                 </div>
               </div>
-            </CardHeader>
-            <CardContent>
-              <Button 
-                variant="outline" 
-                className="w-full"
-                onClick={() => window.open(item.url, '_blank')}
-              >
-                เข้าถึง
-              </Button>
-            </CardContent>
-          </Card>
-        );
-      })}
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label>{t('lineOA.richMenu.areas')}</Label>
+                  <Button size="sm" variant="outline" onClick={addArea} disabled={draft.areas.length >= 20}>
+                    <Plus className="h-4 w-4 mr-1" />
+                    {t('lineOA.richMenu.addArea')}
+                  </Button>
+                </div>
+                {draft.areas.map((area, index) => {
+                  const valueKey = ACTION_VALUE_KEY[area.action.type];
+                  return (
+                    <div key={index} className="grid grid-cols-2 md:grid-cols-12 gap-2 items-end p-2 rounded-lg bg-blue-50 dark:bg-gray-800">
+                      {(['x', 'y', 'width', 'height'] as const).map(key => (
+                        <div key={key} className="md:col-span-1 space-y-1">
+                          <Label className="text-xs">{t(`lineOA.richMenu.bounds.${key}`)}</Label>
+                          <Input type="number" min={0} value={area.bounds[key]} onChange={e => setBound(index, key, e.target.value)} />
+                        </div>
+                      ))}
+                      <div className="md:col-span-2 space-y-1">
+                        <Label className="text-xs">{t('lineOA.richMenu.actionType')}</Label>
+                        <Select value={area.action.type} onValueChange={value => setActionType(index, value as AreaActionType)}>
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {(Object.keys(ACTION_VALUE_KEY) as AreaActionType[]).map(type => (
+                              <SelectItem key={type} value={type}>{t(`lineOA.richMenu.actionTypes.${type}`)}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <div className="md:col-span-2 space-y-1">
+                        <Label className="text-xs">{t('lineOA.richMenu.actionLabel')}</Label>
+                        <Input
+                          value={area.action.label || ''}
+                          maxLength={20}
+                          onChange={e => updateArea(index, a => ({ ...a, action: { ...a.action, label: e.target.value } }))}
+                        />
+                      </div>
+                      <div className="col-span-2 md:col-span-3 space-y-1">
+                        <Label className="text-xs">{t(`lineOA.richMenu.actionValues.${area.action.type}`)}</Label>
+                        <Input
+                          value={area.action[valueKey] || ''}
+                          onChange={e => updateArea(index, a => ({ ...a, action: { ...a.action, [valueKey]: e.target.value } }))}
+                        />
+                      </div>
+                      <Button size="icon" variant="ghost" className="md:col-span-1" onClick={() => removeArea(index)} disabled={draft.areas.length <= 1}>
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  );
+                })}
+              </div>
+              {editing?.published && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">{t('lineOA.richMenu.republishHint')}</p>
+              )}
+            </div>
+          )}
+          <DialogFooter>
+            <Button variant="outline" onClick={closeEditor}>{t('common.cancel')}</Button>
+            <Button onClick={saveDraft} disabled={!!busyId}>{t('common.save')}</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={!!deleting} onOpenChange={open => !open && setDeleting(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{t('lineOA.richMenu.deleteTitle')}</AlertDialogTitle>
+            <AlertDialogDescription>{t('lineOA.richMenu.deleteDescription', { name: deleting?.name })}</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+            <AlertDialogAction onClick={confirmDelete}>{t('common.delete')}</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
     </div>
   );
 };
 
-export default LineRichMenu; 
\ No newline at end of file
+export default LineRichMenu;
@@ -24,6 +24,8 @@ interface Notification {
     name_en: string;
   };
   reason?: string;
+  cancellation?: 'confirmed' | 'rejected' | null;
+  cancelRejectedReason?: string | null;
 }
 
 const NotificationBell = () => {
@@ -42,6 +44,16 @@ const NotificationBell = () => {
     return i18n.language.startsWith('th') ? leaveType.name_th : leaveType.name_en;
   };
 
+  // Cancellation outcomes take precedence over the leave status itself
+  const isPositive = (notification: Notification) =>
+    notification.cancellation ? notification.cancellation === 'confirmed' : notification.status === 'approved';
+
+  const getNotificationTitle = (notification: Notification) => {
+    if (notification.cancellation === 'confirmed') return t('notification.cancelConfirmed');
+    if (notification.cancellation === 'rejected') return t('notification.cancelRejected');
+    return notification.status === 'approved' ? t('notification.approved') : t('notification.rejected');
+  };
+
   // Fetch notifications function
   const fetchNotifications = async () => {
     setLoading(true);
@@ -77,11 +89,19 @@ const NotificationBell = () => {
       socket.on('leaveRequestUpdated', (data) => {
 
         // Show toast notification
-        toast({
-          title: data.status === 'approved' ? t('notifications.approved') : t('notifications.rejected'),
-          description: data.message,
-          variant: data.status === 'approved' ? 'default' : 'destructive'
-        });
+        if (data.cancellation) {
+          toast({
+            title: data.cancellation === 'cancelled' ? t('notification.cancelConfirmed') : t('notification.cancelRejected'),
+            description: data.message,
+            variant: data.cancellation === 'cancelled' ? 'default' : 'destructive'
+          });
+        } else {
+          toast({
+            title: data.status === 'approved' ? t('notifications.approved') : t('notifications.rejected'),
+            description: data.message,
+            variant: data.status === 'approved' ? 'default' : 'destructive'
+          });
+        }
 
         // Refresh notifications
         fetchNotifications();
@@ -181,7 +201,7 @@ const NotificationBell = () => {
               notifications.map((notification, idx) => (
                 <div
                   key={notification.id}
-                  className={`flex items-start gap-3 p-4 rounded-xl shadow-md border-0 transition-all duration-200 ${notification.status === 'approved'
+                  className={`flex items-start gap-3 p-4 rounded-xl shadow-md border-0 transition-all duration-200 ${isPositive(notification)
                     ? 'bg-gradient-to-br from-green-50/80 via-emerald-50/80 to-green-100/80 border-l-4 border-green-400'
                     : 'bg-gradient-to-br from-red-50/80 via-rose-50/80 to-red-100/80 border-l-4 border-red-400'
                     }`}
@@ -191,16 +211,16 @@ const NotificationBell = () => {
                   }}
                 >
                   <div className="flex-shrink-0 mt-1">
-                    {notification.status === 'approved' ? (
+                    {isPositive(notification) ? (
                       <Check className="h-5 w-5 text-green-600 bg-green-100 rounded-full p-1 shadow" />
                     ) : (
                       <X className="h-5 w-5 text-red-600 bg-red-100 rounded-full p-1 shadow" />
                     )}
                   </div>
                   <div className="flex-1">
-                    <h4 className={`font-semibold text-base mb-0.5 ${notification.status === 'approved' ? 'text-green-700' : 'text-red-700'
+                    <h4 className={`font-semibold text-base mb-0.5 ${isPositive(notification) ? 'text-green-700' : 'text-red-700'
                       }`}>
-                      {notification.status === 'approved' ? t('notification.approved') : t('notification.rejected')}
+                      {getNotificationTitle(notification)}
                     </h4>
                     <p className="text-xs text-gray-600 mb-1">
                       {new Date(notification.startDate).toLocaleDateString('th-TH')} - {new Date(notification.endDate).toLocaleDateString('th-TH')}
@@ -210,12 +230,17 @@ const NotificationBell = () => {
                         {getLeaveTypeName(notification.leaveType)}
                       </p>
                     )}
+                    {notification.cancellation === 'rejected' && notification.cancelRejectedReason && (
+                      <p className="text-xs text-red-600 mt-1 break-all">
+                        {notification.cancelRejectedReason}
+                      </p>
+                    )}
                   </div>
                   <Button
                     variant="ghost"
                     size="icon"
                     onClick={() => handleMarkAsRead(notification.id)}
-                    className={`ml-2 p-1 h-7 w-7 rounded-full shadow ${notification.status === 'approved'
+                    className={`ml-2 p-1 h-7 w-7 rounded-full shadow ${isPositive(notification)
                       ? 'bg-green-100 hover:bg-green-200 text-green-600'
                       : 'bg-red-100 hover:bg-red-200 text-red-600'
                       }`}
@@ -0,0 +1,130 @@
+import { useCallback, useEffect, useState } from "react";
+import { Mail, MessageSquare } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { apiEndpoints } from "@/constants/api";
+import { useToast } from "@/hooks/use-toast";
+import { apiService } from "@/lib/api";
+import { logger } from "@/lib/logger";
+
+type NotificationLanguage = 'th' | 'en';
+
+interface NotificationPreferences {
+  email: boolean;
+  line: boolean;
+  language: NotificationLanguage;
+  hasEmail: boolean;
+  lineLinked: boolean;
+}
+
+type PreferenceChange = Partial<Pick<NotificationPreferences, 'email' | 'line' | 'language'>>;
+
+/**
+ * Lets the user choose which off-app channels (email, LINE) notify them and in which language.
+ * In-app notifications are always on, so they are not listed here.
+ */
+const NotificationPreferencesPanel = () => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [preferences, setPreferences] = useState<NotificationPreferences | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPreferences = useCallback(async () => {
+    try {
+      const res = await apiService.get(apiEndpoints.auth.notificationPreferences);
+      if (res?.success) setPreferences(res.data);
+    } catch (error) {
+      logger.error('Error fetching notification preferences:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
+  const save = async (change: PreferenceChange) => {
+    if (!preferences) return;
+    const previous = preferences;
+    setPreferences({ ...preferences, ...change });
+    setSaving(true);
+    try {
+      const res = await apiService.put(apiEndpoints.auth.notificationPreferences, change);
+      if (!res?.success) throw new Error(res?.message);
+      setPreferences(res.data);
+      toast({ title: t('notificationPreferences.saved') });
+    } catch (err) {
+      setPreferences(previous);
+      toast({ title: t('common.error'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  const channels = [
+    {
+      key: 'email' as const,
+      icon: Mail,
+      label: t('notificationPreferences.email'),
+      available: preferences.hasEmail,
+      hint: preferences.hasEmail ? t('notificationPreferences.emailDesc') : t('notificationPreferences.noEmail')
+    },
+    {
+      key: 'line' as const,
+      icon: MessageSquare,
+      label: t('notificationPreferences.line'),
+      available: preferences.lineLinked,
+      hint: preferences.lineLinked ? t('notificationPreferences.lineDesc') : t('notificationPreferences.lineNotLinked')
+    }
+  ];
+
+  return (
+    <div className="p-4 md:p-6 border rounded-2xl bg-blue-50 dark:bg-gray-800 shadow-sm border-blue-100 dark:border-gray-700 space-y-4">
+      <div>
+        <h3 className="font-semibold text-blue-900 dark:text-blue-200 flex items-center gap-2 text-sm md:text-base"><Mail className="h-4 w-4 md:h-5 md:w-5 text-blue-400" /> {t('notificationPreferences.title')}</h3>
+        <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 mt-1">{t('notificationPreferences.description')}</p>
+      </div>
+
+      <div className="space-y-2">
+        {channels.map(({ key, icon: Icon, label, available, hint }) => (
+          <div key={key} className="flex items-center gap-4 p-3 rounded-xl bg-white/80 dark:bg-gray-900/60">
+            <div className="flex-1 min-w-0">
+              <Label htmlFor={`notify-${key}-switch`} className="flex items-center gap-2 font-medium text-blue-900 dark:text-blue-100 text-sm">
+                <Icon className="h-4 w-4 text-blue-400" /> {label}
+              </Label>
+              <p className="text-xs text-gray-500 dark:text-gray-400">{hint}</p>
+            </div>
+            <Switch
+              id={`notify-${key}-switch`}
+              checked={available && preferences[key]}
+              disabled={!available || saving}
+              onCheckedChange={(checked) => save({ [key]: checked })}
+            />
+          </div>
+        ))}
+
+        <div className="flex flex-col md:flex-row md:items-center gap-2 md:gap-4 p-3 rounded-xl bg-white/80 dark:bg-gray-900/60">
+          <Label className="flex-1 font-medium text-blue-900 dark:text-blue-100 text-sm">{t('notificationPreferences.language')}</Label>
+          <Select
+            value={preferences.language}
+            disabled={saving}
+            onValueChange={(value) => save({ language: value as NotificationLanguage })}
+          >
+            <SelectTrigger className="w-full md:w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="th">{t('notificationPreferences.languages.th')}</SelectItem>
+              <SelectItem value="en">{t('notificationPreferences.languages.en')}</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferencesPanel;
@@ -28,6 +28,7 @@ interface LeaveRequest {
   statusBy?: string;
   approvedBy?: string;
   rejectedBy?: string;
+  onBehalfOf?: string | null;
   approvedTime?: string;
   startTime?: string;
   endTime?: string;
@@ -405,6 +406,9 @@ export const LeaveDetailDialog = ({ open, onOpenChange, leaveRequest }: LeaveDet
                         <div className="flex items-center gap-2 p-3 bg-green-50 rounded-lg">
                           <CheckCircle className="w-4 h-4 text-green-500" />
                           <span className="font-medium text-green-900">{leaveDetail.approvedBy}</span>
+                          {leaveDetail.onBehalfOf && (
+                            <span className="text-sm text-green-700">{t('delegations.onBehalfOf', { name: leaveDetail.onBehalfOf })}</span>
+                          )}
                         </div>
                       </div>
                     )}
@@ -416,6 +420,9 @@ export const LeaveDetailDialog = ({ open, onOpenChange, leaveRequest }: LeaveDet
                           <div className="flex items-center gap-2 p-3 bg-red-50 rounded-lg">
                             <XCircle className="w-4 h-4 text-red-500" />
                             <span className="font-medium text-red-900">{leaveDetail.rejectedBy || '-'}</span>
+                            {leaveDetail.onBehalfOf && (
+                              <span className="text-sm text-red-700">{t('delegations.onBehalfOf', { name: leaveDetail.onBehalfOf })}</span>
+                            )}
                           </div>
                         </div>
                         {leaveDetail.rejectedReason && (
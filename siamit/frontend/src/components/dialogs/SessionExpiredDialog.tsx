@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '@/contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
@@ -12,17 +12,36 @@ import {
   DialogTitle,
 } from '@/components/ui/dialog';
 import { AlertTriangle } from 'lucide-react';
+import { refreshSession } from '@/lib/api';
 import { logger } from '@/lib/logger';
 
 interface SessionExpiredDialogProps {
   open: boolean;
   onClose: () => void;
+  /** Called when the session could be renewed silently, so the dialog never shows */
+  onRefreshed?: () => void;
 }
 
-export default function SessionExpiredDialog({ open, onClose }: SessionExpiredDialogProps) {
+export default function SessionExpiredDialog({ open, onClose, onRefreshed }: SessionExpiredDialogProps) {
   const { t } = useTranslation();
   const { logout } = useAuth();
   const navigate = useNavigate();
+  const [refreshFailed, setRefreshFailed] = useState(false);
+
+  // ลองต่ออายุด้วย refresh token ก่อน แสดง dialog เฉพาะเมื่อ session ถูกยกเลิกหรือหมดอายุจริง
+  useEffect(() => {
+    if (!open) {
+      setRefreshFailed(false);
+      return;
+    }
+    let cancelled = false;
+    refreshSession().then(token => {
+      if (cancelled) return;
+      if (token) onRefreshed?.();
+      else setRefreshFailed(true);
+    });
+    return () => { cancelled = true; };
+  }, [open, onRefreshed]);
 
   const handleLogout = async () => {
     try {
@@ -47,7 +66,7 @@ export default function SessionExpiredDialog({ open, onClose }: SessionExpiredDi
   };
 
   return (
-    <Dialog open={open} onOpenChange={handleOpenChange}>
+    <Dialog open={open && refreshFailed} onOpenChange={handleOpenChange}>
       <DialogContent className="sm:max-w-md">
         <DialogHeader>
           <div className="flex items-center gap-3">
@@ -34,6 +34,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
   const [leaveDate, setLeaveDate] = useState<string>("");
   const [leaveType, setLeaveType] = useState("");
   const [durationType, setDurationType] = useState("");
+  const [halfDayPeriod, setHalfDayPeriod] = useState(""); // ช่วงลาครึ่งวัน: morning | afternoon
   const [startTime, setStartTime] = useState<string>(TIME_CONSTANTS.WORKING_START_TIME); // Default business start time
   const [endTime, setEndTime] = useState<string>(TIME_CONSTANTS.WORKING_END_TIME); // Default business end time
   const [reason, setReason] = useState("");
@@ -72,6 +73,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
     startDate: '',
     endDate: '',
     leaveDate: '',
+    halfDayPeriod: '',
     startTime: '',
     endTime: '',
     reason: '',
@@ -225,6 +227,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
       startDate: '',
       endDate: '',
       leaveDate: '',
+      halfDayPeriod: '',
       startTime: '',
       endTime: '',
       reason: '',
@@ -253,6 +256,13 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
       if (!endDate) {
         newErrors.endDate = t('leave.selectEndDateRequired');
       }
+    } else if (durationType === 'half_day') {
+      if (!leaveDate) {
+        newErrors.leaveDate = t('leave.selectLeaveDateRequired');
+      }
+      if (!halfDayPeriod) {
+        newErrors.halfDayPeriod = t('leave.selectHalfDayPeriod');
+      }
     } else if (durationType === 'hour') {
       if (!leaveDate) {
         newErrors.leaveDate = t('leave.selectLeaveDateRequired');
@@ -337,6 +347,13 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
         if (startDate) formData.append("startDate", startDate);
         if (endDate) formData.append("endDate", endDate);
         // For full day leave, don't send time fields
+      } else if (durationType === 'half_day') {
+        // Half-day leave covers a single date, deducted as 0.5 day
+        if (leaveDate) {
+          formData.append("startDate", leaveDate);
+          formData.append("endDate", leaveDate);
+        }
+        if (halfDayPeriod) formData.append("halfDayPeriod", halfDayPeriod);
       } else if (durationType === 'hour') {
         // For hourly leave, use leaveDate as startDate and endDate
         if (leaveDate) {
@@ -394,9 +411,12 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
       }
 
       if (data && (data.success || data.token)) {
+        const blackoutWarnings: { title: string }[] = data.warnings?.blackouts || [];
         toast({
           title: t('leave.submitSuccess'),
-          description: t('leave.leaveRequestSuccess'),
+          description: blackoutWarnings.length
+            ? t('blackouts.submittedInBlackout', { titles: blackoutWarnings.map(b => b.title).join(', ') })
+            : t('leave.leaveRequestSuccess'),
         });
 
         if (onSubmit) {
@@ -433,6 +453,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
   // Reset time to default values when duration type changes
   const handleDurationTypeChange = (value: string) => {
     setDurationType(value);
+    setHalfDayPeriod("");
     if (value === 'hour') {
       setStartTime(TIME_CONSTANTS.WORKING_START_TIME); // Reset to business start time
       setEndTime(TIME_CONSTANTS.WORKING_END_TIME); // Reset to business end time
@@ -607,6 +628,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="day">{t('leave.fullDay')}</SelectItem>
+                    <SelectItem value="half_day">{t('leave.halfDay')}</SelectItem>
                     <SelectItem value="hour">{t('leave.hourly')}</SelectItem>
                   </SelectContent>
                 </Select>
@@ -745,6 +767,43 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
                 </div>
 
               </div>
+            ) : durationType === 'half_day' ? (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center gap-2">
+                    <CalendarDays className="w-4 h-4" />
+                    {t('leave.leaveDate')}
+                  </label>
+                  <DatePicker
+                    date={leaveDate}
+                    onDateChange={setLeaveDate}
+                    placeholder={t('leave.selectLeaveDate')}
+                    className={errors.leaveDate ? 'border-red-500' : ''}
+                  />
+                  {errors.leaveDate && (
+                    <p className="text-sm text-red-500">{errors.leaveDate}</p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300 flex items-center gap-2">
+                    <Clock className="w-4 h-4" />
+                    {t('leave.halfDayPeriod')}
+                  </label>
+                  <Select value={halfDayPeriod} onValueChange={setHalfDayPeriod}>
+                    <SelectTrigger className={`w-full h-12 ${errors.halfDayPeriod ? 'border-red-500 ring-red-200' : 'border-gray-200 hover:border-blue-300'}`}>
+                      <SelectValue placeholder={t('leave.selectHalfDayPeriod')} />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="morning">{t('leave.morning')}</SelectItem>
+                      <SelectItem value="afternoon">{t('leave.afternoon')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {errors.halfDayPeriod && (
+                    <p className="text-sm text-red-500">{errors.halfDayPeriod}</p>
+                  )}
+                </div>
+              </div>
             ) : durationType === 'hour' ? (
               <div className="space-y-6">
                 <div className="space-y-2">
@@ -814,7 +873,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
         )}
 
         {/* Approval Section - Show when date is selected */}
-        {((durationType === 'day' && startDate && endDate) || (durationType === 'hour' && leaveDate)) && (
+        {((durationType === 'day' && startDate && endDate) || ((durationType === 'hour' || durationType === 'half_day') && leaveDate)) && (
           <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
             <div className="flex items-center gap-3 mb-6">
               <div className="p-2 bg-orange-100 rounded-lg">
@@ -1041,6 +1100,7 @@ export const AdminLeaveForm = ({ initialData, onSubmit, mode = 'create' }: Admin
         {/* Submit Button - Show when all required fields are filled */}
         {selectedUserId && leaveType && durationType &&
           ((durationType === 'day' && startDate && endDate) ||
+            (durationType === 'half_day' && leaveDate && halfDayPeriod) ||
             (durationType === 'hour' && leaveDate && startTime && endTime)) &&
           approvalStatus && reason && contact && (
             <div className="flex justify-end space-x-4 pt-6">
@@ -0,0 +1,177 @@
+import { FormEvent, useCallback, useEffect, useState } from "react";
+import { Trash2, UserCheck, Users } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { apiEndpoints } from "@/constants/api";
+import { useAuth } from "@/contexts/AuthContext";
+import { useToast } from "@/hooks/use-toast";
+import { apiService } from "@/lib/api";
+import { logger } from "@/lib/logger";
+import { formatDateLocalized } from "@/lib/utils";
+
+interface Delegation {
+  id: string;
+  delegatorId: string;
+  delegateId: string;
+  delegatorName: string | null;
+  delegateName: string | null;
+  startDate: string;
+  endDate: string;
+  reason: string | null;
+}
+
+interface DelegationPerson {
+  id: string;
+  name: string;
+  source: 'explicit' | 'auto';
+}
+
+interface CurrentDelegations {
+  actingFor: DelegationPerson[];
+  myDelegate: DelegationPerson | null;
+}
+
+interface Candidate {
+  id: string;
+  name: string;
+}
+
+const EMPTY_FORM = { delegateId: '', startDate: '', endDate: '', reason: '' };
+
+/**
+ * Lets an approver name a substitute for a date range and shows whose approvals they currently handle.
+ * Without an explicit substitute, the backend picks one from the same department while the approver is on leave.
+ */
+const ApprovalDelegationPanel = () => {
+  const { t, i18n } = useTranslation();
+  const { toast } = useToast();
+  const { user } = useAuth();
+  const [delegations, setDelegations] = useState<Delegation[]>([]);
+  const [current, setCurrent] = useState<CurrentDelegations>({ actingFor: [], myDelegate: null });
+  const [candidates, setCandidates] = useState<Candidate[]>([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchDelegations = useCallback(async () => {
+    try {
+      const [listRes, currentRes] = await Promise.all([
+        apiService.get(apiEndpoints.approvalDelegations.list),
+        apiService.get(apiEndpoints.approvalDelegations.current)
+      ]);
+      setDelegations(listRes?.success && Array.isArray(listRes.data) ? listRes.data : []);
+      if (currentRes?.success && currentRes.data) setCurrent(currentRes.data);
+    } catch (error) {
+      logger.error('Error fetching approval delegations:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDelegations();
+    apiService.get(apiEndpoints.approvalDelegations.candidates)
+      .then(res => setCandidates(res?.success && Array.isArray(res.data) ? res.data : []))
+      .catch(error => logger.error('Error fetching delegation candidates:', error));
+  }, [fetchDelegations]);
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    if (!form.delegateId || !form.startDate || !form.endDate) return;
+    setSaving(true);
+    try {
+      const res = await apiService.post(apiEndpoints.approvalDelegations.list, form);
+      if (!res?.success) throw new Error(res?.message || t('delegations.saveFailed'));
+      toast({ title: t('delegations.saved'), className: 'border-green-500 bg-green-50 text-green-900' });
+      setForm(EMPTY_FORM);
+      fetchDelegations();
+    } catch (err) {
+      toast({ title: t('common.error'), description: err instanceof Error ? err.message : t('delegations.saveFailed'), variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (delegation: Delegation) => {
+    try {
+      const res = await apiService.delete(apiEndpoints.approvalDelegations.detail(delegation.id));
+      if (!res?.success) throw new Error(res?.message);
+      setDelegations(prev => prev.filter(d => d.id !== delegation.id));
+      fetchDelegations();
+    } catch (err) {
+      toast({ title: t('common.error'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+    }
+  };
+
+  const sourceLabel = (person: DelegationPerson) => person.source === 'auto' ? ` (${t('delegations.autoPicked')})` : '';
+
+  return (
+    <div className="space-y-4">
+      <Card className="border-0 shadow-md bg-white/80 backdrop-blur rounded-2xl">
+        <CardContent className="p-5 space-y-2 text-sm text-blue-900">
+          <div className="flex items-center gap-2">
+            <UserCheck className="w-4 h-4 text-blue-500" />
+            {current.myDelegate
+              ? t('delegations.myDelegateToday', { name: current.myDelegate.name }) + sourceLabel(current.myDelegate)
+              : t('delegations.noDelegateToday')}
+          </div>
+          {current.actingFor.length > 0 && (
+            <div className="flex items-center gap-2">
+              <Users className="w-4 h-4 text-indigo-500" />
+              {t('delegations.actingForToday', { names: current.actingFor.map(p => p.name + sourceLabel(p)).join(', ') })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <form onSubmit={handleSubmit} className="flex flex-col md:flex-row gap-4 items-end bg-blue-50 rounded-xl p-4 shadow-sm">
+        <div className="w-full md:w-64">
+          <Select value={form.delegateId} onValueChange={value => setForm({ ...form, delegateId: value })}>
+            <SelectTrigger>
+              <SelectValue placeholder={t('delegations.delegate')} />
+            </SelectTrigger>
+            <SelectContent>
+              {candidates.map(c => (
+                <SelectItem key={c.id} value={c.id}>{c.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Input type="date" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })} required className="w-full md:w-44" aria-label={t('delegations.startDate')} />
+        <Input type="date" value={form.endDate} min={form.startDate || undefined} onChange={e => setForm({ ...form, endDate: e.target.value })} required className="w-full md:w-44" aria-label={t('delegations.endDate')} />
+        <Input value={form.reason} onChange={e => setForm({ ...form, reason: e.target.value })} placeholder={t('delegations.reason')} className="w-full md:flex-1" />
+        <Button type="submit" className="btn-primary w-full md:w-auto" disabled={saving || !form.delegateId}>
+          {t('delegations.add')}
+        </Button>
+      </form>
+
+      {!delegations.length ? (
+        <p className="text-center text-gray-500 py-8">{t('delegations.empty')}</p>
+      ) : delegations.map(delegation => (
+        <Card key={delegation.id} className="border-0 shadow-md bg-white/80 backdrop-blur rounded-2xl">
+          <CardContent className="p-5 flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex-1 min-w-0 space-y-1">
+              <div className="font-semibold text-blue-900">
+                {t('delegations.entry', { delegator: delegation.delegatorName || '-', delegate: delegation.delegateName || '-' })}
+              </div>
+              <p className="text-sm text-blue-700">
+                {formatDateLocalized(delegation.startDate, i18n.language)} - {formatDateLocalized(delegation.endDate, i18n.language)}
+              </p>
+              {delegation.reason && (
+                <p className="text-sm text-gray-700 break-all whitespace-pre-wrap">{delegation.reason}</p>
+              )}
+            </div>
+            {delegation.delegatorId === user?.id && (
+              <Button size="sm" variant="destructive" onClick={() => handleDelete(delegation)}>
+                <Trash2 className="w-4 h-4 mr-1" />
+                {t('common.delete')}
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+};
+
+export default ApprovalDelegationPanel;
@@ -0,0 +1,144 @@
+import { useCallback, useEffect, useState } from "react";
+import { Ban, CheckCircle, XCircle } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { ApprovalConfirmDialog } from "@/components/dialogs/ApprovalConfirmDialog";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { apiEndpoints } from "@/constants/api";
+import { useToast } from "@/hooks/use-toast";
+import { apiService } from "@/lib/api";
+import { logger } from "@/lib/logger";
+import { formatDateLocalized } from "@/lib/utils";
+
+interface CancellationRequest {
+  id: string;
+  leaveTypeName_th: string;
+  leaveTypeName_en: string;
+  startDate: string;
+  endDate: string;
+  cancelReason: string | null;
+  cancelRequestedTime: string | null;
+  user: { name: string } | null;
+}
+
+interface CancellationRequestsPanelProps {
+  /** Called after a cancellation has been confirmed or rejected */
+  onProcessed?: () => void;
+}
+
+/**
+ * Lists approved leaves whose owners asked for cancellation and lets an approver confirm or reject them.
+ * Confirming refunds the leave days on the backend.
+ */
+const CancellationRequestsPanel = ({ onProcessed }: CancellationRequestsPanelProps) => {
+  const { t, i18n } = useTranslation();
+  const { toast } = useToast();
+  const [requests, setRequests] = useState<CancellationRequest[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [dialogAction, setDialogAction] = useState<'approve' | 'reject'>('approve');
+  const [activeRequest, setActiveRequest] = useState<CancellationRequest | null>(null);
+
+  const fetchRequests = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiService.get(apiEndpoints.leave.cancelRequests);
+      setRequests(data?.status === 'success' && Array.isArray(data.data) ? data.data : []);
+    } catch (error) {
+      logger.error('Error fetching cancellation requests:', error);
+      setRequests([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const openDialog = (request: CancellationRequest, action: 'approve' | 'reject') => {
+    setActiveRequest(request);
+    setDialogAction(action);
+  };
+
+  const handleConfirm = async (rejectionReason?: string) => {
+    if (!activeRequest) return;
+    try {
+      const data = await apiService.put(apiEndpoints.leave.cancelStatus(activeRequest.id), {
+        status: dialogAction === 'approve' ? 'approved' : 'rejected',
+        rejectedReason: rejectionReason
+      });
+
+      if (data?.success) {
+        toast({
+          title: dialogAction === 'approve' ? t('notification.cancelConfirmed') : t('notification.cancelRejected'),
+          description: activeRequest.user?.name,
+          className: 'border-green-500 bg-green-50 text-green-900',
+        });
+        setRequests(prev => prev.filter(r => r.id !== activeRequest.id));
+        onProcessed?.();
+      } else {
+        toast({ title: t('common.error'), description: data?.message, variant: 'destructive' });
+      }
+    } catch (error) {
+      logger.error('Error processing cancellation request:', error);
+      toast({ title: t('common.error'), variant: 'destructive' });
+    } finally {
+      setActiveRequest(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-center text-gray-500 py-8">{t('common.loading')}</p>;
+  }
+
+  if (!requests.length) {
+    return <p className="text-center text-gray-500 py-8">{t('admin.noCancellationRequests')}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {requests.map(request => (
+        <Card key={request.id} className="border-0 shadow-md bg-white/80 backdrop-blur rounded-2xl">
+          <CardContent className="p-5 flex flex-col md:flex-row md:items-center gap-4">
+            <div className="flex-1 min-w-0 space-y-1">
+              <div className="flex items-center gap-2 font-semibold text-blue-900">
+                <Ban className="w-4 h-4 text-orange-500" />
+                {request.user?.name || '-'}
+              </div>
+              <p className="text-sm text-blue-700">
+                {i18n.language.startsWith('th') ? request.leaveTypeName_th : request.leaveTypeName_en}
+                {' · '}
+                {formatDateLocalized(request.startDate, i18n.language)} - {formatDateLocalized(request.endDate, i18n.language)}
+              </p>
+              {request.cancelReason && (
+                <p className="text-sm text-gray-700 break-all whitespace-pre-wrap">
+                  {t('history.cancelReason')}: {request.cancelReason}
+                </p>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => openDialog(request, 'approve')}>
+                <CheckCircle className="w-4 h-4 mr-1" />
+                {t('admin.confirmCancellation')}
+              </Button>
+              <Button size="sm" variant="destructive" onClick={() => openDialog(request, 'reject')}>
+                <XCircle className="w-4 h-4 mr-1" />
+                {t('admin.rejectCancellation')}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+
+      <ApprovalConfirmDialog
+        open={!!activeRequest}
+        onOpenChange={(open) => { if (!open) setActiveRequest(null); }}
+        onConfirm={handleConfirm}
+        action={dialogAction}
+        employeeName={activeRequest?.user?.name || ''}
+      />
+    </div>
+  );
+};
+
+export default CancellationRequestsPanel;
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Badge } from "@/components/ui/badge";
-import { CheckCircle, AlertCircle, XCircle, History } from "lucide-react";
+import { CheckCircle, AlertCircle, XCircle, History, Undo2, Ban } from "lucide-react";
 import { TFunction } from "i18next";
 
 /**
@@ -32,6 +32,27 @@ export const getStatusBadge = (status: string, t: TFunction) => {
           {t('leave.rejected')}
         </Badge>
       );
+    case "withdrawn":
+      return (
+        <Badge className="bg-gray-100 text-gray-700 border-gray-200">
+          <Undo2 className="w-3 h-3 mr-1" />
+          {t('leave.withdrawn')}
+        </Badge>
+      );
+    case "cancel_requested":
+      return (
+        <Badge className="bg-orange-100 text-orange-800 border-orange-200">
+          <AlertCircle className="w-3 h-3 mr-1" />
+          {t('leave.cancelRequested')}
+        </Badge>
+      );
+    case "cancelled":
+      return (
+        <Badge className="bg-slate-100 text-slate-800 border-slate-200">
+          <Ban className="w-3 h-3 mr-1" />
+          {t('leave.cancelled')}
+        </Badge>
+      );
     default:
       return (
         <Badge className="bg-gray-100 text-gray-800 border-gray-200">
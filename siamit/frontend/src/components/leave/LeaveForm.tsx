@@ -36,6 +36,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
   const [leaveDate, setLeaveDate] = useState<Date>(); // เพิ่ม state สำหรับวันที่ลา
   const [leaveType, setLeaveType] = useState("");
   const [durationType, setDurationType] = useState("");
+  const [halfDayPeriod, setHalfDayPeriod] = useState(""); // ช่วงลาครึ่งวัน: morning | afternoon
   const [startTime, setStartTime] = useState("");
   const [endTime, setEndTime] = useState("");
   const [reason, setReason] = useState("");
@@ -59,6 +60,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
     startDate: '',
     endDate: '',
     leaveDate: '', // เพิ่ม error สำหรับวันที่ลา
+    halfDayPeriod: '',
     startTime: '',
     endTime: '',
     reason: '',
@@ -82,6 +84,9 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
 
   // Helper: isHourlyLeave
   const isHourlyLeave = durationType === "hour";
+  const isHalfDayLeave = durationType === "half_day";
+  // ลาชั่วโมงและลาครึ่งวันเลือกวันที่ลาเพียงวันเดียว
+  const isSingleDateLeave = isHourlyLeave || isHalfDayLeave;
 
   // Note: getLeaveNotice function moved to src/lib/leaveUtils.ts
 
@@ -95,6 +100,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
       setLeaveDate(initialData.leaveDate ? new Date(initialData.leaveDate) : undefined); // เพิ่มการ set leaveDate
       setLeaveType(initialData.leaveType || initialData.type || "");
       setDurationType(initialData.durationType || "");
+      setHalfDayPeriod(initialData.halfDayPeriod || "");
       setStartTime(initialData.startTime || "");
       setEndTime(initialData.endTime || "");
       setReason(initialData.reason || "");
@@ -222,10 +228,13 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
       if (endDate instanceof Date && !isNaN(endDate.getTime())) {
         formData.append("endDate", formatDateLocal(endDate));
       }
-      // เพิ่มวันที่ลาสำหรับลาแบบชั่วโมง
-      if (durationType === 'hour' && leaveDate instanceof Date && !isNaN(leaveDate.getTime())) {
+      // เพิ่มวันที่ลาสำหรับลาแบบชั่วโมง/ครึ่งวัน
+      if (isSingleDateLeave && leaveDate instanceof Date && !isNaN(leaveDate.getTime())) {
         formData.append("leaveDate", formatDateLocal(leaveDate));
       }
+      if (isHalfDayLeave && halfDayPeriod) {
+        formData.append("halfDayPeriod", halfDayPeriod);
+      }
       // Only send time fields for hourly leave
       if (durationType === 'hour') {
         if (startTime) formData.append("startTime", startTime);
@@ -294,9 +303,12 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
           className: 'border-green-500 bg-green-50 text-green-900',
         });
       } else {
+        const blackoutWarnings: { title: string }[] = data.warnings?.blackouts || [];
         toast({
           title: t('leave.leaveRequestSuccess'),
-          description: t('leave.leaveRequestSuccessDesc'),
+          description: blackoutWarnings.length
+            ? t('blackouts.submittedInBlackout', { titles: blackoutWarnings.map(b => b.title).join(', ') })
+            : t('leave.leaveRequestSuccessDesc'),
         });
       }
       // Reset form เฉพาะ create
@@ -305,6 +317,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
         setEndDate(undefined);
         setLeaveDate(undefined);
         setLeaveType("");
+        setHalfDayPeriod("");
         setStartTime("");
         setEndTime("");
         setReason("");
@@ -335,6 +348,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
       startDate: '',
       endDate: '',
       leaveDate: '', // เพิ่ม error สำหรับวันที่ลา
+      halfDayPeriod: '',
       startTime: '', // dummy เพื่อให้ type ตรง
       endTime: '',   // dummy เพื่อให้ type ตรง
       reason: '',
@@ -363,11 +377,15 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
       newErrors.endDate = t('leave.required');
       hasError = true;
     }
-    // ถ้าเป็นลาแบบ hourly ให้เช็ควันที่ลา
-    if (durationType === 'hour' && !leaveDate) {
+    // ถ้าเป็นลาแบบ hourly หรือครึ่งวัน ให้เช็ควันที่ลา
+    if (isSingleDateLeave && !leaveDate) {
       newErrors.leaveDate = t('leave.required');
       hasError = true;
     }
+    if (isHalfDayLeave && !halfDayPeriod) {
+      newErrors.halfDayPeriod = t('leave.required');
+      hasError = true;
+    }
     if (!reason) {
       newErrors.reason = t('leave.required');
       hasError = true;
@@ -513,6 +531,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
   const handleLeaveTypeChange = (value: string) => {
     setLeaveType(value);
     setDurationType("");
+    setHalfDayPeriod("");
     setStartDate(undefined);
     setEndDate(undefined);
     setLeaveDate(undefined); // เพิ่มการ reset leaveDate
@@ -523,9 +542,14 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
   // Reset fields เมื่อเปลี่ยน durationType
   const handleDurationTypeChange = (value: string) => {
     setDurationType(value);
+    setHalfDayPeriod("");
     setStartTime("");
     setEndTime("");
     setLeaveDate(undefined); // เพิ่มการ reset leaveDate
+    if (value === "half_day") {
+      setStartDate(undefined);
+      setEndDate(undefined);
+    }
     // เมื่อเลือกรายชั่วโมง ไม่บังคับเป็นวันปัจจุบัน ให้ผู้ใช้เลือกเอง
     if (value === "hour") {
       // เติมเวลาอัตโนมัติ: เริ่มต้น 09:00 และสิ้นสุด 18:00
@@ -537,13 +561,13 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
     }
   };
 
-  // ซิงก์วันที่สำหรับลาแบบรายชั่วโมง: เมื่อผู้ใช้เลือก leaveDate ให้กำหนด start/end เป็นวันเดียวกัน
+  // ซิงก์วันที่สำหรับลาแบบรายชั่วโมง/ครึ่งวัน: เมื่อผู้ใช้เลือก leaveDate ให้กำหนด start/end เป็นวันเดียวกัน
   useEffect(() => {
-    if (durationType === 'hour' && leaveDate) {
+    if (isSingleDateLeave && leaveDate) {
       setStartDate(leaveDate);
       setEndDate(leaveDate);
     }
-  }, [durationType, leaveDate]);
+  }, [isSingleDateLeave, leaveDate]);
 
   return (
     <div className="max-w-2xl mx-auto my-4 md:my-8 animate-fade-in px-4">
@@ -597,6 +621,7 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
                   </SelectTrigger>
                   <SelectContent>
                     <SelectItem value="day">{t('leave.fullDay')}</SelectItem>
+                    <SelectItem value="half_day">{t('leave.halfDay')}</SelectItem>
                     <SelectItem value="hour">{t('leave.hourly')}</SelectItem>
                   </SelectContent>
                 </Select>
@@ -608,8 +633,8 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
               {/* เงื่อนไข: แสดงฟิลด์อื่นๆ เฉพาะเมื่อเลือกประเภทการลาและประเภทการลาแล้ว */}
               {durationType && (
                 <>
-                  {/* Section: ช่วงวันที่ลา - Only show for non-hourly leave */}
-                  {!isHourlyLeave && (
+                  {/* Section: ช่วงวันที่ลา - Only show for full-day leave */}
+                  {!isSingleDateLeave && (
                     <div>
                       <div className="flex items-center gap-2 mb-2">
                         <CalendarDays className="w-5 h-5 text-green-500" />
@@ -652,8 +677,8 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
                     </div>
                   )}
 
-                  {/* เงื่อนไข: แสดงฟิลด์วันที่ลาเฉพาะเมื่อเลือกแบบชั่วโมง */}
-                  {isHourlyLeave && (
+                  {/* เงื่อนไข: แสดงฟิลด์วันที่ลาเฉพาะเมื่อเลือกแบบชั่วโมงหรือครึ่งวัน */}
+                  {isSingleDateLeave && (
                     <div>
                       <div className="flex items-center gap-2 mb-2">
                         <CalendarDays className="w-5 h-5 text-indigo-500" />
@@ -685,6 +710,31 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
                     </div>
                   )}
 
+                  {/* เงื่อนไข: แสดงช่วงเช้า/บ่ายเฉพาะเมื่อเลือกแบบครึ่งวัน */}
+                  {isHalfDayLeave && (
+                    <div>
+                      <div className="flex items-center gap-2 mb-2">
+                        <Clock className="w-5 h-5 text-teal-500" />
+                        <span className="font-semibold text-lg text-gray-800 dark:text-gray-100">{t('leave.halfDayPeriod')}</span>
+                      </div>
+                      <Select value={halfDayPeriod} onValueChange={setHalfDayPeriod}>
+                        <SelectTrigger className={`h-12 rounded-xl border-2 transition-all ${errors.halfDayPeriod
+                            ? 'border-red-500 focus:border-red-500 focus:ring-2 focus:ring-red-500/20'
+                            : 'focus:border-teal-500 focus:ring-2 focus:ring-teal-500/20'
+                          }`}>
+                          <SelectValue placeholder={t('leave.selectHalfDayPeriod')} />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="morning">{t('leave.morning')}</SelectItem>
+                          <SelectItem value="afternoon">{t('leave.afternoon')}</SelectItem>
+                        </SelectContent>
+                      </Select>
+                      {errors.halfDayPeriod && (
+                        <p className="mt-1 text-sm text-red-600">{errors.halfDayPeriod}</p>
+                      )}
+                    </div>
+                  )}
+
                   {/* เงื่อนไข: แสดงฟิลด์เวลาเฉพาะเมื่อเลือกแบบชั่วโมง */}
                   {isHourlyLeave && (
                     <>
@@ -845,8 +895,13 @@ export const LeaveForm = ({ initialData, onSubmit, mode = 'create' }: LeaveFormP
             </DialogHeader>
             <div className="space-y-3 text-sm">
               <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelLeaveType')}</span><span className="font-medium">{(leaveTypes.find(l => l.id === leaveType)?.[i18n.language.startsWith('th') ? 'leave_type_th' : 'leave_type_en']) || '-'}</span></div>
-              <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelMode')}</span><span className="font-medium">{durationType === 'hour' ? t('leave.hourly') : t('leave.fullDay')}</span></div>
-              {durationType === 'hour' ? (
+              <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelMode')}</span><span className="font-medium">{durationType === 'hour' ? t('leave.hourly') : isHalfDayLeave ? t('leave.halfDay') : t('leave.fullDay')}</span></div>
+              {isHalfDayLeave ? (
+                <>
+                  <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelLeaveDate')}</span><span className="font-medium">{leaveDate ? format(leaveDate, 'dd/MM/yyyy') : '-'}</span></div>
+                  <div className="flex justify-between"><span className="text-gray-500">{t('leave.halfDayPeriod')}</span><span className="font-medium">{halfDayPeriod ? t(`leave.${halfDayPeriod}`) : '-'}</span></div>
+                </>
+              ) : durationType === 'hour' ? (
                 <>
                   <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelLeaveDate')}</span><span className="font-medium">{leaveDate ? format(leaveDate, 'dd/MM/yyyy') : '-'}</span></div>
                   <div className="flex justify-between"><span className="text-gray-500">{t('leave.confirm.labelTime')}</span><span className="font-medium">{startTime || '-'} - {endTime || '-'}</span></div>
@@ -0,0 +1,54 @@
+import { Copy, Download } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/hooks/use-toast';
+
+interface RecoveryCodesListProps {
+  codes: string[];
+}
+
+/**
+ * Shows freshly generated recovery codes once, with copy and download so the user can keep them.
+ */
+const RecoveryCodesList = ({ codes }: RecoveryCodesListProps) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const text = codes.join('\n');
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast({ title: t('twoFactor.codesCopied') });
+    } catch {
+      toast({ title: t('common.error'), variant: 'destructive' });
+    }
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'siamit-leave-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-amber-700 dark:text-amber-300">{t('twoFactor.recoveryCodesHint')}</p>
+      <div className="grid grid-cols-2 gap-2 p-3 rounded-xl bg-gray-50 dark:bg-gray-900 font-mono text-sm text-center">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" className="flex-1" onClick={copyCodes}>
+          <Copy className="w-4 h-4 mr-1" /> {t('twoFactor.copyCodes')}
+        </Button>
+        <Button type="button" variant="outline" size="sm" className="flex-1" onClick={downloadCodes}>
+          <Download className="w-4 h-4 mr-1" /> {t('twoFactor.downloadCodes')}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodesList;
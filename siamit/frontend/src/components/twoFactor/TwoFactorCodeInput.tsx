@@ -0,0 +1,35 @@
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+
+export const TOTP_CODE_LENGTH = 6;
+
+interface TwoFactorCodeInputProps {
+  value: string;
+  onChange: (value: string) => void;
+  disabled?: boolean;
+  onComplete?: (value: string) => void;
+}
+
+/**
+ * Six-digit code field for authenticator apps.
+ */
+const TwoFactorCodeInput = ({ value, onChange, disabled, onComplete }: TwoFactorCodeInputProps) => (
+  <InputOTP
+    maxLength={TOTP_CODE_LENGTH}
+    value={value}
+    onChange={(next) => onChange(next.replace(/\D/g, ''))}
+    onComplete={onComplete}
+    disabled={disabled}
+    autoFocus
+    inputMode="numeric"
+    autoComplete="one-time-code"
+    containerClassName="justify-center"
+  >
+    <InputOTPGroup>
+      {Array.from({ length: TOTP_CODE_LENGTH }, (_, index) => (
+        <InputOTPSlot key={index} index={index} />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+export default TwoFactorCodeInput;
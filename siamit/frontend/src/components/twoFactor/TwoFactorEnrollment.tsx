@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import TwoFactorCodeInput, { TOTP_CODE_LENGTH } from './TwoFactorCodeInput';
+
+export interface TwoFactorEnrollmentData {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+interface TwoFactorEnrollmentProps {
+  enrollment: TwoFactorEnrollmentData;
+  busy: boolean;
+  onConfirm: (code: string) => void;
+}
+
+/**
+ * QR code, manual key and the first code from the authenticator app.
+ * Used both from the profile page and when a role forces enrollment during sign-in.
+ */
+const TwoFactorEnrollment = ({ enrollment, busy, onConfirm }: TwoFactorEnrollmentProps) => {
+  const { t } = useTranslation();
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (code.length === TOTP_CODE_LENGTH) onConfirm(code);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-300">{t('twoFactor.scanInstructions')}</p>
+      <img src={enrollment.qrCode} alt={t('twoFactor.qrAlt')} className="mx-auto h-44 w-44 rounded-lg bg-white p-2" />
+      <div className="text-center">
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('twoFactor.manualKey')}</p>
+        <code className="text-sm font-mono break-all select-all">{enrollment.secret.replace(/(.{4})/g, '$1 ').trim()}</code>
+      </div>
+      <p className="text-sm text-center text-gray-600 dark:text-gray-300">{t('twoFactor.enterFirstCode')}</p>
+      <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} />
+      <Button type="submit" className="w-full" disabled={busy || code.length !== TOTP_CODE_LENGTH}>
+        {busy ? t('common.loading') : t('twoFactor.verifyAndEnable')}
+      </Button>
+    </form>
+  );
+};
+
+export default TwoFactorEnrollment;
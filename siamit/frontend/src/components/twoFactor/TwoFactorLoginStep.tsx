@@ -0,0 +1,168 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { API_BASE_URL, apiEndpoints } from '@/constants/api';
+import { LoginSession, TwoFactorChallenge, useAuth } from '@/contexts/AuthContext';
+import { useToast } from '@/hooks/use-toast';
+import RecoveryCodesList from './RecoveryCodesList';
+import TwoFactorCodeInput, { TOTP_CODE_LENGTH } from './TwoFactorCodeInput';
+import TwoFactorEnrollment, { TwoFactorEnrollmentData } from './TwoFactorEnrollment';
+
+interface TwoFactorLoginStepProps {
+  challenge: TwoFactorChallenge;
+  email: string;
+  onSuccess: (role?: string) => void;
+  onCancel: () => void;
+}
+
+// ยังไม่มี access token: เรียกตรงแบบเดียวกับ /api/login (apiService จะกลืนข้อความของ 401)
+const postStep = async (endpoint: string, body: Record<string, string>) => {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok || !data.success) throw new Error(data.message);
+  return data.data;
+};
+
+/**
+ * Second sign-in step: authenticator/recovery code, or first-time enrollment when the role requires 2FA.
+ */
+const TwoFactorLoginStep = ({ challenge, email, onSuccess, onCancel }: TwoFactorLoginStepProps) => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const { completeLogin } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollmentData | null>(null);
+  const [pendingSession, setPendingSession] = useState<{ session: LoginSession; recoveryCodes: string[] } | null>(null);
+
+  const showError = useCallback((err: unknown) => {
+    toast({
+      title: t('twoFactor.verifyFailed'),
+      description: err instanceof Error && err.message ? err.message : undefined,
+      variant: 'destructive',
+    });
+  }, [t, toast]);
+
+  useEffect(() => {
+    if (!challenge.setupRequired) return;
+    let cancelled = false;
+    postStep(apiEndpoints.auth.loginTwoFactorSetup, { challengeToken: challenge.challengeToken })
+      .then(data => {
+        if (!cancelled) setEnrollment(data);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        showError(err);
+        onCancel();
+      });
+    return () => { cancelled = true; };
+  }, [challenge, showError, onCancel]);
+
+  const finish = async (session: LoginSession) => {
+    const result = await completeLogin(session, email);
+    onSuccess(result.role);
+  };
+
+  const handleVerify = async (e?: React.FormEvent) => {
+    e?.preventDefault();
+    if (!code) return;
+    setBusy(true);
+    try {
+      const session = await postStep(apiEndpoints.auth.loginTwoFactor, { challengeToken: challenge.challengeToken, code });
+      if (typeof session.recoveryCodesRemaining === 'number') {
+        toast({ title: t('twoFactor.recoveryCodeUsed', { count: session.recoveryCodesRemaining }) });
+      }
+      await finish(session);
+    } catch (err) {
+      showError(err);
+      setCode('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnroll = async (firstCode: string) => {
+    setBusy(true);
+    try {
+      const session = await postStep(apiEndpoints.auth.loginTwoFactorSetupConfirm, { challengeToken: challenge.challengeToken, code: firstCode });
+      // เก็บ session ไว้ก่อน: ถ้าเข้าสู่ระบบทันทีหน้านี้จะถูกเปลี่ยนก่อนผู้ใช้เห็นรหัสกู้คืน
+      setPendingSession({ session, recoveryCodes: session.recoveryCodes || [] });
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (pendingSession) {
+    return (
+      <div className="space-y-4">
+        <h3 className="font-semibold text-center text-blue-900 dark:text-blue-100">{t('twoFactor.enabledTitle')}</h3>
+        <RecoveryCodesList codes={pendingSession.recoveryCodes} />
+        <Button className="w-full" onClick={() => finish(pendingSession.session)}>{t('twoFactor.savedContinue')}</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="text-center space-y-2">
+        <ShieldCheck className="mx-auto h-10 w-10 text-blue-500" />
+        <h3 className="font-semibold text-blue-900 dark:text-blue-100">
+          {challenge.setupRequired ? t('twoFactor.setupRequiredTitle') : t('twoFactor.loginTitle')}
+        </h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {challenge.setupRequired ? t('twoFactor.setupRequiredDescription') : t('twoFactor.loginDescription')}
+        </p>
+      </div>
+
+      {challenge.setupRequired ? (
+        enrollment ? (
+          <TwoFactorEnrollment enrollment={enrollment} busy={busy} onConfirm={handleEnroll} />
+        ) : (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        )
+      ) : (
+        <form onSubmit={handleVerify} className="space-y-4">
+          {useRecoveryCode ? (
+            <Input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="xxxxx-xxxxx"
+              autoComplete="off"
+              autoFocus
+              className="text-center font-mono"
+            />
+          ) : (
+            <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} />
+          )}
+          <Button type="submit" className="w-full" disabled={busy || (!useRecoveryCode && code.length !== TOTP_CODE_LENGTH) || !code}>
+            {busy ? t('common.loading') : t('twoFactor.verify')}
+          </Button>
+          <button
+            type="button"
+            className="block w-full text-sm text-blue-600 hover:text-blue-800 dark:text-blue-300"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); }}
+          >
+            {useRecoveryCode ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+          </button>
+        </form>
+      )}
+
+      <Button type="button" variant="ghost" className="w-full" onClick={onCancel} disabled={busy}>
+        {t('common.cancel')}
+      </Button>
+    </div>
+  );
+};
+
+export default TwoFactorLoginStep;
@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { apiEndpoints } from '@/constants/api';
+import { useToast } from '@/hooks/use-toast';
+import { apiService } from '@/lib/api';
+import { logger } from '@/lib/logger';
+import RecoveryCodesList from './RecoveryCodesList';
+import TwoFactorCodeInput, { TOTP_CODE_LENGTH } from './TwoFactorCodeInput';
+import TwoFactorEnrollment, { TwoFactorEnrollmentData } from './TwoFactorEnrollment';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+type DialogMode = 'enroll' | 'regenerate' | 'disable' | null;
+
+/**
+ * Profile settings card: turn TOTP 2FA on/off and manage recovery codes.
+ */
+const TwoFactorPanel = () => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [mode, setMode] = useState<DialogMode>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollmentData | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await apiService.get(apiEndpoints.twoFactor.status);
+      if (res?.success) setStatus(res.data);
+    } catch (error) {
+      logger.error('Error fetching two-factor status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const showError = (err: unknown) => {
+    toast({ title: t('common.error'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+  };
+
+  const openDialog = async (next: DialogMode) => {
+    setCode('');
+    setPassword('');
+    setRecoveryCodes(null);
+    setEnrollment(null);
+    setMode(next);
+    if (next !== 'enroll') return;
+    try {
+      const res = await apiService.post(apiEndpoints.twoFactor.setup, {});
+      if (!res?.success) throw new Error(res?.message);
+      setEnrollment(res.data);
+    } catch (err) {
+      showError(err);
+      setMode(null);
+    }
+  };
+
+  const closeDialog = () => {
+    setMode(null);
+    fetchStatus();
+  };
+
+  const runAction = async (endpoint: string, body: Record<string, string>, onDone: (data: { recoveryCodes?: string[] } | null) => void) => {
+    setBusy(true);
+    try {
+      const res = await apiService.post(endpoint, body);
+      if (!res?.success) throw new Error(res?.message);
+      onDone(res.data);
+    } catch (err) {
+      showError(err);
+      setCode('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = (firstCode: string) => runAction(apiEndpoints.twoFactor.enable, { code: firstCode }, data => {
+    setRecoveryCodes(data?.recoveryCodes || []);
+    toast({ title: t('twoFactor.enabledTitle') });
+  });
+
+  const handleRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(apiEndpoints.twoFactor.recoveryCodes, { code }, data => setRecoveryCodes(data?.recoveryCodes || []));
+  };
+
+  const handleDisable = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(apiEndpoints.twoFactor.disable, { password, code }, () => {
+      toast({ title: t('twoFactor.disabled') });
+      closeDialog();
+    });
+  };
+
+  const dialogTitle = mode === 'enroll' ? t('twoFactor.enableTitle')
+    : mode === 'regenerate' ? t('twoFactor.regenerateTitle')
+    : t('twoFactor.disableTitle');
+
+  return (
+    <div className="p-4 md:p-6 border rounded-2xl bg-blue-50 dark:bg-gray-800 shadow-sm border-blue-100 dark:border-gray-700 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div>
+          <h3 className="font-semibold text-blue-900 dark:text-blue-200 flex items-center gap-2 text-sm md:text-base">
+            <ShieldCheck className="h-4 w-4 md:h-5 md:w-5 text-blue-400" /> {t('twoFactor.title')}
+            {status?.enabled
+              ? <Badge className="bg-green-100 text-green-700 hover:bg-green-100">{t('twoFactor.statusOn')}</Badge>
+              : <Badge variant="secondary">{t('twoFactor.statusOff')}</Badge>}
+            {status?.required && <Badge variant="outline">{t('twoFactor.requiredByRole')}</Badge>}
+          </h3>
+          <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400 mt-1">
+            {status?.enabled
+              ? t('twoFactor.recoveryCodesRemaining', { count: status.recoveryCodesRemaining })
+              : t('twoFactor.description')}
+          </p>
+        </div>
+        <div className="flex flex-col md:flex-row gap-2 w-full md:w-auto">
+          {status?.enabled ? (
+            <>
+              <Button variant="outline" size="sm" className="btn-blue-outline" onClick={() => openDialog('regenerate')}>
+                {t('twoFactor.regenerateCodes')}
+              </Button>
+              <Button variant="outline" size="sm" className="text-red-600" disabled={status.required} onClick={() => openDialog('disable')}>
+                {t('twoFactor.disable')}
+              </Button>
+            </>
+          ) : (
+            <Button size="sm" className="btn-blue" disabled={!status} onClick={() => openDialog('enroll')}>
+              {t('twoFactor.enable')}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Dialog open={mode !== null} onOpenChange={(open) => { if (!open) closeDialog(); }}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>{dialogTitle}</DialogTitle>
+            {mode === 'disable' && <DialogDescription>{t('twoFactor.disableDescription')}</DialogDescription>}
+          </DialogHeader>
+
+          {recoveryCodes ? (
+            <div className="space-y-4">
+              <RecoveryCodesList codes={recoveryCodes} />
+              <Button className="w-full" onClick={closeDialog}>{t('twoFactor.savedContinue')}</Button>
+            </div>
+          ) : mode === 'enroll' ? (
+            enrollment
+              ? <TwoFactorEnrollment enrollment={enrollment} busy={busy} onConfirm={handleEnable} />
+              : <div className="flex justify-center py-6"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div></div>
+          ) : mode === 'regenerate' ? (
+            <form onSubmit={handleRegenerate} className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-300">{t('twoFactor.regenerateDescription')}</p>
+              <TwoFactorCodeInput value={code} onChange={setCode} disabled={busy} />
+              <Button type="submit" className="w-full" disabled={busy || code.length !== TOTP_CODE_LENGTH}>
+                {busy ? t('common.loading') : t('twoFactor.regenerateCodes')}
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleDisable} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-password">{t('auth.password')}</Label>
+                <Input id="two-factor-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-code">{t('twoFactor.codeOrRecovery')}</Label>
+                <Input id="two-factor-code" value={code} onChange={(e) => setCode(e.target.value)} autoComplete="one-time-code" required />
+              </div>
+              <Button type="submit" variant="destructive" className="w-full" disabled={busy || !password || !code}>
+                {busy ? t('common.loading') : t('twoFactor.disable')}
+              </Button>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default TwoFactorPanel;
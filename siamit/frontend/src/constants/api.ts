@@ -13,6 +13,31 @@ export const apiEndpoints = {
     profile: '/api/profile',
     avatar: '/api/avatar',
     userProfile: '/api/user-profile',
+    refresh: '/api/token/refresh',
+    logout: '/api/logout',
+    sessions: '/api/sessions',
+    session: (id: string) => `/api/sessions/${id}`,
+    notificationPreferences: '/api/notification-preferences',
+    passwordResetRequest: '/api/password-reset/request',
+    passwordResetVerify: (token: string) => `/api/password-reset/verify?token=${encodeURIComponent(token)}`,
+    passwordResetConfirm: '/api/password-reset/confirm',
+    loginTwoFactor: '/api/login/2fa',
+    loginTwoFactorSetup: '/api/login/2fa/setup',
+    loginTwoFactorSetupConfirm: '/api/login/2fa/setup/confirm',
+    ssoConfig: '/api/sso/config',
+    ssoStart: '/api/sso/oidc/start',
+    ssoExchange: '/api/sso/exchange',
+  },
+  impersonation: {
+    start: '/api/impersonation/start',
+    stop: '/api/impersonation/stop',
+  },
+  twoFactor: {
+    status: '/api/two-factor',
+    setup: '/api/two-factor/setup',
+    enable: '/api/two-factor/enable',
+    recoveryCodes: '/api/two-factor/recovery-codes',
+    disable: '/api/two-factor/disable',
   },
   leave: {
     requests: '/api/leave-request',
@@ -20,6 +45,11 @@ export const apiEndpoints = {
     detail: (id: string) => `/api/leave-request/detail/${id}`,
     status: (id: string) => `/api/leave-request/${id}/status`,
     delete: (id: string) => `/api/leave-request/${id}`,
+    withdraw: (id: string) => `/api/leave-request/${id}/withdraw`,
+    cancelRequest: (id: string) => `/api/leave-request/${id}/cancel-request`,
+    cancelStatus: (id: string) => `/api/leave-request/${id}/cancel-status`,
+    conflicts: (id: string) => `/api/leave-request/${id}/conflicts`,
+    cancelRequests: '/api/leave-request/cancel-requests',
     calendar: (year: number) => `/api/leave-request/calendar/${year}`,
     calendarWithMonth: (year: number, month: number) => `/api/leave-request/calendar/${year}?month=${month}`,
   },
@@ -28,6 +58,7 @@ export const apiEndpoints = {
     detail: (id: string) => `/api/employee/${id}`,
     leaveHistory: (id: string, query?: string) => `/api/employee/${id}/leave-history${query || ''}`,
     avatar: (id: string) => `/api/employee/${id}/avatar`,
+    unlock: (id: string) => `/api/employee/${id}/unlock`,
   },
   departments: '/api/departments',
   positions: '/api/positions',
@@ -41,6 +72,26 @@ export const apiEndpoints = {
   customHoliday: (id: string) => `/api/custom-holidays/${id}`,
   customHolidaysByYear: (year: number) => `/api/custom-holidays/year/${year}`,
   customHolidaysByYearMonth: (year: number, month: number) => `/api/custom-holidays/year/${year}/month/${month}`,
+  leaveBlackouts: '/api/leave-blackouts',
+  leaveBlackout: (id: string) => `/api/leave-blackouts/${id}`,
+  leaveBlackoutsByYear: (year: number) => `/api/leave-blackouts/year/${year}`,
+  rolePermissions: {
+    list: '/api/role-permissions',
+    me: '/api/role-permissions/me',
+    detail: (role: string) => `/api/role-permissions/${role}`,
+  },
+  securityPolicy: '/api/security-policy',
+  auditLogs: {
+    list: (query: string) => `/api/audit-logs${query}`,
+    actions: '/api/audit-logs/actions',
+    export: (query: string) => `/api/audit-logs/export${query}`,
+  },
+  approvalDelegations: {
+    list: '/api/approval-delegations',
+    current: '/api/approval-delegations/current',
+    candidates: '/api/approval-delegations/candidates',
+    detail: (id: string) => `/api/approval-delegations/${id}`,
+  },
   notifications: '/api/notifications',
   markAsRead: (id: string) => `/api/notifications/${id}/read`,
   markAllAsRead: '/api/notifications/read',
@@ -48,6 +99,17 @@ export const apiEndpoints = {
     linkStatus: '/api/line/link-status',
     loginUrl: '/api/line/login-url',
     unlink: '/api/line/unlink',
+    sendNotification: '/api/line/send-notification',
+    richMenus: {
+      list: '/api/line/rich-menus',
+      status: '/api/line/rich-menus/status',
+      templates: '/api/line/rich-menus/templates',
+      syncLinks: '/api/line/rich-menus/sync-links',
+      detail: (id: string) => `/api/line/rich-menus/${id}`,
+      image: (id: string) => `/api/line/rich-menus/${id}/image`,
+      publish: (id: string) => `/api/line/rich-menus/${id}/publish`,
+      setDefault: (id: string) => `/api/line/rich-menus/${id}/default`,
+    },
   },
   dashboard: {
     stats: '/api/dashboard-stats',
@@ -60,6 +122,12 @@ export const apiEndpoints = {
   },
   leaveQuota: {
     me: '/api/leave-quota/me',
+    list: '/api/leave-quota',
+    detail: (id: string) => `/api/leave-quota/${id}`,
+  },
+  leaveEntitlementRules: {
+    list: '/api/leave-entitlement-rules',
+    detail: (id: string) => `/api/leave-entitlement-rules/${id}`,
   },
   admin: {
     leaveHistory: '/api/leave-request/history',
@@ -70,6 +138,7 @@ export const apiEndpoints = {
     delete: (id: string) => `/api/superadmin/${id}`,
     admins: (id: string) => `/api/admins/${id}`,
     users: (id: string) => `/api/users/${id}`,
+    resetTwoFactor: (id: string) => `/api/users/${id}/two-factor`,
     cleanupOldLeaveRequests: '/api/superadmin/cleanup-old-leave-requests',
   },
   leaveQuotaReset: {
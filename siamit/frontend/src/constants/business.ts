@@ -7,6 +7,18 @@ export const QUOTA_RESET_STRATEGIES = {
   CUSTOM: 'custom'
 } as const;
 
+// Leave quota accrual modes
+export const ACCRUAL_MODES = {
+  ANNUAL: 'annual',
+  MONTHLY: 'monthly'
+} as const;
+
+// Leave blackout modes (block = requests rejected, warn = allowed but flagged to approvers)
+export const BLACKOUT_MODES = {
+  BLOCK: 'block',
+  WARN: 'warn'
+} as const;
+
 // Leave request statuses
 export const LEAVE_STATUS = {
   PENDING: 'pending',
@@ -84,6 +96,7 @@ export const PAGINATION_CONSTANTS = {
 
 // Export types for better type safety
 export type QuotaResetStrategy = typeof QUOTA_RESET_STRATEGIES[keyof typeof QUOTA_RESET_STRATEGIES];
+export type AccrualMode = typeof ACCRUAL_MODES[keyof typeof ACCRUAL_MODES];
 export type LeaveStatus = typeof LEAVE_STATUS[keyof typeof LEAVE_STATUS];
 export type EmployeeSelectionMode = typeof EMPLOYEE_SELECTION_MODES[keyof typeof EMPLOYEE_SELECTION_MODES];
 export type CleanupOperation = typeof CLEANUP_OPERATIONS[keyof typeof CLEANUP_OPERATIONS];
@@ -1,8 +1,9 @@
 import { rateLimiter, RateLimitKeys, formatRemainingTime } from '@/lib/rateLimiter';
 import { logger } from '@/lib/logger';
 import SessionExpiredDialog from '@/components/dialogs/SessionExpiredDialog';
-import { API_BASE_URL } from '@/constants/api';
-import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { API_BASE_URL, apiEndpoints } from '@/constants/api';
+import { refreshSession, SESSION_REFRESHED_EVENT } from '@/lib/api';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 
 export interface User {
@@ -13,17 +14,59 @@ export interface User {
   position?: string;
   department?: string;
   token?: string;
+  refreshToken?: string;
   avatar_url?: string;
+  impersonation?: ImpersonationInfo;
 }
 
+/** Set while a superadmin is viewing the system as this user */
+export interface ImpersonationInfo {
+  impersonatorName: string;
+  expiresAt: string;
+  returnTo: string;
+}
+
+/** Response of /api/impersonation/start */
+export interface ImpersonationSession {
+  token: string;
+  sessionId: string;
+  userId: string;
+  role: string;
+  email: string;
+  name: string;
+  expiresAt: string;
+  impersonator: { id: string; name: string };
+}
+
+/** Tokens returned by /api/login once every sign-in step has passed */
+export interface LoginSession {
+  token: string;
+  refreshToken: string;
+  sessionId?: string;
+  role?: string;
+  userId: string;
+}
+
+/** Password was correct but the account needs a 2FA code (or must enroll first) */
+export interface TwoFactorChallenge {
+  challengeToken: string;
+  setupRequired: boolean;
+}
+
+export type LoginResult = { role?: string; id: string } | { twoFactor: TwoFactorChallenge };
+
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (email: string, password: string) => Promise<{ role?: string; id: string }>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  completeLogin: (session: LoginSession, email: string) => Promise<{ role?: string; id: string }>;
+  startImpersonation: (session: ImpersonationSession, returnTo: string) => Promise<void>;
+  stopImpersonation: () => Promise<string | null>;
   signup: (email: string, password: string, userData: Partial<User>) => Promise<void>;
   logout: () => void;
   updateUser: (updates: Partial<User>) => void;
   isSessionExpired: boolean;
+  showSessionExpiredDialog: () => void;
   closeSessionExpiredDialog: () => void;
 }
 
@@ -37,6 +80,15 @@ const createDefaultContext = (): AuthContextType => ({
   login: async () => {
     throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
   },
+  completeLogin: async () => {
+    throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
+  },
+  startImpersonation: async () => {
+    throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
+  },
+  stopImpersonation: async () => {
+    throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
+  },
   signup: async () => {
     throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
   },
@@ -47,6 +99,9 @@ const createDefaultContext = (): AuthContextType => ({
     throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
   },
   isSessionExpired: false,
+  showSessionExpiredDialog: () => {
+    throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
+  },
   closeSessionExpiredDialog: () => {
     throw new Error('AuthContext not initialized. Ensure component is wrapped in AuthProvider.');
   }
@@ -62,6 +117,12 @@ export const useAuth = () => {
   return context;
 };
 
+// ต่ออายุ access token ล่วงหน้าก่อนหมดอายุ 1 นาที
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+// บัญชีของ superadmin ที่พักไว้ระหว่างดูในมุมมองของพนักงาน
+const IMPERSONATOR_STORAGE_KEY = 'impersonatorUser';
+
 function parseJwt(token: string) {
   try {
     const base64Url = token.split('.')[1];
@@ -98,6 +159,16 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     checkUser();
   }, []);
 
+  // lib/api ต่ออายุ token แล้ว (จาก request ที่ได้ 401 หรือ timer ด้านล่าง): อัปเดต state ให้ตรงกับ localStorage
+  useEffect(() => {
+    const onRefreshed = (event: Event) => {
+      const updated = (event as CustomEvent<User>).detail;
+      setUser(prev => (prev ? { ...prev, token: updated.token, refreshToken: updated.refreshToken } : prev));
+    };
+    window.addEventListener(SESSION_REFRESHED_EVENT, onRefreshed);
+    return () => window.removeEventListener(SESSION_REFRESHED_EVENT, onRefreshed);
+  }, []);
+
   useEffect(() => {
     const stored = localStorage.getItem('currentUser');
     if (!stored) return;
@@ -108,7 +179,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       return;
     }
     const token = parsedStored?.token;
-    if (!token) return;
+    // session ดูแทนพนักงานไม่มี refresh token: ImpersonationBanner จบให้เองเมื่อหมดเวลา
+    if (!token || parsedStored.impersonation) return;
 
     const payload = parseJwt(token);
     if (!payload || !payload.exp) return;
@@ -116,16 +188,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     const exp = payload.exp * 1000; // JWT exp เป็นวินาที, JS ต้อง ms
     const now = Date.now();
 
-    if (exp <= now) {
-      setIsSessionExpired(true);
-      return;
-    }
-
-    // ตั้ง timer auto logout
-    const timeout = exp - now;
-    logoutTimer.current = setTimeout(() => {
-      setIsSessionExpired(true);
-    }, timeout);
+    // ต่ออายุก่อนหมดอายุเล็กน้อย ถ้าต่อไม่ได้ (ถูกออกจากระบบ/refresh token หมดอายุ) จึงแสดง dialog
+    const renew = async () => {
+      const token = await refreshSession();
+      if (!token) setIsSessionExpired(true);
+    };
+    const timeout = Math.max(exp - now - REFRESH_AHEAD_MS, 0);
+    logoutTimer.current = setTimeout(renew, timeout);
 
     // cleanup timer
     return () => {
@@ -133,7 +202,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     };
   }, [user, t]);
 
-  const login = async (email: string, password: string): Promise<{ role?: string; id: string }> => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     // Check rate limiting
     if (!rateLimiter.isAllowed(RateLimitKeys.LOGIN)) {
       const remainingTime = rateLimiter.getBlockedTimeRemaining(RateLimitKeys.LOGIN);
@@ -160,12 +229,23 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     // Login successful - reset rate limiter for this user
     rateLimiter.reset(RateLimitKeys.LOGIN);
 
+    // รหัสผ่านถูกแต่ยังต้องผ่าน 2FA: หน้า Login แสดงขั้นที่สองแล้วเรียก completeLogin เอง
+    if (data.data?.twoFactorRequired || data.data?.twoFactorSetupRequired) {
+      return { twoFactor: { challengeToken: data.data.challengeToken, setupRequired: !!data.data.twoFactorSetupRequired } };
+    }
+
+    return completeLogin(data.data, email);
+  };
+
+  const completeLogin = async (session: LoginSession, email: string, extra: Partial<User> = {}): Promise<{ role?: string; id: string }> => {
     // Initial user info from login
     const userInfo = {
-      id: data.data?.userId || data.data?.repid || '',
+      id: session.userId || '',
       email: email,
-      role: data.data?.role,
-      token: data.data?.token
+      role: session.role,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      ...extra
     };
     setUser(userInfo);
     localStorage.setItem('currentUser', JSON.stringify(userInfo));
@@ -174,10 +254,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     try {
       const [profileRes, avatarRes] = await Promise.all([
         fetch(`${API_BASE_URL}/api/profile`, {
-          headers: { 'Authorization': `Bearer ${data.data?.token}` }
+          headers: { 'Authorization': `Bearer ${session.token}` }
         }),
         fetch(`${API_BASE_URL}/api/avatar`, {
-          headers: { 'Authorization': `Bearer ${data.data?.token}` }
+          headers: { 'Authorization': `Bearer ${session.token}` }
         })
       ]);
 
@@ -218,6 +298,39 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return { role: userInfo.role, id: userInfo.id };
   };
 
+  const startImpersonation = async (session: ImpersonationSession, returnTo: string) => {
+    const current = localStorage.getItem('currentUser');
+    if (!current) return;
+    localStorage.setItem(IMPERSONATOR_STORAGE_KEY, current);
+    await completeLogin(
+      { token: session.token, refreshToken: '', sessionId: session.sessionId, role: session.role, userId: session.userId },
+      session.email,
+      { impersonation: { impersonatorName: session.impersonator.name, expiresAt: session.expiresAt, returnTo } }
+    );
+  };
+
+  // จบ session ดูแทน แล้วกลับเป็นบัญชี superadmin เดิม (คืน path ที่เริ่มไว้)
+  const stopImpersonation = async (): Promise<string | null> => {
+    const returnTo = user?.impersonation?.returnTo || null;
+    if (user?.token) {
+      await fetch(`${API_BASE_URL}${apiEndpoints.impersonation.stop}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${user.token}` },
+      }).catch(err => logger.error('Error ending impersonation:', err));
+    }
+
+    const stored = localStorage.getItem(IMPERSONATOR_STORAGE_KEY);
+    localStorage.removeItem(IMPERSONATOR_STORAGE_KEY);
+    if (stored) {
+      localStorage.setItem('currentUser', stored);
+      setUser(JSON.parse(stored));
+    } else {
+      localStorage.removeItem('currentUser');
+      setUser(null);
+    }
+    return returnTo;
+  };
+
 const signup = async (email: string, password: string, userData: any) => {
     const currentUser = JSON.parse(localStorage.getItem("currentUser") || "{}");
     const token = currentUser?.token;
@@ -260,6 +373,29 @@ const signup = async (email: string, password: string, userData: any) => {
     }
   };
   const logout = () => {
+    // ออกจากระบบระหว่างดูแทนพนักงาน: ปิดทั้ง session ดูแทนและ session ของ superadmin
+    const impersonator = localStorage.getItem(IMPERSONATOR_STORAGE_KEY);
+    if (impersonator) {
+      localStorage.removeItem(IMPERSONATOR_STORAGE_KEY);
+      if (user?.token) {
+        fetch(`${API_BASE_URL}${apiEndpoints.impersonation.stop}`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${user.token}` },
+        }).catch(err => logger.error('Error ending impersonation:', err));
+      }
+    }
+
+    // ยกเลิก session ฝั่ง server ด้วย (ไม่ต้องรอผล ออกจากระบบในเครื่องได้เลย)
+    const refreshToken = (impersonator ? JSON.parse(impersonator)?.refreshToken : null)
+      || user?.refreshToken
+      || JSON.parse(localStorage.getItem('currentUser') || '{}')?.refreshToken;
+    if (refreshToken) {
+      fetch(`${API_BASE_URL}${apiEndpoints.auth.logout}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(err => logger.error('Error revoking session:', err));
+    }
     setUser(null);
     localStorage.removeItem('currentUser');
   };
@@ -268,14 +404,22 @@ const signup = async (email: string, password: string, userData: any) => {
     setUser(prevUser => ({ ...prevUser, ...updates } as User));
   };
 
+  const showSessionExpiredDialog = useCallback(() => {
+    setIsSessionExpired(true);
+  }, []);
+
+  const handleSessionRefreshed = useCallback(() => {
+    setIsSessionExpired(false);
+  }, []);
+
   const closeSessionExpiredDialog = () => {
     setIsSessionExpired(false);
     logout();
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, signup, logout, updateUser, loading, isSessionExpired, closeSessionExpiredDialog }}>
-      <SessionExpiredDialog open={isSessionExpired} onClose={closeSessionExpiredDialog} />
+    <AuthContext.Provider value={{ user, login, completeLogin, startImpersonation, stopImpersonation, signup, logout, updateUser, loading, isSessionExpired, showSessionExpiredDialog, closeSessionExpiredDialog }}>
+      <SessionExpiredDialog open={isSessionExpired} onClose={closeSessionExpiredDialog} onRefreshed={handleSessionRefreshed} />
       {children}
     </AuthContext.Provider>
   );
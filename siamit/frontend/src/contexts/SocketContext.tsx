@@ -42,15 +42,18 @@ export const SocketProvider: React.FC<{ children: React.ReactNode }> = ({ childr
     const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
     // Get current user's token for authentication
-    let authToken = null;
-    try {
-      const currentUser = JSON.parse(localStorage.getItem("currentUser") || "{}");
-      authToken = currentUser?.token;
-    } catch (e) {
-      if (import.meta.env.DEV) {
-        logger.error("Error parsing currentUser for socket auth:", e);
+    // อ่านใหม่ทุกครั้งที่ reconnect เพราะ access token ถูกต่ออายุ (เปลี่ยนค่า) เป็นระยะ
+    const readAuthToken = () => {
+      try {
+        const currentUser = JSON.parse(localStorage.getItem("currentUser") || "{}");
+        return currentUser?.token || null;
+      } catch (e) {
+        if (import.meta.env.DEV) {
+          logger.error("Error parsing currentUser for socket auth:", e);
+        }
+        return null;
       }
-    }
+    };
 
     const newSocket = io(API_BASE_URL, {
       transports: ['polling'],
@@ -60,9 +63,7 @@ export const SocketProvider: React.FC<{ children: React.ReactNode }> = ({ childr
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       timeout: 20000,
-      auth: {
-        token: authToken
-      }
+      auth: (cb) => cb({ token: readAuthToken() })
     });
 
     newSocket.on('connect', () => {
@@ -3,8 +3,12 @@
 
 
 export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
+import { apiEndpoints } from '@/constants/api';
 import { logger } from '@/lib/logger';
 
+// Fired on window after the stored tokens were replaced (detail = the updated currentUser)
+export const SESSION_REFRESHED_EVENT = 'session-refreshed';
+
 // Helper function to get auth token
 
 const getAuthToken = (): string | null => {
@@ -28,6 +32,51 @@ const getAuthToken = (): string | null => {
   }
 };
 
+let refreshInFlight: Promise<string | null> | null = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share one request, because the backend rotates the refresh token on every use.
+ * Resolves to the new access token, or null when the session can no longer be refreshed.
+ */
+export const refreshSession = (): Promise<string | null> => {
+  if (refreshInFlight) return refreshInFlight;
+
+  refreshInFlight = (async () => {
+    try {
+      const currentUser = JSON.parse(localStorage.getItem("currentUser") || "{}");
+      if (!currentUser?.refreshToken) return null;
+
+      const response = await fetch(joinUrl(API_BASE_URL, apiEndpoints.auth.refresh), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: currentUser.refreshToken })
+      });
+      const data = await safeJsonParse(response);
+
+      // อ่านใหม่อีกครั้ง เผื่อผู้ใช้ออกจากระบบระหว่างรอ
+      const latest = JSON.parse(localStorage.getItem("currentUser") || "null");
+      if (!latest) return null;
+      if (!response.ok || !data?.success || !data.data?.token) {
+        // แท็บอื่นต่ออายุด้วย token เดียวกันไปก่อน: ใช้ token ที่แท็บนั้นได้มา
+        return latest.refreshToken && latest.refreshToken !== currentUser.refreshToken ? (latest.token as string) : null;
+      }
+      const updated = { ...latest, token: data.data.token, refreshToken: data.data.refreshToken };
+      localStorage.setItem("currentUser", JSON.stringify(updated));
+      window.dispatchEvent(new CustomEvent(SESSION_REFRESHED_EVENT, { detail: updated }));
+      return data.data.token as string;
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        logger.error('Session refresh failed:', error);
+      }
+      return null;
+    } finally {
+      refreshInFlight = null;
+    }
+  })();
+  return refreshInFlight;
+};
+
 // Helper function to fetch authenticated file using Authorization header (secure)
 export const fetchAuthenticatedFile = async (filePath: string): Promise<string> => {
   const token = getAuthToken();
@@ -93,7 +142,19 @@ const fetchWithAuth = async (
       ...options,
       headers: isFormData ? headers : { ...headers },
     };
-    const response = await fetch(url, fetchOptions);
+    let response = await fetch(url, fetchOptions);
+
+    // access token หมดอายุ: ต่ออายุเงียบๆ แล้วลองใหม่หนึ่งครั้ง (แท็บอื่นอาจต่ออายุไปแล้ว จึงเช็ค token ล่าสุดก่อน)
+    if (response.status === 401 && headers['Authorization']) {
+      const latestToken = getAuthToken();
+      const retryToken = latestToken && `Bearer ${latestToken}` !== headers['Authorization']
+        ? latestToken
+        : await refreshSession();
+      if (retryToken) {
+        response = await fetch(url, { ...fetchOptions, headers: { ...headers, 'Authorization': `Bearer ${retryToken}` } });
+      }
+    }
+
     if (response.status === 401) {
       if (sessionExpiredFn) {
         sessionExpiredFn();
@@ -1,5 +1,7 @@
 import ImagePreviewDialog from '@/components/dialogs/ImagePreviewDialog';
 import LeaveDetailDialog from '@/components/dialogs/LeaveDetailDialog';
+import ApprovalDelegationPanel from '@/components/leave/ApprovalDelegationPanel';
+import CancellationRequestsPanel from '@/components/leave/CancellationRequestsPanel';
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Calendar as CalendarComponent } from "@/components/ui/calendar";
@@ -26,6 +28,15 @@ import { logger } from '@/lib/logger';
 
 // Note: Local inline types and helpers removed if unused
 
+interface LeaveConflicts {
+  overlaps: { id: string; status: string; startDate: string; endDate: string }[];
+  staffing: {
+    minimum: number;
+    shortfalls: { date: string; headcount: number; onLeave: number; present: number }[];
+  };
+  blackouts: { id: string; title: string; startDate: string; endDate: string; mode: string }[];
+}
+
 const ApproveLeave = () => {
   const { t, i18n } = useTranslation();
   const { toast } = useToast();
@@ -84,6 +95,9 @@ const ApproveLeave = () => {
   const [expandedRejection, setExpandedRejection] = useState<{ [id: string]: boolean }>({});
   const [showApproveDialog, setShowApproveDialog] = useState(false);
   const [approvingRequest, setApprovingRequest] = useState<any | null>(null);
+  const [approveConflicts, setApproveConflicts] = useState<LeaveConflicts | null>(null);
+  // 'reports' = เห็นเฉพาะใบลาของลูกทีมตามสายบังคับบัญชา, 'all' = เห็นทุกแผนก
+  const [listScope, setListScope] = useState<'all' | 'reports'>('all');
   const [dateRange, setDateRange] = useState<{ from: Date | undefined; to: Date | undefined }>({ from: undefined, to: undefined });
   const [approvedCount, setApprovedCount] = useState(0);
   const [rejectedCount, setRejectedCount] = useState(0);
@@ -151,7 +165,15 @@ const ApproveLeave = () => {
 
   const handleApprove = (id: string, employeeName: string) => {
     setApprovingRequest({ id, employeeName });
+    setApproveConflicts(null);
     setShowApproveDialog(true);
+
+    // ดึงรายการลาซ้อนและวันที่คนในแผนกไม่พอ เพื่อเตือนก่อนอนุมัติ
+    apiService.get(apiEndpoints.leave.conflicts(id), undefined, showSessionExpiredDialog)
+      .then(data => {
+        if (data.success) setApproveConflicts(data.data);
+      })
+      .catch(err => logger.error('Failed to fetch leave conflicts', err));
   };
 
   const confirmApprove = () => {
@@ -320,6 +342,7 @@ const ApproveLeave = () => {
           }
           setPendingRequests(filtered);
           setPendingTotalPages(data.totalPages || 1);
+          setListScope(data.scope === 'reports' ? 'reports' : 'all');
         } else {
           setPendingRequests([]);
           setPendingTotalPages(1);
@@ -947,9 +970,11 @@ const ApproveLeave = () => {
           </div>
           {/* Main Content */}
           <Tabs defaultValue="pending" className="space-y-6 animate-fade-in-up">
-            <TabsList className="grid w-full grid-cols-2 max-w-md glass bg-white/60 backdrop-blur-lg rounded-xl shadow-lg mb-4">
+            <TabsList className="grid w-full grid-cols-4 max-w-3xl glass bg-white/60 backdrop-blur-lg rounded-xl shadow-lg mb-4">
               <TabsTrigger value="pending" className="text-blue-700 font-bold text-lg data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-500 data-[state=active]:to-indigo-400 data-[state=active]:text-white data-[state=active]:shadow-lg rounded-xl transition-all btn-press hover-glow">{t('admin.pendingRequests')}</TabsTrigger>
               <TabsTrigger value="recent" className="text-blue-700 font-bold text-lg data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-500 data-[state=active]:to-indigo-400 data-[state=active]:text-white data-[state=active]:shadow-lg rounded-xl transition-all btn-press hover-glow">{t('admin.recentHistory')}</TabsTrigger>
+              <TabsTrigger value="cancellations" className="text-blue-700 font-bold text-lg data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-500 data-[state=active]:to-indigo-400 data-[state=active]:text-white data-[state=active]:shadow-lg rounded-xl transition-all btn-press hover-glow">{t('admin.cancellationRequests')}</TabsTrigger>
+              <TabsTrigger value="delegations" className="text-blue-700 font-bold text-lg data-[state=active]:bg-gradient-to-r data-[state=active]:from-blue-500 data-[state=active]:to-indigo-400 data-[state=active]:text-white data-[state=active]:shadow-lg rounded-xl transition-all btn-press hover-glow">{t('delegations.tab')}</TabsTrigger>
             </TabsList>
             {/* Pending Requests */}
             <TabsContent value="pending" className="space-y-4">
@@ -1095,6 +1120,12 @@ const ApproveLeave = () => {
                   </CardTitle>
                   <CardDescription className="text-white text-sm animate-slide-in-left" style={{ animationDelay: '0.1s' }}>
                     {t('admin.pendingLeaveRequestsDesc')}
+                    {listScope === 'reports' && (
+                      <span className="flex items-center gap-1 mt-1 font-semibold">
+                        <Users className="w-4 h-4" />
+                        {t('admin.scopeReportsOnly')}
+                      </span>
+                    )}
                   </CardDescription>
                 </CardHeader>
                 <CardContent className="p-0">
@@ -1404,6 +1435,12 @@ const ApproveLeave = () => {
                   </CardTitle>
                   <CardDescription className="text-white text-sm animate-slide-in-left" style={{ animationDelay: '0.1s' }}>
                     {t('admin.recentApprovalHistoryDesc')}
+                    {listScope === 'reports' && (
+                      <span className="flex items-center gap-1 mt-1 font-semibold">
+                        <Users className="w-4 h-4" />
+                        {t('admin.scopeReportsOnly')}
+                      </span>
+                    )}
                   </CardDescription>
                 </CardHeader>
                 <CardContent className="p-0">
@@ -1424,7 +1461,10 @@ const ApproveLeave = () => {
                         // Format date
                         const startStr = request.startDate;
                         const endStr = request.endDate;
-                        const leaveDays = request.startDate && request.endDate ? differenceInCalendarDays(new Date(request.endDate), new Date(request.startDate)) + 1 : '-';
+                        // ใช้จำนวนวันทำงานจาก backend (ลาครึ่งวัน = 0.5)
+                        const leaveDays = request.durationType === 'day' || request.durationType === 'half_day'
+                          ? request.duration
+                          : request.startDate && request.endDate ? differenceInCalendarDays(new Date(request.endDate), new Date(request.startDate)) + 1 : '-';
                         return (
                           <div
                             key={request.id}
@@ -1608,6 +1648,15 @@ const ApproveLeave = () => {
                 </CardContent>
               </Card>
             </TabsContent>
+
+            {/* Cancellation requests of approved leaves */}
+            <TabsContent value="cancellations" className="space-y-4">
+              <CancellationRequestsPanel onProcessed={fetchHistoryRequests} />
+            </TabsContent>
+
+            <TabsContent value="delegations" className="space-y-4">
+              <ApprovalDelegationPanel />
+            </TabsContent>
           </Tabs>
         </div>
       </div>
@@ -1658,6 +1707,39 @@ const ApproveLeave = () => {
               {t('admin.approveConfirmDesc', { name: approvingRequest?.employeeName || '' })}
             </DialogDescription>
           </DialogHeader>
+          {approveConflicts && (approveConflicts.overlaps.length > 0 || approveConflicts.staffing.shortfalls.length > 0 || approveConflicts.blackouts.length > 0) && (
+            <div className="rounded-md border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800 space-y-2">
+              {approveConflicts.overlaps.length > 0 && (
+                <div className="flex gap-2">
+                  <AlertCircle className="w-4 h-4 mt-0.5 shrink-0" />
+                  <span>{t('admin.conflictOverlapWarning', { count: approveConflicts.overlaps.length })}</span>
+                </div>
+              )}
+              {approveConflicts.blackouts.length > 0 && (
+                <div className="flex gap-2">
+                  <CalendarIcon className="w-4 h-4 mt-0.5 shrink-0" />
+                  <span>
+                    {t('blackouts.approveWarning')} {approveConflicts.blackouts.map(b => `${b.title} (${formatDateLocalized(b.startDate, i18n.language)} - ${formatDateLocalized(b.endDate, i18n.language)})`).join(', ')}
+                  </span>
+                </div>
+              )}
+              {approveConflicts.staffing.shortfalls.length > 0 && (
+                <div className="flex gap-2">
+                  <Users className="w-4 h-4 mt-0.5 shrink-0" />
+                  <div>
+                    <div>{t('admin.conflictStaffingWarning', { minimum: approveConflicts.staffing.minimum })}</div>
+                    <ul className="list-disc pl-5 mt-1">
+                      {approveConflicts.staffing.shortfalls.map(s => (
+                        <li key={s.date}>
+                          {formatDateLocalized(s.date, i18n.language)} — {t('admin.conflictStaffingDay', { present: s.present, headcount: s.headcount })}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           <DialogFooter className="flex gap-2 justify-end mt-4">
             <Button variant="outline" onClick={() => setShowApproveDialog(false)}>{t('common.cancel')}</Button>
             <Button className="bg-green-600 hover:bg-green-700" onClick={confirmApprove}>{t('common.confirm')}</Button>
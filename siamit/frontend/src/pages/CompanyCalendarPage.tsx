@@ -23,6 +23,14 @@ interface CompanyEvent {
   type?: 'company' | 'annual';
 }
 
+interface LeaveBlackout {
+  id: string;
+  title: string;
+  startDate: string;
+  endDate: string;
+  mode: string;
+}
+
 interface ThaiHoliday {
   date: string;
   name: string;
@@ -50,6 +58,8 @@ const CompanyCalendarPage = () => {
   const [loading, setLoading] = useState(true);
   const [showCompanyHolidays, setShowCompanyHolidays] = useState(true);
   const [showAnnualHolidays, setShowAnnualHolidays] = useState(true);
+  const [blackouts, setBlackouts] = useState<LeaveBlackout[]>([]);
+  const [showBlackouts, setShowBlackouts] = useState(true);
   const navigate = useNavigate();
   const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
@@ -66,6 +76,15 @@ const CompanyCalendarPage = () => {
         const result = await apiService.get(apiEndpoints.customHolidaysByYear(year));
         setCompanyEvents(result.data || []);
 
+        // Fetch leave blackout periods (ไม่ให้หน้าปฏิทินพังถ้าดึงไม่ได้)
+        try {
+          const blackoutResult = await apiService.get(apiEndpoints.leaveBlackoutsByYear(year));
+          setBlackouts(blackoutResult.data || []);
+        } catch (blackoutError) {
+          logger.error('Error fetching blackout periods:', blackoutError);
+          setBlackouts([]);
+        }
+
         // Get Thai holidays for the year
         const thaiHolidaysData = getAllThaiHolidays(year, t);
 
@@ -147,6 +166,14 @@ const CompanyCalendarPage = () => {
     return allEvents;
   };
 
+  // Get blackout periods that touch a specific month
+  const getBlackoutsByMonth = (year: number, month: number): LeaveBlackout[] => {
+    if (!showBlackouts) return [];
+    const monthStart = `${year}-${(month + 1).toString().padStart(2, '0')}-01`;
+    const monthEnd = `${year}-${(month + 1).toString().padStart(2, '0')}-${getDaysInMonth(year, month).toString().padStart(2, '0')}`;
+    return blackouts.filter(b => b.startDate.slice(0, 10) <= monthEnd && b.endDate.slice(0, 10) >= monthStart);
+  };
+
   // Get month names based on current language
   const getMonthNames = () => {
     return currentLang === 'th' ? monthNames.th : monthNames.en;
@@ -225,6 +252,14 @@ const CompanyCalendarPage = () => {
             />
             <span className="text-sm font-medium text-blue-700">{t('calendar.companyHolidays')}</span>
           </div>
+          <div className="flex items-center gap-3">
+            <Switch
+              checked={showBlackouts}
+              onCheckedChange={setShowBlackouts}
+              className="data-[state=checked]:bg-amber-500"
+            />
+            <span className="text-sm font-medium text-amber-700">{t('blackouts.title')}</span>
+          </div>
         </div>
 
         {/* Legend */}
@@ -241,6 +276,10 @@ const CompanyCalendarPage = () => {
             <span className="w-3 h-3 rounded-full bg-purple-500"></span>
             <span className="text-sm text-purple-700">{t('calendar.dualEvents')}</span>
           </div>
+          <div className="flex items-center gap-2">
+            <span className="w-3 h-3 rounded-full ring-2 ring-amber-500"></span>
+            <span className="text-sm text-amber-700">{t('blackouts.title')}</span>
+          </div>
         </div>
 
         {loading ? (
@@ -266,6 +305,7 @@ const CompanyCalendarPage = () => {
 
               // Get all events for this month
               const events = getEventsByMonth(year, mIdx);
+              const monthBlackouts = getBlackoutsByMonth(year, mIdx);
               const eventDates = events.map(e => e.date);
               const eventMap: Record<string, CalendarEvent> = {};
               const eventCountMap: Record<string, number> = {};
@@ -324,12 +364,13 @@ const CompanyCalendarPage = () => {
                               eventMap[`${year}-${(mIdx + 1).toString().padStart(2, '0')}-${d}`] ||
                               eventMap[`${dateStr} 00:00:00`] ||
                               eventMap[`${year}-${(mIdx + 1).toString().padStart(2, '0')}-${d.toString().padStart(2, '0')} 00:00:00`];
+                            const blackout = monthBlackouts.find(b => b.startDate.slice(0, 10) <= dateStr && b.endDate.slice(0, 10) >= dateStr);
 
                             return (
                               <td
                                 key={dIdx}
-                                className={`py-1 px-1 rounded-lg font-semibold transition`}
-                                title={event?.title || ''}
+                                className={`py-1 px-1 rounded-lg font-semibold transition ${blackout ? 'ring-2 ring-inset ring-amber-500 bg-amber-50' : ''}`}
+                                title={[event?.title, blackout?.title].filter(Boolean).join(' / ')}
                               >
                                 {event ? (
                                   <span className={`${event.isDual
@@ -352,7 +393,15 @@ const CompanyCalendarPage = () => {
                   </table>
                   {/* Company activities list for this month */}
                   <ul className="mt-2 text-xs text-left w-full">
-                    {events.length === 0 ? (
+                    {monthBlackouts.map(b => (
+                      <li key={`blackout-${b.id}`} className="flex items-center gap-2">
+                        <span className="inline-block w-2 h-2 rounded-full bg-amber-500"></span>
+                        <span className="text-amber-700">
+                          {b.title} ({Number(b.startDate.slice(8, 10))}/{Number(b.startDate.slice(5, 7))} - {Number(b.endDate.slice(8, 10))}/{Number(b.endDate.slice(5, 7))})
+                        </span>
+                      </li>
+                    ))}
+                    {events.length === 0 && monthBlackouts.length === 0 ? (
                       <li className="text-gray-500 italic text-center py-2">
                         {t('calendar.noEvents')}
                       </li>
@@ -1,6 +1,7 @@
 import AvatarCropDialog from '@/components/dialogs/AvatarCropDialog';
 import { LeaveDetailDialog } from "@/components/dialogs/LeaveDetailDialog";
 import PaginationBar from "@/components/PaginationBar";
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle, AlertDialogTrigger } from "@/components/ui/alert-dialog";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
@@ -15,7 +16,7 @@ import { withCacheBust } from '@/lib/url';
 import { LeaveRequest } from '@/types';
 import { format } from 'date-fns';
 import { th } from 'date-fns/locale';
-import { Calendar, Camera, ChevronLeft, Edit, Eye, Mail, User } from "lucide-react";
+import { Calendar, Camera, ChevronLeft, Edit, Eye, Mail, ShieldOff, User, UserSearch } from "lucide-react";
 import { useEffect, useState } from "react";
 import { useTranslation } from "react-i18next";
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
@@ -28,7 +29,7 @@ const EmployeeDetail = () => {
   const navigate = useNavigate();
   const { t, i18n } = useTranslation();
   const { toast } = useToast();
-  const { user, showSessionExpiredDialog } = useAuth();
+  const { user, showSessionExpiredDialog, startImpersonation } = useAuth();
   const [isEditing, setIsEditing] = useState(false);
   const [selectedLeave, setSelectedLeave] = useState(null);
   const [leaveDialogOpen, setLeaveDialogOpen] = useState(false);
@@ -44,11 +45,13 @@ const EmployeeDetail = () => {
     phone: '',
     startWorkDate: '',
     internStartDate: '',
-    internEndDate: ''
+    internEndDate: '',
+    managerId: ''
   });
 
   // เพิ่ม state สำหรับข้อมูลจริง
   const [employee, setEmployee] = useState(null);
+  const [twoFactorEnabled, setTwoFactorEnabled] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [leaveHistory, setLeaveHistory] = useState<LeaveRequest[]>([]);
@@ -57,6 +60,8 @@ const EmployeeDetail = () => {
   const [processCheckId, setProcessCheckId] = useState(null);
   const [departments, setDepartments] = useState<{ id: string; department_name: string; department_name_en?: string; department_name_th?: string }[]>([]);
   const [positions, setPositions] = useState<{ id: string; position_name: string; position_name_en?: string; position_name_th?: string }[]>([]);
+  // รายชื่อพนักงานสำหรับเลือกหัวหน้างาน
+  const [managerOptions, setManagerOptions] = useState<{ id: string; name: string }[]>([]);
   // --- เพิ่ม state สำหรับ paging ---
   const [leavePage, setLeavePage] = useState(1);
   const [leaveTotalPages, setLeaveTotalPages] = useState(1);
@@ -198,9 +203,12 @@ const EmployeeDetail = () => {
         setDepartments(Array.isArray(deptData.data) ? deptData.data : []);
         const posData = await apiService.get(apiEndpoints.positions, undefined, showSessionExpiredDialog);
         setPositions(Array.isArray(posData.data) ? posData.data : []);
+        const empData = await apiService.get(apiEndpoints.employees.list, undefined, showSessionExpiredDialog);
+        setManagerOptions(Array.isArray(empData.data) ? empData.data.map((e: { id: string; name: string }) => ({ id: e.id, name: e.name })) : []);
       } catch {
         setDepartments([]);
         setPositions([]);
+        setManagerOptions([]);
       }
     };
     fetchDeps();
@@ -265,7 +273,8 @@ const EmployeeDetail = () => {
       phone: employee?.phone_number || '', // <-- เปลี่ยนจาก phone เป็น phone_number
       startWorkDate: employee?.start_work || '', // <-- ใช้คอลัมน์จริงจาก DB
       internStartDate: employee?.start_work || '', // Intern ใช้ start_work เป็นวันเริ่มฝึกงาน
-      internEndDate: employee?.end_work || '' // Intern ใช้ end_work เป็นวันสิ้นสุดฝึกงาน
+      internEndDate: employee?.end_work || '', // Intern ใช้ end_work เป็นวันสิ้นสุดฝึกงาน
+      managerId: employee?.manager_id || ''
     });
     setIsEditing(true);
   };
@@ -283,6 +292,7 @@ const EmployeeDetail = () => {
         // ถ้าเป็น Intern ให้ส่ง startWorkDate จาก internStartDate และแนบ endWorkDate ด้วย
         startWorkDate: isInternPosition() ? editData.internStartDate : editData.startWorkDate,
         ...(isInternPosition() ? { endWorkDate: editData.internEndDate } : {}),
+        manager_id: editData.managerId,
       };
       if (editData.password && editData.password.trim() !== '') payload.password = editData.password;
       const data = await apiService.put(apiEndpoints.employees.detail(id), payload);
@@ -317,7 +327,8 @@ const EmployeeDetail = () => {
       phone: '',
       startWorkDate: '',
       internStartDate: '',
-      internEndDate: ''
+      internEndDate: '',
+      managerId: ''
     });
   };
 
@@ -403,6 +414,32 @@ const EmployeeDetail = () => {
     }
   };
 
+  // พนักงานทำอุปกรณ์ยืนยันตัวตนหาย: ล้าง 2FA ให้ตั้งค่าใหม่ตอนเข้าสู่ระบบครั้งถัดไป
+  const handleResetTwoFactor = async () => {
+    if (!id) return;
+    try {
+      const data = await apiService.delete(apiEndpoints.superAdmin.resetTwoFactor(id));
+      if (!data.success) throw new Error(data.message);
+      setTwoFactorEnabled(false);
+      toast({ title: t('twoFactor.resetDone') });
+    } catch (err) {
+      toast({ title: t('error.title'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+    }
+  };
+
+  // superadmin ดูระบบในมุมมองของพนักงานคนนี้ (อ่านอย่างเดียว จำกัดเวลา)
+  const handleViewAs = async () => {
+    if (!id) return;
+    try {
+      const data = await apiService.post(apiEndpoints.impersonation.start, { userId: id });
+      if (!data.success) throw new Error(data.message);
+      await startImpersonation(data.data, location.pathname);
+      navigate('/', { replace: true });
+    } catch (err) {
+      toast({ title: t('error.title'), description: err instanceof Error ? err.message : undefined, variant: 'destructive' });
+    }
+  };
+
   // เพิ่ม useEffect สำหรับ fetch employee
   useEffect(() => {
     if (!id) return;
@@ -412,6 +449,7 @@ const EmployeeDetail = () => {
       .then(data => {
         if (data.success) {
           setEmployee(data.data);
+          setTwoFactorEnabled(!!data.data?.twoFactorEnabled);
         } else {
           setEmployee(null);
           setError(t('employee.notFound'));
@@ -671,6 +709,28 @@ const EmployeeDetail = () => {
                         <p className="text-lg text-blue-700 dark:text-blue-200">{getDepartmentLabel(employee.department_id || employee.department)}</p>
                       )}
                     </div>
+                    {/* Manager */}
+                    <div>
+                      <Label className="text-sm font-semibold text-blue-700 dark:text-blue-300 mb-2 block">{t('employee.manager')}</Label>
+                      {isEditing ? (
+                        <select
+                          className="w-full px-4 py-3 border-2 border-blue-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-white"
+                          value={editData.managerId}
+                          onChange={e => setEditData({ ...editData, managerId: e.target.value })}
+                        >
+                          <option value="">{t('employee.noManager')}</option>
+                          {managerOptions
+                            .filter(m => m.id !== id)
+                            .map(m => (
+                              <option key={m.id} value={m.id}>{m.name}</option>
+                            ))}
+                        </select>
+                      ) : (
+                        <p className="text-lg text-blue-700 dark:text-blue-200">
+                          {managerOptions.find(m => m.id === employee.manager_id)?.name || t('employee.noManager')}
+                        </p>
+                      )}
+                    </div>
                     {/* Gender */}
                     <div>
                       <Label className="text-sm font-semibold text-blue-700 dark:text-blue-300 mb-2 block">{t('employee.gender')}</Label>
@@ -821,9 +881,53 @@ const EmployeeDetail = () => {
                       </Button>
                     </>
                   ) : (
-                    <Button onClick={handleEdit} size="lg" variant="outline" className="rounded-xl px-8 py-3 font-bold border-2 border-indigo-200 text-indigo-700 hover:bg-indigo-50 shadow transition-all duration-200">
-                      <Edit className="w-5 h-5 mr-2" />{t('common.edit')}
-                    </Button>
+                    <>
+                      <Button onClick={handleEdit} size="lg" variant="outline" className="rounded-xl px-8 py-3 font-bold border-2 border-indigo-200 text-indigo-700 hover:bg-indigo-50 shadow transition-all duration-200">
+                        <Edit className="w-5 h-5 mr-2" />{t('common.edit')}
+                      </Button>
+                      {twoFactorEnabled && user?.role === 'superadmin' && (
+                        <AlertDialog>
+                          <AlertDialogTrigger asChild>
+                            <Button size="lg" variant="outline" className="rounded-xl px-8 py-3 font-bold border-2 border-red-200 text-red-600 hover:bg-red-50 shadow transition-all duration-200">
+                              <ShieldOff className="w-5 h-5 mr-2" />{t('twoFactor.reset')}
+                            </Button>
+                          </AlertDialogTrigger>
+                          <AlertDialogContent>
+                            <AlertDialogHeader>
+                              <AlertDialogTitle>{t('twoFactor.resetConfirmTitle')}</AlertDialogTitle>
+                              <AlertDialogDescription>{t('twoFactor.resetConfirmDescription')}</AlertDialogDescription>
+                            </AlertDialogHeader>
+                            <AlertDialogFooter>
+                              <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+                              <AlertDialogAction onClick={handleResetTwoFactor} className="bg-gradient-to-r from-red-500 to-pink-400 text-white">
+                                {t('twoFactor.reset')}
+                              </AlertDialogAction>
+                            </AlertDialogFooter>
+                          </AlertDialogContent>
+                        </AlertDialog>
+                      )}
+                      {user?.role === 'superadmin' && employee?.role !== 'superadmin' && id !== user?.id && (
+                        <AlertDialog>
+                          <AlertDialogTrigger asChild>
+                            <Button size="lg" variant="outline" className="rounded-xl px-8 py-3 font-bold border-2 border-amber-200 text-amber-700 hover:bg-amber-50 shadow transition-all duration-200">
+                              <UserSearch className="w-5 h-5 mr-2" />{t('impersonation.viewAs')}
+                            </Button>
+                          </AlertDialogTrigger>
+                          <AlertDialogContent>
+                            <AlertDialogHeader>
+                              <AlertDialogTitle>{t('impersonation.confirmTitle')}</AlertDialogTitle>
+                              <AlertDialogDescription>{t('impersonation.confirmDescription')}</AlertDialogDescription>
+                            </AlertDialogHeader>
+                            <AlertDialogFooter>
+                              <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+                              <AlertDialogAction onClick={handleViewAs} className="bg-gradient-to-r from-amber-500 to-orange-400 text-white">
+                                {t('impersonation.start')}
+                              </AlertDialogAction>
+                            </AlertDialogFooter>
+                          </AlertDialogContent>
+                        </AlertDialog>
+                      )}
+                    </>
                   )}
                 </div>
               </div>
@@ -1080,6 +1184,8 @@ const EmployeeDetail = () => {
                                 } else {
                                   return <span className="text-gray-400">-</span>;
                                 }
+                              } else if (leave.durationType === 'half_day') {
+                                return <span className="font-medium text-sm whitespace-nowrap">{t('leave.halfDay')} ({t(`leave.${leave.halfDayPeriod}`)})</span>;
                               } else if (leave.durationType === 'hour') {
                                 // ใช้ durationHours แทน duration เมื่อเป็นชั่วโมง
                                 const hours = Number(leave.durationHours || leave.duration);
@@ -6,8 +6,8 @@ import { SidebarTrigger } from "@/components/ui/sidebar";
 import { apiEndpoints } from '@/constants/api';
 import { useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/hooks/use-toast';
-import { ChevronDown, ChevronUp, Eye, User, Users } from "lucide-react";
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { ChevronDown, ChevronUp, Eye, Lock, LockOpen, User, Users } from "lucide-react";
+import { type ReactNode, useCallback, useEffect, useMemo, useState } from "react";
 import { useTranslation } from "react-i18next";
 import { Link } from "react-router-dom";
 import { apiService } from '../lib/api';
@@ -29,6 +29,7 @@ interface Employee {
   usedLeaveDays: number;
   totalLeaveDays: number;
   avatar?: string; // เพิ่ม avatar เข้าไป
+  lockedUntil?: string | null; // ล็อกชั่วคราวจากการเข้าสู่ระบบผิดหลายครั้ง
 }
 
 // เพิ่มฟังก์ชันแปลงวันลาเป็นวัน+ชั่วโมง (รองรับ i18n)
@@ -54,6 +55,7 @@ const EmployeeManagement = () => {
   // State สำหรับจัดการการลบพนักงาน
   const [deleteTarget, setDeleteTarget] = useState<Employee | null>(null); // พนักงานที่จะลบ
   const [deleting, setDeleting] = useState(false); // สถานะกำลังลบ
+  const [unlockingId, setUnlockingId] = useState<string | null>(null); // id ที่กำลังปลดล็อก
   const [pendingPositionFilter, setPendingPositionFilter] = useState<string>("");
   const [pendingDepartmentFilter, setPendingDepartmentFilter] = useState<string>("");
   const [pendingRoleFilter, setPendingRoleFilter] = useState<string>("");
@@ -82,6 +84,7 @@ const EmployeeManagement = () => {
             usedLeaveDays: item.usedLeaveDays ?? 0,
             totalLeaveDays: item.totalLeaveDays ?? 0,
             avatar: item.avatar || undefined,
+            lockedUntil: item.lockedUntil || null,
           }));
 
           setEmployees(employees);
@@ -385,6 +388,62 @@ const EmployeeManagement = () => {
     }
   };
 
+  // ปลดล็อกได้เฉพาะคนที่มีสิทธิ์จัดการพนักงานคนนั้นอยู่แล้ว (กติกาเดียวกับการลบ)
+  const canUnlockEmployee = (targetEmployee: Employee): boolean =>
+    !!targetEmployee.lockedUntil && canDeleteEmployee(targetEmployee);
+
+  const formatLockedUntil = (lockedUntil: string) =>
+    new Date(lockedUntil).toLocaleString(i18n.language === 'th' ? 'th-TH' : 'en-US', { dateStyle: 'short', timeStyle: 'short' });
+
+  // ปลดล็อกบัญชีที่ถูกล็อกจากการเข้าสู่ระบบผิดหลายครั้ง
+  const handleUnlock = async (target: Employee) => {
+    setUnlockingId(target.id);
+    try {
+      const data = await apiService.post(apiEndpoints.employees.unlock(target.id), {});
+      if (data && data.success === true) {
+        setEmployees((prev) => prev.map((e) => (e.id === target.id ? { ...e, lockedUntil: null } : e)));
+        toast({
+          title: t('employee.unlockSuccess'),
+          className: 'border-green-500 bg-green-50 text-green-900'
+        });
+      } else {
+        toast({
+          title: t('employee.unlockError'),
+          description: data?.message || t('employee.unlockError'),
+          variant: "destructive",
+        });
+      }
+    } catch (e) {
+      if (import.meta.env.DEV) {
+        logger.error('Unlock employee error:', e);
+      }
+      toast({
+        title: t('employee.unlockError'),
+        variant: "destructive",
+      });
+    } finally {
+      setUnlockingId(null);
+    }
+  };
+
+  const renderUnlockDialog = (employee: Employee, trigger: ReactNode) => (
+    <AlertDialog>
+      <AlertDialogTrigger asChild>{trigger}</AlertDialogTrigger>
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>{t('employee.unlockConfirmTitle')}</AlertDialogTitle>
+          <AlertDialogDescription>{t('employee.unlockConfirmDesc')}</AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+          <AlertDialogAction onClick={() => handleUnlock(employee)} disabled={unlockingId === employee.id}>
+            {unlockingId === employee.id ? t('common.loading') : t('employee.unlock')}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-100 via-indigo-50 to-white dark:from-gray-950 dark:via-gray-900 dark:to-gray-950 flex flex-col">
       {/* Hero Section (identical to other main pages) */}
@@ -625,6 +684,15 @@ const EmployeeManagement = () => {
                                       {t('auth.roles.employee')}
                                     </span>
                                   )}
+                                  {employee.lockedUntil && (
+                                    <span
+                                      className="ml-1 inline-flex items-center gap-1 text-xs px-2 py-1 rounded-full bg-amber-100 text-amber-800 font-bold shadow-sm"
+                                      title={t('employee.lockedUntil', { time: formatLockedUntil(employee.lockedUntil) })}
+                                    >
+                                      <Lock className="w-3 h-3" />
+                                      {t('employee.locked')}
+                                    </span>
+                                  )}
                                 </div>
                                 <div className="flex items-center gap-2">
                                   <Button
@@ -636,6 +704,15 @@ const EmployeeManagement = () => {
                                       <Eye className="w-4 h-4" />
                                     </Link>
                                   </Button>
+                                  {canUnlockEmployee(employee) && renderUnlockDialog(employee, (
+                                    <Button
+                                      size="sm"
+                                      className="h-8 w-8 p-0 rounded-full bg-amber-100 text-amber-700 hover:bg-amber-200 shadow-sm"
+                                      aria-label={t('employee.unlock')}
+                                    >
+                                      <LockOpen className="w-4 h-4" />
+                                    </Button>
+                                  ))}
                                   {canDeleteEmployee(employee) && (
                                     <AlertDialog>
                                       <AlertDialogTrigger asChild>
@@ -785,6 +862,15 @@ const EmployeeManagement = () => {
                                         {t('auth.roles.employee')}
                                       </span>
                                     )}
+                                    {employee.lockedUntil && (
+                                      <span
+                                        className="ml-1 inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 font-bold shadow-sm"
+                                        title={t('employee.lockedUntil', { time: formatLockedUntil(employee.lockedUntil) })}
+                                      >
+                                        <Lock className="w-3 h-3" />
+                                        {t('employee.locked')}
+                                      </span>
+                                    )}
                                   </td>
                                   <td className="px-3 py-3 text-center flex flex-row flex-nowrap items-center gap-1.5 justify-start whitespace-nowrap">
                                     <Button
@@ -799,6 +885,15 @@ const EmployeeManagement = () => {
                                         <span className="sm:hidden">{t('common.view')}</span>
                                       </Link>
                                     </Button>
+                                    {canUnlockEmployee(employee) && renderUnlockDialog(employee, (
+                                      <Button
+                                        size="sm"
+                                        className="rounded-lg px-2 sm:px-3 py-1.5 font-medium bg-gradient-to-r from-amber-400 to-amber-500 text-white shadow hover:scale-105 transition text-xs"
+                                      >
+                                        <LockOpen className="w-3.5 h-3.5 mr-1" />
+                                        <span className="hidden sm:inline">{t('employee.unlock')}</span>
+                                      </Button>
+                                    ))}
                                     {/* ปุ่มลบพนักงาน - แสดงเฉพาะเมื่อมีสิทธิ์ลบ */}
                                     {canDeleteEmployee(employee) && (
                                       <AlertDialog>
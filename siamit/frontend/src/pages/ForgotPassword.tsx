@@ -0,0 +1,75 @@
+import AuthPageShell from '@/components/AuthPageShell';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { apiEndpoints } from '@/constants/api';
+import { useToast } from '@/hooks/use-toast';
+import { apiService } from '@/lib/api';
+import { isValidEmail } from '@/lib/validators';
+import { MailCheck } from 'lucide-react';
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
+
+const ForgotPassword = () => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!isValidEmail(email)) {
+      toast({ title: t('common.error'), description: t('auth.invalidEmailFormat'), variant: 'destructive' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await apiService.post(apiEndpoints.auth.passwordResetRequest, { email: email.trim() });
+      if (!res?.success) throw new Error(res?.message);
+      // ข้อความเดียวกันทุกกรณี ไม่บอกว่าอีเมลนี้มีบัญชีหรือไม่
+      setSent(true);
+    } catch (err) {
+      toast({ title: t('common.error'), description: err instanceof Error && err.message ? err.message : t('passwordReset.requestFailed'), variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthPageShell title={t('passwordReset.forgotTitle')} description={sent ? undefined : t('passwordReset.forgotDescription')}>
+      {sent ? (
+        <div className="space-y-4 text-center">
+          <MailCheck className="mx-auto h-12 w-12 text-blue-500" />
+          <p className="text-sm text-gray-600 dark:text-gray-300">{t('passwordReset.checkInbox', { email })}</p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="space-y-2">
+            <Label htmlFor="email" className="text-blue-900 dark:text-gray-200 font-medium">{t('auth.email')}</Label>
+            <Input
+              id="email"
+              type="email"
+              placeholder="name@company.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          <Button type="submit" className="w-full" disabled={loading}>
+            {loading ? t('passwordReset.sending') : t('passwordReset.sendLink')}
+          </Button>
+        </form>
+      )}
+      <div className="mt-6 text-center">
+        <Link to="/login" className="font-bold text-blue-700 hover:text-blue-900 dark:text-blue-300 dark:hover:text-blue-100 transition-colors">
+          {t('passwordReset.backToLogin')}
+        </Link>
+      </div>
+    </AuthPageShell>
+  );
+};
+
+export default ForgotPassword;
@@ -5,6 +5,7 @@ import { Button } from "@/components/ui/button";
 import { Calendar as CalendarComponent } from "@/components/ui/calendar";
 import { Card, CardContent, CardHeader } from "@/components/ui/card";
 import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { SidebarTrigger } from "@/components/ui/sidebar";
@@ -13,7 +14,7 @@ import { useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/hooks/use-toast';
 import { format } from "date-fns";
 import { enUS, th } from "date-fns/locale";
-import { AlertCircle, Calendar, CheckCircle, Clock, Eye, FileText, Filter, History, Trash2, X, XCircle } from "lucide-react";
+import { AlertCircle, Ban, Calendar, CheckCircle, Clock, Eye, FileText, Filter, History, Undo2, X, XCircle } from "lucide-react";
 import { useCallback, useEffect, useState } from "react";
 import { useTranslation } from "react-i18next";
 import { useNavigate } from 'react-router-dom';
@@ -101,13 +102,16 @@ const LeaveHistory = () => {
 
 
 
-  // --- เพิ่ม state สำหรับการลบ ---
+  // --- state สำหรับการถอนคำขอ (pending) ---
+  const [withdrawLeaveId, setWithdrawLeaveId] = useState<string | null>(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [showWithdrawDialog, setShowWithdrawDialog] = useState(false);
 
-  const [deleteLeaveId, setDeleteLeaveId] = useState<string | null>(null);
-
-  const [deleting, setDeleting] = useState(false);
-
-  const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  // --- state สำหรับการขอยกเลิกใบลาที่อนุมัติแล้ว ---
+  const [cancelLeaveId, setCancelLeaveId] = useState<string | null>(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [requestingCancel, setRequestingCancel] = useState(false);
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
 
 
 
@@ -363,94 +367,93 @@ const LeaveHistory = () => {
 
 
 
-  // เพิ่มฟังก์ชันการลบใบลา
-
-  const handleDeleteLeave = (leaveId: string) => {
-
-    setDeleteLeaveId(leaveId);
-
-    setShowDeleteDialog(true);
-
+  // ถอนคำขอลาที่ยังรออนุมัติ (เก็บประวัติไว้ ไม่ลบ)
+  const handleWithdrawLeave = (leaveId: string) => {
+    setWithdrawLeaveId(leaveId);
+    setShowWithdrawDialog(true);
   };
 
-
-
-  const confirmDeleteLeave = async () => {
-
-    if (!deleteLeaveId) return;
-
-    setDeleting(true);
-
+  const confirmWithdrawLeave = async () => {
+    if (!withdrawLeaveId) return;
+    setWithdrawing(true);
     try {
-
-      const data = await apiService.delete(apiEndpoints.leave.delete(deleteLeaveId), undefined, showSessionExpiredDialog);
-
+      const data = await apiService.post(apiEndpoints.leave.withdraw(withdrawLeaveId), {}, undefined, showSessionExpiredDialog);
       if (data && (data.success || data.status === 'success')) {
-
         toast({
-
-          title: t('system.deleteSuccess'),
-
-          description: t('system.deleteSuccessDesc'),
-
+          title: t('history.withdrawSuccess'),
+          description: t('history.withdrawSuccessDesc'),
           className: 'border-green-500 bg-green-50 text-green-900',
-
         });
-
-        setDeleteLeaveId(null);
-
-        setShowDeleteDialog(false);
-
-        // Refresh ข้อมูลหลังจากลบสำเร็จ
-
+        setWithdrawLeaveId(null);
+        setShowWithdrawDialog(false);
         fetchLeaveHistory();
-
       } else {
-
         toast({
-
-          title: t('system.deleteError'),
-
-          description: data?.message || t('system.deleteErrorDesc'),
-
+          title: t('history.withdrawError'),
+          description: data?.message || t('history.withdrawError'),
           variant: 'destructive',
-
         });
-
       }
-
     } catch (e) {
-
       toast({
-
-        title: t('system.deleteError'),
-
-        description: t('system.deleteErrorDesc'),
-
+        title: t('history.withdrawError'),
+        description: t('history.withdrawError'),
         variant: 'destructive',
-
       });
-
     } finally {
-
-      setDeleting(false);
-
+      setWithdrawing(false);
     }
+  };
 
+  // ขอยกเลิกใบลาที่อนุมัติแล้ว (ผู้อนุมัติต้องยืนยันก่อนคืนโควต้า)
+  const handleRequestCancel = (leaveId: string) => {
+    setCancelLeaveId(leaveId);
+    setCancelReason('');
+    setShowCancelDialog(true);
   };
 
-  // ฟังก์ชันตรวจสอบว่าสามารถลบใบลาได้หรือไม่
-  const canDeleteLeave = (leave: any) => {
-    // ตรวจสอบสถานะต้องเป็น pending
-    if (leave.status !== 'pending') {
-      return false;
+  const confirmRequestCancel = async () => {
+    if (!cancelLeaveId) return;
+    if (!cancelReason.trim()) {
+      toast({ title: t('history.cancelReasonRequired'), variant: 'destructive' });
+      return;
+    }
+    setRequestingCancel(true);
+    try {
+      const data = await apiService.post(apiEndpoints.leave.cancelRequest(cancelLeaveId), { reason: cancelReason.trim() }, undefined, showSessionExpiredDialog);
+      if (data && (data.success || data.status === 'success')) {
+        toast({
+          title: t('history.cancelRequestSuccess'),
+          description: t('history.cancelRequestSuccessDesc'),
+          className: 'border-green-500 bg-green-50 text-green-900',
+        });
+        setCancelLeaveId(null);
+        setShowCancelDialog(false);
+        fetchLeaveHistory();
+      } else {
+        toast({
+          title: t('history.cancelRequestError'),
+          description: data?.message || t('history.cancelRequestError'),
+          variant: 'destructive',
+        });
+      }
+    } catch (e) {
+      toast({
+        title: t('history.cancelRequestError'),
+        description: t('history.cancelRequestError'),
+        variant: 'destructive',
+      });
+    } finally {
+      setRequestingCancel(false);
     }
-
-    // Allow deletion of pending requests regardless of date
-    // (Backend will handle any additional date restrictions if needed)
-    return true;
   };
 
+  // ถอนได้เฉพาะใบลาที่ยังรออนุมัติ
+  const canWithdrawLeave = (leave: { status: string }) => leave.status === 'pending';
+
+  // ขอยกเลิกได้เฉพาะใบลาที่อนุมัติแล้วและยังไม่มีคำขอยกเลิกค้างอยู่
+  const canRequestCancel = (leave: { status: string }) => leave.status === 'approved';
+
   // เพิ่มฟังก์ชันสำหรับกำหนดประเภทไฟล์
   const getFileType = (fileName: string) => {
     const extension = fileName.split('.').pop()?.toLowerCase();
@@ -911,6 +914,12 @@ const LeaveHistory = () => {
                                 return t('leave.approved');
                               case 'rejected':
                                 return t('leave.rejected');
+                              case 'withdrawn':
+                                return t('leave.withdrawn');
+                              case 'cancel_requested':
+                                return t('leave.cancelRequested');
+                              case 'cancelled':
+                                return t('leave.cancelled');
                               default:
                                 return statusValue; // fallback to original value
                             }
@@ -1350,7 +1359,10 @@ const LeaveHistory = () => {
 
                             <span className="font-medium">{t('leave.duration')}:</span>
 
-                            <span>{leave.days} {t('history.days')}</span>
+                            <span>
+                              {leave.days} {t('history.days')}
+                              {leave.halfDayPeriod && ` (${t('leave.halfDay')} · ${t(`leave.${leave.halfDayPeriod}`)})`}
+                            </span>
 
                           </div>
 
@@ -1413,6 +1425,9 @@ const LeaveHistory = () => {
                             <span className="font-medium">{t('leave.approvedBy')}:</span>
 
                             <span>{leave.approvedBy}</span>
+                            {leave.onBehalfOf && (
+                              <span className="text-sm">{t('delegations.onBehalfOf', { name: leave.onBehalfOf })}</span>
+                            )}
 
                           </div>
 
@@ -1430,6 +1445,9 @@ const LeaveHistory = () => {
 
                                 <XCircle className="w-4 h-4 text-red-500" />
                                 <span className="font-medium text-red-900 text-sm break-all overflow-wrap-anywhere whitespace-pre-wrap max-w-full">{leave.rejectedBy || '-'}</span>
+                                {leave.onBehalfOf && (
+                                  <span className="text-sm text-red-700">{t('delegations.onBehalfOf', { name: leave.onBehalfOf })}</span>
+                                )}
                               </div>
 
                             </div>
@@ -1476,6 +1494,28 @@ const LeaveHistory = () => {
 
                         )}
 
+                        {leave.status === "cancel_requested" && (
+                          <div className="flex items-start gap-3 p-3 bg-orange-50 rounded-lg text-sm">
+                            <AlertCircle className="w-4 h-4 text-orange-500 mt-0.5" />
+                            <div className="flex-1 min-w-0">
+                              <span className="font-medium text-orange-800">{t('history.awaitingCancelConfirmation')}</span>
+                              {leave.cancelReason && (
+                                <p className="text-orange-900 break-all whitespace-pre-wrap">{t('history.cancelReason')}: {leave.cancelReason}</p>
+                              )}
+                            </div>
+                          </div>
+                        )}
+
+                        {leave.status === "approved" && leave.cancelRejectedReason && (
+                          <div className="flex items-start gap-3 p-3 bg-red-50 rounded-lg text-sm">
+                            <Ban className="w-4 h-4 text-red-500 mt-0.5" />
+                            <div className="flex-1 min-w-0">
+                              <span className="font-medium text-red-800">{t('history.cancelRejectedReason')}</span>
+                              <p className="text-red-900 break-all whitespace-pre-wrap">{leave.cancelRejectedReason}</p>
+                            </div>
+                          </div>
+                        )}
+
                         <div className="flex flex-col sm:flex-row justify-end mt-6 gap-2">
 
                           <Button
@@ -1488,73 +1528,85 @@ const LeaveHistory = () => {
                             {t('common.viewDetails')}
                           </Button>
 
-                          {canDeleteLeave(leave) && (
-                            <AlertDialog open={showDeleteDialog && deleteLeaveId === leave.id} onOpenChange={setShowDeleteDialog}>
-
+                          {canWithdrawLeave(leave) && (
+                            <AlertDialog open={showWithdrawDialog && withdrawLeaveId === leave.id} onOpenChange={setShowWithdrawDialog}>
                               <AlertDialogTrigger asChild>
-
                                 <Button
-
                                   size="sm"
-
                                   variant="destructive"
-
-                                  onClick={() => handleDeleteLeave(leave.id)}
-
+                                  onClick={() => handleWithdrawLeave(leave.id)}
                                   className="transition-all duration-300 transform hover:scale-105 hover:shadow-md btn-press hover-glow text-sm px-4 py-2"
-
                                 >
-
-                                  <Trash2 className="w-4 h-4 mr-1" />
-
-                                  {t('common.delete')}
-
+                                  <Undo2 className="w-4 h-4 mr-1" />
+                                  {t('history.withdraw')}
                                 </Button>
-
                               </AlertDialogTrigger>
-
                               <AlertDialogContent>
-
                                 <AlertDialogHeader>
-
-                                  <AlertDialogTitle>{t('common.confirmDelete')}</AlertDialogTitle>
-
+                                  <AlertDialogTitle>{t('history.confirmWithdraw')}</AlertDialogTitle>
                                   <AlertDialogDescription>
-
-                                    {t('system.deleteConfirmMessage')}
-
+                                    {t('history.withdrawConfirmMessage')}
                                   </AlertDialogDescription>
-
                                 </AlertDialogHeader>
-
                                 <AlertDialogFooter>
-
                                   <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
-
                                   <AlertDialogAction
-
-                                    onClick={confirmDeleteLeave}
-
-                                    disabled={deleting}
-
+                                    onClick={confirmWithdrawLeave}
+                                    disabled={withdrawing}
                                     className="bg-red-600 hover:bg-red-700"
-
                                   >
-
-                                    {deleting ? t('common.deleting') : t('common.delete')}
-
+                                    {withdrawing ? t('history.withdrawing') : t('history.withdraw')}
                                   </AlertDialogAction>
-
                                 </AlertDialogFooter>
-
                               </AlertDialogContent>
-
                             </AlertDialog>
+                          )}
 
+                          {canRequestCancel(leave) && (
+                            <AlertDialog open={showCancelDialog && cancelLeaveId === leave.id} onOpenChange={setShowCancelDialog}>
+                              <AlertDialogTrigger asChild>
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() => handleRequestCancel(leave.id)}
+                                  className="transition-all duration-300 transform hover:scale-105 hover:shadow-md hover:bg-orange-50 hover:border-orange-300 btn-press hover-glow text-sm px-4 py-2"
+                                >
+                                  <Ban className="w-4 h-4 mr-1" />
+                                  {t('history.requestCancel')}
+                                </Button>
+                              </AlertDialogTrigger>
+                              <AlertDialogContent>
+                                <AlertDialogHeader>
+                                  <AlertDialogTitle>{t('history.requestCancelTitle')}</AlertDialogTitle>
+                                  <AlertDialogDescription>
+                                    {t('history.requestCancelDesc')}
+                                  </AlertDialogDescription>
+                                </AlertDialogHeader>
+                                <div className="space-y-2">
+                                  <Label htmlFor={`cancel-reason-${leave.id}`}>{t('history.cancelReason')}</Label>
+                                  <Textarea
+                                    id={`cancel-reason-${leave.id}`}
+                                    value={cancelReason}
+                                    onChange={(e) => setCancelReason(e.target.value)}
+                                    placeholder={t('history.cancelReasonPlaceholder')}
+                                  />
+                                </div>
+                                <AlertDialogFooter>
+                                  <AlertDialogCancel>{t('common.cancel')}</AlertDialogCancel>
+                                  <AlertDialogAction
+                                    onClick={(e) => { e.preventDefault(); confirmRequestCancel(); }}
+                                    disabled={requestingCancel || !cancelReason.trim()}
+                                    className="bg-orange-600 hover:bg-orange-700"
+                                  >
+                                    {t('history.submitCancelRequest')}
+                                  </AlertDialogAction>
+                                </AlertDialogFooter>
+                              </AlertDialogContent>
+                            </AlertDialog>
                           )}
 
-                          {/* Show disabled delete button with tooltip when deletion is not allowed */}
-                          {!canDeleteLeave(leave) && (
+                          {/* Show disabled withdraw button with tooltip when no action is available */}
+                          {!canWithdrawLeave(leave) && !canRequestCancel(leave) && (
                             <div className="relative group">
                               <Button
                                 size="sm"
@@ -1562,14 +1614,11 @@ const LeaveHistory = () => {
                                 disabled
                                 className="transition-all duration-300 transform hover:scale-105 hover:shadow-md btn-press hover-glow text-sm px-4 py-2 opacity-50 cursor-not-allowed"
                               >
-                                <Trash2 className="w-4 h-4 mr-1" />
-                                {t('common.delete')}
+                                <Undo2 className="w-4 h-4 mr-1" />
+                                {t('history.withdraw')}
                               </Button>
                               <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 bg-gray-900 text-white text-xs rounded-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 whitespace-nowrap z-10">
-                                {leave.status !== 'pending'
-                                  ? t('history.cannotDeleteNonPending')
-                                  : t('history.cannotDeleteNearDate')
-                                }
+                                {t('history.cannotWithdrawNonPending')}
                                 <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-transparent border-t-gray-900"></div>
                               </div>
                             </div>
@@ -4,28 +4,129 @@ import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { useAuth } from '@/contexts/AuthContext';
+import TwoFactorLoginStep from '@/components/twoFactor/TwoFactorLoginStep';
+import { API_BASE_URL, apiEndpoints } from '@/constants/api';
+import { LoginSession, TwoFactorChallenge, useAuth } from '@/contexts/AuthContext';
 import { useToast } from '@/hooks/use-toast';
 import { isValidEmail } from '@/lib/validators';
-import { Eye, EyeOff, Lock, Mail } from 'lucide-react';
-import React, { useState } from 'react';
+import { Eye, EyeOff, KeyRound, Lock, Mail } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 
+type SsoConfig = {
+  enabled: boolean;
+  providerName: string;
+  passwordLoginEnabled: boolean;
+};
+
+const SSO_ERROR_CODES = [
+  'sso_disabled', 'provider_unavailable', 'access_denied', 'provider_error', 'expired', 'invalid_response', 'locked',
+  'missing_email', 'link_not_allowed', 'already_linked', 'not_provisioned', 'deactivated',
+];
+
 const Login = () => {
   const { t } = useTranslation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [ssoConfig, setSsoConfig] = useState<SsoConfig | null>(null);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [ssoLoading, setSsoLoading] = useState(false);
+  const ssoHandled = useRef(false);
 
-  const { login } = useAuth();
+  const { login, completeLogin } = useAuth();
   const { toast } = useToast();
   const navigate = useNavigate();
   const location = useLocation();
 
   const from = location.state?.from?.pathname || '/';
 
+  const handleLoggedIn = useCallback((role?: string) => {
+    toast({
+      title: t('auth.loginSuccess'),
+      description: t('auth.welcomeToSystem'),
+    });
+
+    // Navigate based on user role - simplified logic
+    const destination = (role === 'admin' || role === 'superadmin')
+      ? (role === 'admin' ? '/admin' : '/')
+      : '/';
+    navigate(destination, { replace: true });
+  }, [navigate, t, toast]);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}${apiEndpoints.auth.ssoConfig}`)
+      .then(res => res.json())
+      .then(data => { if (data.success) setSsoConfig(data.data); })
+      .catch(() => setSsoConfig(null));
+  }, []);
+
+  // กลับมาจาก IdP: backend ส่ง code ใช้ครั้งเดียว (#sso=) หรือรหัสข้อผิดพลาด (#ssoError=) มาทาง fragment
+  useEffect(() => {
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const handoff = params.get('sso');
+    const ssoError = params.get('ssoError');
+    if ((!handoff && !ssoError) || ssoHandled.current) return;
+    ssoHandled.current = true;
+    window.history.replaceState(null, '', location.pathname);
+
+    if (ssoError) {
+      toast({
+        title: t('auth.loginError'),
+        description: t(SSO_ERROR_CODES.includes(ssoError) ? `sso.errors.${ssoError}` : 'sso.errors.generic'),
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setSsoLoading(true);
+    (async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}${apiEndpoints.auth.ssoExchange}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code: handoff }),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.message);
+        const { email: ssoEmail, ...session } = data.data as LoginSession & { email: string };
+        // บัญชีที่ใช้ 2FA: ผ่าน IdP แล้วยังต้องผ่านขั้นที่สองเหมือนเข้าด้วยรหัสผ่าน
+        if (data.data.twoFactorRequired || data.data.twoFactorSetupRequired) {
+          setEmail(ssoEmail);
+          setTwoFactorChallenge({ challengeToken: data.data.challengeToken, setupRequired: !!data.data.twoFactorSetupRequired });
+          return;
+        }
+        const result = await completeLogin(session, ssoEmail);
+        handleLoggedIn(result.role);
+      } catch (error) {
+        toast({
+          title: t('auth.loginError'),
+          description: (error instanceof Error && error.message) || t('sso.errors.generic'),
+          variant: "destructive",
+        });
+      } finally {
+        setSsoLoading(false);
+      }
+    })();
+  }, [completeLogin, handleLoggedIn, location.hash, location.pathname, t, toast]);
+
+  const startSso = () => {
+    setSsoLoading(true);
+    window.location.href = `${API_BASE_URL}${apiEndpoints.auth.ssoStart}`;
+  };
+
+  // ปิดการเข้าด้วยรหัสผ่าน: ซ่อนฟอร์มไว้ (ผู้ดูแลระบบกดเปิดเองเพื่อเข้าแบบ break-glass)
+  const passwordLoginEnabled = ssoConfig?.passwordLoginEnabled !== false;
+  const passwordFormVisible = passwordLoginEnabled || showPasswordForm;
+
+  const cancelTwoFactor = useCallback(() => {
+    setTwoFactorChallenge(null);
+    setPassword('');
+  }, []);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -44,18 +145,11 @@ const Login = () => {
     try {
       // Use the returned user info instead of reading localStorage (fixes race condition)
       const userInfo = await login(email, password);
-      toast({
-        title: t('auth.loginSuccess'),
-        description: t('auth.welcomeToSystem'),
-      });
-
-      // Navigate based on user role - simplified logic
-      // userInfo is always defined on successful login
-      const role = userInfo && 'role' in userInfo ? userInfo.role : undefined;
-      const destination = (role === 'admin' || role === 'superadmin')
-        ? (role === 'admin' ? '/admin' : '/')
-        : '/';
-      navigate(destination, { replace: true });
+      if ('twoFactor' in userInfo) {
+        setTwoFactorChallenge(userInfo.twoFactor);
+        return;
+      }
+      handleLoggedIn(userInfo.role);
     } catch (error: any) {
       toast({
         title: t('auth.loginError'),
@@ -101,80 +195,139 @@ const Login = () => {
             <CardHeader className="space-y-1">
               <CardTitle className="text-2xl text-center text-blue-800 dark:text-white animate-slide-in-left">{t('auth.login')}</CardTitle>
               <CardDescription className="text-center text-blue-400 dark:text-blue-200 animate-fade-in-up delay-100">
-                {t('auth.enterEmailPassword')}
+                {passwordFormVisible ? t('auth.enterEmailPassword') : t('sso.description')}
               </CardDescription>
             </CardHeader>
             <CardContent>
-              <form onSubmit={handleSubmit} className="space-y-6">
-                <div className="space-y-2">
-                  <Label htmlFor="email" className="text-blue-900 font-medium">{t('auth.email')}</Label>
-                  <div className="flex items-center gap-3">
-                    <Mail className="h-6 w-6 text-blue-400 animate-pop-in" />
-                    <Input
-                      id="email"
-                      type="email"
-                      placeholder="name@company.com"
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      className="input-blue-login"
-                      required
-                    />
-                  </div>
-                </div>
+              {twoFactorChallenge ? (
+                <TwoFactorLoginStep
+                  challenge={twoFactorChallenge}
+                  email={email}
+                  onSuccess={handleLoggedIn}
+                  onCancel={cancelTwoFactor}
+                />
+              ) : (
+                <>
+                  {ssoConfig?.enabled && (
+                    <div className="space-y-4 mb-6">
+                      <Button
+                        type="button"
+                        variant="outline"
+                        className="w-full text-lg py-3 font-bold rounded-2xl border-blue-300 text-blue-700 hover:bg-blue-50 dark:border-blue-700 dark:text-blue-200 dark:hover:bg-gray-800"
+                        onClick={startSso}
+                        disabled={ssoLoading}
+                      >
+                        {ssoLoading ? (
+                          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500 mr-2"></div>
+                        ) : (
+                          <KeyRound className="h-5 w-5 mr-2" />
+                        )}
+                        {t('sso.signInWith', { provider: ssoConfig.providerName })}
+                      </Button>
+                      {passwordFormVisible && (
+                        <div className="flex items-center gap-3 text-sm text-blue-400 dark:text-blue-300">
+                          <div className="h-px flex-1 bg-blue-100 dark:bg-gray-700" />
+                          {t('sso.or')}
+                          <div className="h-px flex-1 bg-blue-100 dark:bg-gray-700" />
+                        </div>
+                      )}
+                    </div>
+                  )}
 
-                <div className="space-y-2">
-                  <Label htmlFor="password" className="text-blue-900 dark:text-gray-200 font-medium">{t('auth.password')}</Label>
-                  <div className="flex items-center gap-3">
-                    <Lock className="h-6 w-6 text-blue-400 dark:text-blue-300 animate-pop-in" />
-                    <div className="relative w-full">
-                      <Input
-                        id="password"
-                        type={showPassword ? "text" : "password"}
-                        placeholder="••••••••"
-                        value={password}
-                        onChange={(e) => setPassword(e.target.value)}
-                        className="input-blue-login pr-10"
-                        required
-                      />
+                  {passwordFormVisible ? (
+                    <form onSubmit={handleSubmit} className="space-y-6">
+                      <div className="space-y-2">
+                        <Label htmlFor="email" className="text-blue-900 font-medium">{t('auth.email')}</Label>
+                        <div className="flex items-center gap-3">
+                          <Mail className="h-6 w-6 text-blue-400 animate-pop-in" />
+                          <Input
+                            id="email"
+                            type="email"
+                            placeholder="name@company.com"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="input-blue-login"
+                            required
+                          />
+                        </div>
+                      </div>
+
+                      <div className="space-y-2">
+                        <Label htmlFor="password" className="text-blue-900 dark:text-gray-200 font-medium">{t('auth.password')}</Label>
+                        <div className="flex items-center gap-3">
+                          <Lock className="h-6 w-6 text-blue-400 dark:text-blue-300 animate-pop-in" />
+                          <div className="relative w-full">
+                            <Input
+                              id="password"
+                              type={showPassword ? "text" : "password"}
+                              placeholder="••••••••"
+                              value={password}
+                              onChange={(e) => setPassword(e.target.value)}
+                              className="input-blue-login pr-10"
+                              required
+                            />
+                            <button
+                              type="button"
+                              onClick={() => setShowPassword(!showPassword)}
+                              className="absolute right-3 top-1/2 -translate-y-1/2 h-5 w-5 text-blue-300 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-200 transition-colors animate-pop-in"
+                              tabIndex={-1}
+                            >
+                              {showPassword ? <EyeOff /> : <Eye />}
+                            </button>
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <Link
+                            to="/forgot-password"
+                            className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-300 dark:hover:text-blue-100 transition-colors"
+                          >
+                            {t('passwordReset.forgotLink')}
+                          </Link>
+                        </div>
+                      </div>
+
+                      <Button
+                        type="submit"
+                        className="w-full btn-blue-login text-lg py-3 font-bold shadow-lg animate-bounce-in"
+                        disabled={loading}
+                      >
+                        {loading ? (
+                          <>
+                            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
+                            {t('auth.loggingIn')}
+                          </>
+                        ) : (
+                          t('auth.login')
+                        )}
+                      </Button>
+                    </form>
+                  ) : (
+                    <div className="text-center">
                       <button
                         type="button"
-                        onClick={() => setShowPassword(!showPassword)}
-                        className="absolute right-3 top-1/2 -translate-y-1/2 h-5 w-5 text-blue-300 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-200 transition-colors animate-pop-in"
-                        tabIndex={-1}
+                        onClick={() => setShowPasswordForm(true)}
+                        className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-300 dark:hover:text-blue-100 transition-colors"
                       >
-                        {showPassword ? <EyeOff /> : <Eye />}
+                        {t('sso.adminPasswordSignIn')}
                       </button>
                     </div>
-                  </div>
-                </div>
-
-                <Button
-                  type="submit"
-                  className="w-full btn-blue-login text-lg py-3 font-bold shadow-lg animate-bounce-in"
-                  disabled={loading}
-                >
-                  {loading ? (
-                    <>
-                      <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                      {t('auth.loggingIn')}
-                    </>
-                  ) : (
-                    t('auth.login')
                   )}
-                </Button>
-              </form>
 
-              <div className="mt-6 text-center">
-                <p className="text-base text-blue-500 dark:text-blue-200">
-                  {t('auth.dontHaveAccount')}{' '}
-                  <Link
-                    to="/register"
-                    className="font-bold text-blue-700 hover:text-blue-900 dark:text-blue-300 dark:hover:text-blue-100 transition-colors"
-                  >
-                    {t('auth.register')}
-                  </Link>
-                </p>
-              </div>
+                  {passwordLoginEnabled && (
+                    <div className="mt-6 text-center">
+                      <p className="text-base text-blue-500 dark:text-blue-200">
+                        {t('auth.dontHaveAccount')}{' '}
+                        <Link
+                          to="/register"
+                          className="font-bold text-blue-700 hover:text-blue-900 dark:text-blue-300 dark:hover:text-blue-100 transition-colors"
+                        >
+                          {t('auth.register')}
+                        </Link>
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
             </CardContent>
           </Card>
         </div>
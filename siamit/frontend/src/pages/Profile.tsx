@@ -1,5 +1,8 @@
 import AvatarCropDialog from '@/components/dialogs/AvatarCropDialog';
 import ChangePasswordDialog from "@/components/dialogs/ChangePasswordDialog";
+import ActiveSessionsPanel from '@/components/ActiveSessionsPanel';
+import NotificationPreferencesPanel from '@/components/NotificationPreferencesPanel';
+import TwoFactorPanel from '@/components/twoFactor/TwoFactorPanel';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
@@ -10,11 +13,13 @@ import { SidebarTrigger } from '@/components/ui/sidebar';
 import { Switch } from "@/components/ui/switch";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { apiEndpoints } from '@/constants/api';
+import { ACCRUAL_MODES } from '@/constants/business';
 import { useAuth } from '@/contexts/AuthContext';
 import { usePushNotification } from '@/contexts/PushNotificationContext';
 import { useSocket } from '@/contexts/SocketContext';
 import { useToast } from '@/hooks/use-toast';
 import { apiService } from '@/lib/api';
+import { formatDateLocalized } from '@/lib/utils';
 import { withCacheBust } from '@/lib/url';
 import { Bell, Building, Camera, Crown, Lock, Mail, Save, Shield } from 'lucide-react';
 import React, { useEffect, useRef, useState } from 'react';
@@ -290,6 +295,21 @@ const Profile = () => {
         color: getLeaveTypeColor(item.id), // Use dynamic color based on leave type ID
         type: item.leave_type_en,
         remaining: { days: item.remaining_day ?? '-', hours: item.remaining_hour ?? '-' },
+        entitlement: {
+          baseQuota: Number(item.base_quota ?? item.quota) || 0,
+          serviceYears: Number(item.service_years) || 0,
+          tenureBonus: Number(item.tenure_bonus_day) || 0,
+          prorated: Number(item.proration_factor ?? 1) < 1,
+          accruesMonthly: item.accrual_mode === ACCRUAL_MODES.MONTHLY,
+          annualQuota: Number(item.annual_quota ?? item.quota) || 0,
+          negativeAllowance: Number(item.negative_allowance_day) || 0,
+        },
+        carried: {
+          days: Number(item.carried_day) || 0,
+          remaining: Number(item.carried_remaining_day) || 0,
+          expiresOn: item.carried_expires_on || null,
+          expired: Boolean(item.carried_expired),
+        },
         quotaRaw: item.quota,
         unit: 'day',
       };
@@ -1082,6 +1102,36 @@ const Profile = () => {
                         }
                       })()}
                     </div>
+                    {stat.entitlement.accruesMonthly && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {t('leave.accruedSoFar', { days: stat.quota, annual: stat.entitlement.annualQuota })}
+                      </div>
+                    )}
+                    {stat.entitlement.negativeAllowance > 0 && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {t('leave.negativeAllowance', { days: stat.entitlement.negativeAllowance })}
+                      </div>
+                    )}
+                    {(stat.entitlement.tenureBonus > 0 || stat.entitlement.prorated) && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {stat.entitlement.tenureBonus > 0 &&
+                          t('leave.tenureBonus', { days: stat.entitlement.tenureBonus, years: stat.entitlement.serviceYears })}
+                        {stat.entitlement.tenureBonus > 0 && stat.entitlement.prorated && ' · '}
+                        {stat.entitlement.prorated &&
+                          t('leave.proratedFirstYear', { days: stat.entitlement.baseQuota + stat.entitlement.tenureBonus })}
+                      </div>
+                    )}
+                    {stat.carried.days > 0 && (
+                      <div className="text-xs text-emerald-600 dark:text-emerald-400">
+                        {`${t('leave.carriedOver')} ${stat.carried.days} ${t('common.days')} · `}
+                        {stat.carried.expired
+                          ? t('leave.carriedOverExpired')
+                          : `${t('common.remaining')} ${stat.carried.remaining} ${t('common.days')}`}
+                        {stat.carried.expiresOn && !stat.carried.expired && (
+                          ` · ${t('leave.carriedOverUseBy')} ${formatDateLocalized(stat.carried.expiresOn, i18n.language)}`
+                        )}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -1118,6 +1168,7 @@ const Profile = () => {
                     </div>
                   </div>
                 </div>
+                <NotificationPreferencesPanel />
                 <div className="flex flex-col md:flex-row items-start md:items-center justify-between p-4 md:p-6 border rounded-2xl bg-blue-50 dark:bg-gray-800 shadow-sm gap-4 border-blue-100 dark:border-gray-700">
                   <div>
                     <h3 className="font-semibold text-blue-900 dark:text-blue-200 flex items-center gap-2 text-sm md:text-base"><Lock className="h-4 w-4 md:h-5 md:w-5 text-blue-400" /> {t('profile.changePassword')}</h3>
@@ -1125,6 +1176,8 @@ const Profile = () => {
                   </div>
                   <Button variant="outline" size="sm" className="btn-blue-outline w-full md:w-auto" onClick={() => setChangePasswordOpen(true)}>{t('common.change')}</Button>
                 </div>
+                <TwoFactorPanel />
+                <ActiveSessionsPanel />
               </div>
               <ChangePasswordDialog open={changePasswordOpen} onOpenChange={setChangePasswordOpen} />
             </TabsContent>
@@ -0,0 +1,103 @@
+import AuthPageShell from '@/components/AuthPageShell';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { apiEndpoints } from '@/constants/api';
+import { useToast } from '@/hooks/use-toast';
+import { apiService } from '@/lib/api';
+import { logger } from '@/lib/logger';
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState<'checking' | 'valid' | 'invalid'>(token ? 'checking' : 'invalid');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    apiService.get(apiEndpoints.auth.passwordResetVerify(token))
+      .then(res => {
+        if (!cancelled) setStatus(res?.success && res.data?.valid ? 'valid' : 'invalid');
+      })
+      .catch(error => {
+        logger.error('Error verifying reset link:', error);
+        if (!cancelled) setStatus('invalid');
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      toast({ title: t('common.error'), description: t('passwordReset.tooShort', { count: MIN_PASSWORD_LENGTH }), variant: 'destructive' });
+      return;
+    }
+    if (password !== confirmPassword) {
+      toast({ title: t('common.error'), description: t('passwordReset.mismatch'), variant: 'destructive' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await apiService.post(apiEndpoints.auth.passwordResetConfirm, { token, password });
+      if (!res?.success) throw new Error(res?.message);
+      toast({ title: t('passwordReset.success'), description: t('passwordReset.successDescription') });
+      navigate('/login', { replace: true });
+    } catch (err) {
+      toast({ title: t('common.error'), description: err instanceof Error && err.message ? err.message : t('passwordReset.resetFailed'), variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthPageShell title={t('passwordReset.resetTitle')} description={status === 'valid' ? t('passwordReset.resetDescription') : undefined}>
+      {status === 'checking' && (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      )}
+      {status === 'invalid' && (
+        <div className="space-y-4 text-center">
+          <p className="text-sm text-gray-600 dark:text-gray-300">{t('passwordReset.invalidLink')}</p>
+          <Button asChild className="w-full">
+            <Link to="/forgot-password">{t('passwordReset.requestNewLink')}</Link>
+          </Button>
+        </div>
+      )}
+      {status === 'valid' && (
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="space-y-2">
+            <Label htmlFor="password" className="text-blue-900 dark:text-gray-200 font-medium">{t('passwordReset.newPassword')}</Label>
+            <Input id="password" type="password" autoComplete="new-password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="confirmPassword" className="text-blue-900 dark:text-gray-200 font-medium">{t('passwordReset.confirmPassword')}</Label>
+            <Input id="confirmPassword" type="password" autoComplete="new-password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+          </div>
+          <Button type="submit" className="w-full" disabled={loading}>
+            {loading ? t('passwordReset.saving') : t('passwordReset.savePassword')}
+          </Button>
+        </form>
+      )}
+      <div className="mt-6 text-center">
+        <Link to="/login" className="font-bold text-blue-700 hover:text-blue-900 dark:text-blue-300 dark:hover:text-blue-100 transition-colors">
+          {t('passwordReset.backToLogin')}
+        </Link>
+      </div>
+    </AuthPageShell>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,298 @@
+import PaginationBar from '@/components/PaginationBar';
+import { Button } from '@/components/ui/button';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { SidebarTrigger } from '@/components/ui/sidebar';
+import { config } from '@/config';
+import { apiEndpoints } from '@/constants/api';
+import { apiService, fetchAuthenticatedFile } from '@/lib/api';
+import { logger } from '@/lib/logger';
+import { showToast } from '@/lib/toast';
+import { FileDown, Search } from 'lucide-react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+type AuditEntry = {
+  id: string;
+  actorId: string | null;
+  actorName: string | null;
+  actorRole: string | null;
+  action: string;
+  targetType: string;
+  targetId: string | null;
+  targetLabel: string | null;
+  before: unknown;
+  after: unknown;
+  metadata: unknown;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+};
+
+type Filters = {
+  action: string;
+  from: string;
+  to: string;
+  q: string;
+};
+
+const ALL_ACTIONS = 'all';
+const EMPTY_FILTERS: Filters = { action: ALL_ACTIONS, from: '', to: '', q: '' };
+
+// action ใช้ "." คั่น แต่ i18next ใช้ "." แยก key จึงแปลงเป็น "_"
+const actionLabelKey = (action: string) => `audit.actions.${action.replace(/\./g, '_')}`;
+
+const buildQuery = (filters: Filters, extra: Record<string, string | number> = {}) => {
+  const params = new URLSearchParams();
+  if (filters.action !== ALL_ACTIONS) params.set('action', filters.action);
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  Object.entries(extra).forEach(([key, value]) => params.set(key, String(value)));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+const JsonBlock: React.FC<{ title: string; value: unknown }> = ({ title, value }) => (
+  <div>
+    <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">{title}</p>
+    <pre className="text-xs bg-gray-50 dark:bg-gray-800 dark:text-gray-100 rounded-lg p-3 overflow-auto max-h-64 whitespace-pre-wrap break-all">
+      {value === null || value === undefined ? '-' : JSON.stringify(value, null, 2)}
+    </pre>
+  </div>
+);
+
+const AuditLog: React.FC = () => {
+  const { t, i18n } = useTranslation();
+  const [actions, setActions] = useState<string[]>([]);
+  const [draft, setDraft] = useState<Filters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(20);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [selected, setSelected] = useState<AuditEntry | null>(null);
+
+  const fetchActions = useCallback(async () => {
+    try {
+      const data = await apiService.get(apiEndpoints.auditLogs.actions);
+      if (data.success && Array.isArray(data.data)) setActions(data.data);
+    } catch (error) {
+      logger.error('Error fetching audit actions:', error);
+    }
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await apiService.get(apiEndpoints.auditLogs.list(buildQuery(filters, { page, limit: pageSize })));
+      if (!data.success || !data.data) throw new Error(data.message || 'Failed');
+      setEntries(data.data.items || []);
+      setTotal(data.data.total || 0);
+      setTotalPages(data.data.totalPages || 0);
+    } catch (error) {
+      logger.error('Error fetching audit log:', error);
+      showToast.error(t('audit.loadFailed'));
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, pageSize, t]);
+
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const actionLabel = useCallback((action: string) => t(actionLabelKey(action), { defaultValue: action }), [t]);
+
+  const sortedActions = useMemo(
+    () => [...actions].sort((a, b) => actionLabel(a).localeCompare(actionLabel(b))),
+    [actions, actionLabel]
+  );
+
+  const formatTime = (value: string) =>
+    new Date(value).toLocaleString(i18n.language === 'th' ? 'th-TH' : 'en-US', { dateStyle: 'medium', timeStyle: 'medium' });
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(draft);
+  };
+
+  const resetFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setPage(1);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format: 'csv' | 'json') => {
+    setExporting(true);
+    try {
+      const objectUrl = await fetchAuthenticatedFile(apiEndpoints.auditLogs.export(buildQuery(filters, { format })));
+      if (!objectUrl.startsWith('blob:')) throw new Error('Export failed');
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      logger.error('Error exporting audit log:', error);
+      showToast.error(t('audit.exportFailed'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-white dark:from-gray-950 dark:via-gray-900 dark:to-gray-950">
+      <div className="relative overflow-hidden">
+        <div className="absolute top-4 left-4 z-20">
+          <SidebarTrigger className="bg-white/90 dark:bg-gray-800/90 hover:bg-white dark:hover:bg-gray-700 text-blue-700 dark:text-blue-300 border border-blue-200 dark:border-blue-700 shadow-lg backdrop-blur-sm" />
+        </div>
+        <div className="relative z-10 flex flex-col items-center justify-center py-8 md:py-12">
+          <img src={config.assets.logo} alt="Logo" className="w-16 h-16 md:w-20 md:h-20 rounded-full bg-white/80 dark:bg-gray-800/80 shadow-2xl border-4 border-white dark:border-gray-700 mb-4" />
+          <h1 className="text-2xl md:text-4xl font-extrabold text-indigo-900 dark:text-gray-100 drop-shadow mb-2">
+            {t('audit.title')}
+          </h1>
+          <p className="text-sm md:text-lg text-blue-900/70 dark:text-gray-300 font-medium text-center max-w-2xl px-4">
+            {t('audit.description')}
+          </p>
+        </div>
+      </div>
+
+      <div className="w-full max-w-7xl mx-auto px-4 pb-8">
+        <div className="bg-white/70 dark:bg-gray-900/90 backdrop-blur-md rounded-3xl shadow-2xl p-4 md:p-8">
+          <form onSubmit={applyFilters} className="mb-6 grid grid-cols-1 md:grid-cols-5 gap-3 items-end bg-blue-50 dark:bg-gray-800 rounded-xl p-4 shadow-sm">
+            <div className="md:col-span-2">
+              <label className="text-xs font-semibold text-blue-900 dark:text-gray-300">{t('audit.filterAction')}</label>
+              <Select value={draft.action} onValueChange={value => setDraft({ ...draft, action: value })}>
+                <SelectTrigger className="dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_ACTIONS}>{t('audit.allActions')}</SelectItem>
+                  {sortedActions.map(action => (
+                    <SelectItem key={action} value={action}>{actionLabel(action)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="text-xs font-semibold text-blue-900 dark:text-gray-300">{t('audit.from')}</label>
+              <Input type="date" value={draft.from} onChange={e => setDraft({ ...draft, from: e.target.value })} className="dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+            </div>
+            <div>
+              <label className="text-xs font-semibold text-blue-900 dark:text-gray-300">{t('audit.to')}</label>
+              <Input type="date" value={draft.to} onChange={e => setDraft({ ...draft, to: e.target.value })} className="dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+            </div>
+            <div>
+              <label className="text-xs font-semibold text-blue-900 dark:text-gray-300">{t('audit.search')}</label>
+              <Input value={draft.q} onChange={e => setDraft({ ...draft, q: e.target.value })} placeholder={t('audit.searchPlaceholder')} className="dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+            </div>
+            <div className="md:col-span-5 flex flex-wrap gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={resetFilters}>{t('common.reset')}</Button>
+              <Button type="submit" className="btn-primary">
+                <Search className="w-4 h-4 mr-1" />
+                {t('audit.apply')}
+              </Button>
+              <Button type="button" variant="outline" disabled={exporting} onClick={() => handleExport('csv')}>
+                <FileDown className="w-4 h-4 mr-1" />
+                {t('audit.exportCsv')}
+              </Button>
+              <Button type="button" variant="outline" disabled={exporting} onClick={() => handleExport('json')}>
+                <FileDown className="w-4 h-4 mr-1" />
+                {t('audit.exportJson')}
+              </Button>
+            </div>
+          </form>
+
+          <div className="overflow-x-auto rounded-xl shadow">
+            <table className="w-full table-auto bg-white dark:bg-gray-900 rounded-xl text-sm">
+              <thead>
+                <tr className="bg-blue-100 dark:bg-gray-800 text-blue-900 dark:text-gray-100">
+                  <th className="p-3 text-left font-semibold">{t('audit.time')}</th>
+                  <th className="p-3 text-left font-semibold">{t('audit.actor')}</th>
+                  <th className="p-3 text-left font-semibold">{t('audit.action')}</th>
+                  <th className="p-3 text-left font-semibold">{t('audit.target')}</th>
+                  <th className="p-3 text-left font-semibold">{t('audit.ipAddress')}</th>
+                  <th className="p-3" />
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id} className="border-t border-blue-50 dark:border-gray-800 dark:text-gray-100">
+                    <td className="p-3 whitespace-nowrap">{formatTime(entry.createdAt)}</td>
+                    <td className="p-3">
+                      <div className="font-medium">{entry.actorName || t('audit.system')}</div>
+                      {entry.actorRole && <div className="text-xs text-gray-500">{entry.actorRole}</div>}
+                    </td>
+                    <td className="p-3">{actionLabel(entry.action)}</td>
+                    <td className="p-3">
+                      <div>{entry.targetLabel || entry.targetId || '-'}</div>
+                      <div className="text-xs text-gray-500">{entry.targetType}</div>
+                    </td>
+                    <td className="p-3 text-xs text-gray-500">{entry.ipAddress || '-'}</td>
+                    <td className="p-3 text-right">
+                      <Button size="sm" variant="outline" onClick={() => setSelected(entry)}>{t('audit.details')}</Button>
+                    </td>
+                  </tr>
+                ))}
+                {!loading && entries.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="p-6 text-center text-gray-500">{t('audit.empty')}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {totalPages > 0 && (
+            <PaginationBar
+              className="mt-4"
+              page={page}
+              totalPages={totalPages}
+              totalResults={total}
+              pageSize={pageSize}
+              onPageChange={setPage}
+              onPageSizeChange={size => { setPageSize(size); setPage(1); }}
+              pageSizeOptions={[20, 50, 100]}
+            />
+          )}
+        </div>
+      </div>
+
+      <Dialog open={!!selected} onOpenChange={open => { if (!open) setSelected(null); }}>
+        <DialogContent className="max-w-3xl">
+          {selected && (
+            <>
+              <DialogHeader>
+                <DialogTitle>{actionLabel(selected.action)}</DialogTitle>
+              </DialogHeader>
+              <div className="text-sm text-gray-600 dark:text-gray-300 space-y-1">
+                <p>{formatTime(selected.createdAt)} · {selected.actorName || t('audit.system')}</p>
+                <p>{selected.targetType}: {selected.targetLabel || selected.targetId || '-'}</p>
+                {selected.userAgent && <p className="text-xs text-gray-500 break-all">{selected.userAgent}</p>}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <JsonBlock title={t('audit.before')} value={selected.before} />
+                <JsonBlock title={t('audit.after')} value={selected.after} />
+              </div>
+              <JsonBlock title={t('audit.metadata')} value={selected.metadata} />
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AuditLog;
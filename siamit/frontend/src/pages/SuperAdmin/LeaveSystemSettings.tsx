@@ -22,11 +22,65 @@ import { apiService } from '@/lib/api';
 import { apiEndpoints } from '@/constants/api';
 import { showToast, showToastMessage } from '@/lib/toast';
 import { config } from '@/config';
-import { QUOTA_RESET_STRATEGIES, POSITION_SETTINGS, CLEANUP_OPERATIONS } from '@/constants/business';
+import { QUOTA_RESET_STRATEGIES, POSITION_SETTINGS, CLEANUP_OPERATIONS, ACCRUAL_MODES, BLACKOUT_MODES } from '@/constants/business';
 
 // Mock data for demonstration
 // Remove mockDepartments
 
+type PositionQuotaRow = {
+  leaveTypeId: string;
+  leave_type_en: string;
+  leave_type_th: string;
+  quota: number;
+  quotaId: string | null;
+  carry_over_max_days: number;
+  carry_over_expiry: string | null;
+  prorate_first_year: boolean;
+  accrual_mode: string;
+  accrual_rate: number | null;
+  max_negative_days: number;
+};
+
+type QuotaSettingsDraft = {
+  maxDays: string;
+  expiry: string;
+  prorate: boolean;
+  accrualMode: string;
+  accrualRate: string;
+  maxNegative: string;
+};
+
+type EntitlementRule = {
+  id: string;
+  leaveTypeId: string;
+  positionId: string | null;
+  min_years: number;
+  extra_days: number;
+};
+
+type LeaveBlackout = {
+  id: string;
+  title: string;
+  description: string | null;
+  startDate: string;
+  endDate: string;
+  departmentId: string | null;
+  mode: string;
+};
+
+type BlackoutForm = {
+  title: string;
+  description: string;
+  startDate: string;
+  endDate: string;
+  departmentId: string;
+  mode: string;
+};
+
+const EMPTY_BLACKOUT_FORM: BlackoutForm = { title: '', description: '', startDate: '', endDate: '', departmentId: '', mode: BLACKOUT_MODES.BLOCK };
+
+const CARRY_OVER_EXPIRY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/; // MM-DD
+
 const LeaveSystemSettings: React.FC = () => {
   const { t, i18n } = useTranslation();
   const { user } = useAuth();
@@ -40,7 +94,7 @@ const LeaveSystemSettings: React.FC = () => {
 
   // Department state
   const [departments, setDepartments] = useState<any[]>([]);
-  const [departmentForm, setDepartmentForm] = useState<{ name_en: string; name_th: string }>({ name_en: '', name_th: '' });
+  const [departmentForm, setDepartmentForm] = useState<{ name_en: string; name_th: string; min_staffing: string; head_id: string }>({ name_en: '', name_th: '', min_staffing: '', head_id: '' });
   const [editingDepartmentId, setEditingDepartmentId] = useState<string | null>(null);
 
   // Leave type state
@@ -86,11 +140,213 @@ const LeaveSystemSettings: React.FC = () => {
     }
   };
 
+  // Carry-over / pro-rating / accrual settings (per position + leave type)
+  const [quotaSettingsPositionId, setQuotaSettingsPositionId] = useState<string>('');
+  const [quotaSettingsDrafts, setQuotaSettingsDrafts] = useState<Record<string, QuotaSettingsDraft>>({}); // key = leaveTypeId
+  const [quotaSettingsSaving, setQuotaSettingsSaving] = useState(false);
+
+  const selectQuotaSettingsPosition = (positionId: string) => {
+    setQuotaSettingsPositionId(positionId);
+    const pos = positions.find(p => p.id === positionId);
+    const drafts: Record<string, QuotaSettingsDraft> = {};
+    ((pos?.quotas || []) as PositionQuotaRow[]).forEach(q => {
+      drafts[q.leaveTypeId] = {
+        maxDays: String(q.carry_over_max_days || 0),
+        expiry: q.carry_over_expiry || '',
+        prorate: !!q.prorate_first_year,
+        accrualMode: q.accrual_mode || ACCRUAL_MODES.ANNUAL,
+        accrualRate: q.accrual_rate != null ? String(q.accrual_rate) : '',
+        maxNegative: String(q.max_negative_days || 0),
+      };
+    });
+    setQuotaSettingsDrafts(drafts);
+  };
+
+  const handleQuotaSettingsDraftChange = (leaveTypeId: string, field: keyof QuotaSettingsDraft, value: string | boolean) => {
+    setQuotaSettingsDrafts(prev => ({ ...prev, [leaveTypeId]: { ...prev[leaveTypeId], [field]: value } }));
+  };
+
+  const saveQuotaSettings = async () => {
+    const pos = positions.find(p => p.id === quotaSettingsPositionId);
+    if (!pos) return;
+    const rows = pos.quotas as PositionQuotaRow[];
+
+    const invalid = rows.some(q => {
+      const draft = quotaSettingsDrafts[q.leaveTypeId];
+      if (!draft) return false;
+      return Number(draft.maxDays) < 0 || Number.isNaN(Number(draft.maxDays)) || (draft.expiry !== '' && !CARRY_OVER_EXPIRY_PATTERN.test(draft.expiry))
+        || Number(draft.maxNegative) < 0 || Number.isNaN(Number(draft.maxNegative))
+        || (draft.accrualRate !== '' && !(Number(draft.accrualRate) > 0));
+    });
+    if (invalid) {
+      showToast.error(t('leave.carryOverInvalid'));
+      return;
+    }
+
+    setQuotaSettingsSaving(true);
+    try {
+      await Promise.all(rows.map(q => {
+        const draft = quotaSettingsDrafts[q.leaveTypeId];
+        if (!draft) return null;
+        const payload = {
+          carryOverMaxDays: Number(draft.maxDays) || 0,
+          carryOverExpiry: draft.expiry || null,
+          prorateFirstYear: draft.prorate,
+          accrualMode: draft.accrualMode,
+          accrualRate: draft.accrualRate === '' ? null : Number(draft.accrualRate),
+          maxNegativeDays: Number(draft.maxNegative) || 0,
+        };
+        return q.quotaId
+          ? apiService.put(apiEndpoints.leaveQuota.detail(q.quotaId), payload)
+          : apiService.post(apiEndpoints.leaveQuota.list, { positionId: pos.id, leaveTypeId: q.leaveTypeId, quota: q.quota ?? 0, ...payload });
+      }));
+      const positionsData = await apiService.get(apiEndpoints.positionsWithQuotas);
+      if (positionsData.success && Array.isArray(positionsData.data)) {
+        setPositions(positionsData.data);
+      }
+      showToastMessage.crud.updateSuccess('position', t);
+    } catch (err) {
+      showToastMessage.crud.updateError('position', err instanceof Error ? err.message : undefined, t);
+    } finally {
+      setQuotaSettingsSaving(false);
+    }
+  };
+
+  // Tenure-based entitlement rules (extra days by years of service)
+  const [entitlementRules, setEntitlementRules] = useState<EntitlementRule[]>([]);
+  const [ruleForm, setRuleForm] = useState<{ leaveTypeId: string; positionId: string; minYears: string; extraDays: string }>({ leaveTypeId: '', positionId: '', minYears: '', extraDays: '' });
+  const [ruleSaving, setRuleSaving] = useState(false);
+
+  const fetchEntitlementRules = async () => {
+    try {
+      const data = await apiService.get(apiEndpoints.leaveEntitlementRules.list);
+      if (data.success && Array.isArray(data.data)) setEntitlementRules(data.data);
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        logger.error('Error fetching entitlement rules:', error);
+      }
+      setEntitlementRules([]);
+    }
+  };
+
+  const handleAddEntitlementRule = async () => {
+    if (!ruleForm.leaveTypeId || ruleForm.minYears === '' || ruleForm.extraDays === '') {
+      showToast.warning(t('leave.tenureRuleRequired'));
+      return;
+    }
+    setRuleSaving(true);
+    try {
+      const res = await apiService.post(apiEndpoints.leaveEntitlementRules.list, {
+        leaveTypeId: ruleForm.leaveTypeId,
+        positionId: ruleForm.positionId || null,
+        minYears: Number(ruleForm.minYears),
+        extraDays: Number(ruleForm.extraDays),
+      });
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      setRuleForm({ leaveTypeId: '', positionId: '', minYears: '', extraDays: '' });
+      await fetchEntitlementRules();
+      showToast.success(t('leave.tenureRuleSaved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('leave.tenureRuleSaveFailed'));
+    } finally {
+      setRuleSaving(false);
+    }
+  };
+
+  const handleDeleteEntitlementRule = async (id: string) => {
+    try {
+      await apiService.delete(apiEndpoints.leaveEntitlementRules.detail(id));
+      setEntitlementRules(prev => prev.filter(r => r.id !== id));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('leave.tenureRuleSaveFailed'));
+    }
+  };
+
+  // Blackout periods (date ranges in which leave is blocked or flagged)
+  const [blackouts, setBlackouts] = useState<LeaveBlackout[]>([]);
+  const [blackoutForm, setBlackoutForm] = useState<BlackoutForm>(EMPTY_BLACKOUT_FORM);
+  const [editingBlackoutId, setEditingBlackoutId] = useState<string | null>(null);
+  const [blackoutSaving, setBlackoutSaving] = useState(false);
+
+  const fetchBlackouts = async () => {
+    try {
+      const data = await apiService.get(apiEndpoints.leaveBlackouts);
+      if (data.success && Array.isArray(data.data)) setBlackouts(data.data);
+    } catch (error) {
+      if (import.meta.env.DEV) {
+        logger.error('Error fetching blackout periods:', error);
+      }
+      setBlackouts([]);
+    }
+  };
+
+  const handleBlackoutSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!blackoutForm.title.trim() || !blackoutForm.startDate || !blackoutForm.endDate) {
+      showToast.warning(t('blackouts.required'));
+      return;
+    }
+    if (blackoutForm.startDate > blackoutForm.endDate) {
+      showToast.warning(t('blackouts.invalidRange'));
+      return;
+    }
+    setBlackoutSaving(true);
+    try {
+      const payload = {
+        title: blackoutForm.title.trim(),
+        description: blackoutForm.description,
+        startDate: blackoutForm.startDate,
+        endDate: blackoutForm.endDate,
+        departmentId: blackoutForm.departmentId || null,
+        mode: blackoutForm.mode,
+      };
+      const res = editingBlackoutId
+        ? await apiService.put(apiEndpoints.leaveBlackout(editingBlackoutId), payload)
+        : await apiService.post(apiEndpoints.leaveBlackouts, payload);
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      setBlackoutForm(EMPTY_BLACKOUT_FORM);
+      setEditingBlackoutId(null);
+      await fetchBlackouts();
+      showToast.success(t('blackouts.saved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('blackouts.saveFailed'));
+    } finally {
+      setBlackoutSaving(false);
+    }
+  };
+
+  const handleEditBlackout = (blackout: LeaveBlackout) => {
+    setEditingBlackoutId(blackout.id);
+    setBlackoutForm({
+      title: blackout.title,
+      description: blackout.description || '',
+      startDate: blackout.startDate.slice(0, 10),
+      endDate: blackout.endDate.slice(0, 10),
+      departmentId: blackout.departmentId || '',
+      mode: blackout.mode,
+    });
+  };
+
+  const cancelEditBlackout = () => {
+    setEditingBlackoutId(null);
+    setBlackoutForm(EMPTY_BLACKOUT_FORM);
+  };
+
+  const handleDeleteBlackout = async (id: string) => {
+    try {
+      await apiService.delete(apiEndpoints.leaveBlackout(id));
+      setBlackouts(prev => prev.filter(b => b.id !== id));
+      if (editingBlackoutId === id) cancelEditBlackout();
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('blackouts.saveFailed'));
+    }
+  };
+
   // Add state for inline editing error
   const [inlineEditError, setInlineEditError] = useState<string | null>(null);
 
   // Department handlers
-  const [inlineDepartmentEdit, setInlineDepartmentEdit] = useState<null | { id: string; name_en: string; name_th: string }>(null);
+  const [inlineDepartmentEdit, setInlineDepartmentEdit] = useState<null | { id: string; name_en: string; name_th: string; min_staffing: string; head_id: string }>(null);
   const [inlineDepartmentError, setInlineDepartmentError] = useState<string | null>(null);
 
   // Delete confirmation states
@@ -107,7 +363,7 @@ const LeaveSystemSettings: React.FC = () => {
 
   // Cleanup old records state
   const [cleanupLoading, setCleanupLoading] = useState(false);
-  const handleDepartmentChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const handleDepartmentChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     setDepartmentForm({ ...departmentForm, [e.target.name]: e.target.value });
   };
   // Helper to fetch departments
@@ -138,12 +394,14 @@ const LeaveSystemSettings: React.FC = () => {
       } else {
         await apiService.post(apiEndpoints.departments, {
           department_name_en: departmentForm.name_en,
-          department_name_th: departmentForm.name_th
+          department_name_th: departmentForm.name_th,
+          min_staffing: departmentForm.min_staffing,
+          head_id: departmentForm.head_id
         });
         await fetchDepartments();
         showToastMessage.crud.createSuccess('department', t);
       }
-      setDepartmentForm({ name_en: '', name_th: '' });
+      setDepartmentForm({ name_en: '', name_th: '', min_staffing: '', head_id: '' });
     } catch (error) {
       showToastMessage.crud.createError('department', undefined, t);
     }
@@ -151,7 +409,7 @@ const LeaveSystemSettings: React.FC = () => {
   const handleEditDepartment = (id: string) => {
     const dep = departments.find(dep => dep.id === id);
     if (dep) {
-      setDepartmentForm({ name_en: dep.department_name_en, name_th: dep.department_name_th });
+      setDepartmentForm({ name_en: dep.department_name_en, name_th: dep.department_name_th, min_staffing: dep.min_staffing != null ? String(dep.min_staffing) : '', head_id: dep.head_id || '' });
       setEditingDepartmentId(id);
     }
   };
@@ -379,7 +637,7 @@ const LeaveSystemSettings: React.FC = () => {
   };
 
   const startInlineDepartmentEdit = (dep: any) => {
-    setInlineDepartmentEdit({ id: dep.id, name_en: dep.department_name_en, name_th: dep.department_name_th });
+    setInlineDepartmentEdit({ id: dep.id, name_en: dep.department_name_en, name_th: dep.department_name_th, min_staffing: dep.min_staffing != null ? String(dep.min_staffing) : '', head_id: dep.head_id || '' });
   };
   const cancelInlineDepartmentEdit = () => setInlineDepartmentEdit(null);
   const handleInlineDepartmentEditChange = (field: string, value: string) => {
@@ -392,7 +650,9 @@ const LeaveSystemSettings: React.FC = () => {
     try {
       const data = await apiService.put(`${apiEndpoints.departments}/${inlineDepartmentEdit.id}`, {
         department_name_en: inlineDepartmentEdit.name_en,
-        department_name_th: inlineDepartmentEdit.name_th
+        department_name_th: inlineDepartmentEdit.name_th,
+        min_staffing: inlineDepartmentEdit.min_staffing,
+        head_id: inlineDepartmentEdit.head_id
       });
       if (!data || !data.success) {
         setInlineDepartmentError(data?.message || 'Unknown error');
@@ -461,6 +721,8 @@ const LeaveSystemSettings: React.FC = () => {
       }
     };
     fetchPositions();
+    fetchEntitlementRules();
+    fetchBlackouts();
   }, []);
 
   // Fetch departments and leave types with new structure
@@ -739,7 +1001,7 @@ const LeaveSystemSettings: React.FC = () => {
       <div className="w-full max-w-7xl mx-auto px-4 py-4 md:py-8">
         <div className="bg-white/70 dark:bg-gray-900/90 backdrop-blur-md rounded-3xl shadow-2xl p-4 md:p-8">
           <Tabs defaultValue="positions" className="w-full" >
-            <TabsList className="mb-6 md:mb-10 bg-indigo-50 dark:bg-gray-800/90 rounded-2xl shadow-inner grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 justify-center py-3 px-4 h-auto" >
+            <TabsList className="mb-6 md:mb-10 bg-indigo-50 dark:bg-gray-800/90 rounded-2xl shadow-inner grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4 justify-center py-3 px-4 h-auto" >
               <TabsTrigger value="positions" className="w-full data-[state=active]:bg-indigo-600 data-[state=active]:text-white data-[state=active]:shadow-lg text-indigo-700 font-bold text-lg md:text-xl py-3 px-4 md:px-6 rounded-2xl transition-all flex items-center justify-center gap-2">
                 <span role="img" aria-label="positions">🧑‍💼</span> {t('positions.positions')}
               </TabsTrigger>
@@ -752,6 +1014,9 @@ const LeaveSystemSettings: React.FC = () => {
               <TabsTrigger value="quota" className="w-full data-[state=active]:bg-indigo-600 data-[state=active]:text-white data-[state=active]:shadow-lg text-indigo-700 font-bold text-lg md:text-xl py-3 px-4 md:px-6 rounded-2xl transition-all flex items-center justify-center gap-2">
                 <span role="img" aria-label="quota">📊</span> {t('leave.quota')}
               </TabsTrigger>
+              <TabsTrigger value="blackouts" className="w-full data-[state=active]:bg-indigo-600 data-[state=active]:text-white data-[state=active]:shadow-lg text-indigo-700 font-bold text-lg md:text-xl py-3 px-4 md:px-6 rounded-2xl transition-all flex items-center justify-center gap-2">
+                <span role="img" aria-label="blackouts">⛔</span> {t('blackouts.title')}
+              </TabsTrigger>
             </TabsList>
             <TabsContent value="positions">
               <div className="rounded-2xl shadow overflow-hidden mb-8">
@@ -962,6 +1227,194 @@ const LeaveSystemSettings: React.FC = () => {
                       {cleanupLoading ? t('common.cleanupButtonLoading') : t('common.cleanupButton')}
                     </Button>
                   </div>
+                  {/* Carry-over settings section */}
+                  <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-sm">
+                    <h3 className="text-blue-900 dark:text-blue-100 font-semibold mb-1">{t('leave.carryOverSettings')}</h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{t('leave.carryOverSettingsDetail')}</p>
+                    <select
+                      value={quotaSettingsPositionId}
+                      onChange={e => selectQuotaSettingsPosition(e.target.value)}
+                      className="w-full md:w-80 border rounded px-3 py-2 text-sm mb-3 bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                    >
+                      <option value="">{t('positions.selectPosition', 'Select position')}</option>
+                      {positions.map(pos => (
+                        <option key={pos.id} value={pos.id}>{lang === 'th' ? pos.position_name_th : pos.position_name_en}</option>
+                      ))}
+                    </select>
+                    {quotaSettingsPositionId && (
+                      <>
+                        <div className="overflow-x-auto rounded-xl">
+                          <table className="w-full table-auto bg-white dark:bg-gray-900 rounded-xl">
+                            <thead>
+                              <tr className="bg-blue-100 dark:bg-gray-700 text-blue-900 dark:text-blue-100">
+                                <th className="p-3 text-left">{t('leave.leaveType')}</th>
+                                <th className="p-3 text-center">{t('leave.quota')}</th>
+                                <th className="p-3 text-center">{t('leave.carryOverMaxDays')}</th>
+                                <th className="p-3 text-center">{t('leave.carryOverExpiry')}</th>
+                                <th className="p-3 text-center">{t('leave.prorateFirstYear')}</th>
+                                <th className="p-3 text-center">{t('leave.accrualMode')}</th>
+                                <th className="p-3 text-center">{t('leave.accrualRate')}</th>
+                                <th className="p-3 text-center">{t('leave.maxNegativeDays')}</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {((positions.find(p => p.id === quotaSettingsPositionId)?.quotas || []) as PositionQuotaRow[]).map(q => (
+                                <tr key={q.leaveTypeId} className="hover:bg-blue-50 dark:hover:bg-gray-700">
+                                  <td className="p-3 font-medium dark:text-gray-100">{lang === 'th' ? q.leave_type_th : q.leave_type_en}</td>
+                                  <td className="p-3 text-center dark:text-gray-100">{q.quota}</td>
+                                  <td className="p-3 text-center">
+                                    <Input
+                                      type="number"
+                                      min={0}
+                                      step={0.5}
+                                      value={quotaSettingsDrafts[q.leaveTypeId]?.maxDays ?? ''}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'maxDays', e.target.value)}
+                                      className="w-24 mx-auto dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                    />
+                                  </td>
+                                  <td className="p-3 text-center">
+                                    <Input
+                                      value={quotaSettingsDrafts[q.leaveTypeId]?.expiry ?? ''}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'expiry', e.target.value)}
+                                      placeholder="MM-DD"
+                                      maxLength={5}
+                                      className="w-28 mx-auto dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                    />
+                                  </td>
+                                  <td className="p-3 text-center">
+                                    <input
+                                      type="checkbox"
+                                      className="accent-blue-600"
+                                      checked={quotaSettingsDrafts[q.leaveTypeId]?.prorate ?? false}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'prorate', e.target.checked)}
+                                    />
+                                  </td>
+                                  <td className="p-3 text-center">
+                                    <select
+                                      value={quotaSettingsDrafts[q.leaveTypeId]?.accrualMode ?? ACCRUAL_MODES.ANNUAL}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'accrualMode', e.target.value)}
+                                      className="border rounded px-2 py-2 text-sm bg-white dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                    >
+                                      <option value={ACCRUAL_MODES.ANNUAL}>{t('leave.accrualAnnual')}</option>
+                                      <option value={ACCRUAL_MODES.MONTHLY}>{t('leave.accrualMonthly')}</option>
+                                    </select>
+                                  </td>
+                                  <td className="p-3 text-center">
+                                    <Input
+                                      type="number"
+                                      min={0}
+                                      step={0.25}
+                                      value={quotaSettingsDrafts[q.leaveTypeId]?.accrualRate ?? ''}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'accrualRate', e.target.value)}
+                                      placeholder={q.quota ? String(Math.round((q.quota / 12) * 100) / 100) : ''}
+                                      disabled={quotaSettingsDrafts[q.leaveTypeId]?.accrualMode !== ACCRUAL_MODES.MONTHLY}
+                                      className="w-24 mx-auto dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                    />
+                                  </td>
+                                  <td className="p-3 text-center">
+                                    <Input
+                                      type="number"
+                                      min={0}
+                                      step={0.5}
+                                      value={quotaSettingsDrafts[q.leaveTypeId]?.maxNegative ?? ''}
+                                      onChange={e => handleQuotaSettingsDraftChange(q.leaveTypeId, 'maxNegative', e.target.value)}
+                                      className="w-24 mx-auto dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                    />
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                        <div className="mt-3">
+                          <Button onClick={saveQuotaSettings} disabled={quotaSettingsSaving} className="btn-primary">
+                            {quotaSettingsSaving ? t('common.loading') : t('common.save')}
+                          </Button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                  {/* Tenure-based entitlement rules section */}
+                  <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-sm">
+                    <h3 className="text-blue-900 dark:text-blue-100 font-semibold mb-1">{t('leave.tenureRules')}</h3>
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{t('leave.tenureRulesDetail')}</p>
+                    <div className="flex flex-col md:flex-row gap-2 mb-3">
+                      <select
+                        value={ruleForm.leaveTypeId}
+                        onChange={e => setRuleForm({ ...ruleForm, leaveTypeId: e.target.value })}
+                        className="w-full md:w-56 border rounded px-3 py-2 text-sm bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                      >
+                        <option value="">{t('leave.leaveType')}</option>
+                        {leaveTypes.map(lt => (
+                          <option key={lt.id} value={lt.id}>{lang === 'th' ? lt.leave_type_th : lt.leave_type_en}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={ruleForm.positionId}
+                        onChange={e => setRuleForm({ ...ruleForm, positionId: e.target.value })}
+                        className="w-full md:w-56 border rounded px-3 py-2 text-sm bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                      >
+                        <option value="">{t('leave.allPositions')}</option>
+                        {positions.map(pos => (
+                          <option key={pos.id} value={pos.id}>{lang === 'th' ? pos.position_name_th : pos.position_name_en}</option>
+                        ))}
+                      </select>
+                      <Input
+                        type="number"
+                        min={0}
+                        value={ruleForm.minYears}
+                        onChange={e => setRuleForm({ ...ruleForm, minYears: e.target.value })}
+                        placeholder={t('leave.tenureMinYears')}
+                        className="w-full md:w-40 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                      />
+                      <Input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        value={ruleForm.extraDays}
+                        onChange={e => setRuleForm({ ...ruleForm, extraDays: e.target.value })}
+                        placeholder={t('leave.tenureExtraDays')}
+                        className="w-full md:w-40 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                      />
+                      <Button onClick={handleAddEntitlementRule} disabled={ruleSaving} className="btn-primary">
+                        {ruleSaving ? t('common.loading') : t('common.add')}
+                      </Button>
+                    </div>
+                    <div className="overflow-x-auto rounded-xl">
+                      <table className="w-full table-auto bg-white dark:bg-gray-900 rounded-xl">
+                        <thead>
+                          <tr className="bg-blue-100 dark:bg-gray-700 text-blue-900 dark:text-blue-100">
+                            <th className="p-3 text-left">{t('leave.leaveType')}</th>
+                            <th className="p-3 text-left">{t('positions.position')}</th>
+                            <th className="p-3 text-center">{t('leave.tenureMinYears')}</th>
+                            <th className="p-3 text-center">{t('leave.tenureExtraDays')}</th>
+                            <th className="p-3 text-center">{t('common.actions')}</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entitlementRules.length === 0 ? (
+                            <tr><td colSpan={5} className="p-4 text-center text-gray-500">{t('common.noResults', 'No results')}</td></tr>
+                          ) : (
+                            entitlementRules.map(rule => {
+                              const lt = leaveTypes.find(l => l.id === rule.leaveTypeId);
+                              const pos = positions.find(p => p.id === rule.positionId);
+                              return (
+                                <tr key={rule.id} className="hover:bg-blue-50 dark:hover:bg-gray-700">
+                                  <td className="p-3 font-medium dark:text-gray-100">{lt ? (lang === 'th' ? lt.leave_type_th : lt.leave_type_en) : rule.leaveTypeId}</td>
+                                  <td className="p-3 dark:text-gray-100">{pos ? (lang === 'th' ? pos.position_name_th : pos.position_name_en) : t('leave.allPositions')}</td>
+                                  <td className="p-3 text-center dark:text-gray-100">{rule.min_years}</td>
+                                  <td className="p-3 text-center dark:text-gray-100">+{rule.extra_days}</td>
+                                  <td className="p-3 text-center">
+                                    <Button variant="destructive" onClick={() => handleDeleteEntitlementRule(rule.id)}>{t('common.delete')}</Button>
+                                  </td>
+                                </tr>
+                              );
+                            })
+                          )}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
                   <div className="bg-white dark:bg-gray-800 rounded-xl p-4 shadow-sm">
                     <h3 className="text-blue-900 dark:text-blue-100 font-semibold mb-3">{t('positions.positions')}</h3>
                     <div className="overflow-x-auto rounded-xl">
@@ -1010,6 +1463,19 @@ const LeaveSystemSettings: React.FC = () => {
                   <form onSubmit={handleDepartmentSubmit} className="mb-6 flex flex-col md:flex-row gap-4 items-end bg-blue-50 dark:bg-gray-800 rounded-xl p-4 md:p-6 shadow-sm">
                     <Input name="name_en" value={departmentForm.name_en} onChange={handleDepartmentChange} placeholder="Department Name (EN)" required className="w-full md:w-64 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
                     <Input name="name_th" value={departmentForm.name_th} onChange={handleDepartmentChange} placeholder="Department Name (TH)" required className="w-full md:w-64 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <Input name="min_staffing" type="number" min={0} step={1} value={departmentForm.min_staffing} onChange={handleDepartmentChange} placeholder={t('departments.minStaffing')} className="w-full md:w-40 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <select
+                      name="head_id"
+                      value={departmentForm.head_id}
+                      onChange={handleDepartmentChange}
+                      title={t('departments.headHint')}
+                      className="w-full md:w-48 border rounded px-3 py-2 text-sm bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                    >
+                      <option value="">{t('departments.noHead')}</option>
+                      {employeeOptions.map(emp => (
+                        <option key={emp.id} value={emp.id}>{emp.name}</option>
+                      ))}
+                    </select>
                     <Button type="submit" className="btn-primary w-full md:w-auto">{editingDepartmentId ? t('common.update') : t('common.add')}</Button>
                   </form>
                   <div className="overflow-x-auto rounded-xl shadow">
@@ -1018,6 +1484,8 @@ const LeaveSystemSettings: React.FC = () => {
                         <tr className="bg-blue-100 dark:bg-gray-800 text-blue-900 dark:text-blue-100">
                           <th className="p-3">{t('departments.departments')} (EN)</th>
                           <th className="p-3">{t('departments.departments')} (TH)</th>
+                          <th className="p-3" title={t('departments.minStaffingHint')}>{t('departments.minStaffing')}</th>
+                          <th className="p-3" title={t('departments.headHint')}>{t('departments.head')}</th>
                           <th className="p-3 text-center">{t('common.actions')}</th>
                         </tr>
                       </thead>
@@ -1032,6 +1500,21 @@ const LeaveSystemSettings: React.FC = () => {
                                 <td className="p-3 font-medium">
                                   <Input value={inlineDepartmentEdit.name_th} onChange={e => handleInlineDepartmentEditChange('name_th', e.target.value)} className="w-32 dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600" />
                                 </td>
+                                <td className="p-3 font-medium">
+                                  <Input type="number" min={0} step={1} value={inlineDepartmentEdit.min_staffing} onChange={e => handleInlineDepartmentEditChange('min_staffing', e.target.value)} className="w-20 dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600" />
+                                </td>
+                                <td className="p-3 font-medium">
+                                  <select
+                                    value={inlineDepartmentEdit.head_id}
+                                    onChange={e => handleInlineDepartmentEditChange('head_id', e.target.value)}
+                                    className="w-40 border rounded px-2 py-2 text-sm bg-white dark:bg-gray-800 dark:text-gray-100 dark:border-gray-600"
+                                  >
+                                    <option value="">{t('departments.noHead')}</option>
+                                    {employeeOptions.map(emp => (
+                                      <option key={emp.id} value={emp.id}>{emp.name}</option>
+                                    ))}
+                                  </select>
+                                </td>
                                 <td className="p-3 flex gap-2 justify-center">
                                   <Button variant="outline" onClick={saveInlineDepartmentEdit}>{t('common.save')}</Button>
                                   <Button variant="destructive" onClick={cancelInlineDepartmentEdit}>{t('common.cancel')}</Button>
@@ -1041,6 +1524,8 @@ const LeaveSystemSettings: React.FC = () => {
                               <>
                                 <td className="p-3 font-medium dark:text-gray-100">{dep.department_name_en}</td>
                                 <td className="p-3 font-medium dark:text-gray-100">{dep.department_name_th}</td>
+                                <td className="p-3 dark:text-gray-100">{dep.min_staffing || '-'}</td>
+                                <td className="p-3 dark:text-gray-100">{employeeOptions.find(emp => emp.id === dep.head_id)?.name || '-'}</td>
                                 <td className="p-3 flex gap-2 justify-center">
                                   <Button variant="outline" onClick={() => startInlineDepartmentEdit(dep)}>{t('common.edit')}</Button>
                                   <Button variant="destructive" onClick={() => handleDeleteDepartment(dep.id)}>{t('common.delete')}</Button>
@@ -1050,7 +1535,88 @@ const LeaveSystemSettings: React.FC = () => {
                           </tr>
                         ))}
                         {inlineDepartmentEdit && inlineDepartmentError && (
-                          <tr><td colSpan={3} className="text-red-600 font-semibold mt-2">{inlineDepartmentError}</td></tr>
+                          <tr><td colSpan={5} className="text-red-600 font-semibold mt-2">{inlineDepartmentError}</td></tr>
+                        )}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            </TabsContent>
+            <TabsContent value="blackouts">
+              <div className="rounded-2xl shadow overflow-hidden mb-8">
+                <div className="bg-blue-600 px-6 py-3">
+                  <h2 className="text-lg font-bold text-white">{t('blackouts.title')}</h2>
+                </div>
+                <div className="p-4 md:p-6">
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{t('blackouts.description')}</p>
+                  <form onSubmit={handleBlackoutSubmit} className="mb-6 flex flex-col md:flex-row md:flex-wrap gap-4 items-end bg-blue-50 dark:bg-gray-800 rounded-xl p-4 md:p-6 shadow-sm">
+                    <Input value={blackoutForm.title} onChange={e => setBlackoutForm({ ...blackoutForm, title: e.target.value })} placeholder={t('blackouts.name')} required className="w-full md:w-56 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <Input value={blackoutForm.description} onChange={e => setBlackoutForm({ ...blackoutForm, description: e.target.value })} placeholder={t('blackouts.note')} className="w-full md:w-56 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <Input type="date" value={blackoutForm.startDate} onChange={e => setBlackoutForm({ ...blackoutForm, startDate: e.target.value })} required className="w-full md:w-40 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <Input type="date" value={blackoutForm.endDate} min={blackoutForm.startDate || undefined} onChange={e => setBlackoutForm({ ...blackoutForm, endDate: e.target.value })} required className="w-full md:w-40 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700" />
+                    <select
+                      value={blackoutForm.departmentId}
+                      onChange={e => setBlackoutForm({ ...blackoutForm, departmentId: e.target.value })}
+                      className="w-full md:w-48 border rounded px-3 py-2 text-sm bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                    >
+                      <option value="">{t('blackouts.allDepartments')}</option>
+                      {departments.map(dep => (
+                        <option key={dep.id} value={dep.id}>{lang === 'th' ? dep.department_name_th : dep.department_name_en}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={blackoutForm.mode}
+                      onChange={e => setBlackoutForm({ ...blackoutForm, mode: e.target.value })}
+                      className="w-full md:w-40 border rounded px-3 py-2 text-sm bg-white dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+                    >
+                      <option value={BLACKOUT_MODES.BLOCK}>{t('blackouts.modeBlock')}</option>
+                      <option value={BLACKOUT_MODES.WARN}>{t('blackouts.modeWarn')}</option>
+                    </select>
+                    <Button type="submit" disabled={blackoutSaving} className="btn-primary w-full md:w-auto">
+                      {blackoutSaving ? t('common.loading') : editingBlackoutId ? t('common.update') : t('common.add')}
+                    </Button>
+                    {editingBlackoutId && (
+                      <Button type="button" variant="outline" onClick={cancelEditBlackout} className="w-full md:w-auto">{t('common.cancel')}</Button>
+                    )}
+                  </form>
+                  <div className="overflow-x-auto rounded-xl shadow">
+                    <table className="w-full table-auto bg-white dark:bg-gray-900 rounded-xl">
+                      <thead>
+                        <tr className="bg-blue-100 dark:bg-gray-800 text-blue-900 dark:text-blue-100">
+                          <th className="p-3 text-left">{t('blackouts.name')}</th>
+                          <th className="p-3 text-left">{t('blackouts.period')}</th>
+                          <th className="p-3 text-left">{t('departments.departments')}</th>
+                          <th className="p-3 text-center">{t('blackouts.mode')}</th>
+                          <th className="p-3 text-center">{t('common.actions')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {blackouts.length === 0 ? (
+                          <tr><td colSpan={5} className="p-4 text-center text-gray-500">{t('common.noResults', 'No results')}</td></tr>
+                        ) : (
+                          blackouts.map(blackout => {
+                            const dep = departments.find(d => d.id === blackout.departmentId);
+                            return (
+                              <tr key={blackout.id} className="hover:bg-blue-50 dark:hover:bg-gray-800">
+                                <td className="p-3 font-medium dark:text-gray-100">
+                                  {blackout.title}
+                                  {blackout.description && <div className="text-xs text-gray-500">{blackout.description}</div>}
+                                </td>
+                                <td className="p-3 dark:text-gray-100">{blackout.startDate.slice(0, 10)} – {blackout.endDate.slice(0, 10)}</td>
+                                <td className="p-3 dark:text-gray-100">{dep ? (lang === 'th' ? dep.department_name_th : dep.department_name_en) : t('blackouts.allDepartments')}</td>
+                                <td className="p-3 text-center">
+                                  <span className={`px-2 py-1 rounded-full text-xs font-semibold ${blackout.mode === BLACKOUT_MODES.WARN ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-800'}`}>
+                                    {blackout.mode === BLACKOUT_MODES.WARN ? t('blackouts.modeWarn') : t('blackouts.modeBlock')}
+                                  </span>
+                                </td>
+                                <td className="p-3 flex gap-2 justify-center">
+                                  <Button variant="outline" onClick={() => handleEditBlackout(blackout)}>{t('common.edit')}</Button>
+                                  <Button variant="destructive" onClick={() => handleDeleteBlackout(blackout.id)}>{t('common.delete')}</Button>
+                                </td>
+                              </tr>
+                            );
+                          })
                         )}
                       </tbody>
                     </table>
@@ -0,0 +1,313 @@
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { SidebarTrigger } from '@/components/ui/sidebar';
+import { Switch } from '@/components/ui/switch';
+import { config } from '@/config';
+import { apiEndpoints } from '@/constants/api';
+import { ROLES } from '@/constants/roles';
+import { apiService } from '@/lib/api';
+import { logger } from '@/lib/logger';
+import { showToast } from '@/lib/toast';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+
+type RoleEntry = {
+  role: string;
+  label: string | null;
+  isSystem: boolean;
+  permissions: string[];
+  userCount: number;
+};
+
+type SecurityPolicy = {
+  twoFactorRequiredRoles: string[];
+  enrollment: Record<string, { total: number; enrolled: number }>;
+  passwordLoginEnabled: boolean;
+  ssoEnabled: boolean;
+  passwordBreakGlassRoles: string[];
+};
+
+// permission key ใช้ "." คั่น แต่ i18next ใช้ "." แยก key จึงแปลงเป็น "_"
+const permissionLabelKey = (permission: string) => `permissions.items.${permission.replace(/\./g, '_')}`;
+
+const RolePermissions: React.FC = () => {
+  const { t } = useTranslation();
+  const [permissions, setPermissions] = useState<string[]>([]);
+  const [roles, setRoles] = useState<RoleEntry[]>([]);
+  const [drafts, setDrafts] = useState<Record<string, string[]>>({}); // key = role
+  const [savingRole, setSavingRole] = useState<string | null>(null);
+  const [newRole, setNewRole] = useState<{ role: string; label: string }>({ role: '', label: '' });
+  const [policy, setPolicy] = useState<SecurityPolicy | null>(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+
+  const fetchMatrix = useCallback(async () => {
+    try {
+      const data = await apiService.get(apiEndpoints.rolePermissions.list);
+      if (data.success && data.data) {
+        setPermissions(data.data.permissions || []);
+        setRoles(data.data.roles || []);
+        const next: Record<string, string[]> = {};
+        (data.data.roles as RoleEntry[]).forEach(r => { next[r.role] = [...r.permissions]; });
+        setDrafts(next);
+      }
+    } catch (error) {
+      logger.error('Error fetching role permissions:', error);
+      showToast.error(t('permissions.loadFailed'));
+    }
+  }, [t]);
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const data = await apiService.get(apiEndpoints.securityPolicy);
+      if (data.success && data.data) setPolicy(data.data);
+    } catch (error) {
+      logger.error('Error fetching security policy:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMatrix();
+    fetchPolicy();
+  }, [fetchMatrix, fetchPolicy]);
+
+  const toggleTwoFactorRole = async (role: string, required: boolean) => {
+    if (!policy) return;
+    const current = policy.twoFactorRequiredRoles;
+    const next = required ? [...current, role] : current.filter(r => r !== role);
+    setSavingPolicy(true);
+    try {
+      const res = await apiService.put(apiEndpoints.securityPolicy, { twoFactorRequiredRoles: next });
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      setPolicy({ ...policy, twoFactorRequiredRoles: res.data.twoFactorRequiredRoles });
+      showToast.success(t('permissions.twoFactorPolicySaved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('permissions.saveFailed'));
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const togglePasswordLogin = async (enabled: boolean) => {
+    if (!policy) return;
+    setSavingPolicy(true);
+    try {
+      const res = await apiService.put(apiEndpoints.securityPolicy, { passwordLoginEnabled: enabled });
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      setPolicy({ ...policy, passwordLoginEnabled: res.data.passwordLoginEnabled });
+      showToast.success(t('permissions.passwordLoginSaved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('permissions.saveFailed'));
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const togglePermission = (role: string, permission: string, checked: boolean) => {
+    setDrafts(prev => {
+      const current = prev[role] || [];
+      return {
+        ...prev,
+        [role]: checked ? [...current, permission] : current.filter(p => p !== permission)
+      };
+    });
+  };
+
+  const isDirty = (entry: RoleEntry) => {
+    const draft = drafts[entry.role] || [];
+    return draft.length !== entry.permissions.length || draft.some(p => !entry.permissions.includes(p));
+  };
+
+  const saveRole = async (role: string) => {
+    setSavingRole(role);
+    try {
+      const res = await apiService.put(apiEndpoints.rolePermissions.detail(role), { permissions: drafts[role] || [] });
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      await fetchMatrix();
+      showToast.success(t('permissions.saved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('permissions.saveFailed'));
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const removeRole = async (entry: RoleEntry) => {
+    setSavingRole(entry.role);
+    try {
+      const res = await apiService.delete(apiEndpoints.rolePermissions.detail(entry.role));
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      await fetchMatrix();
+      showToast.success(entry.isSystem ? t('permissions.resetDone') : t('permissions.deleted'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('permissions.saveFailed'));
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const handleAddRole = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const role = newRole.role.trim().toLowerCase();
+    if (!role) return;
+    if (roles.some(r => r.role === role)) {
+      showToast.warning(t('permissions.roleExists'));
+      return;
+    }
+    setSavingRole(role);
+    try {
+      const res = await apiService.put(apiEndpoints.rolePermissions.detail(role), { permissions: [], label: newRole.label.trim() });
+      if (!res || !res.success) throw new Error(res?.message || 'Failed');
+      setNewRole({ role: '', label: '' });
+      await fetchMatrix();
+      showToast.success(t('permissions.saved'));
+    } catch (err) {
+      showToast.error(err instanceof Error ? err.message : t('permissions.saveFailed'));
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const roleTitle = (entry: RoleEntry) => {
+    if ((ROLES as readonly string[]).includes(entry.role)) return t(`permissions.roles.${entry.role}`);
+    return entry.label || entry.role;
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-white dark:from-gray-950 dark:via-gray-900 dark:to-gray-950">
+      <div className="relative overflow-hidden">
+        <div className="absolute top-4 left-4 z-20">
+          <SidebarTrigger className="bg-white/90 dark:bg-gray-800/90 hover:bg-white dark:hover:bg-gray-700 text-blue-700 dark:text-blue-300 border border-blue-200 dark:border-blue-700 shadow-lg backdrop-blur-sm" />
+        </div>
+        <div className="relative z-10 flex flex-col items-center justify-center py-8 md:py-12">
+          <img src={config.assets.logo} alt="Logo" className="w-16 h-16 md:w-20 md:h-20 rounded-full bg-white/80 dark:bg-gray-800/80 shadow-2xl border-4 border-white dark:border-gray-700 mb-4" />
+          <h1 className="text-2xl md:text-4xl font-extrabold text-indigo-900 dark:text-gray-100 drop-shadow mb-2">
+            {t('permissions.title')}
+          </h1>
+          <p className="text-sm md:text-lg text-blue-900/70 dark:text-gray-300 font-medium text-center max-w-2xl px-4">
+            {t('permissions.description')}
+          </p>
+        </div>
+      </div>
+
+      <div className="w-full max-w-7xl mx-auto px-4 pb-8">
+        <div className="bg-white/70 dark:bg-gray-900/90 backdrop-blur-md rounded-3xl shadow-2xl p-4 md:p-8">
+          <form onSubmit={handleAddRole} className="mb-6 flex flex-col md:flex-row gap-4 items-end bg-blue-50 dark:bg-gray-800 rounded-xl p-4 shadow-sm">
+            <Input
+              value={newRole.role}
+              onChange={e => setNewRole({ ...newRole, role: e.target.value })}
+              placeholder={t('permissions.roleKey')}
+              pattern="[a-z][a-z0-9_\-]{1,49}"
+              title={t('permissions.roleKeyHint')}
+              required
+              className="w-full md:w-56 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+            />
+            <Input
+              value={newRole.label}
+              onChange={e => setNewRole({ ...newRole, label: e.target.value })}
+              placeholder={t('permissions.roleLabel')}
+              className="w-full md:w-64 dark:bg-gray-900 dark:text-gray-100 dark:border-gray-700"
+            />
+            <Button type="submit" className="btn-primary w-full md:w-auto" disabled={!!savingRole}>
+              {t('permissions.addRole')}
+            </Button>
+          </form>
+
+          {policy && (
+            <div className="mb-6 bg-blue-50 dark:bg-gray-800 rounded-xl p-4 shadow-sm">
+              <h2 className="font-semibold text-blue-900 dark:text-blue-100">{t('permissions.twoFactorPolicy')}</h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">{t('permissions.twoFactorPolicyDescription')}</p>
+              <div className="flex flex-wrap gap-4">
+                {roles.map(entry => {
+                  const counts = policy.enrollment[entry.role] || { total: 0, enrolled: 0 };
+                  return (
+                    <label key={entry.role} className="flex items-center gap-2 bg-white dark:bg-gray-900 rounded-lg px-3 py-2 text-sm dark:text-gray-100">
+                      <Switch
+                        checked={policy.twoFactorRequiredRoles.includes(entry.role)}
+                        disabled={savingPolicy}
+                        onCheckedChange={checked => toggleTwoFactorRole(entry.role, checked)}
+                      />
+                      <span>{roleTitle(entry)}</span>
+                      <span className="text-xs text-gray-500">{t('permissions.twoFactorEnrolled', { enrolled: counts.enrolled, total: counts.total })}</span>
+                    </label>
+                  );
+                })}
+              </div>
+
+              <h2 className="font-semibold text-blue-900 dark:text-blue-100 mt-5">{t('permissions.passwordLogin')}</h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                {policy.ssoEnabled
+                  ? t('permissions.passwordLoginDescription', { roles: policy.passwordBreakGlassRoles.join(', ') })
+                  : t('permissions.passwordLoginNeedsSso')}
+              </p>
+              <label className="inline-flex items-center gap-2 bg-white dark:bg-gray-900 rounded-lg px-3 py-2 text-sm dark:text-gray-100">
+                <Switch
+                  checked={policy.passwordLoginEnabled}
+                  disabled={savingPolicy || !policy.ssoEnabled}
+                  onCheckedChange={togglePasswordLogin}
+                />
+                <span>{t('permissions.passwordLoginEnabled')}</span>
+              </label>
+            </div>
+          )}
+
+          <div className="overflow-x-auto rounded-xl shadow">
+            <table className="w-full table-auto bg-white dark:bg-gray-900 rounded-xl text-sm">
+              <thead>
+                <tr className="bg-blue-100 dark:bg-gray-800 text-blue-900 dark:text-blue-100">
+                  <th className="p-3 text-left">{t('permissions.permission')}</th>
+                  {roles.map(entry => (
+                    <th key={entry.role} className="p-3 text-center whitespace-nowrap">
+                      <div>{roleTitle(entry)}</div>
+                      <div className="text-xs font-normal text-gray-500">{t('permissions.userCount', { count: entry.userCount })}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {permissions.map(permission => (
+                  <tr key={permission} className="hover:bg-blue-50 dark:hover:bg-gray-800">
+                    <td className="p-3 dark:text-gray-100">
+                      <div className="font-medium">{t(permissionLabelKey(permission), permission)}</div>
+                      <div className="text-xs text-gray-500">{permission}</div>
+                    </td>
+                    {roles.map(entry => (
+                      <td key={entry.role} className="p-3 text-center">
+                        <Checkbox
+                          checked={entry.role === 'superadmin' || (drafts[entry.role] || []).includes(permission)}
+                          disabled={entry.role === 'superadmin'}
+                          onCheckedChange={checked => togglePermission(entry.role, permission, checked === true)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="bg-gray-50 dark:bg-gray-800">
+                  <td className="p-3 text-xs text-gray-500">{t('permissions.superadminNote')}</td>
+                  {roles.map(entry => (
+                    <td key={entry.role} className="p-3 text-center">
+                      {entry.role !== 'superadmin' && (
+                        <div className="flex flex-col gap-2 items-center">
+                          <Button size="sm" onClick={() => saveRole(entry.role)} disabled={!isDirty(entry) || savingRole === entry.role}>
+                            {savingRole === entry.role ? t('common.loading') : t('common.save')}
+                          </Button>
+                          <Button size="sm" variant={entry.isSystem ? 'outline' : 'destructive'} onClick={() => removeRole(entry)} disabled={savingRole === entry.role}>
+                            {entry.isSystem ? t('permissions.resetDefaults') : t('common.delete')}
+                          </Button>
+                        </div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RolePermissions;
@@ -14,6 +14,8 @@ import { AlertCircle, Building, Calendar, CheckCircle, Crown, Eye, EyeOff, Info,
 import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 
+const NO_CUSTOM_ROLE = 'none';
+
 const SuperAdminList: React.FC = () => {
   const { t, i18n } = useTranslation();
 
@@ -42,6 +44,9 @@ const SuperAdminList: React.FC = () => {
   const [passwordStrength, setPasswordStrength] = useState<PasswordStrength>('weak');
   const [selectedPositionRequireEnddate, setSelectedPositionRequireEnddate] = useState<boolean>(false);
   const [showConfirmModal, setShowConfirmModal] = useState(false);
+  // บทบาทที่ superadmin สร้างเองใน matrix สิทธิ์ (ใช้ได้เฉพาะแท็บพนักงาน)
+  const [customRoles, setCustomRoles] = useState<{ role: string; label: string | null }[]>([]);
+  const [customRole, setCustomRole] = useState<string>(NO_CUSTOM_ROLE);
 
   const lang = i18n.language.startsWith('th') ? 'th' : 'en';
 
@@ -89,10 +94,16 @@ const SuperAdminList: React.FC = () => {
         }
         // Skip fetching genders (no backend endpoint). Use static options defined in UI.
         setGenders([]);
+        // Fetch custom roles
+        const roleData = await apiService.get(apiEndpoints.rolePermissions.list);
+        if (roleData && roleData.data && Array.isArray(roleData.data.roles)) {
+          setCustomRoles(roleData.data.roles.filter((r: { isSystem: boolean }) => !r.isSystem));
+        }
       } catch {
         setDepartments([]);
         setPositions([]);
         setGenders([]);
+        setCustomRoles([]);
       }
     };
     fetchData();
@@ -210,7 +221,7 @@ const SuperAdminList: React.FC = () => {
       };
 
       const payload = {
-        role: roleMapping[form.role] || form.role,
+        role: form.role === 'employee' && customRole !== NO_CUSTOM_ROLE ? customRole : (roleMapping[form.role] || form.role),
         name: form.full_name,
         department: form.department,
         position: form.position,
@@ -537,6 +548,31 @@ const SuperAdminList: React.FC = () => {
               </Select>
             </div>
 
+            {/* Custom Role */}
+            {activeTab === 'employee' && customRoles.length > 0 && (
+              <div className="space-y-2 md:space-y-3 animate-fade-in-up-delay-5">
+                <Label htmlFor="custom_role" className={`mb-2 md:mb-3 block ${currentConfig.textColor} dark:text-gray-300 font-bold text-sm md:text-base transition-all duration-300 hover:text-opacity-80 flex items-center gap-2`}>
+                  <Shield className="w-4 h-4 md:w-5 md:h-5" />
+                  {t('permissions.customRole')}
+                </Label>
+                <Select value={customRole} onValueChange={setCustomRole}>
+                  <SelectTrigger id="custom_role" className={`rounded-xl shadow-sm text-sm md:text-base transition-all duration-300 hover:shadow-lg focus:ring-2 focus:ring-opacity-50 ${currentConfig.borderColor} dark:border-gray-600 border-2 bg-white/80 dark:bg-gray-800 backdrop-blur-sm py-2.5 md:py-3 dark:text-gray-100`}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white/95 dark:bg-gray-800/95 backdrop-blur-md border-2 border-gray-200 dark:border-gray-700 rounded-xl dark:text-gray-100">
+                    <SelectItem value={NO_CUSTOM_ROLE} className="hover:bg-indigo-50 dark:hover:bg-gray-700 transition-colors duration-200 rounded-lg">
+                      {t('permissions.noCustomRole')}
+                    </SelectItem>
+                    {customRoles.map((r) => (
+                      <SelectItem key={r.role} value={r.role} className="hover:bg-indigo-50 dark:hover:bg-gray-700 transition-colors duration-200 rounded-lg">
+                        {r.label || r.role}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             {/* Start Work */}
             <div className="space-y-2 md:space-y-3 animate-fade-in-up-delay-7">
               <Label htmlFor="start_work" className={`mb-2 md:mb-3 block ${currentConfig.textColor} dark:text-gray-300 font-bold text-sm md:text-base transition-all duration-300 hover:text-opacity-80 flex items-center gap-2`}>
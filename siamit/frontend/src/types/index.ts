@@ -65,6 +65,7 @@ export interface LeaveRequest {
   duration?: number;
   durationType?: string;
   durationHours?: number;
+  halfDayPeriod?: 'morning' | 'afternoon' | null;
   backdated?: number;
 }
 